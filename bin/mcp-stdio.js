@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * MCP stdio Entry Point
+ *
+ * Launches the ailevelup.AI MCP server as a local subprocess speaking
+ * newline-delimited JSON-RPC over stdin/stdout.
+ */
+
+const path = require('path');
+
+// stdout carries protocol messages only. Keep a handle on the real stream
+// and send everything else written to stdout (console.log, winston) to stderr.
+const protocolWrite = process.stdout.write.bind(process.stdout);
+process.stdout.write = process.stderr.write.bind(process.stderr);
+
+// Hosts launch us from an arbitrary working directory
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { startStdioServer } = require('../mcp/stdio');
+const { findUserById, resolveOrganization, DEV_USER } = require('../mcp/middleware/auth');
+
+/**
+ * Resolve the user this subprocess acts as. The host that launches us is
+ * trusted, so the identity comes from the environment rather than a token;
+ * MCP_STDIO_ORGANIZATION_ID optionally names an organization to act for.
+ * @returns {Promise<Object>} User record
+ */
+async function resolveStdioUser() {
+  if (process.env.MCP_STDIO_USER_ID) {
+    const user = await findUserById(process.env.MCP_STDIO_USER_ID);
+    return resolveOrganization(user, process.env.MCP_STDIO_ORGANIZATION_ID);
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    return DEV_USER;
+  }
+
+  throw new Error('MCP_STDIO_USER_ID must be set to the user the server acts as');
+}
+
+resolveStdioUser()
+  .then((user) => startStdioServer({ output: { write: protocolWrite }, user }))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('MCP stdio server failed:', error);
+    process.exit(1);
+  });
@@ -1,6 +1,14 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 import Login from './Login';
+import OAuthConsent from './OAuthConsent';
+import OrganizationSwitcher from './OrganizationSwitcher';
+
+// Requests act for the organization picked in the switcher, if any
+function organizationHeaders() {
+  const organizationId = localStorage.getItem('organizationId');
+  return organizationId ? { 'X-Organization-Id': organizationId } : {};
+}
 
 // eslint-disable-next-line
 function VoiceItem({ voice, onPlay, isPlaying }) {
@@ -106,7 +114,8 @@ function DirectCallForm({ voices, sessionId, setCurrentPlayingVoice, currentPlay
       const headers = {
         'Content-Type': 'application/json',
         'Authorization': token ? `Bearer ${token}` : 'Bearer ailevelup-mcp',
-        'MCP-Session-Id': sessionId
+        'MCP-Session-Id': sessionId,
+        ...organizationHeaders()
       };
       
       console.log('Making phone call with parameters:', {
@@ -333,7 +342,8 @@ function CreditsManager({ sessionId }) {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': token ? `Bearer ${token}` : 'Bearer ailevelup-mcp',
-          'MCP-Session-Id': sessionId
+          'MCP-Session-Id': sessionId,
+          ...organizationHeaders()
         },
         body: JSON.stringify({
           jsonrpc: '2.0',
@@ -619,7 +629,8 @@ function CallLogManager({ sessionId, setFetchCallHistoryRef }) {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': token ? `Bearer ${token}` : 'Bearer ailevelup-mcp',
-          'MCP-Session-Id': sessionId
+          'MCP-Session-Id': sessionId,
+          ...organizationHeaders()
         },
         body: JSON.stringify({
           jsonrpc: '2.0',
@@ -735,6 +746,7 @@ function App() {
   // Add authentication state
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [user, setUser] = useState(null);
+  const [organizationId, setOrganizationId] = useState(localStorage.getItem('organizationId') || '');
   
   // Check if user is already logged in (token in localStorage)
   useEffect(() => {
@@ -771,10 +783,12 @@ function App() {
     localStorage.removeItem('userId');
     localStorage.removeItem('userEmail');
     localStorage.removeItem('userRole');
+    localStorage.removeItem('organizationId');
     
     // Reset state
     setIsAuthenticated(false);
     setUser(null);
+    setOrganizationId('');
     setSessionId('');
     setVoices([]);
   };
@@ -788,6 +802,22 @@ function App() {
     initializeSession();
   };
 
+  // Switch between the personal account and an organization; the session is
+  // set up again so everything loads for the new account
+  const handleOrganizationChange = (id) => {
+    if (id === (localStorage.getItem('organizationId') || '')) {
+      return;
+    }
+
+    if (id) {
+      localStorage.setItem('organizationId', id);
+    } else {
+      localStorage.removeItem('organizationId');
+    }
+    setOrganizationId(id);
+    initializeSession();
+  };
+
   const initializeSession = async () => {
     setLoading(true);
     setError('');
@@ -798,7 +828,8 @@ function App() {
       // Set up auth headers
       const authHeaders = {
         'Content-Type': 'application/json',
-        'Authorization': token ? `Bearer ${token}` : 'Bearer ailevelup-mcp'
+        'Authorization': token ? `Bearer ${token}` : 'Bearer ailevelup-mcp',
+        ...organizationHeaders()
       };
       
       // Store auth headers globally for reuse
@@ -832,6 +863,11 @@ function App() {
           setError(`Initialization error: ${data.error.message || JSON.stringify(data.error)}`);
           setLoading(false);
         }
+      } else if (response.status === 403 && authHeaders['X-Organization-Id']) {
+        // No longer a member of the selected organization; use the personal account
+        localStorage.removeItem('organizationId');
+        setOrganizationId('');
+        initializeSession();
       } else {
         console.error('Failed to initialize MCP session:', response.status, response.statusText);
         setError(`Failed to initialize: ${response.status} ${response.statusText}`);
@@ -915,6 +951,11 @@ function App() {
     return <Login onLoginSuccess={handleLoginSuccess} />;
   }
 
+  // MCP hosts connecting through OAuth send the user here to approve access
+  if (window.location.pathname === '/oauth/consent') {
+    return <OAuthConsent token={user?.token} />;
+  }
+
   if (!sessionId) {
     return <div className="loading">Initializing session...</div>;
   }
@@ -927,6 +968,11 @@ function App() {
         </div>
         {user && (
           <div className="user-info">
+            <OrganizationSwitcher
+              token={user.token}
+              organizationId={organizationId}
+              onChange={handleOrganizationChange}
+            />
             <span>{user.email}</span>
             <button className="logout-button" onClick={handleLogout}>Logout</button>
           </div>
@@ -939,7 +985,7 @@ function App() {
         ) : error ? (
           <div className="error-message">{error}</div>
         ) : (
-          <div className="content-wrapper">
+          <div className="content-wrapper" key={organizationId || 'personal'}>
             <div className="left-panel">
               <DirectCallForm 
                 voices={voices} 
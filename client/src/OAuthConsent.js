@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import './Login.css';
+import './OAuthConsent.css';
+
+// Consent screen for MCP hosts connecting through OAuth. The authorization
+// request arrives in the query string; approving or denying it sends the
+// user back to the client.
+function OAuthConsent({ token }) {
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const params = Object.fromEntries(new URLSearchParams(window.location.search));
+
+  useEffect(() => {
+    const fetchRequest = async () => {
+      try {
+        const response = await fetch(`/api/v1/oauth/authorize${window.location.search}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setError(data.error_description || data.error || 'This authorization request is not valid');
+          return;
+        }
+
+        setRequest(data);
+      } catch (error) {
+        console.error('Error loading authorization request:', error);
+        setError('Failed to load the authorization request');
+      }
+    };
+
+    fetchRequest();
+  }, [token]);
+
+  const handleDecision = async (approved) => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/v1/oauth/authorize', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ ...params, approved })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error_description || data.error || 'Failed to complete authorization');
+        setIsSubmitting(false);
+        return;
+      }
+
+      window.location.assign(data.redirectTo);
+    } catch (error) {
+      console.error('Error completing authorization:', error);
+      setError('Failed to complete authorization');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card consent-card">
+        <h2>Connect to Phone Call MCP</h2>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {!request && !error && <div className="loading">Loading request...</div>}
+
+        {request && (
+          <>
+            <p className="consent-client">
+              <strong>{request.client.name}</strong> wants to use your account to:
+            </p>
+            {request.client.uri && (
+              <p className="consent-client-uri">{request.client.uri}</p>
+            )}
+
+            <ul className="consent-scopes">
+              {request.scopes.map(({ scope, description }) => (
+                <li key={scope}>
+                  <span>{description}</span>
+                  <code>{scope}</code>
+                </li>
+              ))}
+            </ul>
+
+            <p className="consent-redirect">
+              You will be sent back to <code>{request.redirectUri}</code>
+            </p>
+
+            <div className="consent-actions">
+              <button
+                type="button"
+                className="toggle-button"
+                onClick={() => handleDecision(false)}
+                disabled={isSubmitting}
+              >
+                Deny
+              </button>
+              <button
+                type="button"
+                className="login-button"
+                onClick={() => handleDecision(true)}
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Connecting...' : 'Allow'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OAuthConsent;
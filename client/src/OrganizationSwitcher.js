@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+
+const NEW_ORGANIZATION = '__new__';
+
+// Picks the account requests act for: the user's own, or one of their
+// organizations. An invitation link (?invitation=<token>) is accepted on load
+// and switches to the organization it was for.
+function OrganizationSwitcher({ token, organizationId, onChange }) {
+  const [organizations, setOrganizations] = useState([]);
+  const [error, setError] = useState('');
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`
+  };
+
+  const fetchOrganizations = async () => {
+    const response = await fetch('/api/v1/organizations', { headers });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load organizations');
+    }
+
+    return data.organizations;
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        let acceptedId = null;
+        const invitation = new URLSearchParams(window.location.search).get('invitation');
+
+        if (invitation) {
+          // Drop the token from the address bar whether or not it is accepted
+          window.history.replaceState(null, '', window.location.pathname);
+
+          const response = await fetch('/api/v1/organizations/invitations/accept', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ token: invitation })
+          });
+          const data = await response.json();
+
+          if (response.ok) {
+            acceptedId = data.id;
+          } else {
+            setError(data.error || 'Failed to accept the invitation');
+          }
+        }
+
+        const list = await fetchOrganizations();
+        setOrganizations(list);
+
+        if (acceptedId) {
+          onChange(acceptedId);
+        } else if (organizationId && !list.some(({ id }) => id === organizationId)) {
+          // No longer a member of the selected organization
+          onChange('');
+        }
+      } catch (error) {
+        console.error('Error loading organizations:', error);
+        setError(error.message);
+      }
+    };
+
+    load();
+    // Only on mount; switching re-renders with the new organizationId
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const createOrganization = async () => {
+    const name = window.prompt('Organization name');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/v1/organizations', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create the organization');
+      }
+
+      setOrganizations(await fetchOrganizations());
+      onChange(data.id);
+    } catch (error) {
+      console.error('Error creating organization:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleChange = (e) => {
+    setError('');
+    if (e.target.value === NEW_ORGANIZATION) {
+      createOrganization();
+      return;
+    }
+    onChange(e.target.value);
+  };
+
+  return (
+    <div className="organization-switcher">
+      <select value={organizationId || ''} onChange={handleChange} aria-label="Account">
+        <option value="">Personal</option>
+        {organizations.map((organization) => (
+          <option key={organization.id} value={organization.id}>
+            {organization.name} ({organization.role})
+          </option>
+        ))}
+        <option value={NEW_ORGANIZATION}>New organization…</option>
+      </select>
+      {error && <span className="organization-error">{error}</span>}
+    </div>
+  );
+}
+
+export default OrganizationSwitcher;
@@ -192,6 +192,7 @@ export const AuthProvider = ({ children }) => {
       if (response.status === 200 && response.data.token) {
         // Store token and user info
         localStorage.setItem('auth_token', response.data.token);
+        localStorage.setItem('refresh_token', response.data.refreshToken);
         
         // Get user data from supabase
         const { data: { user }, error } = await supabase.auth.signInWithPassword({
@@ -218,10 +219,18 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       
-      await axios.post('/api/v1/auth/logout');
+      // Revoke this session on the server
+      await axios.post('/api/v1/auth/logout', {
+        refreshToken: localStorage.getItem('refresh_token')
+      }, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        }
+      }).catch(error => console.error('Error revoking session:', error));
       await supabase.auth.signOut();
       
       localStorage.removeItem('auth_token');
+      localStorage.removeItem('refresh_token');
       setUser(null);
       setSession(null);
       setApiKey(null);
@@ -15,6 +15,7 @@ const Profile = () => {
   const [userCredits, setUserCredits] = useState(0);
   const [apiKey, setApiKey] = useState('');
   const [showApiKey, setShowApiKey] = useState(false);
+  const [sessions, setSessions] = useState([]);
   
   // Form state
   const [formData, setFormData] = useState({
@@ -70,6 +71,34 @@ const Profile = () => {
     fetchUserData();
   }, [user, supabase, navigate]);
   
+  // Fetch active sessions
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+    
+    const fetchSessions = async () => {
+      try {
+        const response = await fetch('/api/v1/auth/sessions', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
+          },
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to load sessions');
+        }
+        
+        const data = await response.json();
+        setSessions(data.sessions || []);
+      } catch (error) {
+        console.error('Error fetching sessions:', error);
+      }
+    };
+    
+    fetchSessions();
+  }, [user]);
+  
   // Handle form input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -197,6 +226,53 @@ const Profile = () => {
     }
   };
   
+  // Handle session revocation
+  const handleRevokeSession = async (session) => {
+    const message = session.current
+      ? 'Sign out of this session? You will need to sign in again.'
+      : `Sign out ${session.device}? It will need to sign in again.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    
+    setIsSaving(true);
+    setError(null);
+    setSuccess(null);
+    
+    try {
+      const response = await fetch(`/api/v1/auth/sessions/${session.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
+        },
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to revoke session');
+      }
+      
+      if (session.current) {
+        await signOut();
+        navigate('/login');
+        return;
+      }
+      
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      setSuccess('Session revoked successfully!');
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccess(null);
+      }, 3000);
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      setError(error.message || 'Failed to revoke session. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
   // Handle account deletion
   const handleDeleteAccount = async () => {
     if (!window.confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
@@ -440,6 +516,41 @@ const Profile = () => {
           </form>
         </div>
         
+        <div className="profile-section">
+          <h2>Active Sessions</h2>
+          
+          {sessions.length === 0 ? (
+            <p>No active sessions.</p>
+          ) : (
+            <ul className="session-list">
+              {sessions.map(session => (
+                <li key={session.id} className="session-item">
+                  <div className="session-info">
+                    <strong>
+                      {session.device}
+                      {session.clientId && ' (connected app)'}
+                      {session.current && ' (this session)'}
+                    </strong>
+                    <span>{session.ipAddress || 'Unknown IP address'}</span>
+                    <small className="text-muted">
+                      Signed in {new Date(session.createdAt).toLocaleString()},
+                      last active {new Date(session.lastActiveAt).toLocaleString()}
+                    </small>
+                  </div>
+                  
+                  <button
+                    onClick={() => handleRevokeSession(session)}
+                    className="btn btn-outline"
+                    disabled={isSaving}
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        
         <div className="profile-section danger-zone">
           <h2>Danger Zone</h2>
           
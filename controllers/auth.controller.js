@@ -1,8 +1,38 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const { v4: uuidv4 } = require('uuid');
 const { supabaseAdmin } = require('../config/supabase');
 const { createCreditAccount } = require('../services/billing');
+const { createApiKey, formatApiKey } = require('../services/api-keys');
+const { MANAGER_ROLES, forAccount } = require('../services/organizations');
+const {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions
+} = require('../services/sessions');
+
+// Refresh failures that mean the user has to sign in again
+const REFRESH_TOKEN_ERRORS = ['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_EXPIRED', 'REFRESH_TOKEN_REUSED'];
+
+/**
+ * Sign an access token for a session. `userId` is the claim middlewares/auth.js
+ * reads, `id` the one validateJWT callers read; `sid` ties the token to the
+ * session so revoking the session ends it.
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    userId: user.id,
+    email: user.email,
+    name: user.name || user.email.split('@')[0],
+    permissions: user.permissions || [],
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRATION }
+);
 
 /**
  * Register a new user
@@ -111,33 +141,18 @@ const login = async (req, res) => {
       .eq('id', authData.user.id)
       .single();
     
-    // Generate access token
-    const token = jwt.sign(
-      { 
-        id: authData.user.id, 
-        email,
-        name: userProfile?.name || email.split('@')[0],
-        permissions: userProfile?.permissions || []
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRATION }
-    );
-    
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { id: authData.user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session; the refresh token is rotated each time it is used
+    const { refreshToken, sessionId } = await createSession(authData.user.id, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
     
-    // Store refresh token in database
-    await supabaseAdmin
-      .from('refresh_tokens')
-      .insert({
-        user_id: authData.user.id,
-        token: refreshToken,
-        expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-      });
+    const token = signAccessToken({
+      id: authData.user.id,
+      email,
+      name: userProfile?.name,
+      permissions: userProfile?.permissions
+    }, sessionId);
     
     res.json({
       message: 'Login successful',
@@ -156,48 +171,57 @@ const login = async (req, res) => {
 };
 
 /**
- * Generate a new API key for a user
+ * Refuse API key management in an organization to members who are not
+ * owners or admins
+ * @returns {Boolean} - True if the response was sent
+ */
+const refuseOrganizationKeys = (req, res) => {
+  if (req.organization && !MANAGER_ROLES.includes(req.organization.role)) {
+    res.status(403).json({ error: 'Only owners and admins can manage organization API keys' });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Generate a new API key for a user, or for the organization they act for.
+ * The key is stored hashed and returned only in this response.
  */
 const generateApiKey = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, permissions } = req.body;
+    const { name, scopes, permissions, expiresAt, allowedIps } = req.body;
+
+    if (refuseOrganizationKeys(req, res)) {
+      return;
+    }
     
     if (!name) {
       return res.status(400).json({ error: 'API key name is required' });
     }
     
-    // Generate a secure random API key
-    const apiKey = uuidv4().replace(/-/g, '') + uuidv4().replace(/-/g, '');
-    
-    // Store the API key in the database
-    const { data, error } = await supabaseAdmin
-      .from('api_keys')
-      .insert({
-        user_id: userId,
-        key: apiKey,
+    let created;
+    try {
+      // `permissions` is the field's name before scopes were enforced
+      created = await createApiKey(userId, {
         name,
-        permissions: permissions || ['api:access'],
-        is_active: true,
-        created_at: new Date()
-      })
-      .select()
-      .single();
-      
-    if (error) {
-      console.error('API key generation error:', error);
-      return res.status(500).json({ error: 'Failed to generate API key' });
+        scopes: scopes || permissions,
+        expiresAt,
+        allowedIps,
+        organizationId: req.organizationId
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_API_KEY_OPTIONS') {
+        return res.status(400).json({ error: error.message, details: error.details });
+      }
+      throw error;
     }
     
     res.status(201).json({
       message: 'API key generated successfully',
       apiKey: {
-        id: data.id,
-        key: apiKey, // Only show the key once, after creation
-        name: data.name,
-        permissions: data.permissions,
-        isActive: data.is_active,
-        createdAt: data.created_at
+        ...formatApiKey(created.apiKey),
+        key: created.key // Only show the key once, after creation
       }
     });
   } catch (error) {
@@ -207,16 +231,21 @@ const generateApiKey = async (req, res) => {
 };
 
 /**
- * List API keys for a user
+ * List API keys for a user, or for the organization they act for
  */
 const listApiKeys = async (req, res) => {
   try {
     const userId = req.user.id;
+
+    if (refuseOrganizationKeys(req, res)) {
+      return;
+    }
     
-    const { data, error } = await supabaseAdmin
+    const query = supabaseAdmin
       .from('api_keys')
-      .select('id, name, permissions, is_active, created_at, last_used_at')
-      .eq('user_id', userId)
+      .select('id, name, key_prefix, permissions, is_active, expires_at, allowed_ips, organization_id, created_at, last_used_at');
+
+    const { data, error } = await forAccount(query, userId, req.organizationId)
       .order('created_at', { ascending: false });
       
     if (error) {
@@ -225,14 +254,7 @@ const listApiKeys = async (req, res) => {
     }
     
     res.json({
-      apiKeys: data.map(key => ({
-        id: key.id,
-        name: key.name,
-        permissions: key.permissions,
-        isActive: key.is_active,
-        createdAt: key.created_at,
-        lastUsedAt: key.last_used_at
-      }))
+      apiKeys: data.map(formatApiKey)
     });
   } catch (error) {
     console.error('API key list error:', error);
@@ -247,14 +269,17 @@ const revokeApiKey = async (req, res) => {
   try {
     const userId = req.user.id;
     const keyId = req.params.keyId;
+
+    if (refuseOrganizationKeys(req, res)) {
+      return;
+    }
     
-    // Make sure the API key belongs to the user
-    const { data: keyCheck, error: keyCheckError } = await supabaseAdmin
-      .from('api_keys')
-      .select('id')
-      .eq('id', keyId)
-      .eq('user_id', userId)
-      .single();
+    // Make sure the API key belongs to the user, or to their organization
+    const { data: keyCheck, error: keyCheckError } = await forAccount(
+      supabaseAdmin.from('api_keys').select('id').eq('id', keyId),
+      userId,
+      req.organizationId
+    ).single();
       
     if (keyCheckError || !keyCheck) {
       return res.status(404).json({ error: 'API key not found' });
@@ -279,7 +304,9 @@ const revokeApiKey = async (req, res) => {
 };
 
 /**
- * Refresh access token using a refresh token
+ * Refresh access token using a refresh token. The refresh token is rotated:
+ * the response carries its replacement, and presenting the old one again
+ * revokes the session.
  */
 const refreshToken = async (req, res) => {
   try {
@@ -289,65 +316,44 @@ const refreshToken = async (req, res) => {
       return res.status(400).json({ error: 'Refresh token is required' });
     }
     
-    // Verify the refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    // Check if refresh token exists in the database
-    const { data: tokenData, error: tokenError } = await supabaseAdmin
-      .from('refresh_tokens')
-      .select('*')
-      .eq('user_id', decoded.id)
-      .eq('token', refreshToken)
-      .single();
-      
-    if (tokenError || !tokenData) {
-      return res.status(401).json({ error: 'Invalid refresh token' });
-    }
-    
-    // Check if refresh token is expired
-    if (new Date(tokenData.expires_at) < new Date()) {
-      return res.status(401).json({ error: 'Refresh token expired' });
+    let rotated;
+    try {
+      rotated = await rotateRefreshToken(refreshToken, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      });
+    } catch (error) {
+      if (REFRESH_TOKEN_ERRORS.includes(error.code)) {
+        return res.status(401).json({ error: error.message });
+      }
+      throw error;
     }
     
     // Get user data
     const { data: userData, error: userError } = await supabaseAdmin
       .from('users')
       .select('*')
-      .eq('id', decoded.id)
+      .eq('id', rotated.session.user_id)
       .single();
       
     if (userError || !userData) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Generate new access token
-    const newToken = jwt.sign(
-      { 
-        id: userData.id, 
-        email: userData.email,
-        name: userData.name,
-        permissions: userData.permissions || []
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRATION }
-    );
-    
     res.json({
       message: 'Token refreshed successfully',
-      token: newToken
+      token: signAccessToken(userData, rotated.session.family_id),
+      refreshToken: rotated.refreshToken
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Invalid refresh token' });
-    }
-    
     console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
 /**
- * Logout - invalidate refresh token
+ * Logout - revoke the session of the given refresh token, or every
+ * sign-in session of the user
  */
 const logout = async (req, res) => {
   try {
@@ -355,18 +361,9 @@ const logout = async (req, res) => {
     const { refreshToken } = req.body;
     
     if (refreshToken) {
-      // Remove specific refresh token
-      await supabaseAdmin
-        .from('refresh_tokens')
-        .delete()
-        .eq('user_id', userId)
-        .eq('token', refreshToken);
+      await revokeSessionByToken(refreshToken, { userId });
     } else {
-      // Remove all refresh tokens for user
-      await supabaseAdmin
-        .from('refresh_tokens')
-        .delete()
-        .eq('user_id', userId);
+      await revokeAllSessions(userId);
     }
     
     res.json({ message: 'Logout successful' });
@@ -376,6 +373,39 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * List the user's active sessions, with the device and IP address each was
+ * last used from
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id, { currentSessionId: req.sessionId });
+    
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Revoke one of the user's sessions
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -383,5 +413,7 @@ module.exports = {
   listApiKeys,
   revokeApiKey,
   refreshToken,
-  logout
+  logout,
+  getSessions,
+  deleteSession
 }; 
\ No newline at end of file
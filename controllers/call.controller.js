@@ -1,12 +1,8 @@
-const axios = require('axios');
 const { supabaseAdmin } = require('../config/supabase');
 const { checkBalance, deductCredits } = require('../services/billing');
-const { moderateContent } = require('../services/moderation');
+const { enforceContentModeration, linkModerationToCall } = require('../services/content-moderation');
 const { logCallToGoogleSheets } = require('../services/logging');
-
-// Bland.AI API configuration
-const BLAND_API_BASE_URL = 'https://api.bland.ai/v1';
-const BLAND_API_KEY = process.env.BLAND_ENTERPRISE_API_KEY;
+const { getProvider } = require('../services/providers');
 
 /**
  * Send a new call
@@ -37,29 +33,40 @@ const sendCall = async (req, res) => {
     }
 
     // Moderate the content
-    const { approved, reason } = await moderateContent(callParams.prompt);
-    
-    if (!approved) {
+    let moderation;
+    try {
+      moderation = await enforceContentModeration(
+        { ...callParams, task: callParams.prompt },
+        { userId }
+      );
+    } catch (moderationError) {
+      if (moderationError.code !== 'CONTENT_REJECTED') {
+        throw moderationError;
+      }
       return res.status(403).json({ 
         error: 'Content moderation failed', 
-        reason
+        reason: moderationError.details.reason,
+        moderation: moderationError.details
       });
     }
 
-    // Prepare parameters for Bland.AI API
-    const blandParams = {
-      ...callParams,
-      api_key: BLAND_API_KEY
-    };
-
-    // Make the request to Bland.AI API
-    const response = await axios.post(`${BLAND_API_BASE_URL}/calls`, blandParams);
-    
-    if (!response.data || !response.data.call_id) {
-      throw new Error('Invalid response from Bland.AI API');
-    }
+    // Place the call with the configured telephony provider
+    const { callId } = await getProvider().dial({
+      phoneNumber: callParams.phone_number,
+      task: callParams.prompt,
+      voice: callParams.voice,
+      fromNumber: callParams.from_number,
+      model: callParams.model,
+      temperature: callParams.temperature,
+      voicemailAction: callParams.voicemail_action,
+      answeredByEnabled: callParams.answered_by_enabled,
+      maxDuration: callParams.max_duration && callParams.max_duration * 60,
+      webhookUrl: callParams.webhook_url,
+      recordingEnabled: callParams.record,
+      metadata: callParams.metadata
+    });
 
-    const callId = response.data.call_id;
+    await linkModerationToCall(moderation.id, callId);
 
     // Store call data in our database
     await supabaseAdmin
@@ -121,10 +128,10 @@ const sendCall = async (req, res) => {
       console.error('Error logging call failure:', logError);
     }
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -153,23 +160,17 @@ const analyzeCall = async (req, res) => {
       return res.status(404).json({ error: 'Call not found or access denied' });
     }
 
-    // Forward the request to Bland.AI API
-    const response = await axios.post(
-      `${BLAND_API_BASE_URL}/calls/${callId}/analyze`, 
-      {
-        ...analysisParams,
-        api_key: BLAND_API_KEY
-      }
-    );
+    // Forward the request to the telephony provider
+    const analysis = await getProvider().analyze(callId, analysisParams);
 
-    res.json(response.data);
+    res.json(analysis);
   } catch (error) {
     console.error('Analyze call error:', error);
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -201,11 +202,9 @@ const stopCall = async (req, res) => {
       return res.status(400).json({ error: 'Call already ended' });
     }
 
-    // Forward the request to Bland.AI API
-    const response = await axios.post(
-      `${BLAND_API_BASE_URL}/calls/${callId}/stop`, 
-      { api_key: BLAND_API_KEY }
-    );
+    // Forward the request to the telephony provider
+    const provider = getProvider();
+    const result = await provider.stop(callId);
     
     // Update call status in our database
     await supabaseAdmin
@@ -217,12 +216,9 @@ const stopCall = async (req, res) => {
       .eq('id', callId);
 
     // Get call details to determine duration
-    const callDetailsResponse = await axios.get(
-      `${BLAND_API_BASE_URL}/calls/${callId}`,
-      { params: { api_key: BLAND_API_KEY } }
-    );
+    const callDetails = await provider.getCall(callId);
     
-    const duration = calculateCallDuration(callDetailsResponse.data);
+    const duration = calculateCallDuration(callDetails);
     
     // Deduct credits based on call duration
     if (duration > 0) {
@@ -231,15 +227,15 @@ const stopCall = async (req, res) => {
 
     res.json({
       message: 'Call stopped successfully',
-      ...response.data
+      ...result.raw
     });
   } catch (error) {
     console.error('Stop call error:', error);
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -267,25 +263,22 @@ const getCallDetails = async (req, res) => {
       return res.status(404).json({ error: 'Call not found or access denied' });
     }
 
-    // Forward the request to Bland.AI API
-    const response = await axios.get(
-      `${BLAND_API_BASE_URL}/calls/${callId}`,
-      { params: { api_key: BLAND_API_KEY } }
-    );
+    // Forward the request to the telephony provider
+    const call = await getProvider().getCall(callId);
     
     // Update call status in our database if it has changed
-    if (response.data && response.data.status) {
+    if (call.status !== 'unknown') {
       await supabaseAdmin
         .from('calls')
         .update({ 
-          status: response.data.status,
+          status: call.status,
           updated_at: new Date()
         })
         .eq('id', callId);
       
       // If call is completed, calculate duration and deduct credits
-      if (response.data.status === 'completed' && response.data.ended_at) {
-        const duration = calculateCallDuration(response.data);
+      if (call.status === 'completed' && call.endedAt) {
+        const duration = calculateCallDuration(call);
         
         if (duration > 0) {
           await deductCredits(userId, callId, duration);
@@ -293,14 +286,14 @@ const getCallDetails = async (req, res) => {
       }
     }
 
-    res.json(response.data);
+    res.json({ ...call.raw, status: call.status });
   } catch (error) {
     console.error('Get call details error:', error);
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -338,17 +331,8 @@ const getEventStream = async (req, res) => {
       req.on('close', resolve);
     });
     
-    // Create event source from Bland.AI
-    const streamUrl = `${BLAND_API_BASE_URL}/event_stream/${callId}?api_key=${BLAND_API_KEY}`;
-    
-    // Set up axios to stream the response
-    const axiosResponse = await axios({
-      method: 'get',
-      url: streamUrl,
-      responseType: 'stream'
-    });
-    
-    const stream = axiosResponse.data;
+    // Open the provider's event stream
+    const { stream } = await getProvider().getEventStream(callId);
     
     // Forward the stream to the client
     stream.on('data', (chunk) => {
@@ -372,10 +356,10 @@ const getEventStream = async (req, res) => {
   } catch (error) {
     console.error('Get event stream error:', error);
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -403,29 +387,26 @@ const getCallRecording = async (req, res) => {
       return res.status(404).json({ error: 'Call not found or access denied' });
     }
 
-    // Forward the request to Bland.AI API
-    const response = await axios.get(
-      `${BLAND_API_BASE_URL}/calls/${callId}/recording`,
-      { 
-        params: { api_key: BLAND_API_KEY },
-        responseType: 'stream'
-      }
-    );
+    // Forward the request to the telephony provider
+    const recording = await getProvider().getRecording(callId);
     
     // Forward the headers
-    Object.keys(response.headers).forEach(header => {
-      res.setHeader(header, response.headers[header]);
-    });
+    if (recording.contentType) {
+      res.setHeader('Content-Type', recording.contentType);
+    }
+    if (recording.contentLength) {
+      res.setHeader('Content-Length', recording.contentLength);
+    }
     
     // Pipe the response stream to our response
-    response.data.pipe(res);
+    recording.stream.pipe(res);
   } catch (error) {
     console.error('Get call recording error:', error);
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -453,20 +434,17 @@ const getCorrectedTranscripts = async (req, res) => {
       return res.status(404).json({ error: 'Call not found or access denied' });
     }
 
-    // Forward the request to Bland.AI API
-    const response = await axios.get(
-      `${BLAND_API_BASE_URL}/calls/${callId}/correct`,
-      { params: { api_key: BLAND_API_KEY } }
-    );
+    // Forward the request to the telephony provider
+    const transcript = await getProvider().getTranscript(callId);
 
-    res.json(response.data);
+    res.json(transcript);
   } catch (error) {
     console.error('Get corrected transcripts error:', error);
     
-    if (error.response) {
-      return res.status(error.response.status).json({
-        error: 'Error from Bland.AI API',
-        details: error.response.data
+    if (error.code === 'PROVIDER_ERROR') {
+      return res.status(error.status || 502).json({
+        error: 'Error from telephony provider',
+        details: error.details
       });
     }
     
@@ -495,15 +473,15 @@ function maskPhoneNumber(phoneNumber) {
 }
 
 /**
- * Helper function to calculate call duration in minutes
+ * Helper function to calculate call duration in minutes from a provider call
  */
 function calculateCallDuration(callData) {
-  if (!callData || !callData.started_at || !callData.ended_at) {
+  if (!callData || !callData.startedAt || !callData.endedAt) {
     return 0;
   }
   
-  const startTime = new Date(callData.started_at);
-  const endTime = new Date(callData.ended_at);
+  const startTime = new Date(callData.startedAt);
+  const endTime = new Date(callData.endedAt);
   
   if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
     return 0;
@@ -22,7 +22,6 @@ aws sts get-caller-identity > /dev/null || {
 echo "Creating layer directories..."
 mkdir -p lambda-layers/dependencies/nodejs
 mkdir -p lambda-layers/utils/nodejs/lib
-mkdir -p lambda-layers/utils/nodejs/services
 mkdir -p lambda-layers/utils/nodejs/utils
 
 # Copy dependencies
@@ -32,7 +31,16 @@ cp -r node_modules lambda-layers/dependencies/nodejs/
 # Copy utility files
 echo "Copying utility files..."
 cp -r functions/lib/* lambda-layers/utils/nodejs/lib/
-cp -r functions/services/* lambda-layers/utils/nodejs/services/
+# Services shared with the API server, with the modules of this repository
+# they require (config, mcp, utils), at the same paths as here
+node scripts/copy-layer-modules.js lambda-layers/utils/nodejs \
+  services/content-moderation.js \
+  services/webhooks.js \
+  services/call-state.js \
+  services/call-extraction.js \
+  services/call-preferences.js \
+  services/voice-catalog.js \
+  services/providers
 cp -r functions/utils/* lambda-layers/utils/nodejs/utils/
 
 # Create layer zips
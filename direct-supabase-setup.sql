@@ -164,12 +164,1080 @@ EXCEPTION
 END;
 $$ LANGUAGE plpgsql;
 
+-- Create credit_holds table for credits reserved by calls in flight
+CREATE TABLE IF NOT EXISTS public.credit_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  call_id TEXT,
+  amount NUMERIC NOT NULL,
+  charged_amount NUMERIC,
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'settled', 'released')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Free tier minutes are kept with the balance, so holds and per-minute
+-- charges draw on the same ledger. Holds record the free minutes they took.
+ALTER TABLE public.credits ADD COLUMN IF NOT EXISTS has_free_tier BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE public.credits ADD COLUMN IF NOT EXISTS free_minutes_used NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE public.credits ADD COLUMN IF NOT EXISTS free_minutes_total NUMERIC NOT NULL DEFAULT 10;
+ALTER TABLE public.credit_holds ADD COLUMN IF NOT EXISTS free_minutes NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE public.credit_holds ADD COLUMN IF NOT EXISTS charged_free_minutes NUMERIC;
+
+-- Create indexes on user_id and call_id
+CREATE INDEX IF NOT EXISTS idx_credit_holds_user_id ON public.credit_holds(user_id);
+CREATE INDEX IF NOT EXISTS idx_credit_holds_call_id ON public.credit_holds(call_id);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.credit_holds ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for users to access only their own credit holds
+DROP POLICY IF EXISTS credit_holds_policy ON public.credit_holds;
+CREATE POLICY credit_holds_policy ON public.credit_holds
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Create function to hold credits before a call is placed, for a number of
+-- minutes: free tier minutes first, the rest at the given rate. The account
+-- row is locked while the hold is taken, so concurrent reservations cannot
+-- overdraw it. Returns NULL if funds are short.
+DROP FUNCTION IF EXISTS reserve_user_credits(UUID, NUMERIC);
+CREATE OR REPLACE FUNCTION reserve_user_credits(
+  p_user_id UUID,
+  p_minutes NUMERIC,
+  p_cost_per_minute NUMERIC
+)
+RETURNS UUID AS $$
+DECLARE
+  v_account public.credits%ROWTYPE;
+  v_free_minutes NUMERIC;
+  v_amount NUMERIC;
+  v_hold_id UUID;
+BEGIN
+  SELECT * INTO v_account FROM public.credits
+  WHERE user_id = p_user_id
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  
+  v_free_minutes := CASE WHEN v_account.has_free_tier
+    THEN LEAST(GREATEST(v_account.free_minutes_total - v_account.free_minutes_used, 0), p_minutes)
+    ELSE 0
+  END;
+  v_amount := (p_minutes - v_free_minutes) * p_cost_per_minute;
+  
+  IF v_account.balance < v_amount THEN
+    RETURN NULL;
+  END IF;
+  
+  UPDATE public.credits
+  SET
+    balance = balance - v_amount,
+    free_minutes_used = free_minutes_used + v_free_minutes,
+    updated_at = now()
+  WHERE id = v_account.id;
+  
+  INSERT INTO public.credit_holds (
+    user_id,
+    amount,
+    free_minutes
+  ) VALUES (
+    p_user_id,
+    v_amount,
+    v_free_minutes
+  ) RETURNING id INTO v_hold_id;
+  
+  RETURN v_hold_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create function to charge a hold for the minutes actually used, out of its
+-- free minutes first, and return the remainder to the balance. Returns the
+-- amount charged, or NULL if the hold is no longer open.
+DROP FUNCTION IF EXISTS settle_credit_hold(UUID, NUMERIC);
+CREATE OR REPLACE FUNCTION settle_credit_hold(
+  p_hold_id UUID,
+  p_minutes NUMERIC,
+  p_cost_per_minute NUMERIC
+)
+RETURNS NUMERIC AS $$
+DECLARE
+  v_hold public.credit_holds%ROWTYPE;
+  v_free_minutes NUMERIC;
+  v_charge NUMERIC;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds
+  WHERE id = p_hold_id AND status = 'held'
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  
+  v_free_minutes := LEAST(GREATEST(p_minutes, 0), v_hold.free_minutes);
+  v_charge := LEAST(GREATEST(p_minutes - v_free_minutes, 0) * p_cost_per_minute, v_hold.amount);
+  
+  UPDATE public.credits
+  SET
+    balance = balance + (v_hold.amount - v_charge),
+    free_minutes_used = free_minutes_used - (v_hold.free_minutes - v_free_minutes),
+    total_used = total_used + v_charge,
+    updated_at = now()
+  WHERE user_id = v_hold.user_id;
+  
+  UPDATE public.credit_holds
+  SET
+    status = 'settled',
+    charged_amount = v_charge,
+    charged_free_minutes = v_free_minutes,
+    updated_at = now()
+  WHERE id = p_hold_id;
+  
+  IF v_charge > 0 THEN
+    INSERT INTO public.credit_transactions (
+      user_id,
+      amount,
+      description,
+      transaction_type
+    ) VALUES (
+      v_hold.user_id,
+      v_charge,
+      'Call charges - ' || COALESCE(v_hold.call_id, 'unknown call'),
+      'use'
+    );
+  END IF;
+  
+  RETURN v_charge;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create function to return a held amount, and its free minutes, in full.
+-- Returns FALSE if the hold is no longer open.
+CREATE OR REPLACE FUNCTION release_credit_hold(
+  p_hold_id UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_hold public.credit_holds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds
+  WHERE id = p_hold_id AND status = 'held'
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+  
+  UPDATE public.credits
+  SET
+    balance = balance + v_hold.amount,
+    free_minutes_used = free_minutes_used - v_hold.free_minutes,
+    updated_at = now()
+  WHERE user_id = v_hold.user_id;
+  
+  UPDATE public.credit_holds
+  SET
+    status = 'released',
+    charged_amount = 0,
+    charged_free_minutes = 0,
+    updated_at = now()
+  WHERE id = p_hold_id;
+  
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create moderation_policies table for per-account moderation overrides
+CREATE TABLE IF NOT EXISTS public.moderation_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE,
+  fail_mode TEXT CHECK (fail_mode IN ('open', 'closed')),
+  allowed_categories TEXT[] NOT NULL DEFAULT '{}',
+  blocked_terms TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create moderation_records table with one row per moderation decision
+CREATE TABLE IF NOT EXISTS public.moderation_records (
+  id TEXT PRIMARY KEY,
+  user_id UUID,
+  call_id TEXT,
+  is_allowed BOOLEAN NOT NULL,
+  category TEXT,
+  reason TEXT,
+  score NUMERIC,
+  fail_mode TEXT,
+  error TEXT,
+  task_preview TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create indexes on user_id and call_id
+CREATE INDEX IF NOT EXISTS idx_moderation_records_user_id ON public.moderation_records(user_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_records_call_id ON public.moderation_records(call_id);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.moderation_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.moderation_records ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for users to read only their own moderation records
+DROP POLICY IF EXISTS moderation_records_policy ON public.moderation_records;
+CREATE POLICY moderation_records_policy ON public.moderation_records
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Create scheduled_calls table for calls booked for a future time
+CREATE TABLE IF NOT EXISTS public.scheduled_calls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'dispatching', 'dispatched', 'cancelled', 'failed')),
+  scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  call_params JSONB NOT NULL,
+  call_id TEXT,
+  error_message TEXT,
+  dispatched_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create indexes on user_id and on due calls for the dispatcher
+CREATE INDEX IF NOT EXISTS idx_scheduled_calls_user_id ON public.scheduled_calls(user_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_calls_due ON public.scheduled_calls(status, scheduled_at);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.scheduled_calls ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for users to access only their own scheduled calls
+DROP POLICY IF EXISTS scheduled_calls_policy ON public.scheduled_calls;
+CREATE POLICY scheduled_calls_policy ON public.scheduled_calls
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Create do_not_call_list table. Rows without a user_id apply to every account.
+CREATE TABLE IF NOT EXISTS public.do_not_call_list (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  phone_number TEXT NOT NULL,
+  reason TEXT,
+  added_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- A number appears at most once per account and once on the global list
+CREATE UNIQUE INDEX IF NOT EXISTS idx_do_not_call_list_user_phone ON public.do_not_call_list(user_id, phone_number) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_do_not_call_list_global_phone ON public.do_not_call_list(phone_number) WHERE user_id IS NULL;
+
+-- Create compliance_settings table with per-account quiet hours
+CREATE TABLE IF NOT EXISTS public.compliance_settings (
+  user_id UUID PRIMARY KEY,
+  quiet_hours_start INTEGER CHECK (quiet_hours_start BETWEEN 0 AND 23),
+  quiet_hours_end INTEGER CHECK (quiet_hours_end BETWEEN 0 AND 23),
+  quiet_hours_action TEXT CHECK (quiet_hours_action IN ('defer', 'block')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.do_not_call_list ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.compliance_settings ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for users to access only their own entries and settings
+DROP POLICY IF EXISTS do_not_call_list_policy ON public.do_not_call_list;
+CREATE POLICY do_not_call_list_policy ON public.do_not_call_list
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS compliance_settings_policy ON public.compliance_settings;
+CREATE POLICY compliance_settings_policy ON public.compliance_settings
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Create campaigns table for batch calling
+CREATE TABLE IF NOT EXISTS public.campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  task_template TEXT NOT NULL,
+  call_params JSONB NOT NULL DEFAULT '{}',
+  concurrency INTEGER NOT NULL DEFAULT 5 CHECK (concurrency BETWEEN 1 AND 20),
+  pacing_seconds NUMERIC NOT NULL DEFAULT 2 CHECK (pacing_seconds >= 0),
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+  paused_reason TEXT,
+  total_contacts INTEGER NOT NULL DEFAULT 0,
+  last_dialed_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create campaign_contacts table with one row per CSV row
+CREATE TABLE IF NOT EXISTS public.campaign_contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES public.campaigns(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  row_number INTEGER NOT NULL,
+  phone_number TEXT,
+  variables JSONB NOT NULL DEFAULT '{}',
+  task TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dialing', 'in_progress', 'completed', 'failed', 'skipped', 'cancelled')),
+  outcome TEXT,
+  call_id TEXT,
+  error_message TEXT,
+  not_before TIMESTAMP WITH TIME ZONE,
+  dialed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create indexes for the campaign runner and reports
+CREATE INDEX IF NOT EXISTS idx_campaigns_user_id ON public.campaigns(user_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON public.campaigns(status);
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_campaign_status ON public.campaign_contacts(campaign_id, status, row_number);
+
+-- Campaign calls are tracked in the calls table alongside every other call
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS campaign_id UUID;
+CREATE INDEX IF NOT EXISTS idx_calls_campaign_id ON public.calls(campaign_id);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.campaign_contacts ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for users to access only their own campaigns
+DROP POLICY IF EXISTS campaigns_policy ON public.campaigns;
+CREATE POLICY campaigns_policy ON public.campaigns
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS campaign_contacts_policy ON public.campaign_contacts;
+CREATE POLICY campaign_contacts_policy ON public.campaign_contacts
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Create webhook_endpoints table for outbound event webhooks
+CREATE TABLE IF NOT EXISTS public.webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create webhook_deliveries table; dead rows form the dead-letter log
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id UUID NOT NULL REFERENCES public.webhook_endpoints(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create indexes for event fan-out and the retry service
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON public.webhook_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_status ON public.webhook_deliveries(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON public.webhook_deliveries(next_attempt_at) WHERE status = 'failed';
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for users to access only their own webhooks
+DROP POLICY IF EXISTS webhook_endpoints_policy ON public.webhook_endpoints;
+CREATE POLICY webhook_endpoints_policy ON public.webhook_endpoints
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS webhook_deliveries_policy ON public.webhook_deliveries;
+CREATE POLICY webhook_deliveries_policy ON public.webhook_deliveries
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Call state tracking: polling schedule on calls, and one row per status change
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS next_poll_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS poll_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_calls_next_poll ON public.calls(next_poll_at) WHERE status IN ('initiated', 'queued', 'ringing', 'in_progress');
+
+CREATE TABLE IF NOT EXISTS public.call_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id TEXT NOT NULL,
+  user_id UUID,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('webhook', 'poll', 'api')),
+  payload JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create index for a call's event history
+CREATE INDEX IF NOT EXISTS idx_call_events_call_id ON public.call_events(call_id, created_at);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.call_events ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for users to access only their own call events
+DROP POLICY IF EXISTS call_events_policy ON public.call_events;
+CREATE POLICY call_events_policy ON public.call_events
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Create provider_webhook_events table: archive of call events pushed by the telephony provider
+CREATE TABLE IF NOT EXISTS public.provider_webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  call_id TEXT,
+  provider_status TEXT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'unmatched', 'failed')),
+  error TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (provider, event_id)
+);
+
+-- Create index for looking up a call's raw events
+CREATE INDEX IF NOT EXISTS idx_provider_webhook_events_call_id ON public.provider_webhook_events(call_id, received_at);
+
+-- Only the service role reads or writes the archive
+ALTER TABLE public.provider_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Structured data extraction: the schema a call's data is extracted with, and the typed results
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS extraction_schema JSONB;
+
+CREATE TABLE IF NOT EXISTS public.call_extractions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id TEXT NOT NULL UNIQUE,
+  user_id UUID NOT NULL,
+  schema JSONB NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL CHECK (status IN ('valid', 'invalid')),
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  raw JSONB,
+  extracted_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create indexes for listing and querying a user's extractions
+CREATE INDEX IF NOT EXISTS idx_call_extractions_user_id ON public.call_extractions(user_id, extracted_at);
+CREATE INDEX IF NOT EXISTS idx_call_extractions_data ON public.call_extractions USING GIN (data);
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.call_extractions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for users to access only their own extractions
+DROP POLICY IF EXISTS call_extractions_policy ON public.call_extractions;
+CREATE POLICY call_extractions_policy ON public.call_extractions
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Create call_templates table: saved call scripts, with their current version inline
+CREATE TABLE IF NOT EXISTS public.call_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  version INTEGER NOT NULL DEFAULT 1,
+  task TEXT NOT NULL,
+  first_sentence TEXT,
+  voice TEXT,
+  max_duration_seconds INTEGER CHECK (max_duration_seconds BETWEEN 30 AND 1800),
+  voicemail_action TEXT CHECK (voicemail_action IN ('hangup', 'leave_message')),
+  extraction_schema JSONB,
+  variables JSONB NOT NULL DEFAULT '[]',
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Create call_template_versions table with every version of every template
+CREATE TABLE IF NOT EXISTS public.call_template_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_id UUID NOT NULL REFERENCES public.call_templates(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  task TEXT NOT NULL,
+  first_sentence TEXT,
+  voice TEXT,
+  max_duration_seconds INTEGER,
+  voicemail_action TEXT,
+  extraction_schema JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (template_id, version)
+);
+
+-- Template names are unique per account among templates that are not deleted
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_templates_user_name ON public.call_templates(user_id, name) WHERE deleted_at IS NULL;
+
+-- Calls remember the template version they were placed with
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS template_id UUID;
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+-- Set up RLS (Row Level Security)
+ALTER TABLE public.call_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.call_template_versions ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for users to access only their own templates
+DROP POLICY IF EXISTS call_templates_policy ON public.call_templates;
+CREATE POLICY call_templates_policy ON public.call_templates
+  FOR ALL
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS call_template_versions_policy ON public.call_template_versions;
+CREATE POLICY call_template_versions_policy ON public.call_template_versions
+  FOR ALL
+  USING (EXISTS (
+    SELECT 1 FROM public.call_templates
+    WHERE call_templates.id = call_template_versions.template_id
+      AND call_templates.user_id = auth.uid()
+  ));
+
+-- Retry policies: per call, and per account in user_settings
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS retry_policy JSONB;
+ALTER TABLE public.user_settings ADD COLUMN IF NOT EXISTS retry_policy JSONB;
+
+-- Calls keep the parameters they were placed with so they can be dialed again,
+-- and retries point back to the first call of the chain
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS call_params JSONB;
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS original_call_id TEXT;
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 1;
+CREATE INDEX IF NOT EXISTS idx_calls_original_call_id ON public.calls(original_call_id) WHERE original_call_id IS NOT NULL;
+
+-- Retries are booked as scheduled calls
+ALTER TABLE public.scheduled_calls ADD COLUMN IF NOT EXISTS retry_of_call_id TEXT;
+ALTER TABLE public.scheduled_calls ADD COLUMN IF NOT EXISTS attempt INTEGER;
+CREATE INDEX IF NOT EXISTS idx_scheduled_calls_retry_of ON public.scheduled_calls(retry_of_call_id) WHERE retry_of_call_id IS NOT NULL;
+
+-- Voice catalog, synced from the telephony provider
+CREATE TABLE IF NOT EXISTS public.voices (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  voice_id TEXT NOT NULL,
+  provider TEXT,
+  is_default BOOLEAN DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  description TEXT,
+  language TEXT,
+  gender TEXT
+);
+
+-- Metadata and availability; tables created by setup-voices.js predate them
+ALTER TABLE public.voices ADD COLUMN IF NOT EXISTS accent TEXT;
+ALTER TABLE public.voices ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.voices ADD COLUMN IF NOT EXISTS sample_url TEXT;
+ALTER TABLE public.voices ADD COLUMN IF NOT EXISTS public BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE public.voices ADD COLUMN IF NOT EXISTS available BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE public.voices ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP WITH TIME ZONE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_voices_voice_id ON public.voices(voice_id);
+CREATE INDEX IF NOT EXISTS idx_voices_language ON public.voices(language);
+CREATE INDEX IF NOT EXISTS idx_voices_tags ON public.voices USING GIN (tags);
+
+-- API keys: stored as a salted SHA-256 hash behind a visible prefix, with scopes
+-- (in `permissions`), an optional expiry and an optional IP allow-list
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  key TEXT,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS key_prefix TEXT;
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS key_salt TEXT;
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS key_hash TEXT;
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS allowed_ips TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.api_keys ALTER COLUMN key DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON public.api_keys(key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON public.api_keys(user_id);
+
+-- Hash keys stored in plain text, then drop the plain text
+UPDATE public.api_keys
+SET key_salt = encode(gen_random_bytes(16), 'hex')
+WHERE key IS NOT NULL AND key_hash IS NULL;
+
+UPDATE public.api_keys
+SET key_prefix = left(key, 8),
+    key_hash = encode(digest(key_salt || key, 'sha256'), 'hex'),
+    key = NULL
+WHERE key IS NOT NULL AND key_hash IS NULL;
+
+-- Move keys kept on users into api_keys. They keep full access through the
+-- legacy api:access permission.
+INSERT INTO public.api_keys (user_id, name, key_prefix, key_salt, key_hash, permissions, is_active, created_at)
+SELECT id, 'Legacy key', left(api_key, 8), salt, encode(digest(salt || api_key, 'sha256'), 'hex'), ARRAY['api:access'], true, now()
+FROM (
+  SELECT id, api_key, encode(gen_random_bytes(16), 'hex') AS salt
+  FROM public.users
+  WHERE api_key IS NOT NULL
+) legacy;
+
+UPDATE public.users SET api_key = NULL WHERE api_key IS NOT NULL;
+
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS api_keys_policy ON public.api_keys;
+CREATE POLICY api_keys_policy ON public.api_keys
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- OAuth clients registered by remote MCP hosts (public clients using PKCE)
+CREATE TABLE IF NOT EXISTS public.oauth_clients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id TEXT NOT NULL UNIQUE,
+  client_name TEXT NOT NULL,
+  client_uri TEXT,
+  redirect_uris TEXT[] NOT NULL,
+  grant_types TEXT[] NOT NULL DEFAULT '{authorization_code}',
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Authorization codes, stored as a SHA-256 hash; each is used once
+CREATE TABLE IF NOT EXISTS public.oauth_authorization_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code_hash TEXT NOT NULL UNIQUE,
+  client_id TEXT NOT NULL REFERENCES public.oauth_clients(client_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  redirect_uri TEXT NOT NULL,
+  code_challenge TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  resource TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Refresh tokens, stored as a SHA-256 hash. OAuth refresh tokens also carry
+-- the client and scopes they were granted. Tokens are revoked when rotated;
+-- each session is a family of tokens sharing a family_id.
+CREATE TABLE IF NOT EXISTS public.refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  token TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS token_hash TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS client_id TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS scopes TEXT[];
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS resource TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS session_started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS ip_address TEXT;
+ALTER TABLE public.refresh_tokens ALTER COLUMN token DROP NOT NULL;
+
+-- Hash tokens stored in plain text, each in a session of its own, then drop the plain text
+UPDATE public.refresh_tokens
+SET token_hash = encode(digest(token, 'sha256'), 'hex'),
+    family_id = COALESCE(family_id, gen_random_uuid()),
+    session_started_at = COALESCE(session_started_at, created_at),
+    token = NULL
+WHERE token IS NOT NULL AND token_hash IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_token_hash ON public.refresh_tokens(token_hash) WHERE token_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON public.refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON public.refresh_tokens(family_id);
+
+-- Only the server reads these tables
+ALTER TABLE public.oauth_clients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.oauth_authorization_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Organizations: teams sharing credits, calls, templates and API keys
+CREATE TABLE IF NOT EXISTS public.organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_by UUID NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.organization_members (
+  organization_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'caller', 'viewer')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON public.organization_members(user_id);
+
+-- Invitations, accepted with a token stored as a SHA-256 hash
+CREATE TABLE IF NOT EXISTS public.organization_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'caller', 'viewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  accepted_by UUID,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization_id ON public.organization_invitations(organization_id);
+
+-- Rows held by an organization carry its ID; user_id is the member who made them.
+-- An organization's credit balance belongs to no user.
+ALTER TABLE public.credits ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE;
+ALTER TABLE public.credits ALTER COLUMN user_id DROP NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credits_organization_id ON public.credits(organization_id) WHERE organization_id IS NOT NULL;
+ALTER TABLE public.credit_holds ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.credit_transactions ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.calls ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.call_history ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.scheduled_calls ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.call_templates ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.call_extractions ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS organization_id UUID;
+CREATE INDEX IF NOT EXISTS idx_calls_organization_id ON public.calls(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_call_history_organization_id ON public.call_history(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_scheduled_calls_organization_id ON public.scheduled_calls(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_call_extractions_organization_id ON public.call_extractions(organization_id, extracted_at) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON public.api_keys(organization_id) WHERE organization_id IS NOT NULL;
+
+-- Webhook endpoints and the moderation policy of an organization serve every
+-- call made in it; a personal endpoint or policy does not see them
+ALTER TABLE public.webhook_endpoints ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE;
+ALTER TABLE public.webhook_deliveries ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE public.moderation_policies ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE;
+ALTER TABLE public.moderation_records ADD COLUMN IF NOT EXISTS organization_id UUID;
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_organization_id ON public.webhook_endpoints(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_organization_status ON public.webhook_deliveries(organization_id, status) WHERE organization_id IS NOT NULL;
+
+-- One moderation policy per account: the user's own, or the organization's
+ALTER TABLE public.moderation_policies DROP CONSTRAINT IF EXISTS moderation_policies_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_moderation_policies_user_id ON public.moderation_policies(user_id) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_moderation_policies_organization_id ON public.moderation_policies(organization_id) WHERE organization_id IS NOT NULL;
+
+-- Template names are unique per account: the user's own, or the organization's
+DROP INDEX IF EXISTS idx_call_templates_user_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_templates_user_name ON public.call_templates(user_id, name) WHERE deleted_at IS NULL AND organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_templates_organization_name ON public.call_templates(organization_id, name) WHERE deleted_at IS NULL AND organization_id IS NOT NULL;
+
+-- Credit functions act on the organization's balance when given one. The
+-- earlier versions are dropped so calls by name are not ambiguous.
+DROP FUNCTION IF EXISTS add_user_credits(UUID, NUMERIC, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION add_user_credits(
+  p_user_id UUID,
+  p_amount NUMERIC,
+  p_description TEXT DEFAULT 'Credit purchase',
+  p_payment_id TEXT DEFAULT NULL,
+  p_organization_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_existing_id UUID;
+BEGIN
+  IF p_organization_id IS NULL THEN
+    SELECT id INTO v_existing_id FROM public.credits WHERE user_id = p_user_id LIMIT 1;
+  ELSE
+    SELECT id INTO v_existing_id FROM public.credits WHERE organization_id = p_organization_id LIMIT 1;
+  END IF;
+  
+  IF v_existing_id IS NULL THEN
+    INSERT INTO public.credits (
+      user_id,
+      organization_id,
+      balance,
+      total_added,
+      total_used
+    ) VALUES (
+      CASE WHEN p_organization_id IS NULL THEN p_user_id END,
+      p_organization_id,
+      p_amount,
+      p_amount,
+      0
+    );
+  ELSE
+    UPDATE public.credits
+    SET
+      balance = balance + p_amount,
+      total_added = total_added + p_amount,
+      updated_at = now()
+    WHERE id = v_existing_id;
+  END IF;
+  
+  INSERT INTO public.credit_transactions (
+    user_id,
+    organization_id,
+    amount,
+    description,
+    payment_id,
+    transaction_type
+  ) VALUES (
+    p_user_id,
+    p_organization_id,
+    p_amount,
+    p_description,
+    p_payment_id,
+    'add'
+  );
+  
+  RETURN TRUE;
+EXCEPTION
+  WHEN OTHERS THEN
+    RAISE EXCEPTION 'Failed to add credits: %', SQLERRM;
+    RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS reserve_user_credits(UUID, NUMERIC, NUMERIC);
+CREATE OR REPLACE FUNCTION reserve_user_credits(
+  p_user_id UUID,
+  p_minutes NUMERIC,
+  p_cost_per_minute NUMERIC,
+  p_organization_id UUID DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_account public.credits%ROWTYPE;
+  v_free_minutes NUMERIC;
+  v_amount NUMERIC;
+  v_hold_id UUID;
+BEGIN
+  SELECT * INTO v_account FROM public.credits
+  WHERE CASE WHEN p_organization_id IS NULL
+    THEN user_id = p_user_id
+    ELSE organization_id = p_organization_id
+  END
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  
+  v_free_minutes := CASE WHEN v_account.has_free_tier
+    THEN LEAST(GREATEST(v_account.free_minutes_total - v_account.free_minutes_used, 0), p_minutes)
+    ELSE 0
+  END;
+  v_amount := (p_minutes - v_free_minutes) * p_cost_per_minute;
+  
+  IF v_account.balance < v_amount THEN
+    RETURN NULL;
+  END IF;
+  
+  UPDATE public.credits
+  SET
+    balance = balance - v_amount,
+    free_minutes_used = free_minutes_used + v_free_minutes,
+    updated_at = now()
+  WHERE id = v_account.id;
+  
+  INSERT INTO public.credit_holds (
+    user_id,
+    organization_id,
+    amount,
+    free_minutes
+  ) VALUES (
+    p_user_id,
+    p_organization_id,
+    v_amount,
+    v_free_minutes
+  ) RETURNING id INTO v_hold_id;
+  
+  RETURN v_hold_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION settle_credit_hold(
+  p_hold_id UUID,
+  p_minutes NUMERIC,
+  p_cost_per_minute NUMERIC
+)
+RETURNS NUMERIC AS $$
+DECLARE
+  v_hold public.credit_holds%ROWTYPE;
+  v_free_minutes NUMERIC;
+  v_charge NUMERIC;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds
+  WHERE id = p_hold_id AND status = 'held'
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  
+  v_free_minutes := LEAST(GREATEST(p_minutes, 0), v_hold.free_minutes);
+  v_charge := LEAST(GREATEST(p_minutes - v_free_minutes, 0) * p_cost_per_minute, v_hold.amount);
+  
+  UPDATE public.credits
+  SET
+    balance = balance + (v_hold.amount - v_charge),
+    free_minutes_used = free_minutes_used - (v_hold.free_minutes - v_free_minutes),
+    total_used = total_used + v_charge,
+    updated_at = now()
+  WHERE CASE WHEN v_hold.organization_id IS NULL
+    THEN user_id = v_hold.user_id
+    ELSE organization_id = v_hold.organization_id
+  END;
+  
+  UPDATE public.credit_holds
+  SET
+    status = 'settled',
+    charged_amount = v_charge,
+    charged_free_minutes = v_free_minutes,
+    updated_at = now()
+  WHERE id = p_hold_id;
+  
+  IF v_charge > 0 THEN
+    INSERT INTO public.credit_transactions (
+      user_id,
+      organization_id,
+      amount,
+      description,
+      transaction_type
+    ) VALUES (
+      v_hold.user_id,
+      v_hold.organization_id,
+      v_charge,
+      'Call charges - ' || COALESCE(v_hold.call_id, 'unknown call'),
+      'use'
+    );
+  END IF;
+  
+  RETURN v_charge;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION release_credit_hold(
+  p_hold_id UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_hold public.credit_holds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds
+  WHERE id = p_hold_id AND status = 'held'
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+  
+  UPDATE public.credits
+  SET
+    balance = balance + v_hold.amount,
+    free_minutes_used = free_minutes_used - v_hold.free_minutes,
+    updated_at = now()
+  WHERE CASE WHEN v_hold.organization_id IS NULL
+    THEN user_id = v_hold.user_id
+    ELSE organization_id = v_hold.organization_id
+  END;
+  
+  UPDATE public.credit_holds
+  SET
+    status = 'released',
+    charged_amount = 0,
+    charged_free_minutes = 0,
+    updated_at = now()
+  WHERE id = p_hold_id;
+  
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create function to charge a call placed without a hold for its minutes:
+-- free tier minutes first, the rest at the given rate. The account row is
+-- locked and charged relative to its current balance, so the charge cannot
+-- undo holds taken at the same time. Returns no row if there is no account.
+CREATE OR REPLACE FUNCTION charge_call_minutes(
+  p_user_id UUID,
+  p_minutes NUMERIC,
+  p_cost_per_minute NUMERIC,
+  p_organization_id UUID DEFAULT NULL
+)
+RETURNS TABLE (charged NUMERIC, free_minutes_used NUMERIC, balance NUMERIC) AS $$
+DECLARE
+  v_account public.credits%ROWTYPE;
+  v_free_minutes NUMERIC;
+  v_charge NUMERIC;
+BEGIN
+  SELECT * INTO v_account FROM public.credits
+  WHERE CASE WHEN p_organization_id IS NULL
+    THEN user_id = p_user_id
+    ELSE organization_id = p_organization_id
+  END
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  
+  v_free_minutes := CASE WHEN v_account.has_free_tier
+    THEN LEAST(GREATEST(v_account.free_minutes_total - v_account.free_minutes_used, 0), p_minutes)
+    ELSE 0
+  END;
+  v_charge := (p_minutes - v_free_minutes) * p_cost_per_minute;
+  
+  RETURN QUERY
+  UPDATE public.credits
+  SET
+    balance = GREATEST(public.credits.balance - v_charge, 0),
+    free_minutes_used = public.credits.free_minutes_used + v_free_minutes,
+    total_used = total_used + v_charge,
+    updated_at = now()
+  WHERE id = v_account.id
+  RETURNING v_charge, v_free_minutes, public.credits.balance;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Members see their organizations; the server manages them
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS organization_members_policy ON public.organization_members;
+CREATE POLICY organization_members_policy ON public.organization_members
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS organizations_policy ON public.organizations;
+CREATE POLICY organizations_policy ON public.organizations
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.organization_members
+    WHERE organization_members.organization_id = organizations.id
+      AND organization_members.user_id = auth.uid()
+  ));
+
 -- Create a dev user for testing
-INSERT INTO public.users (id, email, role, api_key, created_at, updated_at)
+INSERT INTO public.users (id, email, role, created_at, updated_at)
 VALUES 
-  ('dev-user-id', 'dev@example.com', 'admin', 'dev-api-key', now(), now())
+  ('dev-user-id', 'dev@example.com', 'admin', now(), now())
 ON CONFLICT (id) DO NOTHING;
 
+-- Create an API key for the dev user: dev-api-key
+INSERT INTO public.api_keys (user_id, name, key_prefix, key_salt, key_hash, permissions, is_active)
+SELECT 'dev-user-id', 'Dev key', 'dev-api-', salt, encode(digest(salt || 'dev-api-key', 'sha256'), 'hex'), ARRAY['api:access'], true
+FROM (SELECT encode(gen_random_bytes(16), 'hex') AS salt) generated
+WHERE NOT EXISTS (SELECT 1 FROM public.api_keys WHERE user_id = 'dev-user-id' AND name = 'Dev key');
+
 -- Create initial settings for dev user
 INSERT INTO public.user_settings (user_id, default_voice, default_model, default_temperature, default_from_number, default_voicemail_action)
 VALUES 
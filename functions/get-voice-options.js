@@ -2,67 +2,26 @@
  * Lambda function to retrieve available voice options
  */
 
+const { supabase } = require('/opt/nodejs/lib/supabase');
+const { listVoices } = require('/opt/nodejs/services/voice-catalog');
 const { buildResponse } = require('./lib/api-response');
 
 /**
- * List of available voice options with their properties
- */
-const AVAILABLE_VOICES = [
-  {
-    id: 'alloy',
-    name: 'Alloy',
-    gender: 'neutral',
-    description: 'Versatile neutral voice with medium range',
-    isDefault: true
-  },
-  {
-    id: 'echo',
-    name: 'Echo',
-    gender: 'male',
-    description: 'Male voice with a deeper tone',
-    isDefault: false
-  },
-  {
-    id: 'fable',
-    name: 'Fable',
-    gender: 'female',
-    description: 'Female voice with a warmer tone',
-    isDefault: false
-  },
-  {
-    id: 'onyx',
-    name: 'Onyx',
-    gender: 'male',
-    description: 'Deep and authoritative male voice',
-    isDefault: false
-  },
-  {
-    id: 'nova',
-    name: 'Nova',
-    gender: 'female',
-    description: 'Bright female voice with higher pitch',
-    isDefault: false
-  },
-  {
-    id: 'shimmer',
-    name: 'Shimmer',
-    gender: 'female',
-    description: 'Clear and expressive female voice',
-    isDefault: false
-  }
-];
-
-/**
- * Lambda handler to get available voice options
+ * Lambda handler to get available voice options, optionally filtered by the
+ * language, gender, accent, tag and search query parameters
  */
 exports.handler = async (event) => {
   try {
     console.log('Getting voice options');
-    
-    // Return the list of available voices
-    return buildResponse(200, AVAILABLE_VOICES);
+
+    const { language, gender, accent, tag, search } = (event && event.queryStringParameters) || {};
+
+    // The layer has no Redis client, so the catalog is read uncached
+    const voices = await listVoices({ language, gender, accent, tag, search }, { db: supabase, cache: null });
+
+    return buildResponse(200, voices);
   } catch (error) {
     console.error('Error getting voice options:', error);
     return buildResponse(500, { message: 'Error retrieving voice options' });
   }
-}; 
\ No newline at end of file
+};
@@ -1,5 +1,7 @@
 const { supabase } = require('/opt/nodejs/lib/supabase');
-const { moderateContent } = require('/opt/nodejs/services/content-moderation');
+const { enforceContentModeration, linkModerationToCall } = require('/opt/nodejs/services/content-moderation');
+const { getProvider } = require('/opt/nodejs/services/providers');
+const { getCallPreferences } = require('/opt/nodejs/services/call-preferences');
 const { logCallToGoogleSheets } = require('/opt/nodejs/services/google-sheets-logging');
 const { getRateLimit, updateRateLimit } = require('/opt/nodejs/lib/rate-limit');
 const { createResponse } = require('/opt/nodejs/lib/api-response');
@@ -22,12 +24,7 @@ const _makeCallHandler = async (event, context) => {
     const {
       phone_number,
       task,
-      voice = process.env.DEFAULT_VOICE,
       webhook_url,
-      from_number = process.env.DEFAULT_FROM_NUMBER,
-      model = process.env.DEFAULT_MODEL,
-      temperature = parseFloat(process.env.DEFAULT_TEMPERATURE) || 1,
-      voicemail_action = process.env.DEFAULT_VOICEMAIL_ACTION || 'hangup',
       answered_by_enabled = process.env.ANSWERED_BY_ENABLED === 'true',
       max_duration
     } = body;
@@ -55,45 +52,56 @@ const _makeCallHandler = async (event, context) => {
     }
 
     // Moderate content
-    const moderationResult = await moderateContent(task);
-    if (!moderationResult.isAllowed) {
+    let moderation;
+    try {
+      moderation = await enforceContentModeration(body, { userId, db: supabase });
+    } catch (moderationError) {
+      if (moderationError.code !== 'CONTENT_REJECTED') {
+        throw moderationError;
+      }
       return createResponse(400, {
         error: 'Content moderation failed',
-        reason: moderationResult.reason
+        reason: moderationError.details.reason,
+        moderation: moderationError.details
       });
     }
 
-    // Make the call using ailevelup.AI API
-    const response = await fetch(`${process.env.AILEVELUP_API_URL}/v1/calls`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.AILEVELUP_ENTERPRISE_API_KEY}`,
-        'X-Encrypted-Key': process.env.AILEVELUP_ENCRYPTED_KEY
-      },
-      body: JSON.stringify({
-        phone_number,
+    // Settings not passed come from the user's preferences, then the account defaults
+    const preferences = await getCallPreferences(userId, { db: supabase });
+    const voice = body.voice || preferences.voice;
+    const from_number = body.from_number || preferences.fromNumber;
+    const model = body.model || preferences.model;
+    const temperature = body.temperature !== undefined ? body.temperature : preferences.temperature;
+    const voicemail_action = body.voicemail_action || preferences.voicemailAction;
+
+    // Make the call with the configured telephony provider
+    let callData;
+    try {
+      const call = await getProvider().dial({
+        phoneNumber: phone_number,
         task,
         voice,
-        webhook_url,
-        from_number,
+        webhookUrl: webhook_url,
+        fromNumber: from_number,
         model,
         temperature,
-        voicemail_action,
-        answered_by_enabled,
-        max_duration: max_duration || userCredits.balance
-      })
-    });
-
-    const callData = await response.json();
-
-    if (!response.ok) {
-      return createResponse(response.status, {
+        voicemailAction: voicemail_action,
+        answeredByEnabled: answered_by_enabled,
+        maxDuration: (max_duration || userCredits.balance) * 60 // minutes here, seconds for the provider
+      });
+      callData = { ...call.raw, call_id: call.callId };
+    } catch (providerError) {
+      if (providerError.code !== 'PROVIDER_ERROR') {
+        throw providerError;
+      }
+      return createResponse(providerError.status || 502, {
         error: 'Failed to make call',
-        details: callData
+        details: providerError.details
       });
     }
 
+    await linkModerationToCall(moderation.id, callData.call_id, { db: supabase });
+
     // Log call to database
     const { data: call, error: dbError } = await supabase
       .from('calls')
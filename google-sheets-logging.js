@@ -430,10 +430,10 @@ async function updateCallInGoogleSheets(callId, rowIndex) {
       
       // Update Supabase with the same data
       try {
+        // Status is left to the call state engine (services/call-state.js)
         const { error: updateError } = await supabaseAdmin
           .from('calls')
           .update({
-            status: callStatus,
             duration: callDurationMinutes,
             credits_used: Math.max(1, callDurationMinutes), // Minimum 1 credit
             recording_url: recordingUrl,
@@ -567,6 +567,48 @@ async function updateCallInGoogleSheets(callId, rowIndex) {
   }
 }
 
+/**
+ * Write a call's current status and details to its row. Called by the call
+ * state engine on every transition; the row stays 'Pending' until the call ends.
+ * @param {Object} call Call record from the calls table
+ * @returns {Promise<boolean>} Whether the row was found and updated
+ */
+async function updateCallStatusInGoogleSheets(call) {
+  await googleSheetsRateLimiter.consume(2);
+
+  const rowIndex = await findRowForCallId(call.call_id);
+  if (!rowIndex) {
+    logger.warn(`Call ID ${call.call_id} not found in Google Sheets`);
+    return false;
+  }
+
+  const isFinal = ['completed', 'failed', 'cancelled'].includes(call.status);
+  const authClient = await getAuthClient();
+
+  await sheets.spreadsheets.values.batchUpdate({
+    auth: authClient,
+    spreadsheetId: SPREADSHEET_ID,
+    resource: {
+      valueInputOption: 'RAW',
+      data: [
+        // F - Call Duration (minutes), G - Call Status
+        { range: `${SHEET_NAME}!F${rowIndex}:G${rowIndex}`, values: [[Math.ceil((call.duration || 0) / 60).toString(), call.status]] },
+        // Q - Recording URL
+        { range: `${SHEET_NAME}!Q${rowIndex}`, values: [[call.recording_url || '']] },
+        // U - Concatenated Transcript
+        { range: `${SHEET_NAME}!U${rowIndex}`, values: [[call.concatenated_transcript || '']] },
+        // W - Answered By, X - Call Ended By
+        { range: `${SHEET_NAME}!W${rowIndex}:X${rowIndex}`, values: [[call.answered_by || '', call.call_ended_by || '']] },
+        // AB - Update Status, AC - Last Updated
+        { range: `${SHEET_NAME}!AB${rowIndex}:AC${rowIndex}`, values: [[isFinal ? 'Updated' : 'Pending', new Date().toISOString()]] }
+      ]
+    }
+  });
+
+  logger.info(`Updated status of call ${call.call_id} in Google Sheets to ${call.status}`);
+  return true;
+}
+
 /**
  * Poll for call updates
  * @returns {Promise<number>} Number of calls updated
@@ -976,6 +1018,7 @@ module.exports = {
   generateCallReport,
   pollCallUpdates,
   updateCallInGoogleSheets,
+  updateCallStatusInGoogleSheets,
   pollSupabaseCalls,
   findRowForCallId
 };
@@ -82,6 +82,10 @@ function prepare_lambda() {
   cp "$PROJECT_ROOT/utils/logger.js" "$TEMP_DIR/utils/"
   cp "$PROJECT_ROOT/utils/rate-limiter.js" "$TEMP_DIR/utils/"
   cp "$PROJECT_ROOT/google-sheets-logging.js" "$TEMP_DIR/"
+  cp -r "$PROJECT_ROOT/services" "$TEMP_DIR/"
+  cp -r "$PROJECT_ROOT/config" "$TEMP_DIR/"
+  mkdir -p "$TEMP_DIR/mcp"
+  cp -r "$PROJECT_ROOT/mcp/lib" "$TEMP_DIR/mcp/"
   cp "$PROJECT_ROOT/db.js" "$TEMP_DIR/"
   cp "$PROJECT_ROOT/package.json" "$TEMP_DIR/"
   cp "$PROJECT_ROOT/package-lock.json" "$TEMP_DIR/"
@@ -26,7 +26,10 @@ const filesToInclude = [
 
 // Directories to include in the Lambda package
 const dirsToInclude = [
-  'utils'
+  'utils',
+  'services',
+  'config',
+  'mcp/lib'
 ];
 
 // Create color formatting for console output
@@ -1,12 +1,13 @@
 /**
- * Lambda function for updating call data in Google Sheets
+ * Lambda function for updating call statuses
  * 
- * This function polls for pending calls and updates them with the latest status.
+ * This function polls the calls that are due for a status check through the
+ * call state engine, which also keeps Google Sheets up to date.
  * It's designed to run with a concurrency of 1 to prevent overlapping executions.
  */
 
 require('dotenv').config();
-const { pollCallUpdates } = require('./google-sheets-logging');
+const { pollDueCalls } = require('./services/call-state');
 const { logger } = require('./utils/logger');
 
 // Execution lock using DynamoDB for preventing concurrent executions
@@ -53,7 +54,11 @@ exports.handler = async (event, context) => {
     logger.info('Starting Lambda call update polling function');
     
     // Execute the polling function
-    const updatedCount = await pollCallUpdates();
+    const result = await pollDueCalls();
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    const updatedCount = result.processed || 0;
     
     // Clear timeout checker
     clearInterval(timeoutChecker);
@@ -0,0 +1,293 @@
+/**
+ * Call Progress Subscriptions for MCP
+ *
+ * Lets a session subscribe to a call and pushes JSON-RPC notifications while
+ * the call runs, instead of the client polling getCallProgress:
+ *
+ *   notifications/call/status      { callId, status, previousStatus }
+ *   notifications/call/transcript  { callId, speaker, text }
+ *   notifications/call/summary     { callId, status, durationSeconds, answeredBy,
+ *                                    endedBy, recordingUrl, summary, transcript }
+ *
+ * Updates come from the provider's live event stream (the one proxied by
+ * getEventStream in controllers/call.controller.js) and from the call state
+ * engine. Each watched call opens one upstream stream, shared by every session
+ * subscribed to it. Subscriptions end with the call or when the session
+ * disconnects.
+ */
+
+const { supabase } = require('../config/supabase');
+const { getProvider } = require('../services/providers');
+const {
+  FINAL_STATES,
+  isLegalTransition,
+  normalizeStatus,
+  subscribe: subscribeToTransitions
+} = require('../services/call-state');
+const { readEventStream } = require('./lib/event-stream');
+const { JsonRpcErrorCodes } = require('./lib/json-rpc');
+const { logger } = require('../utils/logger');
+
+// Watched calls by call ID: { callId, status, stream, finished, sessions: Map<sessionId, notify> }
+const watchedCalls = new Map();
+
+// Unsubscribes from the call state engine; set while any call is watched
+let stopTransitions = null;
+
+/**
+ * Send a notification to every session watching a call
+ * @param {Object} watched Watched call
+ * @param {string} method Notification method
+ * @param {Object} params Notification parameters
+ */
+function broadcast(watched, method, params) {
+  watched.sessions.forEach((notify, sessionId) => {
+    try {
+      notify(method, params);
+    } catch (error) {
+      logger.warn(`Failed to notify MCP session about call ${watched.callId}`, {
+        sessionId,
+        error: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Stop watching a call and close its upstream stream
+ * @param {string} callId Call ID
+ */
+function stopWatching(callId) {
+  const watched = watchedCalls.get(callId);
+  if (!watched) {
+    return;
+  }
+
+  watchedCalls.delete(callId);
+  if (watched.stream) {
+    watched.stream.destroy();
+    watched.stream = null;
+  }
+
+  if (watchedCalls.size === 0 && stopTransitions) {
+    stopTransitions();
+    stopTransitions = null;
+  }
+}
+
+/**
+ * Send the final summary for a call and end its subscriptions
+ * @param {Object} watched Watched call
+ */
+async function finish(watched) {
+  if (watched.finished) {
+    return;
+  }
+  watched.finished = true;
+
+  let call = null;
+  try {
+    call = await getProvider().getCall(watched.callId);
+  } catch (error) {
+    logger.warn(`Could not fetch call ${watched.callId} for its summary`, { error: error.message });
+  }
+
+  broadcast(watched, 'notifications/call/summary', {
+    callId: watched.callId,
+    status: watched.status,
+    durationSeconds: call?.durationSeconds ?? null,
+    answeredBy: call?.answeredBy || null,
+    endedBy: call?.endedBy || null,
+    recordingUrl: call?.recordingUrl || null,
+    summary: call?.raw?.summary || null,
+    transcript: call?.transcript || null
+  });
+
+  stopWatching(watched.callId);
+}
+
+/**
+ * Record a status for a watched call and notify its sessions. Statuses that
+ * would move the call backward, such as history replayed by the event stream,
+ * are ignored.
+ * @param {Object} watched Watched call
+ * @param {string} status New status
+ */
+function updateStatus(watched, status) {
+  if (watched.finished || !isLegalTransition(watched.status, status)) {
+    return;
+  }
+
+  const previousStatus = watched.status;
+  watched.status = status;
+  broadcast(watched, 'notifications/call/status', { callId: watched.callId, status, previousStatus });
+
+  if (FINAL_STATES.includes(status)) {
+    finish(watched);
+  } else if (!watched.stream) {
+    openStream(watched);
+  }
+}
+
+/**
+ * Handle an event from a call's upstream stream
+ * @param {Object} watched Watched call
+ * @param {Object} event Parsed SSE event
+ */
+function handleStreamEvent(watched, { data }) {
+  if (!data || typeof data !== 'object') {
+    return;
+  }
+
+  if (data.status) {
+    updateStatus(watched, getProvider().mapStatus(data.status));
+  }
+
+  if (data.text) {
+    broadcast(watched, 'notifications/call/transcript', {
+      callId: watched.callId,
+      speaker: data.user || data.role || null,
+      text: data.text
+    });
+  }
+}
+
+/**
+ * Open the provider's event stream for a watched call. A call the provider
+ * cannot stream yet (e.g. a scheduled call) is retried on its next transition.
+ * @param {Object} watched Watched call
+ */
+async function openStream(watched) {
+  if (watched.opening) {
+    return;
+  }
+  watched.opening = true;
+
+  try {
+    const { stream } = await getProvider().getEventStream(watched.callId);
+
+    // The call may have ended or lost its subscribers while we connected
+    if (watchedCalls.get(watched.callId) !== watched || watched.finished) {
+      stream.destroy();
+      return;
+    }
+
+    watched.stream = stream;
+    readEventStream(stream, event => handleStreamEvent(watched, event));
+
+    const detach = () => {
+      if (watched.stream === stream) {
+        watched.stream = null;
+      }
+    };
+    stream.on('end', detach);
+    stream.on('error', (error) => {
+      logger.warn(`Event stream for call ${watched.callId} failed`, { error: error.message });
+      detach();
+    });
+  } catch (error) {
+    logger.debug(`Event stream for call ${watched.callId} unavailable`, { error: error.message });
+  } finally {
+    watched.opening = false;
+  }
+}
+
+/**
+ * Forward a call state transition to the call's sessions
+ * @param {Object} transition call, from, to and source
+ */
+function handleTransition({ call, to }) {
+  const watched = watchedCalls.get(call.call_id);
+  if (watched) {
+    updateStatus(watched, to);
+  }
+}
+
+/**
+ * Subscribe a session to a call's progress
+ * @param {string} sessionId Session identifier
+ * @param {Object} context Execution context with the session's userId
+ * @param {string} callId Call ID
+ * @param {Function} notify Called with (method, params) for each notification
+ * @returns {Promise<Object>} callId, current status, and whether the session
+ *   was subscribed (false if the call has already finished)
+ */
+async function subscribeToCall(sessionId, context, callId, notify) {
+  if (!context.userId) {
+    throw Object.assign(
+      new Error('Authentication required to subscribe to calls'),
+      { code: JsonRpcErrorCodes.UNAUTHORIZED }
+    );
+  }
+
+  // Sessions may only watch their own user's calls
+  const { data: call, error } = await supabase
+    .from('calls')
+    .select('call_id, status')
+    .eq('call_id', callId)
+    .eq('user_id', context.userId)
+    .single();
+
+  if (error || !call) {
+    throw Object.assign(
+      new Error(`Call not found: ${callId}`),
+      { code: JsonRpcErrorCodes.RESOURCE_NOT_FOUND }
+    );
+  }
+
+  const status = normalizeStatus(call.status);
+  if (FINAL_STATES.includes(status)) {
+    return { callId, status, subscribed: false };
+  }
+
+  let watched = watchedCalls.get(callId);
+  if (!watched) {
+    watched = { callId, status, stream: null, finished: false, sessions: new Map() };
+    watchedCalls.set(callId, watched);
+
+    if (!stopTransitions) {
+      stopTransitions = subscribeToTransitions(handleTransition);
+    }
+  }
+
+  watched.sessions.set(sessionId, notify);
+  if (!watched.stream) {
+    await openStream(watched);
+  }
+
+  logger.info(`MCP session subscribed to call ${callId}`, { sessionId, userId: context.userId });
+
+  return { callId, status: watched.status, subscribed: true };
+}
+
+/**
+ * Unsubscribe a session from a call
+ * @param {string} sessionId Session identifier
+ * @param {string} callId Call ID
+ * @returns {boolean} False if the session was not subscribed
+ */
+function unsubscribeFromCall(sessionId, callId) {
+  const watched = watchedCalls.get(callId);
+  if (!watched || !watched.sessions.delete(sessionId)) {
+    return false;
+  }
+
+  if (watched.sessions.size === 0) {
+    stopWatching(callId);
+  }
+  return true;
+}
+
+/**
+ * Remove every subscription held by a session
+ * @param {string} sessionId Session identifier
+ */
+function unsubscribeSession(sessionId) {
+  [...watchedCalls.keys()].forEach(callId => unsubscribeFromCall(sessionId, callId));
+}
+
+module.exports = {
+  subscribeToCall,
+  unsubscribeFromCall,
+  unsubscribeSession
+};
@@ -0,0 +1,110 @@
+/**
+ * Server-Sent Events Utilities for MCP
+ *
+ * This module provides helpers for writing JSON-RPC messages as SSE events,
+ * as used by the Streamable HTTP transport, and for reading event streams
+ * from upstream services.
+ */
+
+/**
+ * Prepare an Express response for streaming events
+ * @param {Object} res Express response
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+
+  // Disable proxy buffering so events are delivered immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+}
+
+/**
+ * Write a JSON-RPC message as an SSE event
+ * @param {Object} res Express response with an open event stream
+ * @param {string} id Event ID used for resumption
+ * @param {Object} message JSON-RPC message
+ * @returns {boolean} False if the stream is no longer writable
+ */
+function writeEvent(res, id, message) {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  res.write(`id: ${id}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+  return true;
+}
+
+/**
+ * Write an SSE comment to keep idle connections open
+ * @param {Object} res Express response with an open event stream
+ */
+function writeKeepAlive(res) {
+  if (!res.writableEnded && !res.destroyed) {
+    res.write(': keep-alive\n\n');
+  }
+}
+
+/**
+ * Read an SSE stream and call `onEvent` for each complete event
+ * @param {Object} stream Readable stream of SSE text
+ * @param {Function} onEvent Called with { event, data, id }; data is parsed as
+ *   JSON when possible
+ */
+function readEventStream(stream, onEvent) {
+  let buffer = '';
+
+  stream.on('data', (chunk) => {
+    buffer += chunk.toString('utf8').replace(/\r\n?/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = { event: 'message', data: '', id: null };
+      const dataLines = [];
+      block.split('\n').forEach(line => {
+        // Lines starting with ':' are comments
+        if (!line || line.startsWith(':')) {
+          return;
+        }
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'data') {
+          dataLines.push(value);
+        } else if (field === 'event') {
+          event.event = value;
+        } else if (field === 'id') {
+          event.id = value;
+        }
+      });
+
+      if (dataLines.length === 0) {
+        continue;
+      }
+
+      event.data = dataLines.join('\n');
+      try {
+        event.data = JSON.parse(event.data);
+      } catch (error) {
+        // Not JSON; keep the text
+      }
+      onEvent(event);
+    }
+  });
+}
+
+module.exports = {
+  openEventStream,
+  writeEvent,
+  writeKeepAlive,
+  readEventStream
+};
@@ -2,46 +2,278 @@
  * Authentication Middleware for MCP
  * 
  * This module provides authentication middleware for MCP endpoints.
+ * Clients authenticate with a JWT from the login flow, an OAuth access token
+ * or, for headless agents, with an API key. Users authenticated with an
+ * OAuth token or a key carry its scopes.
+ *
+ * Requests act for an organization when they are made with an API key created
+ * for it, or name it in the `X-Organization-Id` header. The user then carries
+ * the organization and the scopes of their role in it.
  */
 
 const jwt = require('jsonwebtoken');
 const { createErrorResponse, JsonRpcErrorCodes } = require('../lib/json-rpc');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
+const { verifyApiKey } = require('../../services/api-keys');
+const { getIssuer, getProtectedResourceMetadata } = require('../../services/oauth');
+const { isSessionActive } = require('../../services/sessions');
+const { getOrganizationAccess } = require('../../services/organizations');
+
+// Messages for each reason an API key, or the organization it acts for, is refused
+const CREDENTIAL_ERROR_MESSAGES = {
+  INVALID_API_KEY: 'Invalid API key',
+  API_KEY_EXPIRED: 'API key expired',
+  API_KEY_REVOKED: 'API key revoked',
+  API_KEY_IP_NOT_ALLOWED: 'API key not allowed from this address',
+  NOT_A_MEMBER: 'Not a member of this organization'
+};
+
+// Refusals that are about permission rather than identity
+const FORBIDDEN_ERROR_CODES = ['API_KEY_REVOKED', 'API_KEY_IP_NOT_ALLOWED', 'NOT_A_MEMBER'];
+
+// Identity used when authentication is bypassed in development mode
+const DEV_USER = {
+  id: 'dev-user-id',
+  email: 'dev@example.com',
+  role: 'admin',
+  api_key: 'dev-api-key'
+};
 
 /**
- * Authentication middleware for MCP requests
- * Validates the Bearer token and attaches user information to the request
+ * Check whether MCP authentication is bypassed
+ * @returns {boolean} True in development mode with BYPASS_MCP_AUTH set
  */
-async function authenticateMcp(req, res, next) {
+function isAuthBypassed() {
   // In development mode, allow testing without authentication
   const bypassAuth = process.env.BYPASS_MCP_AUTH === 'true' || 
                      process.env.BYPASS_MCP_AUTH === true || 
                      process.env.BYPASS_MCP_AUTH === '1' ||
                      process.env.BYPASS_MCP_AUTH === 1;
-                   
-  console.log('BYPASS_MCP_AUTH value:', process.env.BYPASS_MCP_AUTH, 'type:', typeof process.env.BYPASS_MCP_AUTH);
-  console.log('Should bypass auth?', bypassAuth);
   
-  if (process.env.NODE_ENV === 'development' && bypassAuth) {
-    console.log('MCP authentication bypassed in development mode');
+  return process.env.NODE_ENV === 'development' && bypassAuth;
+}
+
+/**
+ * Look up the user an MCP connection acts as
+ * @param {string} userId User ID
+ * @returns {Promise<Object>} User record
+ * @throws {Error} If the user does not exist
+ */
+async function findUserById(userId) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, role, api_key')
+    .eq('id', userId)
+    .single();
+  
+  if (error || !user) {
+    logger.warn(`MCP authentication failed: User not found`, { userId });
+    throw new Error('User not found');
+  }
+  
+  return user;
+}
+
+/**
+ * Have a user act for an organization
+ * @param {Object} user User record, with the `scopes` of its credential if any
+ * @param {string} [organizationId] Organization to act for
+ * @returns {Promise<Object>} User record with `organizationId`, `organizationRole`
+ *   and the `scopes` of the role, narrowed to the credential's; unchanged
+ *   without an organization
+ * @throws {Error} NOT_A_MEMBER if the user is not a member
+ */
+async function resolveOrganization(user, organizationId) {
+  if (!organizationId) {
+    return user;
+  }
+  
+  const access = await getOrganizationAccess(user.id, organizationId, {
+    credentialScopes: user.scopes,
+    db: supabase
+  });
+  
+  return {
+    ...user,
+    organizationId: access.organizationId,
+    organizationRole: access.role,
+    scopes: access.scopes
+  };
+}
+
+/**
+ * Resolve the user a JWT was issued to
+ * @param {string} token JWT bearer token: a login token or an OAuth access token
+ * @param {Object} [options] organizationId the request acts for, and resource
+ *   (the MCP endpoint it was made to)
+ * @returns {Promise<Object>} User record; for OAuth access tokens, with the
+ *   consented `scopes` and the `oauthClientId`
+ * @throws {Error} If the token is invalid, expired, of a revoked session,
+ *   issued for another resource or the user does not exist
+ */
+async function resolveUserFromToken(token, { organizationId, resource } = {}) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // OAuth access tokens always belong to a session, and are only good at
+  // the MCP endpoint they were issued for
+  if (decoded.client_id) {
+    if (!decoded.sid) {
+      throw new Error('Access token has no session');
+    }
+    if (decoded.aud !== resource) {
+      throw new Error('Access token was issued for another resource');
+    }
+  }
+  
+  // Tokens of revoked sessions stop working before they expire
+  if (decoded.sid && !(await isSessionActive(decoded.sid, { db: supabase }))) {
+    throw new Error('Session has been revoked');
+  }
+  
+  const user = await findUserById(decoded.userId);
+  
+  if (!decoded.client_id) {
+    return resolveOrganization(user, organizationId);
+  }
+  
+  return resolveOrganization({
+    ...user,
+    scopes: String(decoded.scope || '').split(' ').filter(Boolean),
+    oauthClientId: decoded.client_id
+  }, organizationId);
+}
+
+/**
+ * Resolve the user an API key belongs to. Keys created for an organization
+ * always act for it.
+ * @param {string} apiKey Raw API key
+ * @param {string} [ip] Address the request came from
+ * @returns {Promise<Object>} User record, with the key's `scopes` and `apiKeyId`
+ * @throws {Error} If the key is invalid, revoked, expired or not allowed from
+ *   the address, or its creator has left its organization
+ */
+async function resolveUserFromApiKey(apiKey, ip) {
+  const key = await verifyApiKey(apiKey, { ip }, { db: supabase });
+  const user = await findUserById(key.user_id);
+  
+  return resolveOrganization({
+    ...user,
+    scopes: key.permissions || [],
+    apiKeyId: key.id
+  }, key.organization_id);
+}
+
+/**
+ * Resolve the user behind a credential. Bearer credentials shaped like a
+ * JWT (three dot-separated parts) are verified as JWTs; anything else is
+ * taken as an API key.
+ * @param {Object} credential type ('bearer' or 'apiKey') and value
+ * @param {Object} request ip the request came from, organizationId a JWT
+ *   request acts for and resource (the MCP endpoint it was made to)
+ * @returns {Promise<Object>} User record
+ */
+async function resolveUserFromCredential({ type, value }, { ip, organizationId, resource }) {
+  if (type === 'bearer' && value.split('.').length === 3) {
+    return resolveUserFromToken(value, { organizationId, resource });
+  }
+  return resolveUserFromApiKey(value, ip);
+}
+
+/**
+ * Read the credential a request carries: an `x-api-key` header, else a
+ * Bearer token
+ * @param {Object} req HTTP request
+ * @returns {Object|null} type ('bearer' or 'apiKey') and value, or null if there is none
+ */
+function getCredential(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return { type: 'apiKey', value: apiKey };
+  }
+  
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && authHeader.split(' ')[1]) {
+    return { type: 'bearer', value: authHeader.split(' ')[1] };
+  }
+  
+  return null;
+}
+
+/**
+ * Get the resource identifier of the MCP endpoint a request was made to,
+ * which OAuth access tokens name as their audience (RFC 8707)
+ * @param {Object} req HTTP request or WebSocket upgrade request
+ * @returns {string} Resource URL
+ */
+function getMcpResource(req) {
+  const protocol = req.protocol || (req.socket && req.socket.encrypted ? 'https' : 'http');
+  const host = req.get ? req.get('host') : req.headers.host;
+  return getProtectedResourceMetadata(getIssuer(`${protocol}://${host}`)).resource;
+}
+
+/**
+ * Point clients that failed to authenticate at the protected resource
+ * metadata, where OAuth clients discover the authorization server (RFC 9728)
+ * @param {Object} req HTTP request
+ * @param {Object} res HTTP response
+ */
+function setAuthenticateHeader(req, res) {
+  const issuer = getIssuer(`${req.protocol}://${req.get('host')}`);
+  res.set('WWW-Authenticate', `Bearer resource_metadata="${issuer}/.well-known/oauth-protected-resource"`);
+}
+
+/**
+ * Authenticate a WebSocket upgrade request.
+ *
+ * Browsers cannot set headers on WebSocket handshakes, so the JWT or API key
+ * may also be passed as the `token` query parameter, and the organization as
+ * the `organization` query parameter.
+ * @param {Object} req HTTP upgrade request
+ * @returns {Promise<Object>} Authenticated user
+ * @throws {Error} If no valid credentials are provided
+ */
+async function authenticateUpgrade(req) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const queryToken = query.get('token');
+  const credential = getCredential(req) || (queryToken && { type: 'bearer', value: queryToken });
+  const organizationId = req.headers['x-organization-id'] || query.get('organization');
+  
+  if (!credential) {
+    // As for HTTP requests, only when BYPASS_MCP_AUTH is set in development mode
+    if (isAuthBypassed()) {
+      logger.info('MCP WebSocket authentication bypassed in development mode');
+      return DEV_USER;
+    }
+    
+    throw new Error('Missing authentication token');
+  }
+  
+  return resolveUserFromCredential(credential, {
+    ip: req.socket && req.socket.remoteAddress,
+    organizationId,
+    resource: getMcpResource(req)
+  });
+}
+
+/**
+ * Authentication middleware for MCP requests
+ * Validates the Bearer token (a JWT, an OAuth access token or an API key) or
+ * `x-api-key` header and attaches user information to the request
+ */
+async function authenticateMcp(req, res, next) {
+  if (isAuthBypassed()) {
     logger.info('MCP authentication bypassed in development mode');
-    req.userId = 'dev-user-id';
-    req.user = {
-      id: 'dev-user-id',
-      email: 'dev@example.com',
-      role: 'admin',
-      api_key: 'dev-api-key'
-    };
+    req.userId = DEV_USER.id;
+    req.user = DEV_USER;
     return next();
   }
 
-  // Get Authorization header
-  const authHeader = req.headers.authorization;
+  const credential = getCredential(req);
   
-  // Check if Authorization header exists and starts with "Bearer "
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!credential) {
     logger.warn('MCP authentication failed: Missing or invalid Authorization header');
+    setAuthenticateHeader(req, res);
     return res.status(401).json(
       createErrorResponse(
         req.body.id || null,
@@ -51,41 +283,23 @@ async function authenticateMcp(req, res, next) {
     );
   }
   
-  // Extract token
-  const token = authHeader.split(' ')[1];
-  
   try {
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Attach user ID to request
-    req.userId = decoded.userId;
-    
-    // Get user from database
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, role, api_key')
-      .eq('id', decoded.userId)
-      .single();
-    
-    if (error || !user) {
-      logger.warn(`MCP authentication failed: User not found`, { userId: decoded.userId });
-      return res.status(401).json(
-        createErrorResponse(
-          req.body.id || null,
-          JsonRpcErrorCodes.UNAUTHORIZED,
-          "Invalid authentication token"
-        )
-      );
-    }
+    // Verify the JWT or API key and load the user, in the organization it acts for
+    const user = await resolveUserFromCredential(credential, {
+      ip: req.ip,
+      organizationId: req.headers['x-organization-id'],
+      resource: getMcpResource(req)
+    });
     
     // Attach user to request
+    req.userId = user.id;
     req.user = user;
     
     // Proceed to next middleware
     next();
   } catch (error) {
     logger.warn(`MCP authentication failed: ${error.message}`, { error });
+    setAuthenticateHeader(req, res);
     
     // Send appropriate error response
     if (error.name === 'TokenExpiredError') {
@@ -98,6 +312,16 @@ async function authenticateMcp(req, res, next) {
       );
     }
     
+    if (CREDENTIAL_ERROR_MESSAGES[error.code]) {
+      return res.status(FORBIDDEN_ERROR_CODES.includes(error.code) ? 403 : 401).json(
+        createErrorResponse(
+          req.body.id || null,
+          JsonRpcErrorCodes.UNAUTHORIZED,
+          CREDENTIAL_ERROR_MESSAGES[error.code]
+        )
+      );
+    }
+    
     return res.status(401).json(
       createErrorResponse(
         req.body.id || null,
@@ -151,6 +375,12 @@ function requirePermission(roles) {
 
 module.exports = {
   authenticateMcp,
+  authenticateUpgrade,
+  isAuthBypassed,
+  findUserById,
+  resolveOrganization,
+  resolveUserFromApiKey,
   hasPermission,
-  requirePermission
+  requirePermission,
+  DEV_USER
 }; 
\ No newline at end of file
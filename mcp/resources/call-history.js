@@ -7,6 +7,7 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
+const { forAccount } = require('../../services/organizations');
 
 // Schema for the resource
 const resourceSchema = {
@@ -144,7 +145,7 @@ function validateFilters(filters) {
  * @returns {Promise<Array>} Array of call history records
  */
 async function get(filters = {}, context) {
-  const { userId } = context;
+  const { userId, organizationId = null } = context;
   
   // Set default values for filters
   const limit = filters.limit || 20;
@@ -153,10 +154,7 @@ async function get(filters = {}, context) {
   const sortOrder = filters.sortOrder || 'desc';
   
   // Start building query
-  let query = supabase
-    .from('calls')
-    .select('*')
-    .eq('user_id', userId)
+  let query = forAccount(supabase.from('calls').select('*'), userId, organizationId)
     .order(sortBy, { ascending: sortOrder === 'asc' })
     .range(offset, offset + limit - 1);
   
@@ -67,10 +67,13 @@ const resourceSchema = {
  * @param {string} userId User ID to fetch credit information for
  * @param {string} sessionId Session identifier for logging
  * @param {Object} options Query options (e.g., limit for usage history)
+ * @param {Object} [context] Execution context; organizationId to read an
+ *   organization's credits
  * @returns {Promise<Object>} Credits resource data
  */
-async function fetchCreditsResource(userId, sessionId, options = {}) {
+async function fetchCreditsResource(userId, sessionId, options = {}, context = {}) {
   const limit = options.limit || 10; // Default to last 10 usage records
+  const { organizationId = null } = context;
   
   logger.info(`Fetching credits resource for ${userId}`, { 
     userId, 
@@ -79,11 +82,11 @@ async function fetchCreditsResource(userId, sessionId, options = {}) {
   });
   
   try {
-    // Fetch user's credit balance
+    // Fetch user's credit balance; organizations have a balance of their own
     const { data: credits, error: creditsError } = await supabase
       .from('credits')
       .select('*')
-      .eq('user_id', userId)
+      .eq(organizationId ? 'organization_id' : 'user_id', organizationId || userId)
       .single();
     
     if (creditsError) {
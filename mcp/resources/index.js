@@ -5,6 +5,13 @@
  */
 
 const { logger } = require('../../utils/logger');
+const { JsonRpcErrorCodes } = require('../lib/json-rpc');
+const userResource = require('./user-resource');
+const creditResource = require('./credit-resource');
+const callHistoryResource = require('./call-history');
+
+// URI scheme used to address resources in `resources/list` and `resources/read`
+const RESOURCE_URI_SCHEME = 'ailevelup://';
 
 // Registry for available resources
 const resourceRegistry = new Map();
@@ -12,7 +19,8 @@ const resourceRegistry = new Map();
 /**
  * Register a resource schema in the registry
  * @param {Object} resourceSchema Resource schema definition
- * @param {Function} getFunction Function to fetch the resource data
+ * @param {Function} getFunction Function to fetch the resource data, called
+ *   with userId, sessionId, filters and the execution context
  */
 function registerResource(resourceSchema, getFunction) {
   if (!resourceSchema || !resourceSchema.name) {
@@ -25,6 +33,8 @@ function registerResource(resourceSchema, getFunction) {
   
   resourceRegistry.set(resourceSchema.name, {
     ...resourceSchema,
+    uri: resourceSchema.uri || `${RESOURCE_URI_SCHEME}${resourceSchema.name}`,
+    mimeType: resourceSchema.mimeType || 'application/json',
     get: getFunction
   });
   
@@ -43,11 +53,43 @@ function getAvailableResources() {
   }));
 }
 
+/**
+ * List resources in the MCP `resources/list` format
+ * @returns {Object} Result containing the resources array
+ */
+function listResources() {
+  return {
+    resources: Array.from(resourceRegistry.values()).map(resource => ({
+      uri: resource.uri,
+      name: resource.name,
+      description: resource.description,
+      mimeType: resource.mimeType
+    }))
+  };
+}
+
 /**
  * Register all available resources
  */
 function registerResources() {
-  // For now, we'll skip registering resources to avoid errors
+  registerResource(userResource.resourceSchema, userResource.fetchUserResource);
+  registerResource(creditResource.resourceSchema, creditResource.fetchCreditsResource);
+  
+  // The call history resource takes its filters first and a context object second
+  registerResource(
+    {
+      name: callHistoryResource.name,
+      description: callHistoryResource.description,
+      schema: callHistoryResource.schema,
+      validateFilters: callHistoryResource.validateFilters
+    },
+    (userId, sessionId, filters, context) => callHistoryResource.get(filters, {
+      userId,
+      sessionId,
+      organizationId: context.organizationId
+    })
+  );
+  
   logger.info(`Registered ${resourceRegistry.size} MCP resources`);
 }
 
@@ -61,15 +103,29 @@ async function getResourceById(params, context) {
   const { name, filters } = params;
   const { sessionId, userId } = context;
   
+  // Resources are per-user data, so they are never read anonymously
+  if (!userId) {
+    throw Object.assign(
+      new Error('Authentication required to access resources'),
+      { code: JsonRpcErrorCodes.UNAUTHORIZED }
+    );
+  }
+  
   if (!name) {
-    throw new Error('Resource name is required');
+    throw Object.assign(
+      new Error('Resource name is required'),
+      { code: JsonRpcErrorCodes.INVALID_PARAMS }
+    );
   }
   
   // Get resource from registry
   const resource = resourceRegistry.get(name);
   
   if (!resource) {
-    throw new Error(`Resource not found: ${name}`);
+    throw Object.assign(
+      new Error(`Resource not found: ${name}`),
+      { code: JsonRpcErrorCodes.RESOURCE_NOT_FOUND }
+    );
   }
   
   // Validate filters if a validation function exists
@@ -94,7 +150,7 @@ async function getResourceById(params, context) {
   
   try {
     // Access resource with filters
-    const data = await resource.get(userId, sessionId, filters);
+    const data = await resource.get(userId, sessionId, filters, context);
     
     // Log success (without sensitive result data)
     logger.info(`Successfully accessed MCP resource: ${name}`, {
@@ -125,9 +181,59 @@ async function getResourceById(params, context) {
   }
 }
 
+/**
+ * Read a resource by URI in the MCP `resources/read` format
+ * @param {Object} params Parameters containing the resource uri
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Result containing the resource contents
+ */
+async function readResource(params, context) {
+  const { uri } = params || {};
+  
+  if (!uri) {
+    throw Object.assign(
+      new Error('Resource uri is required'),
+      { code: JsonRpcErrorCodes.INVALID_PARAMS }
+    );
+  }
+  
+  // Query string parameters are passed to the resource as filters
+  const [baseUri, queryString] = uri.split('?');
+  const resource = Array.from(resourceRegistry.values()).find(r => r.uri === baseUri);
+  
+  if (!resource) {
+    throw Object.assign(
+      new Error(`Resource not found: ${uri}`),
+      { code: JsonRpcErrorCodes.RESOURCE_NOT_FOUND, data: { uri } }
+    );
+  }
+  
+  let filters;
+  if (queryString) {
+    filters = {};
+    new URLSearchParams(queryString).forEach((value, key) => {
+      filters[key] = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    });
+  }
+  
+  const { data } = await getResourceById({ name: resource.name, filters }, context);
+  
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: resource.mimeType,
+        text: JSON.stringify(data, null, 2)
+      }
+    ]
+  };
+}
+
 module.exports = {
   registerResources,
   registerResource,
   getAvailableResources,
-  getResourceById
+  getResourceById,
+  listResources,
+  readResource
 }; 
\ No newline at end of file
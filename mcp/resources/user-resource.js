@@ -8,6 +8,7 @@
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
 const { JSONSchemaValidator } = require('../lib/validators');
+const { getCallPreferences, getAccountDefaults } = require('../../services/call-preferences');
 
 // Define the resource schema
 const resourceSchema = {
@@ -132,20 +133,17 @@ async function fetchUserResource(userId, sessionId) {
       // Continue without credits info
     }
     
-    // Fetch user call settings
-    const { data: settings, error: settingsError } = await supabase
-      .from('user_settings')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
-    
-    if (settingsError) {
+    // Fetch the call settings in effect: saved preferences, then account defaults
+    let preferences = getAccountDefaults();
+    try {
+      preferences = await getCallPreferences(userId, { db: supabase });
+    } catch (settingsError) {
       logger.error(`Error fetching user settings: ${settingsError.message}`, {
         userId,
         sessionId,
         error: settingsError
       });
-      // Continue without settings info
+      // Continue with the account defaults
     }
     
     // Format the user resource response
@@ -160,18 +158,12 @@ async function fetchUserResource(userId, sessionId) {
         used: credits ? credits.used_credits : 0,
         lastUpdated: credits ? credits.updated_at : profile.created_at
       },
-      defaultCallSettings: settings ? {
-        voice: settings.default_voice || 'alloy',
-        model: settings.default_model || 'gpt-4',
-        temperature: settings.default_temperature || 0.7,
-        fromNumber: settings.default_from_number || process.env.DEFAULT_FROM_NUMBER,
-        voicemailAction: settings.default_voicemail_action || 'leave_message'
-      } : {
-        voice: 'alloy',
-        model: 'gpt-4',
-        temperature: 0.7,
-        fromNumber: process.env.DEFAULT_FROM_NUMBER,
-        voicemailAction: 'leave_message'
+      defaultCallSettings: {
+        voice: preferences.voice,
+        model: preferences.model,
+        temperature: preferences.temperature,
+        fromNumber: preferences.fromNumber,
+        voicemailAction: preferences.voicemailAction
       }
     };
     
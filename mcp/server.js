@@ -2,28 +2,60 @@
  * Model Context Protocol (MCP) Server Implementation
  * 
  * This module implements the core MCP server functionality according to
- * the 2024-11-05 specification (https://spec.modelcontextprotocol.io/specification/2024-11-05/)
+ * the MCP specification (https://modelcontextprotocol.io/specification), including
+ * the Streamable HTTP transport with SSE responses and resumable streams.
  */
 
 const { v4: uuidv4 } = require('uuid');
 const WebSocket = require('ws');
 const express = require('express');
-const { validateJsonRpc, createSuccessResponse, createErrorResponse } = require('./lib/json-rpc');
-const { authenticateMcp } = require('./middleware/auth');
+const { validateJsonRpc, createSuccessResponse, createErrorResponse, JsonRpcErrorCodes } = require('./lib/json-rpc');
+const { openEventStream, writeEvent, writeKeepAlive } = require('./lib/event-stream');
+const { authenticateMcp, authenticateUpgrade, isAuthBypassed } = require('./middleware/auth');
 const { registerTools } = require('./tools');
 const { registerResources } = require('./resources');
+const { subscribeToCall, unsubscribeFromCall, unsubscribeSession } = require('./call-subscriptions');
 const { logger } = require('../utils/logger');
 
+// MCP protocol versions this server can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Number of events kept per session for Last-Event-ID resumption
+const MAX_BUFFERED_EVENTS = 200;
+
+// Interval for SSE keep-alive comments
+const KEEP_ALIVE_INTERVAL_MS = 25 * 1000;
+
 // MCP Server state
 const sessions = new Map();
 const connections = new Map();
 
 /**
  * Initialize MCP server capabilities
+ * @param {string} [protocolVersion] Negotiated protocol version
  * @returns {Object} Server capabilities according to MCP spec
  */
-function getServerCapabilities() {
+function getServerCapabilities(protocolVersion = SUPPORTED_PROTOCOL_VERSIONS[0]) {
   return {
+    protocolVersion,
+    capabilities: {
+      tools: {
+        listChanged: false
+      },
+      resources: {
+        subscribe: false,
+        listChanged: false
+      },
+      experimental: {
+        // calls/subscribe and calls/unsubscribe push call progress notifications
+        callSubscriptions: {}
+      }
+    },
+    serverInfo: {
+      name: "ailevelup-mcp",
+      version: "1.0.0"
+    },
+    // Kept for clients written against the original handshake
     server: {
       name: "ailevelup-mcp",
       version: "1.0.0",
@@ -43,88 +75,308 @@ function getServerCapabilities() {
   };
 }
 
+/**
+ * Pick the protocol version to use for a session
+ * @param {string} requestedVersion Version requested by the client
+ * @returns {string} The requested version if supported, otherwise our latest
+ */
+function negotiateProtocolVersion(requestedVersion) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+    ? requestedVersion
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
 /**
  * Handle MCP initialize request
  * @param {Object} params Initialize parameters
  * @param {string} sessionId Session identifier
+ * @param {Object|null} user Authenticated user the session belongs to
  * @returns {Object} Initialize result
  */
-function handleInitialize(params, sessionId) {
-  // Create new session or update existing one
+function handleInitialize(params = {}, sessionId, user = null) {
+  const clientInfo = params.clientInfo || params.client || {};
+  const protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+  
+  // Create new session or update existing one, keeping any open streams
+  const existing = sessions.get(sessionId);
   sessions.set(sessionId, {
     id: sessionId,
-    clientInfo: params.client || {},
+    user: user || existing?.user || null,
+    clientInfo,
     capabilities: params.capabilities || {},
+    protocolVersion,
     initialized: true,
-    createdAt: new Date(),
-    lastActivity: new Date()
+    createdAt: existing?.createdAt || new Date(),
+    lastActivity: new Date(),
+    events: existing?.events || [],
+    nextEventId: existing?.nextEventId || 1,
+    streams: existing?.streams || new Map(),
+    standaloneStreamId: existing?.standaloneStreamId || null
   });
 
   logger.info(`MCP session initialized: ${sessionId}`, {
-    clientName: params.client?.name,
-    clientVersion: params.client?.version
+    userId: user?.id,
+    clientName: clientInfo.name,
+    clientVersion: clientInfo.version,
+    protocolVersion
   });
 
   // Return server capabilities
-  return getServerCapabilities();
+  return getServerCapabilities(protocolVersion);
+}
+
+/**
+ * Check whether a session may call tools and resources
+ * @param {string} sessionId Session identifier
+ * @returns {boolean} True if the session has completed initialization
+ */
+function isSessionReady(sessionId) {
+  // Skip the check when authentication is bypassed in development
+  if (isAuthBypassed()) {
+    return true;
+  }
+  
+  return sessions.has(sessionId) && sessions.get(sessionId).initialized;
+}
+
+/**
+ * Build the execution context passed to tools and resources.
+ *
+ * The identity is taken from the session, which was bound to the user that
+ * initialized it; transports without sessions fall back to the request's user.
+ * @param {string} sessionId Session identifier
+ * @param {Object|null} requestUser User authenticated on the current request
+ * @returns {Object} Context with sessionId, userId, user, the organizationId
+ *   acted for (null for the user's own account) and, for users authenticated
+ *   with an API key or OAuth access token or acting for an organization, the
+ *   scopes they may use
+ */
+function getExecutionContext(sessionId, requestUser) {
+  const user = sessions.get(sessionId)?.user || requestUser || null;
+  
+  return {
+    sessionId,
+    userId: user?.id,
+    user,
+    // Each request is held to the scopes of the credential it carries, and
+    // acts for the organization it names
+    scopes: requestUser ? requestUser.scopes : user?.scopes,
+    organizationId: (requestUser ? requestUser.organizationId : user?.organizationId) || null
+  };
+}
+
+/**
+ * Deliver a message on one of a session's SSE streams.
+ *
+ * Every message is buffered with an event ID so a client that loses the
+ * connection can resume the stream with Last-Event-ID, even if nothing was
+ * attached to the stream when the message was produced.
+ * @param {string} sessionId Session identifier
+ * @param {string} streamId Stream identifier
+ * @param {Object} message JSON-RPC message
+ * @param {boolean} [final=false] Whether this message closes the stream
+ */
+function deliverStreamEvent(sessionId, streamId, message, final = false) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return;
+  }
+
+  const id = String(session.nextEventId++);
+  session.events.push({ id, streamId, message, final });
+  if (session.events.length > MAX_BUFFERED_EVENTS) {
+    session.events.shift();
+  }
+
+  const res = session.streams.get(streamId);
+  if (res && writeEvent(res, id, message) && final) {
+    res.end();
+  }
+
+  if (final) {
+    session.streams.delete(streamId);
+  }
+}
+
+/**
+ * Attach an HTTP response to a session stream
+ * @param {Object} session Session state
+ * @param {string} streamId Stream identifier
+ * @param {Object} req Express request
+ * @param {Object} res Express response with an open event stream
+ */
+function attachStream(session, streamId, req, res) {
+  session.streams.set(streamId, res);
+
+  const keepAlive = setInterval(() => writeKeepAlive(res), KEEP_ALIVE_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+
+    // Only detach if a resumed connection has not already replaced us
+    if (session.streams.get(streamId) === res) {
+      session.streams.delete(streamId);
+    }
+  });
+}
+
+/**
+ * Send a server-initiated notification to a session.
+ *
+ * WebSocket sessions receive it on the socket; Streamable HTTP sessions
+ * receive it on the stream opened with GET (buffered until one is open).
+ * @param {string} sessionId Session identifier
+ * @param {string} method Notification method
+ * @param {Object} [params] Notification parameters
+ * @returns {boolean} False if the session does not exist
+ */
+function sendNotification(sessionId, method, params) {
+  const message = { jsonrpc: "2.0", method };
+  if (params !== undefined) {
+    message.params = params;
+  }
+
+  const ws = connections.get(sessionId);
+  if (ws) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+    return true;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  if (!session.standaloneStreamId) {
+    session.standaloneStreamId = uuidv4();
+  }
+
+  deliverStreamEvent(sessionId, session.standaloneStreamId, message);
+  return true;
 }
 
 /**
  * Handle MCP request
  * @param {Object} request JSON-RPC request
  * @param {string} sessionId Session identifier
- * @returns {Object} JSON-RPC response
+ * @param {Object} [options] Transport options
+ * @param {Object} [options.user] User authenticated on this request
+ * @param {Function} [options.notify] Sends a notification tied to this request,
+ *   e.g. on the request's SSE stream; defaults to the session's notification channel
+ * @returns {Object|null} JSON-RPC response, or null for notifications
  */
-async function handleMcpRequest(request, sessionId) {
+async function handleMcpRequest(request, sessionId, options = {}) {
   try {
     // Validate JSON-RPC request
     const validationError = validateJsonRpc(request);
     if (validationError) {
-      return createErrorResponse(request.id, validationError.code, validationError.message);
+      return createErrorResponse(request?.id ?? null, validationError.code, validationError.message);
     }
 
     // Update session last activity
     if (sessions.has(sessionId)) {
       const session = sessions.get(sessionId);
+      
+      // A session may only be used by the user who initialized it
+      if (session.user && options.user && session.user.id !== options.user.id) {
+        logger.warn(`MCP session used by a different user: ${sessionId}`, {
+          sessionUserId: session.user.id,
+          requestUserId: options.user.id
+        });
+        return createErrorResponse(request.id ?? null, JsonRpcErrorCodes.UNAUTHORIZED, "Session belongs to a different user");
+      }
+      
       session.lastActivity = new Date();
     }
 
+    // Notifications never receive a response
+    if (request.method.startsWith('notifications/')) {
+      if (request.method === 'notifications/initialized') {
+        logger.info(`MCP client finished initialization: ${sessionId}`);
+      } else {
+        logger.debug(`Ignoring MCP notification: ${request.method}`, { sessionId });
+      }
+      return null;
+    }
+
+    // Methods that require an initialized session
+    const sessionMethods = [
+      'tools/list', 'tools/call', 'tools/execute',
+      'resources/list', 'resources/read', 'resources/get',
+      'calls/subscribe', 'calls/unsubscribe'
+    ];
+    if (sessionMethods.includes(request.method) && !isSessionReady(sessionId)) {
+      return createErrorResponse(request.id, JsonRpcErrorCodes.SESSION_ERROR, "Session not initialized");
+    }
+
+    const toolsModule = require('./tools');
+    const resourcesModule = require('./resources');
+    const context = getExecutionContext(sessionId, options.user);
+
     // Process methods
     let result;
     switch (request.method) {
       case 'initialize':
-        result = handleInitialize(request.params, sessionId);
+        result = handleInitialize(request.params, sessionId, options.user || null);
         break;
       
       case 'ping':
-        result = { pong: new Date().toISOString() };
+        result = {};
+        break;
+      
+      case 'tools/list':
+        result = { tools: toolsModule.getAvailableTools() };
+        break;
+      
+      case 'tools/call':
+        result = await toolsModule.callTool(request.params || {}, sessionId, {
+          context,
+          notify: options.notify || (message => sendNotification(sessionId, message.method, message.params))
+        });
         break;
       
       case 'tools/execute':
-        // Check if session is initialized (skip in development)
-        if (process.env.NODE_ENV !== 'development' && 
-           (!sessions.has(sessionId) || !sessions.get(sessionId).initialized)) {
-          return createErrorResponse(request.id, -32000, "Session not initialized");
-        }
-        
-        // Forward to tool execution handler
-        const toolsModule = require('./tools');
-        result = await toolsModule.executeToolById(request.params, sessionId);
+        // Legacy method: returns the raw tool result
+        result = await toolsModule.executeToolById(request.params || {}, sessionId, context);
+        break;
+      
+      case 'resources/list':
+        result = resourcesModule.listResources();
+        break;
+      
+      case 'resources/read':
+        result = await resourcesModule.readResource(request.params, context);
         break;
       
       case 'resources/get':
-        // Check if session is initialized (skip in development) 
-        if (process.env.NODE_ENV !== 'development' && 
-           (!sessions.has(sessionId) || !sessions.get(sessionId).initialized)) {
-          return createErrorResponse(request.id, -32000, "Session not initialized");
+        // Legacy method: looks resources up by name
+        result = await resourcesModule.getResourceById(request.params || {}, context);
+        break;
+      
+      case 'calls/subscribe':
+      case 'calls/unsubscribe': {
+        const callId = request.params?.callId;
+        if (typeof callId !== 'string' || !callId) {
+          return createErrorResponse(request.id, JsonRpcErrorCodes.INVALID_PARAMS, "callId is required");
         }
         
-        // Forward to resource handler
-        const resourcesModule = require('./resources');
-        result = await resourcesModule.getResourceById(request.params, sessionId);
+        if (request.method === 'calls/unsubscribe') {
+          result = { callId, unsubscribed: unsubscribeFromCall(sessionId, callId) };
+          break;
+        }
+        
+        // Progress is pushed on the session's channel, not the request's stream,
+        // since it outlives this request
+        result = await subscribeToCall(sessionId, context, callId,
+          (method, params) => sendNotification(sessionId, method, params));
         break;
+      }
       
       case 'shutdown':
+        unsubscribeSession(sessionId);
+        
         // Delete session
         if (sessions.has(sessionId)) {
           sessions.delete(sessionId);
@@ -134,7 +386,7 @@ async function handleMcpRequest(request, sessionId) {
         break;
       
       default:
-        return createErrorResponse(request.id, -32601, "Method not found");
+        return createErrorResponse(request.id, JsonRpcErrorCodes.METHOD_NOT_FOUND, "Method not found");
     }
 
     return createSuccessResponse(request.id, result);
@@ -143,11 +395,58 @@ async function handleMcpRequest(request, sessionId) {
     return createErrorResponse(
       request.id, 
       error.code || -32000, 
-      error.message || "Internal server error"
+      error.message || "Internal server error",
+      error.data
     );
   }
 }
 
+/**
+ * Resolve the session for a Streamable HTTP request
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {boolean} allowNew Whether a missing session ID may create a new session
+ * @returns {string|null} Session ID, or null if an error response was sent
+ */
+function resolveHttpSession(req, res, allowNew) {
+  const headerSessionId = req.headers['mcp-session-id'];
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  if (!headerSessionId) {
+    if (allowNew || isDevelopment) {
+      // In development mode, use a recognizable session ID for easier debugging
+      return isDevelopment ? 'dev-session-' + Date.now() : uuidv4();
+    }
+
+    res.status(400).json(createErrorResponse(
+      req.body?.id ?? null,
+      JsonRpcErrorCodes.SESSION_ERROR,
+      "Missing Mcp-Session-Id header"
+    ));
+    return null;
+  }
+
+  if (!allowNew && !isDevelopment && !sessions.has(headerSessionId)) {
+    res.status(404).json(createErrorResponse(
+      req.body?.id ?? null,
+      JsonRpcErrorCodes.SESSION_ERROR,
+      "Session not found"
+    ));
+    return null;
+  }
+
+  return headerSessionId;
+}
+
+/**
+ * Check whether the client accepts an SSE response
+ * @param {Object} req Express request
+ * @returns {boolean} True if text/event-stream is acceptable
+ */
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
 /**
  * Initialize HTTP routes for MCP
  * @param {Object} app Express application
@@ -157,9 +456,10 @@ function initializeHttpRoutes(app) {
   app.use((req, res, next) => {
     // CORS headers
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, MCP-Session-Id');
-    res.header('Access-Control-Expose-Headers', 'MCP-Session-Id'); // Expose the session ID header for client access
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, MCP-Session-Id, MCP-Protocol-Version, Last-Event-ID');
+    // Expose the session ID, and the header that points OAuth clients at the authorization server
+    res.header('Access-Control-Expose-Headers', 'MCP-Session-Id, WWW-Authenticate');
     
     // Handle preflight OPTIONS request
     if (req.method === 'OPTIONS') {
@@ -170,50 +470,156 @@ function initializeHttpRoutes(app) {
   
   const mcpRouter = express.Router();
   
-  // Apply authentication middleware only in production
-  if (process.env.NODE_ENV !== 'development') {
-    console.log('Applying MCP authentication middleware (production mode)');
-    mcpRouter.use(authenticateMcp);
-  } else {
-    console.log('Skipping MCP authentication middleware (development mode)');
-  }
+  // Authenticate every request; the middleware acts as the dev user only
+  // when BYPASS_MCP_AUTH is set in development mode
+  mcpRouter.use(authenticateMcp);
   
-  // Handle JSON-RPC requests
+  // Handle JSON-RPC messages sent by the client
   mcpRouter.post('/', async (req, res) => {
-    // In development mode, create a fixed session ID for easier debugging
-    const sessionId = process.env.NODE_ENV === 'development' 
-      ? (req.headers['mcp-session-id'] || 'dev-session-' + Date.now()) 
-      : (req.headers['mcp-session-id'] || uuidv4());
-    
-    // For initialize requests in development mode, always create a valid session
-    if (process.env.NODE_ENV === 'development' && req.body.method === 'initialize') {
-      console.log('Debug: Creating development session:', sessionId);
-      sessions.set(sessionId, {
-        id: sessionId,
-        clientInfo: req.body.params?.clientInfo || {},
-        capabilities: req.body.params?.capabilities || {},
-        initialized: true,
-        createdAt: new Date(),
-        lastActivity: new Date()
-      });
+    const message = req.body || {};
+    const sessionId = resolveHttpSession(req, res, message.method === 'initialize');
+    if (!sessionId) {
+      return;
     }
     
-    // Handle request
-    const response = await handleMcpRequest(req.body, sessionId);
+    const user = req.user;
     
     // Set session ID header
     res.setHeader('MCP-Session-Id', sessionId);
     
+    // Responses to server requests need no answer
+    if (!message.method && ('result' in message || 'error' in message)) {
+      return res.status(202).end();
+    }
+    
+    // Stream tool calls when the client accepts SSE so progress
+    // notifications can be delivered before the final result
+    if (message.method === 'tools/call' && message.id !== undefined && acceptsEventStream(req)) {
+      const session = sessions.get(sessionId);
+      if (session) {
+        const streamId = uuidv4();
+        openEventStream(res);
+        attachStream(session, streamId, req, res);
+        
+        const response = await handleMcpRequest(message, sessionId, {
+          user,
+          notify: notification => deliverStreamEvent(sessionId, streamId, notification)
+        });
+        deliverStreamEvent(sessionId, streamId, response, true);
+        return;
+      }
+    }
+    
+    // Handle request
+    const response = await handleMcpRequest(message, sessionId, { user });
+    
+    // Notifications are acknowledged without a body
+    if (response === null) {
+      return res.status(202).end();
+    }
+    
     // Send response
     res.json(response);
   });
   
+  // Open a stream for server-initiated messages, or resume one with Last-Event-ID
+  mcpRouter.get('/', (req, res) => {
+    if (!acceptsEventStream(req)) {
+      return res.status(405).set('Allow', 'POST, DELETE').end();
+    }
+    
+    const sessionId = resolveHttpSession(req, res, false);
+    if (!sessionId) {
+      return;
+    }
+    
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return res.status(404).json(createErrorResponse(null, JsonRpcErrorCodes.SESSION_ERROR, "Session not found"));
+    }
+    
+    if (session.user && req.user && session.user.id !== req.user.id) {
+      return res.status(404).json(createErrorResponse(null, JsonRpcErrorCodes.SESSION_ERROR, "Session not found"));
+    }
+    
+    session.lastActivity = new Date();
+    openEventStream(res);
+    
+    const lastEventId = req.headers['last-event-id'];
+    const lastIndex = lastEventId ? session.events.findIndex(event => event.id === lastEventId) : -1;
+    
+    if (lastIndex !== -1) {
+      // Replay what the client missed on the stream it was reading
+      const { streamId } = session.events[lastIndex];
+      const missed = session.events.slice(lastIndex + 1).filter(event => event.streamId === streamId);
+      
+      missed.forEach(event => writeEvent(res, event.id, event.message));
+      
+      logger.info(`MCP stream resumed: ${sessionId}`, { streamId, replayed: missed.length });
+      
+      if (missed.some(event => event.final)) {
+        return res.end();
+      }
+      
+      attachStream(session, streamId, req, res);
+      return;
+    }
+    
+    // Only one standalone stream per session; a new one replaces the old
+    const previousStreamId = session.standaloneStreamId;
+    if (previousStreamId && session.streams.has(previousStreamId)) {
+      session.streams.get(previousStreamId).end();
+    }
+    
+    session.standaloneStreamId = previousStreamId || uuidv4();
+    attachStream(session, session.standaloneStreamId, req, res);
+    
+    logger.info(`MCP notification stream opened: ${sessionId}`);
+  });
+  
+  // Terminate a session
+  mcpRouter.delete('/', (req, res) => {
+    const sessionId = resolveHttpSession(req, res, false);
+    if (!sessionId) {
+      return;
+    }
+    
+    const session = sessions.get(sessionId);
+    if (session?.user && req.user && session.user.id !== req.user.id) {
+      return res.status(404).json(createErrorResponse(null, JsonRpcErrorCodes.SESSION_ERROR, "Session not found"));
+    }
+    
+    closeSession(sessionId);
+    logger.info(`MCP session terminated by client: ${sessionId}`);
+    res.status(204).end();
+  });
+  
   // Register MCP router
   app.use('/api/v1/mcp', mcpRouter);
   
   logger.info('MCP HTTP routes initialized');
 }
 
+/**
+ * Remove a session and close its open streams and connections
+ * @param {string} sessionId Session identifier
+ */
+function closeSession(sessionId) {
+  unsubscribeSession(sessionId);
+  
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.streams.forEach(res => res.end());
+    sessions.delete(sessionId);
+  }
+  
+  // Close WebSocket connection if exists
+  if (connections.has(sessionId)) {
+    connections.get(sessionId).close();
+    connections.delete(sessionId);
+  }
+}
+
 /**
  * Initialize WebSocket server for MCP
  * @param {Object} server HTTP server
@@ -221,17 +627,30 @@ function initializeHttpRoutes(app) {
 function initializeWebSocketServer(server) {
   const wss = new WebSocket.Server({ 
     server,
-    path: '/mcp'
+    path: '/mcp',
+    // Authenticate during the handshake so unauthenticated clients never connect
+    verifyClient: (info, callback) => {
+      authenticateUpgrade(info.req)
+        .then(user => {
+          info.req.mcpUser = user;
+          callback(true);
+        })
+        .catch(error => {
+          logger.warn(`MCP WebSocket authentication failed: ${error.message}`);
+          callback(false, 401, 'Unauthorized');
+        });
+    }
   });
   
   wss.on('connection', (ws, req) => {
     // Create session ID
     const sessionId = uuidv4();
+    const user = req.mcpUser;
     
     // Store connection
     connections.set(sessionId, ws);
     
-    logger.info(`MCP WebSocket connection established: ${sessionId}`);
+    logger.info(`MCP WebSocket connection established: ${sessionId}`, { userId: user.id });
     
     // Handle messages
     ws.on('message', async (message) => {
@@ -239,11 +658,16 @@ function initializeWebSocketServer(server) {
         // Parse JSON-RPC message
         const request = JSON.parse(message);
         
-        // Handle request
-        const response = await handleMcpRequest(request, sessionId);
+        // Handle request; notifications for it go out on the same socket
+        const response = await handleMcpRequest(request, sessionId, {
+          user,
+          notify: notification => ws.send(JSON.stringify(notification))
+        });
         
-        // Send response
-        ws.send(JSON.stringify(response));
+        // Send response (notifications have none)
+        if (response !== null) {
+          ws.send(JSON.stringify(response));
+        }
       } catch (error) {
         logger.error(`Error handling WebSocket message: ${error.message}`, { error });
         
@@ -258,7 +682,9 @@ function initializeWebSocketServer(server) {
     
     // Handle connection close
     ws.on('close', () => {
-      // Clean up session and connection
+      // Clean up call subscriptions, session and connection
+      unsubscribeSession(sessionId);
+      
       if (sessions.has(sessionId)) {
         sessions.delete(sessionId);
       }
@@ -296,16 +722,9 @@ function initializeMcpServer(app, server) {
   setInterval(() => {
     const now = new Date();
     sessions.forEach((session, id) => {
-      // Clean up sessions inactive for more than 30 minutes
-      if (now - session.lastActivity > 30 * 60 * 1000) {
-        sessions.delete(id);
-        
-        // Close WebSocket connection if exists
-        if (connections.has(id)) {
-          connections.get(id).close();
-          connections.delete(id);
-        }
-        
+      // Clean up sessions inactive for more than 30 minutes, unless a stream is still open
+      if (now - session.lastActivity > 30 * 60 * 1000 && !(session.streams && session.streams.size > 0)) {
+        closeSession(id);
         logger.info(`MCP session timed out: ${id}`);
       }
     });
@@ -316,5 +735,7 @@ function initializeMcpServer(app, server) {
 
 module.exports = {
   initializeMcpServer,
-  getServerCapabilities
+  getServerCapabilities,
+  handleMcpRequest,
+  sendNotification
 }; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * MCP stdio Transport
+ *
+ * This module runs the MCP server over stdin/stdout so desktop MCP hosts can
+ * launch it as a local subprocess. Messages are newline-delimited JSON-RPC;
+ * stdout is reserved for protocol messages and all logging goes to stderr.
+ */
+
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const { createErrorResponse, JsonRpcErrorCodes } = require('./lib/json-rpc');
+const { handleMcpRequest } = require('./server');
+const { registerTools } = require('./tools');
+const { registerResources } = require('./resources');
+const { logger } = require('../utils/logger');
+
+/**
+ * Start serving MCP requests over stdio
+ * @param {Object} [options] Transport options
+ * @param {Object} [options.input] Readable stream to read requests from
+ * @param {Object} [options.output] Writable stream to write responses to
+ * @param {Object} [options.user] User the session acts as; tool calls fail without one
+ * @returns {Promise<void>} Resolves once the input closes and pending requests finish
+ */
+function startStdioServer({ input = process.stdin, output = process.stdout, user = null } = {}) {
+  registerTools();
+  registerResources();
+
+  // A stdio process serves exactly one client, so it has exactly one session
+  const sessionId = `stdio-${uuidv4()}`;
+  const pending = new Set();
+
+  const send = (message) => {
+    output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+  rl.on('line', (line) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Invalid JSON received over stdio: ${error.message}`);
+      send(createErrorResponse(null, JsonRpcErrorCodes.PARSE_ERROR, "Parse error"));
+      return;
+    }
+
+    // Requests are handled concurrently; responses carry their request id
+    const task = handleMcpRequest(request, sessionId, { user, notify: send })
+      .then((response) => {
+        if (response !== null) {
+          send(response);
+        }
+      })
+      .catch((error) => {
+        logger.error(`Error handling stdio message: ${error.message}`, { error });
+        send(createErrorResponse(request.id ?? null, JsonRpcErrorCodes.INTERNAL_ERROR, "Internal server error"));
+      })
+      .finally(() => pending.delete(task));
+
+    pending.add(task);
+  });
+
+  logger.info(`MCP stdio transport started: ${sessionId}`);
+
+  return new Promise((resolve) => {
+    rl.on('close', async () => {
+      await Promise.all(pending);
+      logger.info(`MCP stdio transport closed: ${sessionId}`);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  startStdioServer
+};
@@ -57,10 +57,11 @@ function validateParameters(params) {
 /**
  * Get cache key for user credits
  * @param {string} userId User ID
+ * @param {string|null} [organizationId] Organization whose credits they are
  * @returns {string} Cache key
  */
-function getCreditsCacheKey(userId) {
-  return `${CREDITS_CACHE_PREFIX}${userId}`;
+function getCreditsCacheKey(userId, organizationId) {
+  return `${CREDITS_CACHE_PREFIX}${organizationId ? `org:${organizationId}` : userId}`;
 }
 
 /**
@@ -71,11 +72,12 @@ function getCreditsCacheKey(userId) {
  */
 async function execute(params, context) {
   const { amount, description = 'Credit purchase', paymentId } = params;
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
 
   logger.info(`Adding ${amount} credits for user`, { 
     sessionId,
     userId,
+    organizationId,
     amount,
     description,
     paymentId
@@ -85,12 +87,18 @@ async function execute(params, context) {
     // Round amount to 2 decimal places to avoid floating point issues
     const roundedAmount = Math.round(amount * 100) / 100;
     
+    // Organizations have a balance of their own
+    const [accountColumn, accountId] = organizationId
+      ? ['organization_id', organizationId]
+      : ['user_id', userId];
+    
     // Start a transaction
     const { data: result, error: txError } = await supabase.rpc('add_user_credits', {
       p_user_id: userId,
       p_amount: roundedAmount,
       p_description: description,
-      p_payment_id: paymentId || null
+      p_payment_id: paymentId || null,
+      p_organization_id: organizationId
     });
 
     if (txError) {
@@ -107,7 +115,7 @@ async function execute(params, context) {
         const { data: existing, error: checkError } = await supabase
           .from('credits')
           .select('id, balance, total_added')
-          .eq('user_id', userId)
+          .eq(accountColumn, accountId)
           .single();
           
         if (checkError && checkError.code !== 'PGRST116') {
@@ -136,7 +144,7 @@ async function execute(params, context) {
           const { error: insertError } = await supabase
             .from('credits')
             .insert({
-              user_id: userId,
+              [accountColumn]: accountId,
               balance: roundedAmount,
               total_added: roundedAmount,
               total_used: 0
@@ -153,6 +161,7 @@ async function execute(params, context) {
             .from('credit_transactions')
             .insert({
               user_id: userId,
+              organization_id: organizationId,
               amount: roundedAmount,
               description,
               payment_id: paymentId,
@@ -175,7 +184,7 @@ async function execute(params, context) {
     const { data: credits, error: dbError } = await supabase
       .from('credits')
       .select('balance, total_added, total_used, updated_at')
-      .eq('user_id', userId)
+      .eq(accountColumn, accountId)
       .single();
 
     if (dbError) {
@@ -199,7 +208,7 @@ async function execute(params, context) {
     // Invalidate cache if Redis is available
     if (redisClient.isReady) {
       try {
-        await redisClient.del(getCreditsCacheKey(userId));
+        await redisClient.del(getCreditsCacheKey(userId, organizationId));
       } catch (cacheError) {
         logger.warn(`Failed to invalidate credits cache: ${cacheError.message}`, {
           sessionId,
@@ -233,6 +242,7 @@ async function execute(params, context) {
 const addCreditsTool = {
   name: 'addCredits',
   description: 'Add credits to the user\'s account',
+  scope: 'billing:write',
   parameters: parametersSchema,
   validateParameters,
   execute
@@ -1,13 +1,17 @@
 /**
  * MCP Tool: Cancel Call
  * 
- * This tool cancels an ongoing phone call through the Bland.AI API.
+ * This tool cancels an ongoing phone call through the telephony provider.
  */
 
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
-const axios = require('axios');
+const { transitionCall, isLegalTransition } = require('../../services/call-state');
+const { getProvider } = require('../../services/providers');
+const { cancelScheduledCall } = require('../../services/scheduled-calls');
+const { cancelPendingRetries } = require('../../services/call-retries');
+const { forAccount } = require('../../services/organizations');
 
 // Schema for tool parameters
 const parametersSchema = {
@@ -15,7 +19,7 @@ const parametersSchema = {
   properties: {
     callId: {
       type: 'string',
-      description: 'The unique identifier of the call to cancel'
+      description: 'The unique identifier of the call, or of the scheduled call, to cancel'
     }
   },
   required: ['callId'],
@@ -50,22 +54,39 @@ function validateParameters(params) {
  */
 async function execute(params, context) {
   const { callId } = params;
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
 
   logger.info(`Attempting to cancel call ${callId}`, { 
     sessionId,
     userId,
+    organizationId,
     callId
   });
 
   try {
+    // Scheduled calls that have not been dialed yet are cancelled without the provider
+    const scheduledCall = await cancelScheduledCall(userId, callId, { organizationId });
+    if (scheduledCall) {
+      logger.info(`Cancelled scheduled call ${callId}`, {
+        sessionId,
+        userId,
+        callId
+      });
+
+      return {
+        success: true,
+        callId,
+        status: 'cancelled',
+        message: 'Scheduled call has been cancelled'
+      };
+    }
+
     // Check if call exists and belongs to user
-    const { data: callData, error: dbError } = await supabase
-      .from('calls')
-      .select('*')
-      .eq('call_id', callId)
-      .eq('user_id', userId)
-      .single();
+    const { data: callData, error: dbError } = await forAccount(
+      supabase.from('calls').select('*').eq('call_id', callId),
+      userId,
+      organizationId
+    ).single();
 
     if (dbError) {
       logger.error(`Database error retrieving call for cancellation: ${callId}`, {
@@ -86,8 +107,32 @@ async function execute(params, context) {
       throw new Error('Call not found or you are not authorized to cancel it');
     }
 
-    // Check if call can be cancelled (only in_progress or queued calls can be cancelled)
-    if (!['in_progress', 'queued'].includes(callData.status)) {
+    // Retries booked for any attempt of this call are never dialed
+    const cancelledRetries = await cancelPendingRetries(
+      { userId, organizationId, callId: callData.original_call_id || callData.call_id },
+      { db: supabase }
+    );
+    const retryInfo = cancelledRetries.length > 0 ? { retriesCancelled: cancelledRetries.length } : {};
+
+    if (!isLegalTransition(callData.status, 'cancelled') && cancelledRetries.length > 0) {
+      logger.info(`Cancelled pending retries of call ${callId}`, {
+        sessionId,
+        userId,
+        callId,
+        retriesCancelled: cancelledRetries.length
+      });
+
+      return {
+        success: true,
+        callId,
+        status: callData.status,
+        ...retryInfo,
+        message: 'Call had already ended; its pending retries have been cancelled'
+      };
+    }
+
+    // Check if call can be cancelled (only calls that have not ended can be cancelled)
+    if (!isLegalTransition(callData.status, 'cancelled')) {
       logger.warn(`Cannot cancel call with status ${callData.status}`, {
         sessionId,
         userId,
@@ -97,35 +142,26 @@ async function execute(params, context) {
       throw new Error(`Cannot cancel call with status: ${callData.status}`);
     }
 
-    // Call Bland.AI API to cancel the call
+    // Ask the telephony provider to stop the call
     try {
-      const response = await axios.post(
-        `https://api.bland.ai/v1/calls/${callId}/cancel`,
-        {},
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.BLAND_ENTERPRISE_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const result = await getProvider().stop(callId);
 
       // Check the API response
-      if (response.data && response.data.status === 'success') {
-        // Update call status in database
-        const { error: updateError } = await supabase
-          .from('calls')
-          .update({ 
-            status: 'cancelled',
-            updated_at: new Date().toISOString()
-          })
-          .eq('call_id', callId);
-
-        if (updateError) {
+      if (result.success) {
+        // Move the call to cancelled; subscribers give back the credits held for it
+        try {
+          await transitionCall(callData, 'cancelled', {
+            source: 'api',
+            payload: result.raw,
+            userId,
+            organizationId,
+            db: supabase
+          });
+        } catch (stateError) {
           logger.error(`Error updating call status after cancellation: ${callId}`, {
             sessionId,
             callId,
-            error: updateError
+            error: stateError
           });
           // Continue execution despite database update error
         }
@@ -139,54 +175,54 @@ async function execute(params, context) {
           success: true,
           callId,
           status: 'cancelled',
+          ...retryInfo,
           message: 'Call has been successfully cancelled'
         };
       } else {
         // API returned an error or unexpected response
-        logger.error(`Bland.AI API error cancelling call ${callId}`, {
+        logger.error(`Provider error cancelling call ${callId}`, {
           sessionId,
           callId,
-          response: response.data
+          response: result.raw
         });
         throw new Error('Failed to cancel call: API returned an error');
       }
     } catch (apiError) {
       // Handle API request errors
-      logger.error(`Error calling Bland.AI API to cancel call ${callId}`, {
+      logger.error(`Error calling telephony provider to cancel call ${callId}`, {
         sessionId,
         callId,
         error: apiError.message
       });
       
       // If the API error indicates the call is already completed or cancelled
-      if (apiError.response && apiError.response.data && 
-          apiError.response.data.message && 
-          (apiError.response.data.message.includes('completed') || 
-           apiError.response.data.message.includes('cancelled'))) {
+      if (apiError.code === 'PROVIDER_ERROR' && apiError.details &&
+          apiError.details.message && 
+          (apiError.details.message.includes('completed') || 
+           apiError.details.message.includes('cancelled'))) {
         
-        // Update call status in database if needed
-        if (callData.status !== 'cancelled' && callData.status !== 'completed') {
-          const { error: updateError } = await supabase
-            .from('calls')
-            .update({ 
-              status: 'cancelled',
-              updated_at: new Date().toISOString()
-            })
-            .eq('call_id', callId);
-            
-          if (updateError) {
-            logger.error(`Error updating call status after finding it's already cancelled: ${callId}`, {
-              sessionId,
-              callId,
-              error: updateError
-            });
-          }
+        // Update call status in database
+        try {
+          await transitionCall(callData, 'cancelled', {
+            source: 'api',
+            payload: apiError.details,
+            userId,
+            organizationId,
+            db: supabase
+          });
+        } catch (stateError) {
+          logger.error(`Error updating call status after finding it's already cancelled: ${callId}`, {
+            sessionId,
+            callId,
+            error: stateError
+          });
         }
         
         return {
           success: true,
           callId,
           status: 'cancelled',
+          ...retryInfo,
           message: 'Call was already completed or cancelled'
         };
       }
@@ -206,7 +242,8 @@ async function execute(params, context) {
 // Tool definition for MCP
 const cancelCallTool = {
   name: 'cancelCall',
-  description: 'Cancel an ongoing or queued phone call',
+  description: 'Cancel an ongoing, queued or scheduled phone call, along with any retries booked for it',
+  scope: 'calls:write',
   parameters: parametersSchema,
   validateParameters,
   execute
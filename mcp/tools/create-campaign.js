@@ -0,0 +1,122 @@
+/**
+ * MCP Tool: Create Campaign
+ *
+ * This tool dials a list of contacts from a CSV with a shared task template.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { createCampaign } = require('../../services/campaigns');
+const makePhoneCallTool = require('./make-phone-call');
+
+// Settings from makePhoneCall that every call in the campaign shares
+const SHARED_CALL_PARAMS = ['voice', 'fromNumber', 'temperature', 'voicemailAction', 'answeredByEnabled', 'maxDuration'];
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      description: 'Name of the campaign'
+    },
+    taskTemplate: {
+      type: 'string',
+      description: 'Task for each call. {{column}} placeholders are filled from the CSV row (e.g., "Remind {{first_name}} about their appointment on {{date}}")'
+    },
+    csv: {
+      type: 'string',
+      description: 'CSV text with a header row and a phone_number column in E.164 format; other columns are template variables'
+    },
+    concurrency: {
+      type: 'integer',
+      description: 'Maximum number of calls in progress at once',
+      minimum: 1,
+      maximum: 20,
+      default: 5
+    },
+    pacingSeconds: {
+      type: 'number',
+      description: 'Minimum seconds between starting two calls',
+      minimum: 0,
+      default: 2
+    },
+    ...Object.fromEntries(SHARED_CALL_PARAMS.map(key => [key, makePhoneCallTool.parameters.properties[key]]))
+  },
+  required: ['name', 'taskTemplate', 'csv'],
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the createCampaign tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Created campaign
+ */
+async function execute(params, context) {
+  const { sessionId, userId } = context;
+  const { name, taskTemplate, csv, concurrency, pacingSeconds } = params;
+
+  const callParams = Object.fromEntries(
+    SHARED_CALL_PARAMS.filter(key => params[key] !== undefined).map(key => [key, params[key]])
+  );
+
+  logger.info(`Creating campaign ${name}`, { sessionId, userId });
+
+  const campaign = await createCampaign(userId, {
+    name,
+    taskTemplate,
+    csv,
+    callParams,
+    ...(concurrency !== undefined && { concurrency }),
+    ...(pacingSeconds !== undefined && { pacingSeconds })
+  });
+
+  logger.info(`Created campaign ${campaign.id}`, {
+    sessionId,
+    userId,
+    campaignId: campaign.id,
+    accepted: campaign.accepted,
+    skipped: campaign.skipped.length
+  });
+
+  return {
+    campaignId: campaign.id,
+    status: campaign.status,
+    accepted: campaign.accepted,
+    skipped: campaign.skipped,
+    message: `Campaign started with ${campaign.accepted} contacts`
+  };
+}
+
+// Tool definition for MCP
+const createCampaignTool = {
+  name: 'createCampaign',
+  description: 'Call every contact in a CSV with a task template, with a cap on concurrent calls',
+  scope: 'campaigns:write',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = createCampaignTool;
@@ -7,7 +7,10 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
-const axios = require('axios');
+const { applyProviderUpdate } = require('../../services/call-state');
+const { getProvider } = require('../../services/providers');
+const { listCallAttempts } = require('../../services/call-retries');
+const { forAccount } = require('../../services/organizations');
 
 // Schema for tool parameters
 const parametersSchema = {
@@ -50,22 +53,22 @@ function validateParameters(params) {
  */
 async function execute(params, context) {
   const { callId } = params;
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
 
   logger.info(`Getting details for call ${callId}`, { 
     sessionId,
     userId,
+    organizationId,
     callId
   });
 
   try {
     // Get call details from database
-    const { data: callData, error: dbError } = await supabase
-      .from('calls')
-      .select('*')
-      .eq('call_id', callId)
-      .eq('user_id', userId)
-      .single();
+    const { data: callData, error: dbError } = await forAccount(
+      supabase.from('calls').select('*').eq('call_id', callId),
+      userId,
+      organizationId
+    ).single();
 
     if (dbError) {
       logger.error(`Database error retrieving call details for ${callId}`, {
@@ -90,19 +93,10 @@ async function execute(params, context) {
     let ailevelupAIDetails = null;
     if (['completed', 'in_progress'].includes(callData.status)) {
       try {
-        const response = await axios.get(
-          `https://api.bland.ai/v1/calls/${callId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${process.env.AILEVELUP_ENTERPRISE_API_KEY}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-
-        if (response.data && response.data.status === 'success') {
-          ailevelupAIDetails = response.data.call || null;
-        }
+        ailevelupAIDetails = await getProvider().getCall(callId);
+        
+        // Record any status change the provider reports
+        await applyProviderUpdate(callData, ailevelupAIDetails, { source: 'poll', db: supabase });
       } catch (error) {
         logger.warn(`Failed to get additional details from ailevelup.AI API for call ${callId}`, {
           sessionId,
@@ -127,19 +121,45 @@ async function execute(params, context) {
       temperature: callData.temperature,
       voicemailAction: callData.voicemail_action,
       fromNumber: callData.from_number,
+      attempt: callData.attempt || 1,
+      originalCallId: callData.original_call_id || null,
       createdAt: callData.created_at,
       updatedAt: callData.updated_at
     };
 
+    // Every attempt of the call, and retries booked but not dialed yet
+    try {
+      const { attempts, pendingRetries } = await listCallAttempts(userId, callData, { db: supabase });
+      callDetails.attempts = attempts.map(attempt => ({
+        callId: attempt.call_id,
+        attempt: attempt.attempt || 1,
+        status: attempt.status,
+        answeredBy: attempt.answered_by,
+        createdAt: attempt.created_at
+      }));
+      callDetails.pendingRetries = pendingRetries.map(retry => ({
+        scheduledCallId: retry.id,
+        attempt: retry.attempt,
+        status: retry.status,
+        scheduledAt: retry.scheduled_at
+      }));
+    } catch (error) {
+      logger.warn(`Failed to list attempts of call ${callId}`, {
+        sessionId,
+        userId,
+        error: error.message
+      });
+    }
+
     // Add ailevelup.AI specific details if available
     if (ailevelupAIDetails) {
       callDetails.ailevelupDetails = {
         status: ailevelupAIDetails.status,
-        transcript: ailevelupAIDetails.transcript || null,
-        recordingUrl: ailevelupAIDetails.recording_url || null,
-        callLengthSeconds: ailevelupAIDetails.call_length_seconds || 0,
-        answeredBy: ailevelupAIDetails.answered_by || null,
-        cost: ailevelupAIDetails.cost || null
+        transcript: ailevelupAIDetails.transcript,
+        recordingUrl: ailevelupAIDetails.recordingUrl,
+        callLengthSeconds: ailevelupAIDetails.durationSeconds || 0,
+        answeredBy: ailevelupAIDetails.answeredBy,
+        cost: ailevelupAIDetails.cost
       };
     }
 
@@ -163,6 +183,7 @@ async function execute(params, context) {
 const getCallDetailsTool = {
   name: 'getCallDetails',
   description: 'Get detailed information about a specific phone call',
+  scope: 'calls:read',
   parameters: parametersSchema,
   validateParameters,
   execute
@@ -7,6 +7,8 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
+const { listScheduledCalls } = require('../../services/scheduled-calls');
+const { forAccount } = require('../../services/organizations');
 
 // Schema for tool parameters
 const parametersSchema = {
@@ -89,11 +91,12 @@ async function execute(params, context) {
     sortOrder = 'desc'
   } = params || {};
   
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
 
   logger.info(`Getting call history for user`, { 
     sessionId,
     userId,
+    organizationId,
     limit,
     offset,
     status,
@@ -104,8 +107,31 @@ async function execute(params, context) {
   });
 
   try {
+    // Scheduled calls have not been dialed yet, so they live outside call_history
+    if (status === 'scheduled') {
+      const { scheduledCalls, total } = await listScheduledCalls(userId, { limit, offset, organizationId });
+      
+      return {
+        calls: scheduledCalls.map(scheduledCall => ({
+          id: scheduledCall.id,
+          to_number: scheduledCall.call_params?.phoneNumber,
+          status: scheduledCall.status,
+          scheduled_at: scheduledCall.scheduled_at,
+          timezone: scheduledCall.timezone,
+          created_at: scheduledCall.created_at,
+          updated_at: scheduledCall.updated_at
+        })),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + scheduledCalls.length < total
+        }
+      };
+    }
+    
     // Build query
-    let query = supabase
+    let query = forAccount(supabase
       .from('call_history')
       .select(`
         id,
@@ -119,8 +145,7 @@ async function execute(params, context) {
         cost,
         created_at,
         updated_at
-      `)
-      .eq('user_id', userId)
+      `), userId, organizationId)
       .order(sortBy, { ascending: sortOrder === 'asc' })
       .range(offset, offset + limit - 1);
     
@@ -150,10 +175,11 @@ async function execute(params, context) {
     }
 
     // Get total count for pagination
-    const { count: totalCount, error: countError } = await supabase
-      .from('call_history')
-      .select('id', { count: 'exact' })
-      .eq('user_id', userId);
+    const { count: totalCount, error: countError } = await forAccount(
+      supabase.from('call_history').select('id', { count: 'exact' }),
+      userId,
+      organizationId
+    );
     
     if (countError) {
       logger.warn(`Error getting total count: ${countError.message}`, {
@@ -195,6 +221,7 @@ async function execute(params, context) {
 const getCallHistoryTool = {
   name: 'getCallHistory',
   description: 'Get the call history for the current user',
+  scope: 'calls:read',
   parameters: parametersSchema,
   validateParameters,
   execute
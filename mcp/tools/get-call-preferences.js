@@ -0,0 +1,79 @@
+/**
+ * MCP Tool: Get Call Preferences
+ *
+ * This tool returns the settings calls are placed with when makePhoneCall is
+ * not given them: the user's saved preferences, or the account defaults.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { supabase } = require('../../config/supabase');
+const { getCallPreferences } = require('../../services/call-preferences');
+
+// Schema for tool parameters (empty object, no parameters needed)
+const parametersSchema = {
+  type: 'object',
+  properties: {},
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the getCallPreferences tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Effective call preferences
+ */
+async function execute(params, context) {
+  const { sessionId, userId } = context;
+
+  logger.info(`Getting call preferences for user ${userId}`, { sessionId, userId });
+
+  try {
+    const { sources, ...preferences } = await getCallPreferences(userId, { db: supabase });
+
+    return {
+      ...preferences,
+      sources,
+      precedence: ['parameter', 'template', 'user', 'account']
+    };
+  } catch (error) {
+    logger.error(`Error executing getCallPreferences tool: ${error.message}`, {
+      sessionId,
+      userId,
+      error
+    });
+    throw error;
+  }
+}
+
+// Tool definition for MCP
+const getCallPreferencesTool = {
+  name: 'getCallPreferences',
+  description: 'Get the voice, model, temperature, caller number, voicemail action and retry policy your calls use when makePhoneCall is not given them. Parameters passed to makePhoneCall win, then the call template, then your saved preferences (updateCallPreferences), then the account defaults.',
+  scope: 'settings:read',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = getCallPreferencesTool;
@@ -8,8 +8,10 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
-const axios = require('axios');
+const { applyProviderUpdate } = require('../../services/call-state');
+const { getProvider } = require('../../services/providers');
 const { redisClient } = require('../../config/redis');
+const { forAccount } = require('../../services/organizations');
 
 // Schema for tool parameters
 const parametersSchema = {
@@ -66,7 +68,7 @@ function getProgressCacheKey(callId) {
  */
 async function execute(params, context) {
   const { callId, includeTranscript = false } = params;
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
 
   logger.info(`Getting progress for call ${callId}`, { 
     sessionId,
@@ -77,12 +79,11 @@ async function execute(params, context) {
 
   try {
     // Check if call exists and belongs to user
-    const { data: callData, error: dbError } = await supabase
-      .from('calls')
-      .select('*')
-      .eq('call_id', callId)
-      .eq('user_id', userId)
-      .single();
+    const { data: callData, error: dbError } = await forAccount(
+      supabase.from('calls').select('*').eq('call_id', callId),
+      userId,
+      organizationId
+    ).single();
 
     if (dbError) {
       logger.error(`Database error retrieving call for progress: ${callId}`, {
@@ -147,49 +148,40 @@ async function execute(params, context) {
       }
     }
 
-    // If call is in progress, try to get live status from Bland.AI
-    let blandAIDetails = null;
+    // If call is in progress, try to get live status from the telephony provider
+    let providerDetails = null;
     let transcript = null;
     
     if (callData.status === 'in_progress') {
       try {
-        const response = await axios.get(
-          `https://api.bland.ai/v1/calls/${callId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${process.env.BLAND_ENTERPRISE_API_KEY}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-
-        if (response.data && response.data.status === 'success') {
-          blandAIDetails = response.data.call || null;
-          
-          if (blandAIDetails && includeTranscript) {
-            transcript = blandAIDetails.transcript || '';
-          }
+        providerDetails = await getProvider().getCall(callId);
+        
+        // Record any status change the provider reports
+        await applyProviderUpdate(callData, providerDetails, { source: 'poll', db: supabase });
+        
+        if (includeTranscript) {
+          transcript = providerDetails.transcript || '';
+        }
+        
+        // Update progress cache if we have new data
+        if (redisClient.isReady) {
+          const updatedProgress = {
+            status: providerDetails.status,
+            lastUpdated: new Date().toISOString(),
+            callLengthSeconds: providerDetails.durationSeconds || 0,
+            answeredBy: providerDetails.answeredBy,
+            currentState: providerDetails.status === 'in_progress' ? 'on_call' : providerDetails.status
+          };
           
-          // Update progress cache if we have new data
-          if (blandAIDetails && redisClient.isReady) {
-            const updatedProgress = {
-              status: blandAIDetails.status,
-              lastUpdated: new Date().toISOString(),
-              callLengthSeconds: blandAIDetails.call_length_seconds || 0,
-              answeredBy: blandAIDetails.answered_by || null,
-              currentState: blandAIDetails.status === 'in_progress' ? 'on_call' : blandAIDetails.status
-            };
-            
-            // Cache for 30 seconds
-            await redisClient.set(
-              getProgressCacheKey(callId), 
-              JSON.stringify(updatedProgress), 
-              { EX: 30 }
-            );
-          }
+          // Cache for 30 seconds
+          await redisClient.set(
+            getProgressCacheKey(callId), 
+            JSON.stringify(updatedProgress), 
+            { EX: 30 }
+          );
         }
       } catch (apiError) {
-        logger.warn(`Failed to get live status from Bland.AI API for call ${callId}`, {
+        logger.warn(`Failed to get live status from telephony provider for call ${callId}`, {
           sessionId,
           callId,
           error: apiError.message
@@ -213,23 +205,23 @@ async function execute(params, context) {
       currentState = 'queued';
       message = 'Call is queued and waiting to be initiated';
     } else if (callData.status === 'in_progress') {
-      // If we have Bland.AI details, use them
-      if (blandAIDetails) {
-        if (blandAIDetails.status === 'in_progress') {
+      // If we have provider details, use them
+      if (providerDetails) {
+        if (providerDetails.status === 'in_progress') {
           progressPercentage = 50; // Mid-call
           currentState = 'on_call';
           message = 'Call is currently in progress';
-        } else if (blandAIDetails.status === 'completed') {
+        } else if (providerDetails.status === 'completed') {
           progressPercentage = 100;
           currentState = 'completed';
           message = 'Call has completed';
         } else {
           progressPercentage = 25; // Early stages
-          currentState = blandAIDetails.status;
-          message = `Call is in state: ${blandAIDetails.status}`;
+          currentState = providerDetails.status;
+          message = `Call is in state: ${providerDetails.status}`;
         }
       } 
-      // If no Bland.AI details but we have cached progress
+      // If no provider details but we have cached progress
       else if (progressData) {
         progressPercentage = progressData.callLengthSeconds > 0 ? 50 : 25;
         currentState = progressData.currentState;
@@ -248,7 +240,7 @@ async function execute(params, context) {
       callId,
       status: callData.status,
       isComplete: false,
-      elapsedTime: blandAIDetails?.call_length_seconds || progressData?.callLengthSeconds || elapsedSeconds,
+      elapsedTime: providerDetails?.durationSeconds || progressData?.callLengthSeconds || elapsedSeconds,
       startedAt: callData.started_at || callData.created_at,
       progressPercentage,
       currentState,
@@ -261,8 +253,8 @@ async function execute(params, context) {
     }
     
     // Add additional details if available
-    if (blandAIDetails) {
-      progress.answeredBy = blandAIDetails.answered_by || null;
+    if (providerDetails) {
+      progress.answeredBy = providerDetails.answeredBy;
     } else if (progressData && progressData.answeredBy) {
       progress.answeredBy = progressData.answeredBy;
     }
@@ -289,6 +281,7 @@ async function execute(params, context) {
 const getCallProgressTool = {
   name: 'getCallProgress',
   description: 'Get progress information for an ongoing phone call',
+  scope: 'calls:read',
   parameters: parametersSchema,
   validateParameters,
   execute
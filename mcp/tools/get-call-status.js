@@ -7,6 +7,7 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
+const { forAccount } = require('../../services/organizations');
 const axios = require('axios');
 
 // Schema for tool parameters
@@ -50,7 +51,7 @@ function validateParameters(params) {
  */
 async function execute(params, context) {
   const { callId } = params;
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
 
   logger.info(`Getting status for call ${callId}`, { 
     sessionId,
@@ -60,12 +61,11 @@ async function execute(params, context) {
 
   try {
     // Get call details from database
-    const { data: callData, error: dbError } = await supabase
-      .from('call_history')
-      .select('id, status, updated_at, to_number, from_number')
-      .eq('id', callId)
-      .eq('user_id', userId)
-      .single();
+    const { data: callData, error: dbError } = await forAccount(
+      supabase.from('call_history').select('id, status, updated_at, to_number, from_number').eq('id', callId),
+      userId,
+      organizationId
+    ).single();
 
     if (dbError) {
       logger.error(`Database error retrieving call status for ${callId}`, {
@@ -116,6 +116,7 @@ async function execute(params, context) {
 const getCallStatusTool = {
   name: 'getCallStatus',
   description: 'Get the current status of a specific phone call',
+  scope: 'calls:read',
   parameters: parametersSchema,
   validateParameters,
   execute
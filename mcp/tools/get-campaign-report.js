@@ -0,0 +1,75 @@
+/**
+ * MCP Tool: Get Campaign Report
+ *
+ * This tool reports the progress and results of a calling campaign.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { getCampaignReport } = require('../../services/campaigns');
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    campaignId: {
+      type: 'string',
+      description: 'The campaign ID returned by createCampaign'
+    }
+  },
+  required: ['campaignId'],
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the getCampaignReport tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Campaign report
+ */
+async function execute(params, context) {
+  const { campaignId } = params;
+  const { sessionId, userId } = context;
+
+  logger.info(`Getting report for campaign ${campaignId}`, { sessionId, userId, campaignId });
+
+  const report = await getCampaignReport(userId, campaignId);
+
+  if (!report) {
+    throw new Error('Campaign not found');
+  }
+
+  return report;
+}
+
+// Tool definition for MCP
+const getCampaignReportTool = {
+  name: 'getCampaignReport',
+  description: 'Get the progress and aggregate results of a calling campaign',
+  scope: 'campaigns:read',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = getCampaignReportTool;
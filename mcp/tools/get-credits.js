@@ -46,10 +46,11 @@ function validateParameters(params) {
 /**
  * Get cache key for user credits
  * @param {string} userId User ID
+ * @param {string|null} [organizationId] Organization whose credits they are
  * @returns {string} Cache key
  */
-function getCreditsCacheKey(userId) {
-  return `${CREDITS_CACHE_PREFIX}${userId}`;
+function getCreditsCacheKey(userId, organizationId) {
+  return `${CREDITS_CACHE_PREFIX}${organizationId ? `org:${organizationId}` : userId}`;
 }
 
 /**
@@ -59,7 +60,7 @@ function getCreditsCacheKey(userId) {
  * @returns {Promise<Object>} Credit balance
  */
 async function execute(params, context) {
-  const { sessionId, userId } = context;
+  const { sessionId, userId, organizationId = null } = context;
   
   // Handle development user ID
   let actualUserId = userId;
@@ -73,14 +74,20 @@ async function execute(params, context) {
 
   logger.info(`Getting credit balance for user`, { 
     sessionId,
-    userId: actualUserId
+    userId: actualUserId,
+    organizationId
   });
 
+  // Organizations have a balance of their own
+  const [accountColumn, accountId] = organizationId
+    ? ['organization_id', organizationId]
+    : ['user_id', actualUserId];
+
   try {
     // Try to get credits from cache first
     if (redisClient.isReady) {
       try {
-        const cachedCredits = await redisClient.get(getCreditsCacheKey(actualUserId));
+        const cachedCredits = await redisClient.get(getCreditsCacheKey(actualUserId, organizationId));
         if (cachedCredits) {
           logger.debug('Retrieved credits from cache', { sessionId, userId: actualUserId });
           return JSON.parse(cachedCredits);
@@ -99,7 +106,7 @@ async function execute(params, context) {
     const { data: credits, error: dbError } = await supabase
       .from('credits')
       .select('balance, updated_at')
-      .eq('user_id', actualUserId)
+      .eq(accountColumn, accountId)
       .single();
 
     if (dbError) {
@@ -159,7 +166,7 @@ async function execute(params, context) {
       const { data: extraData, error: extraError } = await supabase
         .from('credits')
         .select('total_added, total_used')
-        .eq('user_id', actualUserId)
+        .eq(accountColumn, accountId)
         .single();
         
       if (!extraError && extraData) {
@@ -178,7 +185,7 @@ async function execute(params, context) {
     if (redisClient.isReady) {
       try {
         await redisClient.set(
-          getCreditsCacheKey(actualUserId),
+          getCreditsCacheKey(actualUserId, organizationId),
           JSON.stringify(creditsResponse),
           { EX: CACHE_TTL_SECONDS }
         );
@@ -213,6 +220,7 @@ async function execute(params, context) {
 const getCreditsTool = {
   name: 'getCredits',
   description: 'Get the current credit balance for the user',
+  scope: 'credits:read',
   parameters: parametersSchema,
   validateParameters,
   execute
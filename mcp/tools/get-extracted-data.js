@@ -0,0 +1,154 @@
+/**
+ * MCP Tool: Get Extracted Data
+ *
+ * This tool returns the structured data extracted from completed calls that
+ * were placed with an extraction schema, for one call or across calls.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { supabase } = require('../../config/supabase');
+const { getCallExtraction, queryExtractions } = require('../../services/call-extraction');
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    callId: {
+      type: 'string',
+      description: 'Return the extraction for this call only'
+    },
+    where: {
+      type: 'object',
+      description: 'Only return extractions whose data contains these field values, e.g. { "confirmed": true }'
+    },
+    status: {
+      type: 'string',
+      description: 'Filter by whether the extracted data matched the schema',
+      enum: ['valid', 'invalid']
+    },
+    fromDate: {
+      type: 'string',
+      format: 'date-time',
+      description: 'Start date for filtering (ISO format)'
+    },
+    toDate: {
+      type: 'string',
+      format: 'date-time',
+      description: 'End date for filtering (ISO format)'
+    },
+    limit: {
+      type: 'integer',
+      description: 'Maximum number of results to return (default: 20, max: 100)',
+      minimum: 1,
+      maximum: 100
+    },
+    offset: {
+      type: 'integer',
+      description: 'Number of results to skip for pagination (default: 0)',
+      minimum: 0
+    }
+  },
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Format an extraction for the response
+ * @param {Object} extraction Row from call_extractions
+ * @returns {Object} Extraction
+ */
+function formatExtraction(extraction) {
+  return {
+    callId: extraction.call_id,
+    status: extraction.status,
+    data: extraction.data,
+    errors: extraction.errors || [],
+    extractedAt: extraction.extracted_at
+  };
+}
+
+/**
+ * Execute the getExtractedData tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Extracted data
+ */
+async function execute(params, context) {
+  const { callId, where, status, fromDate, toDate, limit = 20, offset = 0 } = params || {};
+  const { sessionId, userId, organizationId = null } = context;
+
+  logger.info('Getting extracted call data', { sessionId, userId, callId, status });
+
+  try {
+    if (callId) {
+      const extraction = await getCallExtraction(callId, userId, { organizationId, db: supabase });
+
+      if (!extraction) {
+        return {
+          callId,
+          status: 'pending',
+          message: 'No data has been extracted from this call yet'
+        };
+      }
+
+      return formatExtraction(extraction);
+    }
+
+    const extractions = await queryExtractions(userId, {
+      where,
+      status,
+      from_date: fromDate,
+      to_date: toDate,
+      limit,
+      offset
+    }, { organizationId, db: supabase });
+
+    return {
+      extractions: extractions.map(formatExtraction),
+      pagination: {
+        limit,
+        offset,
+        hasMore: extractions.length === limit
+      }
+    };
+  } catch (error) {
+    logger.error(`Error executing getExtractedData tool: ${error.message}`, {
+      sessionId,
+      userId,
+      error
+    });
+    throw error;
+  }
+}
+
+// Tool definition for MCP
+const getExtractedDataTool = {
+  name: 'getExtractedData',
+  description: 'Get the structured data extracted from completed calls placed with an extraction schema',
+  scope: 'calls:read',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = getExtractedDataTool;
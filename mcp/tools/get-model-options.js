@@ -7,6 +7,7 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { redisClient } = require('../../config/redis');
+const { MODEL_OPTIONS } = require('../../services/call-preferences');
 
 // Schema for tool parameters (empty object, no parameters needed)
 const parametersSchema = {
@@ -15,17 +16,6 @@ const parametersSchema = {
   additionalProperties: false
 };
 
-const modelOptions = [
-  {
-    id: 'turbo',
-    name: 'Turbo',
-    description: 'Fast and efficient model for real-time phone conversations',
-    isDefault: true,
-    details: 'For content moderation/safety checks, we use gpt-4o-mini. For the actual phone calls via ailevelup.AI, we use the turbo model.',
-    useCase: 'All phone calls'
-  }
-];
-
 // Validator for parameters
 const validator = new JSONSchemaValidator();
 
@@ -65,7 +55,7 @@ async function execute(params, context) {
       sessionId
     });
 
-    return modelOptions;
+    return MODEL_OPTIONS;
   } catch (error) {
     logger.error(`Error executing getModelOptions tool: ${error.message}`, {
       sessionId,
@@ -79,6 +69,7 @@ async function execute(params, context) {
 const getModelOptionsTool = {
   name: 'getModelOptions',
   description: 'Get information about the system\'s model approach for phone calls',
+  scope: null,
   parameters: parametersSchema,
   validateParameters,
   execute
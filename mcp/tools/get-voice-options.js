@@ -1,25 +1,44 @@
 /**
  * MCP Tool: Get Voice Options
  * 
- * This tool retrieves the available voice options from Supabase for phone calls.
+ * This tool lists the voices available for phone calls from the voice
+ * catalog, optionally filtered by language, gender, accent or tag.
  */
 
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabaseAdmin } = require('../../config/supabase');
-const { redisClient } = require('../../config/redis');
+const { listVoices } = require('../../services/voice-catalog');
 
-// Schema for tool parameters (empty object, no parameters needed)
+// Schema for tool parameters
 const parametersSchema = {
   type: 'object',
-  properties: {},
+  properties: {
+    language: {
+      type: 'string',
+      description: 'Only voices speaking this language, e.g. "en" or "en-GB"'
+    },
+    gender: {
+      type: 'string',
+      enum: ['female', 'male', 'neutral'],
+      description: 'Only voices of this gender'
+    },
+    accent: {
+      type: 'string',
+      description: 'Only voices with this accent, e.g. "british"'
+    },
+    tag: {
+      type: 'string',
+      description: 'Only voices with this tag, e.g. "calm"'
+    },
+    search: {
+      type: 'string',
+      description: 'Only voices whose name or description contains this text'
+    }
+  },
   additionalProperties: false
 };
 
-// Cache key for voice options
-const VOICE_OPTIONS_CACHE_KEY = 'voice_options';
-const CACHE_TTL_SECONDS = 900; // 15 minutes
-
 // Validator for parameters
 const validator = new JSONSchemaValidator();
 
@@ -49,75 +68,22 @@ function validateParameters(params) {
 async function execute(params, context) {
   const { sessionId, userId } = context;
 
-  logger.info('Getting available voice options from Supabase', { 
+  logger.info('Getting available voice options', { 
     sessionId,
-    userId
+    userId,
+    filters: params
   });
 
   try {
-    // Try to get voice options from cache first
-    if (redisClient && redisClient.isReady) {
-      try {
-        const cachedOptions = await redisClient.get(VOICE_OPTIONS_CACHE_KEY);
-        if (cachedOptions) {
-          logger.debug('Retrieved voice options from cache', { sessionId });
-          return { voices: JSON.parse(cachedOptions) };
-        }
-      } catch (cacheError) {
-        logger.warn(`Error retrieving voice options from cache: ${cacheError.message}`, {
-          sessionId,
-          error: cacheError
-        });
-        // Continue with database query if cache fails
-      }
-    }
-
-    // Fetch voices from Supabase
-    const { data: voices, error } = await supabaseAdmin
-      .from('voices')
-      .select('*')
-      .eq('public', true)
-      .order('name', { ascending: true });
-
-    if (error) {
-      throw new Error(`Failed to fetch voices from database: ${error.message}`);
-    }
-
-    // Map the voice data to the expected format
-    const formattedVoices = voices.map(voice => ({
-      id: voice.id,
-      name: voice.name.replace(/^Public - /, ''), // Remove "Public - " prefix if present
-      description: voice.description || '',
-      gender: voice.tags?.includes('female') ? 'female' : 
-              voice.tags?.includes('male') ? 'male' : 'neutral',
-      accent: voice.tags?.find(tag => ['american', 'british', 'australian', 'indian', 'spanish', 'french', 'german', 'italian', 'japanese', 'chinese', 'russian', 'portuguese', 'dutch', 'swedish'].includes(tag)) || 'other',
-      tags: voice.tags || [],
-      sample: voice.sample_url || null
-    }));
-
-    // Cache the voice options if Redis is available
-    if (redisClient && redisClient.isReady) {
-      try {
-        await redisClient.set(
-          VOICE_OPTIONS_CACHE_KEY,
-          JSON.stringify(formattedVoices),
-          { EX: CACHE_TTL_SECONDS }
-        );
-      } catch (cacheError) {
-        logger.warn(`Failed to cache voice options: ${cacheError.message}`, {
-          sessionId,
-          error: cacheError
-        });
-        // Continue execution even if caching fails
-      }
-    }
+    // The catalog caches lookups in Redis
+    const voices = await listVoices(params || {}, { db: supabaseAdmin });
 
-    logger.info('Successfully retrieved voice options from Supabase', {
+    logger.info('Successfully retrieved voice options', {
       sessionId,
-      voiceCount: formattedVoices.length
+      voiceCount: voices.length
     });
 
-    return { voices: formattedVoices };
+    return { voices };
   } catch (error) {
     logger.error(`Error executing getVoiceOptions tool: ${error.message}`, {
       sessionId,
@@ -130,7 +96,8 @@ async function execute(params, context) {
 // Tool definition for MCP
 const getVoiceOptionsTool = {
   name: 'getVoiceOptions',
-  description: 'Get available voice options for phone calls from the Supabase database',
+  description: 'Get available voice options for phone calls, optionally filtered by language, gender, accent or tag',
+  scope: null,
   parameters: parametersSchema,
   validateParameters,
   execute
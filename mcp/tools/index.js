@@ -5,11 +5,21 @@
  */
 
 const { logger } = require('../../utils/logger');
+const { JsonRpcErrorCodes } = require('../lib/json-rpc');
+const { hasScope } = require('../../services/api-keys');
 const makePhoneCallTool = require('./make-phone-call');
 const getCallDetailsTool = require('./get-call-details');
 const cancelCallTool = require('./cancel-call');
+const rescheduleCallTool = require('./reschedule-call');
+const listCallTemplatesTool = require('./list-call-templates');
+const manageDoNotCallTool = require('./manage-do-not-call');
+const createCampaignTool = require('./create-campaign');
+const getCampaignReportTool = require('./get-campaign-report');
+const manageCampaignTool = require('./manage-campaign');
 const getCallProgressTool = require('./get-call-progress');
+const getExtractedDataTool = require('./get-extracted-data');
 const updateCallPreferencesTool = require('./update-call-preferences');
+const getCallPreferencesTool = require('./get-call-preferences');
 const getVoiceOptionsTool = require('./get-voice-options');
 const getModelOptionsTool = require('./get-model-options');
 const getCallStatusTool = require('./get-call-status');
@@ -22,7 +32,9 @@ const toolRegistry = new Map();
 
 /**
  * Register a tool in the registry
- * @param {Object} tool Tool definition
+ * @param {Object} tool Tool definition. `scope` names the API key scope the
+ *   tool needs (null if any key may call it), or is a function of the tool's
+ *   arguments returning one.
  */
 function registerTool(tool) {
   if (!tool || !tool.name) {
@@ -39,13 +51,13 @@ function registerTool(tool) {
 
 /**
  * Get available tools for MCP capabilities
- * @returns {Array} Array of tool definitions
+ * @returns {Array} Array of tool definitions in the MCP `tools/list` format
  */
 function getAvailableTools() {
   return Array.from(toolRegistry.values()).map(tool => ({
     name: tool.name,
     description: tool.description,
-    parameters: tool.parameters
+    inputSchema: tool.parameters
   }));
 }
 
@@ -57,12 +69,26 @@ function registerTools() {
   registerTool(makePhoneCallTool);
   registerTool(getCallDetailsTool);
   registerTool(cancelCallTool);
+  registerTool(rescheduleCallTool);
+  registerTool(listCallTemplatesTool);
+  
+  // Register compliance tools
+  registerTool(manageDoNotCallTool);
+  
+  // Register campaign tools
+  registerTool(createCampaignTool);
+  registerTool(getCampaignReportTool);
+  registerTool(manageCampaignTool);
   
   // Register progress reporting tool
   registerTool(getCallProgressTool);
   
+  // Register call results tools
+  registerTool(getExtractedDataTool);
+  
   // Register configuration tools
   registerTool(updateCallPreferencesTool);
+  registerTool(getCallPreferencesTool);
   registerTool(getVoiceOptionsTool);
   registerTool(getModelOptionsTool);
   
@@ -79,20 +105,33 @@ function registerTools() {
  * Execute a tool by name
  * @param {Object} params Parameters containing name and arguments
  * @param {string} sessionId Session identifier
+ * @param {Object} [context] Execution context passed to the tool
+ * @param {string} [context.userId] ID of the authenticated user the tool acts for
+ * @param {Array} [context.scopes] Scopes of the API key or OAuth access token the
+ *   session authenticated with, or of the user's role in an organization;
+ *   sessions without either act with the user's full access
+ * @param {string|null} [context.organizationId] Organization the tool acts for
+ * @param {Function} [context.sendProgress] Reports progress to the client
  * @returns {Promise<Object>} Tool execution result
  */
-async function executeToolById(params, sessionId) {
+async function executeToolById(params, sessionId, context = {}) {
   const { name, arguments: args } = params;
   
   if (!name) {
-    throw new Error('Tool name is required');
+    throw Object.assign(
+      new Error('Tool name is required'),
+      { code: JsonRpcErrorCodes.INVALID_PARAMS }
+    );
   }
   
   // Get tool from registry
   const tool = toolRegistry.get(name);
   
   if (!tool) {
-    throw new Error(`Tool not found: ${name}`);
+    throw Object.assign(
+      new Error(`Tool not found: ${name}`),
+      { code: JsonRpcErrorCodes.INVALID_PARAMS }
+    );
   }
   
   // Validate parameters against schema
@@ -101,14 +140,36 @@ async function executeToolById(params, sessionId) {
     if (validationError) {
       throw Object.assign(
         new Error(`Invalid parameters for tool ${name}: ${validationError.message}`),
-        { code: -32602 }
+        { code: JsonRpcErrorCodes.INVALID_PARAMS }
       );
     }
   }
   
+  // Tools read and write per-user data, so they never run anonymously
+  if (!context.userId) {
+    throw Object.assign(
+      new Error('Authentication required to execute tools'),
+      { code: JsonRpcErrorCodes.UNAUTHORIZED }
+    );
+  }
+  
+  // API keys, OAuth tokens and organization roles only reach the tools their scopes allow
+  const scope = typeof tool.scope === 'function' ? tool.scope(args) : tool.scope;
+  if (context.scopes && !hasScope(context.scopes, scope)) {
+    logger.warn(`MCP tool ${name} denied: credential lacks scope ${scope}`, {
+      sessionId,
+      userId: context.userId
+    });
+    throw Object.assign(
+      new Error(`Credential does not have the ${scope} scope required by tool ${name}`),
+      { code: JsonRpcErrorCodes.UNAUTHORIZED, data: { requiredScope: scope } }
+    );
+  }
+  
   // Log tool execution
   logger.info(`Executing MCP tool: ${name}`, { 
     sessionId,
+    userId: context.userId,
     toolName: name,
     // Don't log sensitive arguments
     hasArgs: !!args
@@ -117,8 +178,9 @@ async function executeToolById(params, sessionId) {
   try {
     // Execute tool with arguments
     const result = await tool.execute(args, { 
-      sessionId,
-      userId: 'dev-user-id' // Add dev user ID for development mode
+      sendProgress: () => {},
+      ...context,
+      sessionId
     });
     
     // Log success (without sensitive result data)
@@ -139,14 +201,103 @@ async function executeToolById(params, sessionId) {
     // Rethrow with appropriate error code
     throw Object.assign(
       new Error(`Error executing tool ${name}: ${error.message}`),
-      { code: -32004, data: { originalError: error.message } }
+      {
+        code: JsonRpcErrorCodes.TOOL_EXECUTION_ERROR,
+        data: { originalError: error.message, ...(error.details && { details: error.details }) }
+      }
     );
   }
 }
 
+/**
+ * Build a progress reporter for a tool call.
+ *
+ * Progress is only reported when the client asked for it by sending a
+ * `progressToken` in the request's `_meta`.
+ * @param {Object} params Tool call parameters
+ * @param {Function} [notify] Sends a JSON-RPC notification to the client
+ * @returns {Function} sendProgress(progress, total, message)
+ */
+function createProgressReporter(params, notify) {
+  const progressToken = params._meta?.progressToken;
+  
+  if (progressToken === undefined || !notify) {
+    return () => {};
+  }
+  
+  return (progress, total, message) => {
+    notify({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    });
+  };
+}
+
+/**
+ * Call a tool and wrap the outcome in an MCP `tools/call` result.
+ *
+ * Failures raised by the tool itself are reported in-band with `isError`
+ * so the model can see them; unknown tools and invalid arguments are
+ * still thrown as JSON-RPC protocol errors.
+ * @param {Object} params Parameters containing name and arguments
+ * @param {string} sessionId Session identifier
+ * @param {Object} [options] Transport options
+ * @param {Object} [options.context] Execution context identifying the user
+ * @param {Function} [options.notify] Sends a notification to the client
+ * @returns {Promise<Object>} Result with `content` array and `isError` flag
+ */
+async function callTool(params, sessionId, options = {}) {
+  try {
+    const result = await executeToolById(params, sessionId, {
+      ...options.context,
+      sendProgress: createProgressReporter(params, options.notify)
+    });
+    
+    const callResult = {
+      content: [
+        {
+          type: 'text',
+          text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+        }
+      ],
+      isError: false
+    };
+    
+    // Object results are also returned as structured content
+    if (result && typeof result === 'object' && !Array.isArray(result)) {
+      callResult.structuredContent = result;
+    }
+    
+    return callResult;
+  } catch (error) {
+    if (error.code !== JsonRpcErrorCodes.TOOL_EXECUTION_ERROR) {
+      throw error;
+    }
+    
+    const errorResult = {
+      content: [
+        {
+          type: 'text',
+          text: error.data?.originalError || error.message
+        }
+      ],
+      isError: true
+    };
+    
+    // Tools can attach machine-readable details, e.g. a moderation rejection
+    if (error.data?.details) {
+      errorResult.structuredContent = { error: error.data.details };
+    }
+    
+    return errorResult;
+  }
+}
+
 module.exports = {
   registerTools,
   registerTool,
   getAvailableTools,
-  executeToolById
+  executeToolById,
+  callTool
 }; 
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * MCP Tool: List Call Templates
+ *
+ * This tool lists the current user's saved call templates, for use with
+ * makePhoneCall's templateId and variables parameters.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { listCallTemplates } = require('../../services/call-templates');
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    limit: {
+      type: 'integer',
+      description: 'Maximum number of results to return (default: 20, max: 100)',
+      minimum: 1,
+      maximum: 100
+    },
+    offset: {
+      type: 'integer',
+      description: 'Number of results to skip for pagination (default: 0)',
+      minimum: 0
+    }
+  },
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the listCallTemplates tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Call templates
+ */
+async function execute(params, context) {
+  const { limit = 20, offset = 0 } = params || {};
+  const { sessionId, userId, organizationId = null } = context;
+
+  logger.info('Listing call templates', { sessionId, userId, organizationId, limit, offset });
+
+  try {
+    const { templates, total } = await listCallTemplates(userId, { limit, offset, organizationId });
+
+    return {
+      templates: templates.map(template => ({
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        version: template.version,
+        task: template.task,
+        firstSentence: template.first_sentence,
+        variables: template.variables || [],
+        voice: template.voice,
+        maxDuration: template.max_duration_seconds,
+        voicemailAction: template.voicemail_action,
+        extractionSchema: template.extraction_schema,
+        updatedAt: template.updated_at
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + templates.length < total
+      }
+    };
+  } catch (error) {
+    logger.error(`Error executing listCallTemplates tool: ${error.message}`, {
+      sessionId,
+      userId,
+      error
+    });
+    throw error;
+  }
+}
+
+// Tool definition for MCP
+const listCallTemplatesTool = {
+  name: 'listCallTemplates',
+  description: 'List saved call templates. Place a call from one with makePhoneCall, passing templateId and values for its variables.',
+  scope: 'templates:read',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = listCallTemplatesTool;
@@ -7,8 +7,17 @@
 const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
-const axios = require('axios');
 const { logCallToGoogleSheets } = require('../../google-sheets-logging');
+const { reserveCredits, attachCreditHold, releaseCreditHold } = require('../../services/billing');
+const { enforceContentModeration, linkModerationToCall } = require('../../services/content-moderation');
+const { scheduleCall, resolveScheduledTime } = require('../../services/scheduled-calls');
+const { enforceCallCompliance } = require('../../services/compliance');
+const { emitEvent } = require('../../services/webhooks');
+const { getProvider } = require('../../services/providers');
+const { validateExtractionSchema } = require('../../services/call-extraction');
+const { getCallTemplate, renderCallTemplate } = require('../../services/call-templates');
+const { validateRetryPolicy } = require('../../services/call-retries');
+const { getCallPreferences, applyCallPreferences } = require('../../services/call-preferences');
 
 // Schema for tool parameters
 const parametersSchema = {
@@ -21,30 +30,44 @@ const parametersSchema = {
     },
     task: {
       type: 'string',
-      description: 'What the AI should accomplish on this call'
+      description: 'What the AI should accomplish on this call. Required unless templateId is given.'
+    },
+    templateId: {
+      type: 'string',
+      description: 'Saved call template to use instead of task (see listCallTemplates). Its voice, maxDuration, voicemailAction, firstSentence and extractionSchema apply unless passed explicitly.'
+    },
+    templateVersion: {
+      type: 'integer',
+      description: 'Template version to use (default: the latest)',
+      minimum: 1
+    },
+    variables: {
+      type: 'object',
+      description: 'Values for the template\'s {{placeholders}}, e.g. { "first_name": "Jane" }'
+    },
+    firstSentence: {
+      type: 'string',
+      description: 'First thing the AI says when the call is answered'
     },
     voice: {
       type: 'string',
-      description: 'Voice ID to use for the call (UUID format)',
-      default: '4a5c3c9b-19bc-4ae7-9d58-a96950e97ef5' // Default to customer's preferred voice
+      description: 'Voice ID to use for the call (UUID format). Defaults to your preferred voice (see getCallPreferences).'
     },
     fromNumber: {
       type: 'string',
-      description: 'Phone number to call from (must be a verified number)',
+      description: 'Phone number to call from (must be a verified number). Defaults to your preferred number.',
       pattern: '^\\+[1-9]\\d{1,14}$'
     },
     temperature: {
       type: 'number',
-      description: 'Temperature for AI responses (0-1)',
+      description: 'Temperature for AI responses (0-1). Defaults to your preferred temperature.',
       minimum: 0,
-      maximum: 1,
-      default: 1
+      maximum: 1
     },
     voicemailAction: {
       type: 'string',
-      description: 'What to do when encountering voicemail',
-      enum: ['hangup', 'leave_message'],
-      default: 'hangup'
+      description: 'What to do when encountering voicemail. Defaults to your preferred action.',
+      enum: ['hangup', 'leave_message']
     },
     answeredByEnabled: {
       type: 'boolean',
@@ -58,12 +81,25 @@ const parametersSchema = {
       maximum: 1800,
       default: 300
     },
-    webhookUrl: {
+    scheduledAt: {
+      type: 'string',
+      description: 'Book the call for a future time instead of dialing now (ISO 8601, e.g. 2025-06-01T09:00:00). Times without an offset are read in `timezone`.'
+    },
+    timezone: {
       type: 'string',
-      description: 'URL to receive webhook notifications about call status changes'
+      description: 'IANA timezone for scheduledAt (e.g., America/New_York)',
+      default: 'UTC'
+    },
+    extractionSchema: {
+      type: 'object',
+      description: 'JSON schema of the data to extract from the call once it completes, e.g. { "properties": { "appointmentTime": { "type": "string" }, "confirmed": { "type": "boolean" } } }. Fields may be string, number, integer or boolean; a field\'s description is used as the question asked of the transcript. Read the results with getExtractedData.'
+    },
+    retryPolicy: {
+      type: 'object',
+      description: 'Dial again if the call ends busy, unanswered or in voicemail, overriding the account\'s retry policy: { "maxAttempts": 3, "outcomes": ["busy", "no_answer", "voicemail"], "backoffMinutes": 15, "backoffMultiplier": 2, "allowedHours": { "start": 9, "end": 18 } }. maxAttempts counts this call; allowedHours are in the callee\'s local time. Pass { "maxAttempts": 1 } to never retry.'
     }
   },
-  required: ['phoneNumber', 'task'],
+  required: ['phoneNumber'],
   additionalProperties: false
 };
 
@@ -84,76 +120,155 @@ function validateParameters(params) {
     };
   }
   
+  if (!params.task === !params.templateId) {
+    return { message: 'Pass either task or templateId' };
+  }
+  
+  if ((params.templateVersion || params.variables) && !params.templateId) {
+    return { message: 'templateVersion and variables require templateId' };
+  }
+  
+  if (params.extractionSchema) {
+    try {
+      validateExtractionSchema(params.extractionSchema);
+    } catch (error) {
+      return { message: error.message };
+    }
+  }
+  
+  if (params.retryPolicy) {
+    try {
+      validateRetryPolicy(params.retryPolicy);
+    } catch (error) {
+      return { message: error.message };
+    }
+  }
+  
   return null;
 }
 
+/**
+ * Replace templateId and variables with the rendered template. Parameters
+ * passed explicitly take precedence over the template's settings.
+ * @param {Object} params Tool parameters
+ * @param {string} userId User placing the call
+ * @param {string|null} organizationId Organization the call is placed for
+ * @returns {Promise<Object>} Parameters with task, and the template used
+ */
+async function applyCallTemplate(params, userId, organizationId) {
+  const { templateId, templateVersion, variables = {}, ...callParams } = params;
+  
+  const template = await getCallTemplate(userId, templateId, { version: templateVersion, organizationId });
+  if (!template) {
+    throw new Error(templateVersion
+      ? `Call template ${templateId} has no version ${templateVersion}`
+      : `Call template not found: ${templateId}`);
+  }
+  
+  return {
+    params: { ...renderCallTemplate(template, variables), ...callParams },
+    template
+  };
+}
+
 /**
  * Execute the tool with the provided parameters
  * @param {Object} params Tool parameters
- * @param {Object} context Execution context including sessionId
+ * @param {Object} context Execution context including sessionId, and the
+ *   organizationId whose credits, templates and call history the call uses
  * @returns {Promise<Object>} Tool execution result
  */
 async function execute(params, context) {
-  const { userId, sessionId } = context;
-  
-  // Get default settings from environment
-  const defaultFromNumber = process.env.CALL_FROM || process.env.AILEVELUP_DEFAULT_FROM_NUMBER || "+15615665857";
-  const ailevelupApiKey = process.env.AILEVELUP_ENTERPRISE_API_KEY;
-  const encryptedKey = process.env.AILEVELUP_ENCRYPTED_KEY;
+  const {
+    userId,
+    organizationId = null,
+    sessionId,
+    scheduledCallId,
+    retryOf = null,
+    attempt = 1,
+    allowDefer = true,
+    sendProgress = () => {}
+  } = context;
   
-  if (!ailevelupApiKey) {
-    throw new Error('ailevelup.AI API key not configured');
+  // Templates are rendered before anything else, so scheduled calls store
+  // the script as it reads today
+  let template = null;
+  if (params.templateId) {
+    ({ params, template } = await applyCallTemplate(params, userId, organizationId));
   }
   
-  // Check user credits
-  /*
-  const { data: userCredits, error: creditsError } = await supabase
-    .from('credits')
-    .select('balance')
-    .eq('user_id', userId)
-    .single();
+  // Rejected content never reaches the credit hold or the provider
+  const moderation = await enforceContentModeration(
+    { task: params.task, first_sentence: params.firstSentence, phone_number: params.phoneNumber },
+    { userId, organizationId }
+  );
   
-  if (creditsError || !userCredits || userCredits.balance <= 0) {
-    throw new Error('Insufficient credits');
+  // Opted-out numbers are never dialed, and calls that would land in the
+  // callee's quiet hours are blocked or pushed back. A call the dispatcher is
+  // already placing is not deferred a second time, and callers that pace their
+  // own calls (campaigns) can ask for a block instead with `allowDefer: false`.
+  const { scheduledAt, timezone = 'UTC', ...callParams } = params;
+  const compliance = await enforceCallCompliance(params.phoneNumber, {
+    userId,
+    organizationId,
+    at: scheduledAt ? resolveScheduledTime(scheduledAt, timezone) : new Date(),
+    allowDefer: !scheduledCallId && allowDefer
+  });
+  
+  // Scheduled and deferred calls are stored now and dialed by the dispatcher when due
+  if (scheduledAt || compliance.deferUntil) {
+    const dueAt = compliance.deferUntil ? compliance.deferUntil.toISOString() : scheduledAt;
+    const scheduledCall = await scheduleCall(userId, callParams, dueAt, timezone, { organizationId });
+    
+    logger.info('Scheduled call', { sessionId, userId, scheduledCallId: scheduledCall.id, scheduledAt: scheduledCall.scheduled_at });
+    
+    return {
+      scheduledCallId: scheduledCall.id,
+      status: 'scheduled',
+      scheduledAt: scheduledCall.scheduled_at,
+      timezone,
+      ...(compliance.deferUntil && { deferred: true }),
+      message: compliance.deferUntil
+        ? 'Call deferred until the end of the callee\'s quiet hours'
+        : 'Call scheduled successfully'
+    };
   }
-  */
   
-  // Bypass credit check for testing
-  logger.info('Bypassing credit check for testing purposes', { sessionId, userId });
-  const userCredits = { balance: 100 }; // Mock credits for deduction later
+  // Settings neither passed nor set by the template come from the user's
+  // preferences, then the account defaults. They are resolved when the call is
+  // dialed, so scheduled calls and retries follow the current preferences.
+  const preferences = await getCallPreferences(userId, { db: supabase });
+  params = applyCallPreferences(params, preferences);
+  
+  // Hold enough credits, free minutes first, to cover the longest the call can
+  // run. The hold is settled against the actual minutes when the call completes.
+  const maxDuration = params.maxDuration || 300;
+  const heldMinutes = Math.ceil(maxDuration / 60);
+  const holdId = await reserveCredits(userId, heldMinutes, { organizationId });
   
-  // Check for malicious content using gpt-4o-mini (this would be implemented separately)
-  // TODO: Implement content check with gpt-4o-mini before making the call
+  logger.info('Reserved credits for call', { sessionId, userId, holdId, heldMinutes });
   
-  // Prepare ailevelup.AI API request
-  const requestBody = {
-    phone_number: params.phoneNumber,
+  // Call parameters in provider form
+  const dialParams = {
+    phoneNumber: params.phoneNumber,
     task: params.task,
     voice: params.voice, // Using the voice ID directly from Supabase
-    from_number: params.fromNumber || defaultFromNumber,
-    model: 'turbo', // Always use turbo model for ailevelup.AI calls
+    fromNumber: params.fromNumber,
+    model: params.model,
     temperature: params.temperature,
-    voicemail_action: params.voicemailAction || 'hangup',
-    answered_by_enabled: params.answeredByEnabled !== undefined ? params.answeredByEnabled : true,
-    max_duration: params.maxDuration || 300
+    voicemailAction: params.voicemailAction,
+    answeredByEnabled: params.answeredByEnabled !== undefined ? params.answeredByEnabled : true,
+    maxDuration,
+    ...(params.firstSentence && { firstSentence: params.firstSentence })
   };
   
-  // Add encrypted key if available
-  if (encryptedKey) {
-    requestBody.encrypted_key = encryptedKey;
-  }
-  
-  // Add webhook URL if provided
-  if (params.webhookUrl) {
-    requestBody.webhook = params.webhookUrl;
-  }
+  sendProgress(1, 3, 'Placing call');
   
   logger.info('Making call request', {
     sessionId,
     userId,
     phoneNumber: params.phoneNumber,
     voice: params.voice,
-    webhookUrl: params.webhookUrl,
     environment: process.env.NODE_ENV
   });
   
@@ -178,16 +293,7 @@ async function execute(params, context) {
         FunctionName: process.env.AWS_LAMBDA_FUNCTION || 'ailevelup-phone-call-mcp-production-make-call',
         InvocationType: 'RequestResponse',
         Payload: JSON.stringify({
-          phoneNumber: params.phoneNumber,
-          task: params.task,
-          voice: params.voice,
-          fromNumber: params.fromNumber || defaultFromNumber,
-          maxDuration: params.maxDuration || 300,
-          temperature: params.temperature || 1,
-          model: 'turbo',
-          voicemailAction: params.voicemailAction || 'hangup',
-          answeredByEnabled: params.answeredByEnabled !== undefined ? params.answeredByEnabled : true,
-          webhookUrl: params.webhookUrl
+          ...dialParams
         })
       };
       
@@ -214,20 +320,10 @@ async function execute(params, context) {
         responseData = JSON.parse(responseData.body);
       }
     } else {
-      // Development mode - call ailevelup.AI API directly
-      const response = await axios.post(
-        'https://api.bland.ai/v1/calls',
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${ailevelupApiKey}`,
-            'Content-Type': 'application/json',
-            'X-Encrypted-Key': encryptedKey
-          }
-        }
-      );
+      // Development mode - call the telephony provider directly
+      const call = await getProvider().dial(dialParams);
       
-      responseData = response.data;
+      responseData = { ...call.raw, call_id: call.callId };
     }
     
     // Check for error response
@@ -243,23 +339,49 @@ async function execute(params, context) {
     
     const callId = responseData.call_id;
     
+    try {
+      await attachCreditHold(holdId, callId);
+    } catch (holdError) {
+      logger.error('Error attaching credit hold to call', { holdId, callId, error: holdError });
+    }
+    
+    await linkModerationToCall(moderation.id, callId);
+    
+    // Not awaited: receivers are notified without delaying the response
+    emitEvent('call.queued', userId, {
+      call_id: callId,
+      status: 'queued',
+      phone_number: params.phoneNumber
+    }, { organizationId });
+    
+    sendProgress(2, 3, `Call ${callId} queued`);
+    
     // Log the call to both Google Sheets and database
     const callData = {
       user_id: userId,
+      organization_id: organizationId,
       call_id: callId,
       phone_number: params.phoneNumber,
       status: 'initiated',
       task: params.task,
       voice: params.voice,
-      from_number: params.fromNumber || defaultFromNumber,
-      webhook: params.webhookUrl || '',
+      model: params.model,
+      temperature: params.temperature,
+      voicemail_action: params.voicemailAction,
+      from_number: params.fromNumber,
+      ...(params.extractionSchema && { extraction_schema: validateExtractionSchema(params.extractionSchema) }),
+      ...(template && { template_id: template.id, template_version: template.version }),
+      ...(params.retryPolicy && { retry_policy: params.retryPolicy }),
+      // Kept so the call can be dialed again by its retry policy
+      call_params: callParams,
+      original_call_id: retryOf,
+      attempt,
       request_parameters: {
         phoneNumber: params.phoneNumber,
         task: params.task,
         voice: params.voice,
         maxDuration: params.maxDuration || 300,
-        temperature: params.temperature || 1,
-        webhookUrl: params.webhookUrl || ''
+        temperature: params.temperature
       },
       response_parameters: responseData
     };
@@ -277,15 +399,6 @@ async function execute(params, context) {
       // Log to Google Sheets
       await logCallToGoogleSheets(callData);
       
-      // Deduct credits (1 credit per call for now)
-      await supabase
-        .from('credits')
-        .update({ 
-          balance: userCredits.balance - 1,
-          updated_at: new Date()
-        })
-        .eq('user_id', userId);
-      
       // Log API usage
       await supabase
         .from('api_usage')
@@ -294,7 +407,7 @@ async function execute(params, context) {
           endpoint: 'calls',
           status_code: 200,
           response_time: Date.now() - (context.startTime || Date.now()),
-          credits_used: 1,
+          credits_used: 0, // Charged when the call's credit hold is settled
           created_at: new Date()
         });
       
@@ -303,6 +416,8 @@ async function execute(params, context) {
       // Continue execution even if logging fails
     }
     
+    sendProgress(3, 3, 'Call initiated');
+    
     // Return successful response
     return {
       callId: callId,
@@ -313,6 +428,13 @@ async function execute(params, context) {
   } catch (error) {
     logger.error('Error making call', { error });
     
+    // The call was never placed, so nothing is owed
+    try {
+      await releaseCreditHold(holdId);
+    } catch (releaseError) {
+      logger.error('Error releasing credit hold', { holdId, error: releaseError });
+    }
+    
     // Log API usage even on error
     try {
       await supabase
@@ -320,7 +442,7 @@ async function execute(params, context) {
         .insert({
           user_id: userId,
           endpoint: 'calls',
-          status_code: error.response?.status || 500,
+          status_code: error.status || 500,
           response_time: Date.now() - (context.startTime || Date.now()),
           credits_used: 0,
           created_at: new Date()
@@ -330,7 +452,7 @@ async function execute(params, context) {
     }
     
     // Rethrow with appropriate message
-    throw new Error(error.response?.data?.message || error.message || 'Failed to make call');
+    throw new Error(error.message || 'Failed to make call');
   }
 }
 
@@ -338,6 +460,7 @@ async function execute(params, context) {
 const makePhoneCallTool = {
   name: 'makePhoneCall',
   description: 'Make an AI phone call using ailevelup.AI',
+  scope: 'calls:write',
   parameters: parametersSchema,
   validateParameters,
   execute
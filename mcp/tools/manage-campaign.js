@@ -0,0 +1,90 @@
+/**
+ * MCP Tool: Manage Campaign
+ *
+ * This tool pauses, resumes or cancels a calling campaign.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { pauseCampaign, resumeCampaign, cancelCampaign } = require('../../services/campaigns');
+
+// Campaign state changes by action
+const ACTIONS = {
+  pause: pauseCampaign,
+  resume: resumeCampaign,
+  cancel: cancelCampaign
+};
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    campaignId: {
+      type: 'string',
+      description: 'The campaign ID returned by createCampaign'
+    },
+    action: {
+      type: 'string',
+      description: 'Pause dialing, resume a paused campaign, or cancel the remaining calls. Calls already in progress are not interrupted.',
+      enum: Object.keys(ACTIONS)
+    }
+  },
+  required: ['campaignId', 'action'],
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the manageCampaign tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Updated campaign state
+ */
+async function execute(params, context) {
+  const { campaignId, action } = params;
+  const { sessionId, userId } = context;
+
+  logger.info(`Campaign ${campaignId}: ${action}`, { sessionId, userId, campaignId, action });
+
+  const campaign = await ACTIONS[action](userId, campaignId);
+
+  if (!campaign) {
+    throw new Error(`Campaign not found or cannot ${action} from its current state`);
+  }
+
+  return {
+    campaignId: campaign.id,
+    status: campaign.status
+  };
+}
+
+// Tool definition for MCP
+const manageCampaignTool = {
+  name: 'manageCampaign',
+  description: 'Pause, resume or cancel a calling campaign',
+  scope: 'campaigns:write',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = manageCampaignTool;
@@ -0,0 +1,156 @@
+/**
+ * MCP Tool: Manage Do-Not-Call List
+ *
+ * This tool lists, adds and removes numbers on the do-not-call list.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const {
+  listDoNotCallEntries,
+  addDoNotCallEntry,
+  removeDoNotCallEntry
+} = require('../../services/compliance');
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    action: {
+      type: 'string',
+      description: 'Whether to list the entries, add a number or remove a number',
+      enum: ['list', 'add', 'remove']
+    },
+    phoneNumber: {
+      type: 'string',
+      description: 'Phone number in E.164 format (e.g., +15551234567); required for add and remove',
+      pattern: '^\\+[1-9]\\d{1,14}$'
+    },
+    reason: {
+      type: 'string',
+      description: 'Why the number should not be called (e.g., opted out)'
+    },
+    global: {
+      type: 'boolean',
+      description: 'Use the list that applies to every account (admins only)',
+      default: false
+    },
+    limit: {
+      type: 'integer',
+      description: 'Maximum number of entries to list',
+      minimum: 1,
+      maximum: 100,
+      default: 50
+    },
+    offset: {
+      type: 'integer',
+      description: 'Number of entries to skip when listing',
+      minimum: 0,
+      default: 0
+    }
+  },
+  required: ['action'],
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  if (params.action !== 'list' && !params.phoneNumber) {
+    return {
+      message: `phoneNumber is required to ${params.action} a number`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the manageDoNotCall tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Entries for list, or the changed entry
+ */
+async function execute(params, context) {
+  const { action, phoneNumber, reason, global = false, limit = 50, offset = 0 } = params;
+  const { sessionId, userId, user } = context;
+
+  if (global && user?.role !== 'admin') {
+    throw new Error('Only admins can manage the global do-not-call list');
+  }
+
+  // null selects the global list
+  const listOwner = global ? null : userId;
+
+  logger.info(`Managing do-not-call list: ${action}`, {
+    sessionId,
+    userId,
+    action,
+    global
+  });
+
+  if (action === 'list') {
+    const { entries, total } = await listDoNotCallEntries({ userId: listOwner, limit, offset });
+
+    return {
+      entries: entries.map(entry => ({
+        phoneNumber: entry.phone_number,
+        reason: entry.reason,
+        createdAt: entry.created_at
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + entries.length < total
+      }
+    };
+  }
+
+  if (action === 'add') {
+    const entry = await addDoNotCallEntry(phoneNumber, { userId: listOwner, reason, addedBy: userId });
+
+    return {
+      phoneNumber: entry.phone_number,
+      reason: entry.reason,
+      message: 'Number added to the do-not-call list'
+    };
+  }
+
+  const removed = await removeDoNotCallEntry(phoneNumber, { userId: listOwner, removedBy: userId });
+
+  if (!removed) {
+    throw new Error('Number not found on the do-not-call list');
+  }
+
+  return {
+    phoneNumber,
+    message: 'Number removed from the do-not-call list'
+  };
+}
+
+// Tool definition for MCP
+const manageDoNotCallTool = {
+  name: 'manageDoNotCall',
+  description: 'List, add or remove numbers on the do-not-call list. Calls to listed numbers are always blocked.',
+  scope: args => (args && args.action === 'list' ? 'compliance:read' : 'compliance:write'),
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = manageDoNotCallTool;
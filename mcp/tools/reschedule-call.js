@@ -0,0 +1,100 @@
+/**
+ * MCP Tool: Reschedule Call
+ *
+ * This tool moves a scheduled call that has not been dialed yet to a new time.
+ */
+
+const { JSONSchemaValidator } = require('../lib/validators');
+const { logger } = require('../../utils/logger');
+const { rescheduleCall } = require('../../services/scheduled-calls');
+
+// Schema for tool parameters
+const parametersSchema = {
+  type: 'object',
+  properties: {
+    scheduledCallId: {
+      type: 'string',
+      description: 'The identifier returned when the call was scheduled'
+    },
+    scheduledAt: {
+      type: 'string',
+      description: 'New time to dial the call (ISO 8601). Times without an offset are read in `timezone`.'
+    },
+    timezone: {
+      type: 'string',
+      description: 'IANA timezone for scheduledAt (e.g., America/New_York)',
+      default: 'UTC'
+    }
+  },
+  required: ['scheduledCallId', 'scheduledAt'],
+  additionalProperties: false
+};
+
+// Validator for parameters
+const validator = new JSONSchemaValidator();
+
+/**
+ * Validate parameters against schema
+ * @param {Object} params Parameters to validate
+ * @returns {Object|null} Validation error or null if valid
+ */
+function validateParameters(params) {
+  const validationResult = validator.validate(params || {}, parametersSchema);
+
+  if (!validationResult.valid) {
+    return {
+      message: validationResult.errors.map(err => err.stack).join('; ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Execute the rescheduleCall tool
+ * @param {Object} params The tool parameters
+ * @param {Object} context Execution context including sessionId and user
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function execute(params, context) {
+  const { scheduledCallId, scheduledAt, timezone = 'UTC' } = params;
+  const { sessionId, userId, organizationId = null } = context;
+
+  logger.info(`Rescheduling call ${scheduledCallId}`, {
+    sessionId,
+    userId,
+    scheduledCallId,
+    scheduledAt,
+    timezone
+  });
+
+  const scheduledCall = await rescheduleCall(userId, scheduledCallId, scheduledAt, timezone, { organizationId });
+
+  if (!scheduledCall) {
+    logger.warn(`Scheduled call not found or already dispatched: ${scheduledCallId}`, {
+      sessionId,
+      userId,
+      scheduledCallId
+    });
+    throw new Error('Scheduled call not found, or it has already been dialed or cancelled');
+  }
+
+  return {
+    scheduledCallId: scheduledCall.id,
+    status: scheduledCall.status,
+    scheduledAt: scheduledCall.scheduled_at,
+    timezone: scheduledCall.timezone
+  };
+}
+
+// Tool definition for MCP
+const rescheduleCallTool = {
+  name: 'rescheduleCall',
+  description: 'Move a scheduled phone call to a new time',
+  scope: 'calls:write',
+  parameters: parametersSchema,
+  validateParameters,
+  execute
+};
+
+module.exports = rescheduleCallTool;
@@ -8,6 +8,9 @@ const { JSONSchemaValidator } = require('../lib/validators');
 const { logger } = require('../../utils/logger');
 const { supabase } = require('../../config/supabase');
 const { redisClient } = require('../../config/redis');
+const { validateRetryPolicy } = require('../../services/call-retries');
+const { isKnownModel, MODEL_OPTIONS } = require('../../services/call-preferences');
+const { findVoice } = require('../../services/voice-catalog');
 
 // Schema for tool parameters
 const parametersSchema = {
@@ -15,11 +18,11 @@ const parametersSchema = {
   properties: {
     defaultVoice: {
       type: 'string',
-      description: 'Default voice to use for calls'
+      description: 'Default voice to use for calls, by ID or name (see getVoiceOptions)'
     },
     defaultModel: {
       type: 'string',
-      description: 'Default AI model to use for calls'
+      description: 'Default AI model to use for calls (see getModelOptions)'
     },
     defaultTemperature: {
       type: 'number',
@@ -35,16 +38,16 @@ const parametersSchema = {
       type: 'string',
       description: 'Default action when voicemail is detected',
       enum: ['leave_message', 'hang_up', 'retry_later']
+    },
+    retryPolicy: {
+      type: ['object', 'null'],
+      description: 'Retry policy for calls that end busy, unanswered or in voicemail, e.g. { "maxAttempts": 3, "outcomes": ["busy", "no_answer"], "backoffMinutes": 15, "backoffMultiplier": 2, "allowedHours": { "start": 9, "end": 18 } }. A call\'s own retryPolicy takes precedence. Pass null to stop retrying.'
     }
   },
   additionalProperties: false,
   minProperties: 1
 };
 
-// Valid voice and model options
-const VALID_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
-const VALID_MODELS = ['gpt-4', 'gpt-3.5-turbo', 'claude-3-opus', 'claude-3-sonnet'];
-
 // Validator for parameters
 const validator = new JSONSchemaValidator();
 
@@ -62,16 +65,11 @@ function validateParameters(params) {
     };
   }
   
-  // Additional validation for specific fields
-  if (params.defaultVoice && !VALID_VOICES.includes(params.defaultVoice)) {
-    return {
-      message: `Invalid voice option. Valid voices are: ${VALID_VOICES.join(', ')}`
-    };
-  }
-  
-  if (params.defaultModel && !VALID_MODELS.includes(params.defaultModel)) {
+  // Additional validation for specific fields; voices are checked against
+  // the voice catalog when the tool runs
+  if (params.defaultModel && !isKnownModel(params.defaultModel)) {
     return {
-      message: `Invalid model option. Valid models are: ${VALID_MODELS.join(', ')}`
+      message: `Invalid model option. Valid models are: ${MODEL_OPTIONS.map(model => model.id).join(', ')}`
     };
   }
   
@@ -81,6 +79,14 @@ function validateParameters(params) {
     };
   }
   
+  if (params.retryPolicy) {
+    try {
+      validateRetryPolicy(params.retryPolicy);
+    } catch (error) {
+      return { message: error.message };
+    }
+  }
+  
   return null;
 }
 
@@ -109,6 +115,15 @@ async function execute(params, context) {
   });
 
   try {
+    // Voices come from the live catalog, as listed by getVoiceOptions
+    let voice = null;
+    if (params.defaultVoice) {
+      voice = await findVoice(params.defaultVoice, { db: supabase });
+      if (!voice) {
+        throw new Error(`Invalid voice option: ${params.defaultVoice}. Use getVoiceOptions to list available voices.`);
+      }
+    }
+
     // First, check if user has settings already
     const { data: existingSettings, error: fetchError } = await supabase
       .from('user_settings')
@@ -128,11 +143,12 @@ async function execute(params, context) {
     // Convert params to database column names
     const settingsToUpdate = {};
     
-    if (params.defaultVoice) settingsToUpdate.default_voice = params.defaultVoice;
+    if (voice) settingsToUpdate.default_voice = voice.id;
     if (params.defaultModel) settingsToUpdate.default_model = params.defaultModel;
     if (params.defaultTemperature !== undefined) settingsToUpdate.default_temperature = params.defaultTemperature;
     if (params.defaultFromNumber) settingsToUpdate.default_from_number = params.defaultFromNumber;
     if (params.defaultVoicemailAction) settingsToUpdate.default_voicemail_action = params.defaultVoicemailAction;
+    if (params.retryPolicy !== undefined) settingsToUpdate.retry_policy = params.retryPolicy;
 
     let result;
     
@@ -207,6 +223,7 @@ async function execute(params, context) {
       defaultTemperature: result.default_temperature,
       defaultFromNumber: result.default_from_number,
       defaultVoicemailAction: result.default_voicemail_action,
+      retryPolicy: result.retry_policy || null,
       updatedAt: result.updated_at
     };
 
@@ -231,6 +248,7 @@ async function execute(params, context) {
 const updateCallPreferencesTool = {
   name: 'updateCallPreferences',
   description: 'Update default preferences for phone calls',
+  scope: 'settings:write',
   parameters: parametersSchema,
   validateParameters,
   execute
@@ -1,5 +1,16 @@
 const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { verifyApiKey, hasScope, API_KEY_SCOPES } = require('../services/api-keys');
+const { isSessionActive } = require('../services/sessions');
+const { getOrganizationAccess } = require('../services/organizations');
+
+// Response status for each reason an API key is refused
+const API_KEY_ERROR_STATUS = {
+  INVALID_API_KEY: 401,
+  API_KEY_EXPIRED: 401,
+  API_KEY_REVOKED: 403,
+  API_KEY_IP_NOT_ALLOWED: 403
+};
 
 async function authenticate(req, res, next) {
   try {
@@ -14,6 +25,16 @@ async function authenticate(req, res, next) {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // OAuth access tokens only grant their scopes at the MCP endpoint
+    if (decoded.client_id) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    // Tokens of revoked sessions stop working before they expire
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
     
     // Get user from database
     const { data: user, error } = await supabaseAdmin
@@ -26,8 +47,25 @@ async function authenticate(req, res, next) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
-    // Attach user to request
+    // Requests act for the organization named in X-Organization-Id, if any
+    let organization = null;
+    const organizationId = req.headers['x-organization-id'];
+    if (organizationId) {
+      try {
+        organization = await getOrganizationAccess(user.id, organizationId);
+      } catch (organizationError) {
+        if (organizationError.code === 'NOT_A_MEMBER') {
+          return res.status(403).json({ error: organizationError.message });
+        }
+        throw organizationError;
+      }
+    }
+
+    // Attach user, session and organization to request
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.organization = organization;
+    req.organizationId = organization ? organization.organizationId : null;
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
@@ -47,6 +85,7 @@ async function validateApiKey(req, res, next) {
     if (process.env.NODE_ENV === 'development' && process.env.BYPASS_API_KEY_VALIDATION === 'true') {
       console.log('Bypassing API key validation in development mode');
       req.user = { id: 'test-user-id', role: 'user' };
+      req.apiKey = { id: null, prefix: null, scopes: API_KEY_SCOPES };
       return next();
     }
 
@@ -55,30 +94,57 @@ async function validateApiKey(req, res, next) {
       return res.status(401).json({ error: 'No API key provided' });
     }
 
-    // Get user by API key
+    let key;
+    try {
+      key = await verifyApiKey(apiKey, { ip: req.ip });
+    } catch (error) {
+      if (API_KEY_ERROR_STATUS[error.code]) {
+        return res.status(API_KEY_ERROR_STATUS[error.code]).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Get the user the key belongs to
     const { data: user, error } = await supabaseAdmin
       .from('users')
       .select('*')
-      .eq('api_key', apiKey)
+      .eq('id', key.user_id)
       .single();
 
     if (error || !user) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
 
-    // Check if user has sufficient credits
+    // Keys created for an organization act for it, and only while their
+    // creator is still a member
+    let organization = null;
+    if (key.organization_id) {
+      try {
+        organization = await getOrganizationAccess(user.id, key.organization_id);
+      } catch (organizationError) {
+        if (organizationError.code === 'NOT_A_MEMBER') {
+          return res.status(403).json({ error: 'API key owner is no longer a member of its organization' });
+        }
+        throw organizationError;
+      }
+    }
+
+    // Check if user has sufficient credits; organizations use their own balance
     const { data: credits, error: creditsError } = await supabaseAdmin
       .from('credits')
       .select('balance')
-      .eq('user_id', user.id)
+      .eq(organization ? 'organization_id' : 'user_id', organization ? organization.organizationId : user.id)
       .single();
 
     if (creditsError) {
       return res.status(500).json({ error: 'Error checking credits' });
     }
 
-    // Attach user and credits to request
+    // Attach user, key, organization and credits to request
     req.user = user;
+    req.apiKey = { id: key.id, prefix: key.key_prefix, scopes: key.permissions || [] };
+    req.organization = organization;
+    req.organizationId = organization ? organization.organizationId : null;
     req.userCredits = credits.balance;
     next();
   } catch (error) {
@@ -86,8 +152,34 @@ async function validateApiKey(req, res, next) {
   }
 }
 
+/**
+ * Require a scope of the request's API key and, in an organization, of the
+ * member's role. Requests not made with an API key act with the user's full
+ * access.
+ * @param {String} scope - Scope the route needs, e.g. 'calls:write'
+ * @returns {Function} - Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !hasScope(req.apiKey.scopes, scope)) {
+      return res.status(403).json({
+        error: 'API key does not have the required scope',
+        required: scope
+      });
+    }
+    if (req.organization && !hasScope(req.organization.scopes, scope)) {
+      return res.status(403).json({
+        error: `The ${req.organization.role} role does not have the required scope`,
+        required: scope
+      });
+    }
+    next();
+  };
+}
+
 module.exports = {
   authenticate,
   requireAdmin,
-  validateApiKey
+  validateApiKey,
+  requireScope
 }; 
\ No newline at end of file
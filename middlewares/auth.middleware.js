@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
-const { supabaseAdmin } = require('../config/supabase');
+const { verifyApiKey } = require('../services/api-keys');
+const { isSessionActive } = require('../services/sessions');
 
 /**
  * Middleware to validate API key
@@ -12,19 +13,17 @@ const validateApiKey = async (req, res, next) => {
       return res.status(401).json({ error: 'API key is required' });
     }
     
-    // Look up the API key in the database
-    const { data, error } = await supabaseAdmin
-      .from('api_keys')
-      .select('user_id, is_active, permissions')
-      .eq('key', apiKey)
-      .single();
-      
-    if (error || !data) {
-      return res.status(401).json({ error: 'Invalid API key' });
-    }
-    
-    if (!data.is_active) {
-      return res.status(403).json({ error: 'API key is inactive' });
+    let data;
+    try {
+      data = await verifyApiKey(apiKey, { ip: req.ip });
+    } catch (error) {
+      if (error.code === 'API_KEY_REVOKED' || error.code === 'API_KEY_IP_NOT_ALLOWED') {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.code === 'INVALID_API_KEY' || error.code === 'API_KEY_EXPIRED') {
+        return res.status(401).json({ error: error.message });
+      }
+      throw error;
     }
     
     // Add user data to request object
@@ -32,6 +31,7 @@ const validateApiKey = async (req, res, next) => {
       id: data.user_id,
       permissions: data.permissions || []
     };
+    req.apiKey = { id: data.id, prefix: data.key_prefix, scopes: data.permissions || [] };
     
     next();
   } catch (error) {
@@ -54,13 +54,26 @@ const validateJWT = (req, res, next) => {
     const token = authHeader.split(' ')[1];
     
     jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
+      // OAuth access tokens only grant their scopes at the MCP endpoint
+      if (err || decoded.client_id) {
         return res.status(401).json({ error: 'Invalid or expired token' });
       }
       
       // Add user data to request object
       req.user = decoded;
-      next();
+      req.sessionId = decoded.sid;
+      
+      if (!decoded.sid) {
+        return next();
+      }
+      
+      // Tokens of revoked sessions stop working before they expire
+      isSessionActive(decoded.sid)
+        .then(active => (active ? next() : res.status(401).json({ error: 'Session has been revoked' })))
+        .catch(error => {
+          console.error('JWT validation error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        });
     });
   } catch (error) {
     console.error('JWT validation error:', error);
@@ -1,20 +1,10 @@
-// Local script to poll for call updates every 5 minutes
+// Local script to poll for call status updates when the API server's tracker is disabled
 require('dotenv').config();
-const { pollCallUpdates } = require('./google-sheets-logging');
+const { startCallStateService } = require('./services/call-state');
 
 console.log('Starting call update polling service...');
 
-// Run immediately on startup
-pollCallUpdates()
-  .then(() => console.log('Initial poll completed at', new Date().toISOString()))
-  .catch(error => console.error('Error in initial poll:', error));
+// Polls once immediately, then every few seconds for calls that are due
+startCallStateService();
 
-// Then run every 5 minutes
-setInterval(() => {
-  console.log('Running scheduled poll at', new Date().toISOString());
-  pollCallUpdates()
-    .then(() => console.log('Poll completed at', new Date().toISOString()))
-    .catch(error => console.error('Error in scheduled poll:', error));
-}, 5 * 60 * 1000); // 5 minutes in milliseconds
-
-console.log('Polling service started. Press Ctrl+C to stop.'); 
\ No newline at end of file
+console.log('Polling service started. Press Ctrl+C to stop.');
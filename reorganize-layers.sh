@@ -8,7 +8,6 @@ echo "Reorganizing Lambda layers..."
 # Create the necessary directory structure
 mkdir -p lambda-layers/utils/nodejs/lib
 mkdir -p lambda-layers/utils/nodejs/utils
-mkdir -p lambda-layers/utils/nodejs/services
 
 # Copy lib files
 cp functions/lib/* lambda-layers/utils/nodejs/lib/
@@ -16,8 +15,16 @@ cp functions/lib/* lambda-layers/utils/nodejs/lib/
 # Copy utils files
 cp functions/utils/* lambda-layers/utils/nodejs/utils/
 
-# Copy services files
-cp functions/services/* lambda-layers/utils/nodejs/services/
+# Services shared with the API server, with the modules of this repository
+# they require (config, mcp, utils), at the same paths as here
+node scripts/copy-layer-modules.js lambda-layers/utils/nodejs \
+  services/content-moderation.js \
+  services/webhooks.js \
+  services/call-state.js \
+  services/call-extraction.js \
+  services/call-preferences.js \
+  services/voice-catalog.js \
+  services/providers
 
 # Create the utils layer zip
 cd lambda-layers/utils
@@ -2,8 +2,19 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const { supabaseAdmin } = require('../config/supabase');
+const { authenticate } = require('../middlewares/auth');
+const { createApiKey, API_KEY_SCOPES } = require('../services/api-keys');
+const { createSession } = require('../services/sessions');
+const {
+  generateApiKey,
+  listApiKeys,
+  revokeApiKey,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession
+} = require('../controllers/auth.controller');
 
 // Register a new user
 router.post('/register', async (req, res) => {
@@ -29,16 +40,12 @@ router.post('/register', async (req, res) => {
     // Hash password
     const passwordHash = await bcrypt.hash(password, 10);
 
-    // Generate API key
-    const apiKey = uuidv4();
-
     // Create user
     const { data: user, error: createError } = await supabaseAdmin
       .from('users')
       .insert({
         email,
         password_hash: passwordHash,
-        api_key: apiKey,
         role: 'user'
       })
       .select()
@@ -62,6 +69,10 @@ router.post('/register', async (req, res) => {
       // Don't fail registration if credits initialization fails
     }
 
+    // Create the account's first API key, with every scope. Only its hash is
+    // stored, so this response is the one chance to read it.
+    const { key: apiKey } = await createApiKey(user.id, { name: 'Default key', scopes: API_KEY_SCOPES });
+
     // Generate JWT
     const token = jwt.sign(
       { userId: user.id },
@@ -121,9 +132,15 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Start a session; the refresh token is rotated each time it is used
+    const { refreshToken, sessionId } = await createSession(user.id, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
     // Generate JWT
     const token = jwt.sign(
-      { userId: user.id },
+      { userId: user.id, sid: sessionId },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRATION || '24h' }
     );
@@ -137,13 +154,14 @@ router.post('/login', async (req, res) => {
         metadata: { email }
       });
 
-    // Return user info (excluding password hash)
+    // Return user info (excluding password hash). API keys are stored hashed
+    // and cannot be returned; list them at /api-keys.
     const userResponse = {
       id: user.id,
       email: user.email,
-      api_key: user.api_key,
       role: user.role,
-      token
+      token,
+      refreshToken
     };
 
     res.json(userResponse);
@@ -153,4 +171,19 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Create, list and revoke API keys
+router.post('/api-keys', authenticate, generateApiKey);
+router.get('/api-keys', authenticate, listApiKeys);
+router.delete('/api-keys/:keyId', authenticate, revokeApiKey);
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/token', refreshToken);
+
+// Revoke the session of a refresh token, or all sign-in sessions
+router.post('/logout', authenticate, logout);
+
+// List and revoke active sessions
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, deleteSession);
+
 module.exports = router; 
\ No newline at end of file
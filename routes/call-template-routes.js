@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { validateApiKey, requireScope } = require('../middlewares/auth');
+const {
+  createCallTemplate,
+  listCallTemplates,
+  getCallTemplate,
+  listCallTemplateVersions,
+  updateCallTemplate,
+  deleteCallTemplate
+} = require('../services/call-templates');
+
+/**
+ * Read template fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Fields given, in service form
+ */
+function getTemplateFields(body) {
+  const fields = {
+    name: body.name,
+    description: body.description,
+    task: body.task,
+    firstSentence: body.first_sentence,
+    voice: body.voice,
+    // minutes here, seconds in the service
+    maxDuration: body.max_duration === null ? null : body.max_duration && body.max_duration * 60,
+    voicemailAction: body.voicemail_action,
+    extractionSchema: body.extraction_schema
+  };
+
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+}
+
+// Create a call template
+router.post('/call-templates', validateApiKey, requireScope('templates:write'), async (req, res) => {
+  try {
+    const template = await createCallTemplate(req.user.id, getTemplateFields(req.body), {
+      organizationId: req.organizationId
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to create call template', message: error.message });
+  }
+});
+
+// List call templates
+router.get('/call-templates', validateApiKey, requireScope('templates:read'), async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const { templates, total } = await listCallTemplates(req.user.id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      organizationId: req.organizationId
+    });
+
+    res.json({
+      templates,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing call templates:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a call template, optionally at an earlier version
+router.get('/call-templates/:templateId', validateApiKey, requireScope('templates:read'), async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version) : undefined;
+    const template = await getCallTemplate(req.user.id, req.params.templateId, {
+      version,
+      organizationId: req.organizationId
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Call template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching call template:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List a call template's versions
+router.get('/call-templates/:templateId/versions', validateApiKey, requireScope('templates:read'), async (req, res) => {
+  try {
+    const versions = await listCallTemplateVersions(req.user.id, req.params.templateId, {
+      organizationId: req.organizationId
+    });
+
+    if (!versions) {
+      return res.status(404).json({ error: 'Call template not found' });
+    }
+
+    res.json({ versions });
+  } catch (error) {
+    console.error('Error listing call template versions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a call template; script and setting changes store a new version
+router.put('/call-templates/:templateId', validateApiKey, requireScope('templates:write'), async (req, res) => {
+  try {
+    const template = await updateCallTemplate(req.user.id, req.params.templateId, getTemplateFields(req.body), {
+      organizationId: req.organizationId
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Call template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to update call template', message: error.message });
+  }
+});
+
+// Delete a call template
+router.delete('/call-templates/:templateId', validateApiKey, requireScope('templates:write'), async (req, res) => {
+  try {
+    const deleted = await deleteCallTemplate(req.user.id, req.params.templateId, {
+      organizationId: req.organizationId
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Call template not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting call template:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
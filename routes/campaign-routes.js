@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { validateApiKey, requireScope } = require('../middlewares/auth');
+const {
+  createCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  getCampaignReport
+} = require('../services/campaigns');
+const makePhoneCallTool = require('../mcp/tools/make-phone-call');
+
+// Create a campaign from a CSV of contacts
+router.post('/campaigns', validateApiKey, requireScope('campaigns:write'), async (req, res) => {
+  const {
+    name,
+    task_template,
+    csv,
+    concurrency,
+    pacing_seconds,
+    voice,
+    from_number,
+    temperature,
+    voicemail_action,
+    answered_by_enabled,
+    max_duration,
+    webhook_url
+  } = req.body;
+
+  if (!name || !task_template || !csv) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name', 'task_template', 'csv']
+    });
+  }
+
+  // Settings shared by every call, in makePhoneCall parameter form
+  const callParams = {
+    ...(voice && { voice }),
+    ...(from_number && { fromNumber: from_number }),
+    ...(temperature !== undefined && { temperature }),
+    ...(voicemail_action && { voicemailAction: voicemail_action }),
+    ...(answered_by_enabled !== undefined && { answeredByEnabled: answered_by_enabled }),
+    ...(max_duration && { maxDuration: max_duration * 60 }), // minutes here, seconds in the tool
+    ...(webhook_url && { webhookUrl: webhook_url })
+  };
+
+  const validationError = makePhoneCallTool.validateParameters({
+    ...callParams,
+    phoneNumber: '+15555550100',
+    task: task_template
+  });
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Invalid call parameters',
+      message: validationError.message
+    });
+  }
+
+  try {
+    const campaign = await createCampaign(req.user.id, {
+      name,
+      taskTemplate: task_template,
+      csv,
+      callParams,
+      ...(concurrency !== undefined && { concurrency }),
+      ...(pacing_seconds !== undefined && { pacingSeconds: pacing_seconds })
+    });
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to create campaign', message: error.message });
+  }
+});
+
+// List campaigns
+router.get('/campaigns', validateApiKey, requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, status } = req.query;
+
+    const { campaigns, total } = await listCampaigns(req.user.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      campaigns,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing campaigns:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a campaign's results report
+router.get('/campaigns/:campaignId', validateApiKey, requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const report = await getCampaignReport(req.user.id, req.params.campaignId);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching campaign report:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pause, resume or cancel a campaign
+const campaignActions = {
+  pause: pauseCampaign,
+  resume: resumeCampaign,
+  cancel: cancelCampaign
+};
+
+Object.entries(campaignActions).forEach(([action, transition]) => {
+  router.post(`/campaigns/:campaignId/${action}`, validateApiKey, requireScope('campaigns:write'), async (req, res) => {
+    try {
+      const campaign = await transition(req.user.id, req.params.campaignId);
+
+      if (!campaign) {
+        return res.status(409).json({
+          error: `Campaign not found or cannot ${action} from its current state`
+        });
+      }
+
+      res.json(campaign);
+    } catch (error) {
+      console.error(`Error trying to ${action} campaign:`, error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { validateApiKey, requireScope } = require('../middlewares/auth');
+const {
+  listDoNotCallEntries,
+  addDoNotCallEntry,
+  removeDoNotCallEntry,
+  getComplianceSettings,
+  updateComplianceSettings
+} = require('../services/compliance');
+
+/**
+ * Resolve which do-not-call list a request targets. The global list applies to
+ * every account, so only admins may change or read it.
+ * @param {Object} req - Express request
+ * @param {Boolean} global - Whether the global list was requested
+ * @returns {String|null|undefined} - User ID, null for the global list, or undefined if forbidden
+ */
+function resolveListOwner(req, global) {
+  if (!global) {
+    return req.user.id;
+  }
+  return req.user.role === 'admin' ? null : undefined;
+}
+
+// List do-not-call entries
+router.get('/do-not-call', validateApiKey, requireScope('compliance:read'), async (req, res) => {
+  const { limit = 50, offset = 0, scope } = req.query;
+
+  const userId = resolveListOwner(req, scope === 'global');
+  if (userId === undefined) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    const { entries, total } = await listDoNotCallEntries({
+      userId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing do-not-call entries:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a number to the do-not-call list
+router.post('/do-not-call', validateApiKey, requireScope('compliance:write'), async (req, res) => {
+  const { phone_number, reason, global = false } = req.body;
+
+  if (!phone_number) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['phone_number']
+    });
+  }
+
+  const userId = resolveListOwner(req, global === true);
+  if (userId === undefined) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    const entry = await addDoNotCallEntry(phone_number, { userId, reason, addedBy: req.user.id });
+    res.status(201).json(entry);
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to add number', message: error.message });
+  }
+});
+
+// Remove a number from the do-not-call list
+router.delete('/do-not-call/:phoneNumber', validateApiKey, requireScope('compliance:write'), async (req, res) => {
+  const userId = resolveListOwner(req, req.query.scope === 'global');
+  if (userId === undefined) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    const removed = await removeDoNotCallEntry(req.params.phoneNumber, { userId, removedBy: req.user.id });
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Number not found on the do-not-call list' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing do-not-call entry:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get quiet hours settings
+router.get('/compliance/settings', validateApiKey, requireScope('compliance:read'), async (req, res) => {
+  try {
+    res.json(await getComplianceSettings(req.user.id));
+  } catch (error) {
+    console.error('Error fetching compliance settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update quiet hours settings
+router.put('/compliance/settings', validateApiKey, requireScope('compliance:write'), async (req, res) => {
+  const { quiet_hours_start, quiet_hours_end, quiet_hours_action } = req.body;
+
+  try {
+    const settings = await updateComplianceSettings(req.user.id, {
+      quietHoursStart: quiet_hours_start,
+      quietHoursEnd: quiet_hours_end,
+      quietHoursAction: quiet_hours_action
+    });
+    res.json(settings);
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to update compliance settings', message: error.message });
+  }
+});
+
+module.exports = router;
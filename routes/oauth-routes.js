@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const { logAuditEvent } = require('../services/audit-logging');
+const {
+  SCOPE_DESCRIPTIONS,
+  getIssuer,
+  getAuthorizationServerMetadata,
+  getProtectedResourceMetadata,
+  registerClient,
+  validateAuthorizationRequest,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  revokeRefreshToken
+} = require('../services/oauth');
+
+// OAuth endpoints answer with `error` and `error_description` (RFC 6749 section 5.2)
+function sendOAuthError(res, error) {
+  if (error.code !== 'OAUTH_ERROR') {
+    console.error('OAuth error:', error);
+    return res.status(500).json({ error: 'server_error', error_description: 'Server error' });
+  }
+
+  res.status(error.details.error === 'invalid_client' ? 401 : 400).json({
+    error: error.details.error,
+    error_description: error.message
+  });
+}
+
+// Add parameters to a client's redirect URI
+function buildRedirect(redirectUri, params) {
+  const url = new URL(redirectUri);
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+}
+
+function getRequestIssuer(req) {
+  return getIssuer(`${req.protocol}://${req.get('host')}`);
+}
+
+// Validate an authorization request for the MCP endpoint on this server
+function validateRequest(req, params) {
+  const issuer = getRequestIssuer(req);
+  return validateAuthorizationRequest(params, { resource: getProtectedResourceMetadata(issuer).resource });
+}
+
+// Authorization server metadata (RFC 8414)
+router.get('/.well-known/oauth-authorization-server', (req, res) => {
+  res.json(getAuthorizationServerMetadata(getRequestIssuer(req)));
+});
+
+// Protected resource metadata for the MCP endpoint (RFC 9728)
+router.get([
+  '/.well-known/oauth-protected-resource',
+  '/.well-known/oauth-protected-resource/api/v1/mcp'
+], (req, res) => {
+  res.json(getProtectedResourceMetadata(getRequestIssuer(req)));
+});
+
+// Dynamic client registration (RFC 7591)
+router.post('/oauth/register', async (req, res) => {
+  try {
+    res.status(201).json(await registerClient(req.body));
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// Authorization endpoint: checks the request, then hands the user to the
+// consent screen in the web client with the same parameters
+router.get('/oauth/authorize', async (req, res) => {
+  try {
+    await validateRequest(req, req.query);
+
+    const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    res.redirect(`/oauth/consent${search}`);
+  } catch (error) {
+    if (error.code === 'OAUTH_ERROR' && error.details.redirectUri) {
+      return res.redirect(buildRedirect(error.details.redirectUri, {
+        error: error.details.error,
+        error_description: error.message,
+        state: error.details.state
+      }));
+    }
+    sendOAuthError(res, error);
+  }
+});
+
+// Token endpoint: authorization_code and refresh_token grants
+router.post('/oauth/token', async (req, res) => {
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+  try {
+    const { grant_type: grantType } = req.body;
+    const device = { userAgent: req.get('user-agent'), ip: req.ip };
+
+    if (grantType === 'authorization_code') {
+      return res.json(await exchangeAuthorizationCode(req.body, device));
+    }
+    if (grantType === 'refresh_token') {
+      return res.json(await refreshAccessToken(req.body, device));
+    }
+
+    res.status(400).json({
+      error: 'unsupported_grant_type',
+      error_description: 'grant_type must be authorization_code or refresh_token'
+    });
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// Token revocation (RFC 7009). Access tokens are short-lived and cannot be
+// revoked; revoking the refresh token ends the grant and its session.
+router.post('/oauth/revoke', async (req, res) => {
+  const { token, client_id: clientId } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'token is required' });
+  }
+
+  try {
+    await revokeRefreshToken(token, { clientId });
+    res.status(200).end();
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// Details of an authorization request for the consent screen
+router.get('/api/v1/oauth/authorize', authenticate, async (req, res) => {
+  try {
+    const request = await validateRequest(req, req.query);
+
+    res.json({
+      client: {
+        id: request.client.client_id,
+        name: request.client.client_name,
+        uri: request.client.client_uri || null
+      },
+      redirectUri: request.redirectUri,
+      scopes: request.scopes.map(scope => ({ scope, description: SCOPE_DESCRIPTIONS[scope] || scope }))
+    });
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// Approve or deny an authorization request. The response says where to send
+// the user: back to the client with a code, or with access_denied.
+router.post('/api/v1/oauth/authorize', authenticate, async (req, res) => {
+  const { approved, ...params } = req.body;
+
+  try {
+    const request = await validateRequest(req, params);
+
+    if (approved !== true) {
+      return res.json({
+        redirectTo: buildRedirect(request.redirectUri, { error: 'access_denied', state: request.state })
+      });
+    }
+
+    const code = await createAuthorizationCode(req.user.id, request);
+
+    await logAuditEvent('oauth.authorization_granted', req.user.id, {
+      client_id: request.client.client_id,
+      scopes: request.scopes
+    });
+
+    res.json({
+      redirectTo: buildRedirect(request.redirectUri, { code, state: request.state })
+    });
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const {
+  MANAGER_ROLES,
+  createOrganization,
+  listOrganizations,
+  getMembership,
+  updateOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+} = require('../services/organizations');
+
+// Response status for each organization error
+const ORGANIZATION_ERROR_STATUS = {
+  INVALID_ORGANIZATION: 400,
+  INVALID_ROLE: 400,
+  ORGANIZATION_PERMISSION_DENIED: 403,
+  NOT_A_MEMBER: 403,
+  INVITATION_EMAIL_MISMATCH: 403,
+  INVALID_INVITATION: 404,
+  ALREADY_A_MEMBER: 409,
+  LAST_OWNER: 409,
+  INVITATION_EXPIRED: 410
+};
+
+function sendOrganizationError(res, error, message) {
+  if (ORGANIZATION_ERROR_STATUS[error.code]) {
+    return res.status(ORGANIZATION_ERROR_STATUS[error.code]).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: 'Server error' });
+}
+
+/**
+ * Require the user to be a member of the organization in the path, with one
+ * of the given roles if any. The membership is attached as req.membership.
+ * @param {...String} roles - Roles allowed; any member if none
+ * @returns {Function} - Express middleware
+ */
+function requireMembership(...roles) {
+  return async (req, res, next) => {
+    try {
+      const membership = await getMembership(req.params.organizationId, req.user.id);
+      if (!membership) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (roles.length > 0 && !roles.includes(membership.role)) {
+        return res.status(403).json({ error: `Requires one of the roles: ${roles.join(', ')}` });
+      }
+      req.membership = membership;
+      next();
+    } catch (error) {
+      sendOrganizationError(res, error, 'Error checking organization membership');
+    }
+  };
+}
+
+// Create an organization; the creator becomes its owner
+router.post('/organizations', authenticate, async (req, res) => {
+  try {
+    const organization = await createOrganization(req.user.id, { name: req.body.name });
+    res.status(201).json(organization);
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error creating organization');
+  }
+});
+
+// List the organizations the user belongs to
+router.get('/organizations', authenticate, async (req, res) => {
+  try {
+    const organizations = await listOrganizations(req.user.id);
+    res.json({ organizations });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error listing organizations');
+  }
+});
+
+// Accept an invitation sent to the user's email address
+router.post('/organizations/invitations/accept', authenticate, async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const organization = await acceptInvitation(req.body.token, req.user);
+    res.json(organization);
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error accepting invitation');
+  }
+});
+
+// Get an organization
+router.get('/organizations/:organizationId', authenticate, requireMembership(), async (req, res) => {
+  try {
+    const organizations = await listOrganizations(req.user.id);
+    const organization = organizations.find(({ id }) => id === req.params.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error fetching organization');
+  }
+});
+
+// Rename an organization
+router.patch('/organizations/:organizationId', authenticate, requireMembership(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const organization = await updateOrganization(req.params.organizationId, { name: req.body.name });
+    res.json({ ...organization, role: req.membership.role });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error updating organization');
+  }
+});
+
+// List members
+router.get('/organizations/:organizationId/members', authenticate, requireMembership(), async (req, res) => {
+  try {
+    const members = await listMembers(req.params.organizationId);
+    res.json({ members });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error listing organization members');
+  }
+});
+
+// Change a member's role
+router.patch('/organizations/:organizationId/members/:userId', authenticate, requireMembership(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const member = await updateMemberRole(req.params.organizationId, req.params.userId, req.body.role, {
+      actorRole: req.membership.role
+    });
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json(member);
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error updating organization member');
+  }
+});
+
+// Remove a member, or leave the organization
+router.delete('/organizations/:organizationId/members/:userId', authenticate, requireMembership(), async (req, res) => {
+  try {
+    const removed = await removeMember(req.params.organizationId, req.params.userId, {
+      actorId: req.user.id,
+      actorRole: req.membership.role
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error removing organization member');
+  }
+});
+
+// Invite someone by email; the token is only returned here
+router.post('/organizations/:organizationId/invitations', authenticate, requireMembership(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const { token, invitation } = await createInvitation(req.params.organizationId, {
+      email: req.body.email,
+      role: req.body.role,
+      invitedBy: req.user.id,
+      actorRole: req.membership.role
+    });
+
+    res.status(201).json({
+      ...invitation,
+      token,
+      inviteUrl: `${req.protocol}://${req.get('host')}/?invitation=${encodeURIComponent(token)}`
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error creating invitation');
+  }
+});
+
+// List pending invitations
+router.get('/organizations/:organizationId/invitations', authenticate, requireMembership(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.params.organizationId);
+    res.json({ invitations });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error listing invitations');
+  }
+});
+
+// Withdraw an invitation
+router.delete('/organizations/:organizationId/invitations/:invitationId', authenticate, requireMembership(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const revoked = await revokeInvitation(req.params.organizationId, req.params.invitationId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendOrganizationError(res, error, 'Error revoking invitation');
+  }
+});
+
+module.exports = router;
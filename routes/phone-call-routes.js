@@ -1,21 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { default: fetch } = require('node-fetch');
-const { validateApiKey } = require('../middlewares/auth');
-const { moderateContent } = require('../services/content-moderation');
+const { validateApiKey, requireScope } = require('../middlewares/auth');
+const { enforceContentModeration, linkModerationToCall } = require('../services/content-moderation');
 const { logCallToGoogleSheets } = require('../google-sheets-logging');
 const { supabaseAdmin } = require('../config/supabase');
-
-// Get API URL from environment variables
-const AILEVELUP_API_URL = process.env.AILEVELUP_API_URL || 'https://api.ailevelup.ai';
-
-// Generate voice sample
+const { forAccount } = require('../services/organizations');
+const { scheduleCall, listScheduledCalls, rescheduleCall, cancelScheduledCall, resolveScheduledTime } = require('../services/scheduled-calls');
+const { enforceCallCompliance } = require('../services/compliance');
+const { emitEvent } = require('../services/webhooks');
+const { getProvider } = require('../services/providers');
+const {
+  validateExtractionSchema,
+  attachExtractionSchema,
+  getCallExtraction,
+  queryExtractions
+} = require('../services/call-extraction');
+const { validateRetryPolicy } = require('../services/call-retries');
+const { getCallPreferences, MODEL_OPTIONS } = require('../services/call-preferences');
+const { listVoices, getVoicePreview, DEFAULT_PREVIEW_TEXT } = require('../services/voice-catalog');
+const makePhoneCallTool = require('../mcp/tools/make-phone-call');
+
+// Generate voice sample. Previews are cached by the voice catalog, which
+// generates the standard one for every voice when it syncs.
 router.post('/voice-sample', validateApiKey, async (req, res) => {
   try {
-    const { 
-      voice_id, 
-      text = "Hi, welcome to Send Phone Call MCP. Upgrade to premium for inbound numbers and lower per-minute rates."
-    } = req.body;
+    const { voice_id, text = DEFAULT_PREVIEW_TEXT } = req.body;
 
     if (!voice_id) {
       return res.status(400).json({
@@ -24,41 +33,29 @@ router.post('/voice-sample', validateApiKey, async (req, res) => {
       });
     }
 
-    // Generate voice sample using Bland.ai API
-    const response = await fetch(`${AILEVELUP_API_URL}/v1/voices/${voice_id}/sample`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.AILEVELUP_API_KEY}`
-      },
-      body: JSON.stringify({
-        text
-      })
-    });
-
-    // Check for errors
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Bland API voice sample error:', {
-        status: response.status,
-        statusText: response.statusText,
-        data: errorData
+    let preview;
+    try {
+      preview = await getVoicePreview(voice_id, text);
+    } catch (error) {
+      if (error.code !== 'PROVIDER_ERROR' || !error.status) {
+        throw error;
+      }
+      console.error('Provider voice sample error:', {
+        status: error.status,
+        data: error.details
       });
-      return res.status(response.status).json({
+      return res.status(error.status).json({
         error: 'Failed to generate voice sample',
-        details: errorData
+        details: error.details
       });
     }
 
-    // Get audio as buffer and pass it through
-    const audioBuffer = await response.arrayBuffer();
-    
     // Set appropriate headers
-    res.set('Content-Type', 'audio/mpeg');
-    res.set('Content-Length', audioBuffer.byteLength);
+    res.set('Content-Type', preview.contentType);
+    res.set('Content-Length', preview.audio.length);
     
     // Send the audio data
-    res.send(Buffer.from(audioBuffer));
+    res.send(preview.audio);
     
   } catch (error) {
     console.error('Error generating voice sample:', error);
@@ -70,19 +67,18 @@ router.post('/voice-sample', validateApiKey, async (req, res) => {
 });
 
 // Make a phone call
-router.post('/call', validateApiKey, async (req, res) => {
+router.post('/call', validateApiKey, requireScope('calls:write'), async (req, res) => {
   try {
     const {
       phone_number,
       task,
-      voice = process.env.AILEVELUP_DEFAULT_VOICE || 'nat',
       webhook_url,
-      from_number = process.env.AILEVELUP_DEFAULT_FROM_NUMBER,
-      model = process.env.AILEVELUP_DEFAULT_MODEL || 'turbo',
-      temperature = parseFloat(process.env.AILEVELUP_DEFAULT_TEMPERATURE) || 1,
-      voicemail_action = process.env.AILEVELUP_DEFAULT_VOICEMAIL_ACTION || 'hangup',
       answered_by_enabled = process.env.AILEVELUP_ANSWERED_BY_ENABLED === 'true',
-      max_duration
+      max_duration,
+      scheduledAt = req.body.scheduled_at,
+      timezone = 'UTC',
+      extraction_schema,
+      retry_policy
     } = req.body;
 
     // Validate required fields
@@ -93,6 +89,29 @@ router.post('/call', validateApiKey, async (req, res) => {
       });
     }
 
+    let extractionSchema = null;
+    if (extraction_schema) {
+      try {
+        extractionSchema = validateExtractionSchema(extraction_schema);
+      } catch (schemaError) {
+        return res.status(400).json({
+          error: 'Invalid extraction schema',
+          details: schemaError.details.errors
+        });
+      }
+    }
+
+    if (retry_policy) {
+      try {
+        validateRetryPolicy(retry_policy);
+      } catch (policyError) {
+        return res.status(400).json({
+          error: 'Invalid retry policy',
+          details: policyError.details.errors
+        });
+      }
+    }
+
     // Check user credits
     if (req.userCredits < 1) {
       return res.status(402).json({
@@ -106,14 +125,111 @@ router.post('/call', validateApiKey, async (req, res) => {
     const calculatedMaxDuration = max_duration || req.userCredits;
 
     // Moderate content
-    const moderationResult = await moderateContent(task);
-    if (!moderationResult.isAllowed) {
+    let moderation;
+    try {
+      moderation = await enforceContentModeration(req.body, {
+        userId: req.user.id,
+        organizationId: req.organizationId
+      });
+    } catch (moderationError) {
+      if (moderationError.code !== 'CONTENT_REJECTED') {
+        throw moderationError;
+      }
       return res.status(400).json({
         error: 'Content moderation failed',
-        reason: moderationResult.reason
+        reason: moderationError.details.reason,
+        moderation: moderationError.details
       });
     }
 
+    // Check the do-not-call lists and the callee's quiet hours at the time the call will be placed
+    let dialAt = new Date();
+    if (scheduledAt) {
+      try {
+        dialAt = resolveScheduledTime(scheduledAt, timezone);
+      } catch (timeError) {
+        return res.status(400).json({
+          error: 'Failed to schedule call',
+          message: timeError.message
+        });
+      }
+    }
+
+    let compliance;
+    try {
+      compliance = await enforceCallCompliance(phone_number, {
+        userId: req.user.id,
+        organizationId: req.organizationId,
+        at: dialAt
+      });
+    } catch (complianceError) {
+      if (complianceError.code !== 'COMPLIANCE_BLOCKED') {
+        throw complianceError;
+      }
+      return res.status(403).json({
+        error: 'Call blocked by compliance rules',
+        reason: complianceError.details.reason,
+        compliance: complianceError.details
+      });
+    }
+
+    // The call in makePhoneCall MCP tool form, used by the dispatcher to dial
+    // scheduled and deferred calls and to retry calls by their retry policy
+    const callParams = {
+      phoneNumber: phone_number,
+      task,
+      ...(req.body.voice && { voice: req.body.voice }),
+      ...(req.body.from_number && { fromNumber: req.body.from_number }),
+      ...(req.body.temperature !== undefined && { temperature: req.body.temperature }),
+      ...(req.body.voicemail_action && { voicemailAction: req.body.voicemail_action }),
+      ...(req.body.answered_by_enabled !== undefined && { answeredByEnabled: req.body.answered_by_enabled }),
+      ...(max_duration && { maxDuration: max_duration * 60 }), // minutes here, seconds in the tool
+      ...(webhook_url && { webhookUrl: webhook_url }),
+      ...(extractionSchema && { extractionSchema }),
+      ...(retry_policy && { retryPolicy: retry_policy })
+    };
+
+    // Scheduled and deferred calls are stored now and dialed by the dispatcher when due
+    if (scheduledAt || compliance.deferUntil) {
+      const validationError = makePhoneCallTool.validateParameters(callParams);
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Invalid call parameters',
+          message: validationError.message
+        });
+      }
+
+      let scheduledCall;
+      try {
+        const dueAt = compliance.deferUntil ? compliance.deferUntil.toISOString() : scheduledAt;
+        scheduledCall = await scheduleCall(req.user.id, callParams, dueAt, timezone, {
+          organizationId: req.organizationId
+        });
+      } catch (scheduleError) {
+        return res.status(400).json({
+          error: 'Failed to schedule call',
+          message: scheduleError.message
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        scheduled_call_id: scheduledCall.id,
+        status: 'scheduled',
+        scheduled_at: scheduledCall.scheduled_at,
+        timezone,
+        ...(compliance.deferUntil && { deferred: true, reason: 'quiet_hours' })
+      });
+    }
+
+    // Settings not passed come from the user's preferences, then the account defaults
+    const preferences = await getCallPreferences(req.user.id);
+    const voice = req.body.voice || preferences.voice;
+    const from_number = req.body.from_number || preferences.fromNumber;
+    const model = req.body.model || preferences.model;
+    const temperature = req.body.temperature !== undefined ? req.body.temperature : preferences.temperature;
+    const voicemail_action = req.body.voicemail_action || preferences.voicemailAction;
+
     console.log('Making call to ailevelup.AI:', {
       phone_number,
       task,
@@ -127,39 +243,30 @@ router.post('/call', validateApiKey, async (req, res) => {
       max_duration: calculatedMaxDuration
     });
 
-    // Make the call using ailevelup.AI API
-    const response = await fetch(`${AILEVELUP_API_URL}/v1/calls`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.AILEVELUP_ENTERPRISE_API_KEY}`,
-        'X-Encrypted-Key': process.env.AILEVELUP_ENCRYPTED_KEY
-      },
-      body: JSON.stringify({
-        phone_number,
-        task,
-        voice,
-        webhook_url,
-        from_number,
-        model,
-        temperature,
-        voicemail_action,
-        answered_by_enabled,
-        max_duration: calculatedMaxDuration
-      })
+    // Make the call with the configured telephony provider
+    const placed = await getProvider().dial({
+      phoneNumber: phone_number,
+      task,
+      voice,
+      webhookUrl: webhook_url,
+      fromNumber: from_number,
+      model,
+      temperature,
+      voicemailAction: voicemail_action,
+      answeredByEnabled: answered_by_enabled,
+      maxDuration: calculatedMaxDuration * 60 // minutes here, seconds for the provider
     });
-
-    const callData = await response.json();
+    const callData = { ...placed.raw, call_id: placed.callId };
     console.log('ailevelup.AI response:', callData);
 
-    if (!response.ok) {
-      console.error('ailevelup.AI API error:', {
-        status: response.status,
-        statusText: response.statusText,
-        data: callData
-      });
-      throw new Error(callData.error || callData.message || 'Failed to make call');
-    }
+    await linkModerationToCall(moderation.id, callData.call_id);
+
+    // Not awaited: receivers are notified without delaying the response
+    emitEvent('call.queued', req.user.id, {
+      call_id: callData.call_id,
+      status: 'queued',
+      phone_number
+    }, { organizationId: req.organizationId });
 
     // Reserve 1 credit initially, may be adjusted later based on actual call duration
     const creditsToReserve = 1;
@@ -169,6 +276,7 @@ router.post('/call', validateApiKey, async (req, res) => {
       .from('calls')
       .insert({
         user_id: req.user.id,
+        organization_id: req.organizationId || null,
         call_id: callData.call_id,
         phone_number,
         status: 'initiated',
@@ -181,7 +289,10 @@ router.post('/call', validateApiKey, async (req, res) => {
         answered_by_enabled,
         max_duration: calculatedMaxDuration,
         credits_used: creditsToReserve,
-        update_status: 'Pending'
+        update_status: 'Pending',
+        extraction_schema: extractionSchema,
+        retry_policy: retry_policy || null,
+        call_params: callParams
       })
       .select()
       .single();
@@ -190,14 +301,14 @@ router.post('/call', validateApiKey, async (req, res) => {
       console.error('Error logging call to database:', dbError);
     }
 
-    // Deduct initial credits
+    // Deduct initial credits, from the organization's balance when acting for one
     const { error: creditError } = await supabaseAdmin
       .from('credits')
       .update({
         balance: req.userCredits - creditsToReserve,
         updated_at: new Date().toISOString()
       })
-      .eq('user_id', req.user.id);
+      .eq(req.organizationId ? 'organization_id' : 'user_id', req.organizationId || req.user.id);
 
     if (creditError) {
       console.error('Error updating credits:', creditError);
@@ -218,7 +329,7 @@ router.post('/call', validateApiKey, async (req, res) => {
 
     // Log to Google Sheets
     await logCallToGoogleSheets({
-      api_key: req.user.api_key,
+      api_key: req.apiKey && req.apiKey.prefix,
       user_id: req.user.id,
       call_id: callData.call_id || 'error',
       phone_number,
@@ -251,13 +362,13 @@ router.post('/call', validateApiKey, async (req, res) => {
     res.status(500).json({
       error: 'Failed to make call',
       message: error.message,
-      details: error.response ? await error.response.json() : undefined
+      details: error.code === 'PROVIDER_ERROR' ? error.details : undefined
     });
   }
 });
 
 // Get call status
-router.get('/call/:callId', validateApiKey, async (req, res) => {
+router.get('/call/:callId', validateApiKey, requireScope('calls:read'), async (req, res) => {
   try {
     const { callId } = req.params;
 
@@ -271,7 +382,10 @@ router.get('/call/:callId', validateApiKey, async (req, res) => {
       return res.status(404).json({ error: 'Call not found' });
     }
 
-    if (call.user_id !== req.user.id) {
+    const owned = req.organizationId
+      ? call.organization_id === req.organizationId
+      : call.user_id === req.user.id && !call.organization_id;
+    if (!owned) {
       return res.status(403).json({ error: 'Not authorized to view this call' });
     }
 
@@ -282,8 +396,84 @@ router.get('/call/:callId', validateApiKey, async (req, res) => {
   }
 });
 
+// Attach an extraction schema to a call; completed calls are extracted right away
+router.put('/call/:callId/extraction-schema', validateApiKey, requireScope('calls:write'), async (req, res) => {
+  try {
+    const result = await attachExtractionSchema(req.params.callId, req.user.id, req.body.schema || req.body, {
+      organizationId: req.organizationId
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEMA') {
+      return res.status(400).json({ error: 'Invalid extraction schema', details: error.details.errors });
+    }
+    if (error.code === 'CALL_NOT_FOUND') {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    console.error('Error attaching extraction schema:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the data extracted from a call
+router.get('/call/:callId/extraction', validateApiKey, requireScope('calls:read'), async (req, res) => {
+  try {
+    const extraction = await getCallExtraction(req.params.callId, req.user.id, {
+      organizationId: req.organizationId
+    });
+
+    if (!extraction) {
+      return res.status(404).json({ error: 'No data has been extracted from this call' });
+    }
+
+    res.json(extraction);
+  } catch (error) {
+    console.error('Error getting call extraction:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Query extracted data across calls
+router.get('/extractions', validateApiKey, requireScope('calls:read'), async (req, res) => {
+  try {
+    const { status, from_date, to_date, limit = 20, offset = 0 } = req.query;
+
+    let where;
+    if (req.query.where) {
+      try {
+        where = JSON.parse(req.query.where);
+      } catch (parseError) {
+        where = null;
+      }
+      if (!where || typeof where !== 'object' || Array.isArray(where)) {
+        return res.status(400).json({ error: 'where must be a JSON object of field values' });
+      }
+    }
+
+    const extractions = await queryExtractions(req.user.id, {
+      where,
+      status,
+      from_date,
+      to_date,
+      limit: Math.min(parseInt(limit), 100),
+      offset: parseInt(offset)
+    }, { organizationId: req.organizationId });
+
+    res.json({
+      extractions,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error querying call extractions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user call history
-router.get('/calls', validateApiKey, async (req, res) => {
+router.get('/calls', validateApiKey, requireScope('calls:read'), async (req, res) => {
   try {
     const { 
       limit = 10, 
@@ -295,10 +485,7 @@ router.get('/calls', validateApiKey, async (req, res) => {
       sort_order = 'desc'
     } = req.query;
 
-    let query = supabaseAdmin
-      .from('calls')
-      .select('*')
-      .eq('user_id', req.user.id)
+    let query = forAccount(supabaseAdmin.from('calls').select('*'), req.user.id, req.organizationId)
       .order(sort_by, { ascending: sort_order === 'asc' })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
     
@@ -322,10 +509,11 @@ router.get('/calls', validateApiKey, async (req, res) => {
     }
 
     // Get total count
-    const { count: total, error: countError } = await supabaseAdmin
-      .from('calls')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', req.user.id);
+    const { count: total, error: countError } = await forAccount(
+      supabaseAdmin.from('calls').select('*', { count: 'exact', head: true }),
+      req.user.id,
+      req.organizationId
+    );
 
     if (countError) {
       console.error('Error fetching total count:', countError);
@@ -345,18 +533,86 @@ router.get('/calls', validateApiKey, async (req, res) => {
   }
 });
 
+// List pending scheduled calls
+router.get('/scheduled-calls', validateApiKey, requireScope('calls:read'), async (req, res) => {
+  try {
+    const {
+      limit = 20,
+      offset = 0,
+      status = 'scheduled'
+    } = req.query;
+
+    const { scheduledCalls, total } = await listScheduledCalls(req.user.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      organizationId: req.organizationId
+    });
+
+    res.json({
+      scheduled_calls: scheduledCalls,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing scheduled calls:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reschedule a pending scheduled call
+router.patch('/scheduled-calls/:scheduledCallId', validateApiKey, requireScope('calls:write'), async (req, res) => {
+  const { scheduledAt = req.body.scheduled_at, timezone = 'UTC' } = req.body;
+
+  if (!scheduledAt) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['scheduledAt']
+    });
+  }
+
+  let scheduledCall;
+  try {
+    scheduledCall = await rescheduleCall(req.user.id, req.params.scheduledCallId, scheduledAt, timezone, {
+      organizationId: req.organizationId
+    });
+  } catch (error) {
+    return res.status(400).json({ error: 'Failed to reschedule call', message: error.message });
+  }
+
+  if (!scheduledCall) {
+    return res.status(404).json({ error: 'Scheduled call not found' });
+  }
+
+  res.json(scheduledCall);
+});
+
+// Cancel a pending scheduled call
+router.delete('/scheduled-calls/:scheduledCallId', validateApiKey, requireScope('calls:write'), async (req, res) => {
+  try {
+    const scheduledCall = await cancelScheduledCall(req.user.id, req.params.scheduledCallId, {
+      organizationId: req.organizationId
+    });
+
+    if (!scheduledCall) {
+      return res.status(404).json({ error: 'Scheduled call not found' });
+    }
+
+    res.json(scheduledCall);
+  } catch (error) {
+    console.error('Error cancelling scheduled call:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get voice options
 router.get('/voice-options', validateApiKey, async (req, res) => {
   try {
-    // Define available voices with their details
-    const voices = [
-      { id: 'd9c372fd-31db-4c74-ac5a-d194e8e923a4', name: 'Alloy', gender: 'neutral', description: 'Clear and professional' },
-      { id: '7d132ef1-c295-4b87-b27b-9f12ec64246d', name: 'Echo', gender: 'neutral', description: 'Resonant and dynamic' },
-      { id: '0f4958b1-3765-46b3-8df3-9b10424ff0f2', name: 'Fable', gender: 'neutral', description: 'Engaging storyteller' },
-      { id: 'a61e4166-43c9-48ec-b694-5b6747517f2f', name: 'Onyx', gender: 'neutral', description: 'Deep and authoritative' },
-      { id: '42f34de3-e147-4538-90e1-1302563d8b11', name: 'Nova', gender: 'neutral', description: 'Warm and friendly' },
-      { id: 'ff1ccc45-487c-4911-9351-8a95f12ba832', name: 'Shimmer', gender: 'neutral', description: 'Bright and energetic' }
-    ];
+    const { language, gender, accent, tag, search } = req.query;
+    const voices = await listVoices({ language, gender, accent, tag, search });
 
     res.json({
       success: true,
@@ -371,34 +627,9 @@ router.get('/voice-options', validateApiKey, async (req, res) => {
 // Get model options
 router.get('/model-options', validateApiKey, async (req, res) => {
   try {
-    // Define available models with their details
-    const models = [
-      { 
-        id: 'turbo', 
-        name: 'Turbo (Fast)', 
-        description: 'Fast and efficient for most use cases',
-        speed: 'Fast',
-        price: 'Standard'
-      },
-      { 
-        id: 'claude', 
-        name: 'Claude (Balanced)', 
-        description: 'Good balance of performance and quality',
-        speed: 'Medium',
-        price: 'Premium'
-      },
-      { 
-        id: 'gpt-4', 
-        name: 'GPT-4 (Advanced)', 
-        description: 'Most capable for complex tasks',
-        speed: 'Slower',
-        price: 'Premium+'
-      }
-    ];
-
     res.json({
       success: true,
-      models
+      models: MODEL_OPTIONS
     });
   } catch (error) {
     console.error('Error fetching model options:', error);
@@ -407,13 +638,13 @@ router.get('/model-options', validateApiKey, async (req, res) => {
 });
 
 // Get user credits
-router.get('/credits', validateApiKey, async (req, res) => {
+router.get('/credits', validateApiKey, requireScope('credits:read'), async (req, res) => {
   try {
-    // Get user credits from database
+    // Get user credits from database; organizations have a balance of their own
     const { data, error } = await supabaseAdmin
       .from('credits')
       .select('balance')
-      .eq('user_id', req.user.id)
+      .eq(req.organizationId ? 'organization_id' : 'user_id', req.organizationId || req.user.id)
       .single();
     
     if (error) {
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { validateApiKey, requireScope } = require('../middlewares/auth');
+const {
+  EVENT_TYPES,
+  registerEndpoint,
+  listEndpoints,
+  deleteEndpoint,
+  listDeliveries,
+  replayDelivery
+} = require('../services/webhooks');
+const { receiveProviderEvent } = require('../services/provider-webhooks');
+
+// Register a webhook endpoint
+router.post('/webhooks/endpoints', validateApiKey, requireScope('webhooks:write'), async (req, res) => {
+  const { url, events, description } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['url']
+    });
+  }
+
+  try {
+    const endpoint = await registerEndpoint(req.user.id, {
+      url,
+      events,
+      description,
+      organizationId: req.organizationId
+    });
+
+    // The secret is only shown once; receivers use it to verify X-Webhook-Signature
+    res.status(201).json(endpoint);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Failed to register webhook endpoint',
+      message: error.message,
+      events: EVENT_TYPES
+    });
+  }
+});
+
+// List webhook endpoints
+router.get('/webhooks/endpoints', validateApiKey, requireScope('webhooks:read'), async (req, res) => {
+  try {
+    res.json({ endpoints: await listEndpoints(req.user.id, { organizationId: req.organizationId }) });
+  } catch (error) {
+    console.error('Error listing webhook endpoints:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a webhook endpoint
+router.delete('/webhooks/endpoints/:endpointId', validateApiKey, requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const deleted = await deleteEndpoint(req.user.id, req.params.endpointId, {
+      organizationId: req.organizationId
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List deliveries; status=dead returns the dead-letter log
+router.get('/webhooks/deliveries', validateApiKey, requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const {
+      limit = 50,
+      offset = 0,
+      status,
+      endpoint_id
+    } = req.query;
+
+    const { deliveries, total } = await listDeliveries(req.user.id, {
+      status,
+      endpointId: endpoint_id,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      organizationId: req.organizationId
+    });
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a delivery's event again
+router.post('/webhooks/deliveries/:deliveryId/replay', validateApiKey, requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.user.id, req.params.deliveryId, {
+      organizationId: req.organizationId
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery or its endpoint not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Receive call events from the telephony provider. Authenticated by the
+// provider's signature instead of an API key.
+router.post('/webhooks/provider', async (req, res) => {
+  if (!req.rawBody) {
+    return res.status(400).json({ error: 'Expected a JSON body' });
+  }
+
+  try {
+    const { eventId, duplicate } = await receiveProviderEvent(req.rawBody, req.headers);
+
+    res.json({ received: true, event_id: eventId, duplicate });
+  } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    if (error.code === 'INVALID_PAYLOAD') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // A 5xx makes the provider send the event again
+    console.error('Error processing provider webhook:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// Script to copy modules into a Lambda layer, together with every module of
+// this repository they require, so relative requires resolve in the layer
+// as they do here. Packages come from the dependencies layer.
+//
+// Usage: node scripts/copy-layer-modules.js <layer nodejs dir> <module>...
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Relative requires, including those made lazily inside functions
+const RELATIVE_REQUIRE = /require\(\s*['"](\.{1,2}\/[^'"]+)['"]\s*\)/g;
+
+/**
+ * Collect a module and the repository modules it requires, directly or not
+ * @param {String} file - Absolute path of the module
+ * @param {Set} found - Absolute paths collected so far
+ * @returns {Set} - Absolute paths of the module and its dependencies
+ */
+function collectModules(file, found = new Set()) {
+  if (found.has(file)) {
+    return found;
+  }
+  found.add(file);
+
+  if (path.extname(file) !== '.js') {
+    return found;
+  }
+
+  const source = fs.readFileSync(file, 'utf8');
+  for (const [, request] of source.matchAll(RELATIVE_REQUIRE)) {
+    let dependency;
+    try {
+      dependency = require.resolve(request, { paths: [path.dirname(file)] });
+    } catch (error) {
+      console.warn(`Skipping ${request} required by ${path.relative(ROOT, file)}: not found`);
+      continue;
+    }
+
+    if (dependency.startsWith(ROOT + path.sep) && !dependency.includes(`${path.sep}node_modules${path.sep}`)) {
+      collectModules(dependency, found);
+    }
+  }
+
+  return found;
+}
+
+function main() {
+  const [destination, ...modules] = process.argv.slice(2);
+
+  if (!destination || modules.length === 0) {
+    console.error('Usage: node scripts/copy-layer-modules.js <layer nodejs dir> <module>...');
+    process.exit(1);
+  }
+
+  const found = new Set();
+  modules.forEach(module => collectModules(require.resolve(path.resolve(ROOT, module)), found));
+
+  for (const file of [...found].sort()) {
+    const relative = path.relative(ROOT, file);
+    const target = path.join(destination, relative);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(file, target);
+    console.log(`Copied ${relative}`);
+  }
+}
+
+main();
@@ -9,12 +9,23 @@ const { initializeSpreadsheet } = require('./google-sheets-logging');
 const routes = require('./routes');
 const { initializeDatabase } = require('./config/supabase');
 const { initializeMcpServer } = require('./mcp/server');
+const { startDispatcherService } = require('./services/scheduled-calls');
+const { startCampaignRunner } = require('./services/campaigns');
+const { startWebhookRetryService } = require('./services/webhooks');
+const { startCallStateService } = require('./services/call-state');
+const { startVoiceCatalogService } = require('./services/voice-catalog');
 
 // Import route modules
 const authRoutes = require('./routes/auth-routes');
 const auditRoutes = require('./routes/audit-routes');
 const phoneCallRoutes = require('./routes/phone-call-routes');
+const complianceRoutes = require('./routes/compliance-routes');
+const campaignRoutes = require('./routes/campaign-routes');
+const callTemplateRoutes = require('./routes/call-template-routes');
+const webhookRoutes = require('./routes/webhook-routes');
 const dashboardRoutes = require('./routes/dashboard-routes');
+const oauthRoutes = require('./routes/oauth-routes');
+const organizationRoutes = require('./routes/organization-routes');
 const voiceSampleRoutes = require('./server/api/voice-sample');
 
 // Initialize Express app
@@ -48,6 +59,8 @@ const apiLimiter = rateLimit({
   max: 100, // Limit each IP to 100 requests per window
   standardHeaders: true,
   legacyHeaders: false,
+  // Provider callbacks arrive from a few shared IPs and are checked by signature
+  skip: (req) => req.path === '/v1/webhooks/provider',
   message: {
     status: 429,
     error: 'Too many requests',
@@ -57,9 +70,14 @@ const apiLimiter = rateLimit({
 
 // Apply rate limiting to API routes
 app.use('/api/', apiLimiter);
+app.use('/oauth/', apiLimiter);
 
-// Body parsing
-app.use(express.json());
+// Body parsing; the raw body is kept for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Add bypass middleware in development mode
@@ -175,9 +193,17 @@ app.use('/api/v1', routes);
 app.use('/api/v1', authRoutes);
 app.use('/api/v1', auditRoutes);
 app.use('/api/v1', phoneCallRoutes);
+app.use('/api/v1', complianceRoutes);
+app.use('/api/v1', campaignRoutes);
+app.use('/api/v1', callTemplateRoutes);
+app.use('/api/v1', webhookRoutes);
 app.use('/api/v1', dashboardRoutes);
+app.use('/api/v1', organizationRoutes);
 app.use('/api', voiceSampleRoutes);
 
+// OAuth authorization server for remote MCP hosts, and its metadata
+app.use(oauthRoutes);
+
 // Health check route
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
@@ -226,6 +252,31 @@ async function startServer() {
 
     // Initialize MCP server
     initializeMcpServer(app, server);
+
+    // Dial scheduled calls as they come due
+    if (process.env.ENABLE_CALL_SCHEDULER !== 'false') {
+      startDispatcherService();
+    }
+
+    // Dial running campaigns
+    if (process.env.ENABLE_CAMPAIGN_RUNNER !== 'false') {
+      startCampaignRunner();
+    }
+
+    // Retry failed webhook deliveries
+    if (process.env.ENABLE_WEBHOOKS !== 'false') {
+      startWebhookRetryService();
+    }
+
+    // Poll calls the provider has not sent a status webhook for
+    if (process.env.ENABLE_CALL_TRACKER !== 'false') {
+      startCallStateService();
+    }
+
+    // Keep the voice catalog in step with the provider
+    if (process.env.ENABLE_VOICE_SYNC !== 'false') {
+      startVoiceCatalogService();
+    }
   } catch (error) {
     console.error('Error starting server:', error);
     process.exit(1);
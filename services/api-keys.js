@@ -0,0 +1,307 @@
+// API Key Service for ailevelup.AI MCP Wrapper
+//
+// Keys are shown once, when they are created. Only a salted SHA-256 hash is
+// stored, next to a visible prefix (`alu_` and eight characters) that
+// identifies the key in listings and narrows the lookup. Each key carries
+// the scopes it may use, and optionally an expiry and the addresses it may
+// be used from.
+const crypto = require('crypto');
+const net = require('net');
+
+const KEY_PREFIX = 'alu_';
+const PREFIX_ID_LENGTH = 8;
+
+// Keys created before hashing have no `alu_` prefix; their first
+// characters are used instead
+const LEGACY_PREFIX_LENGTH = 8;
+
+// Scopes a key can be granted
+const API_KEY_SCOPES = [
+  'calls:read',
+  'calls:write',
+  'campaigns:read',
+  'campaigns:write',
+  'templates:read',
+  'templates:write',
+  'compliance:read',
+  'compliance:write',
+  'webhooks:read',
+  'webhooks:write',
+  'settings:read',
+  'settings:write',
+  'credits:read',
+  'billing:write'
+];
+
+// Held by keys created before scopes were enforced; grants every scope
+const LEGACY_SCOPE = 'api:access';
+
+// Scopes of keys created without any
+const DEFAULT_SCOPES = ['calls:read', 'calls:write', 'credits:read'];
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Hash an API key
+ * @param {String} key - Raw API key
+ * @param {String} salt - Hex-encoded salt stored with the key
+ * @returns {String} - Hex-encoded SHA-256 of the salt and key
+ */
+function hashApiKey(key, salt) {
+  return crypto.createHash('sha256').update(`${salt}${key}`).digest('hex');
+}
+
+/**
+ * Get the visible prefix of an API key
+ * @param {String} key - Raw API key
+ * @returns {String} - Prefix stored in api_keys.key_prefix
+ */
+function getKeyPrefix(key) {
+  return key.startsWith(KEY_PREFIX)
+    ? key.slice(0, KEY_PREFIX.length + PREFIX_ID_LENGTH)
+    : key.slice(0, LEGACY_PREFIX_LENGTH);
+}
+
+/**
+ * Parse an IP allow-list entry
+ * @param {String} entry - IP address or CIDR range
+ * @returns {Object|null} - address, bits (null for a single address) and
+ *   type ('ipv4' or 'ipv6'), or null if the entry is not valid
+ */
+function parseIpEntry(entry) {
+  const [address, bits, ...rest] = String(entry).split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length) {
+    return null;
+  }
+
+  const maxBits = version === 4 ? 32 : 128;
+  if (bits !== undefined && !(/^\d+$/.test(bits) && Number(bits) <= maxBits)) {
+    return null;
+  }
+
+  return { address, bits: bits === undefined ? null : Number(bits), type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Check the scopes, expiry and IP allow-list of a new key
+ * @param {Object} options - scopes, expiresAt and allowedIps
+ * @returns {Object} - The options
+ */
+function validateApiKeyOptions({ scopes, expiresAt, allowedIps } = {}) {
+  const errors = [];
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push('scopes must be a non-empty array');
+    } else {
+      scopes.filter(scope => !API_KEY_SCOPES.includes(scope))
+        .forEach(scope => errors.push(`unknown scope: ${scope}`));
+    }
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime())) {
+      errors.push('expiresAt must be an ISO 8601 date');
+    } else if (expiry <= new Date()) {
+      errors.push('expiresAt must be in the future');
+    }
+  }
+
+  if (allowedIps !== undefined && allowedIps !== null) {
+    if (!Array.isArray(allowedIps)) {
+      errors.push('allowedIps must be an array of addresses or CIDR ranges');
+    } else {
+      allowedIps.filter(entry => !parseIpEntry(entry))
+        .forEach(entry => errors.push(`invalid address or range: ${entry}`));
+    }
+  }
+
+  if (errors.length) {
+    throw Object.assign(
+      new Error(`Invalid API key options: ${errors.join('; ')}`),
+      { code: 'INVALID_API_KEY_OPTIONS', details: { errors } }
+    );
+  }
+
+  return { scopes, expiresAt, allowedIps };
+}
+
+/**
+ * Check whether a request address is on a key's allow-list
+ * @param {String} ip - Request address
+ * @param {Array} [allowedIps] - Addresses and CIDR ranges; any address is allowed if empty
+ * @returns {Boolean} - Whether the key may be used from the address
+ */
+function isIpAllowed(ip, allowedIps) {
+  if (!allowedIps || allowedIps.length === 0) {
+    return true;
+  }
+
+  // IPv4 clients of dual-stack servers show up as IPv4-mapped IPv6 addresses
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  allowedIps.map(parseIpEntry).filter(Boolean).forEach(entry => {
+    if (entry.bits === null) {
+      blockList.addAddress(entry.address, entry.type);
+    } else {
+      blockList.addSubnet(entry.address, entry.bits, entry.type);
+    }
+  });
+
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a key's scopes include the one an action needs
+ * @param {Array} granted - Scopes held by the key
+ * @param {String|null} scope - Scope needed; null if any key may act
+ * @returns {Boolean} - Whether the action is allowed
+ */
+function hasScope(granted, scope) {
+  return !scope || (granted || []).includes(scope) || (granted || []).includes(LEGACY_SCOPE);
+}
+
+/**
+ * Format an api_keys record for API responses, leaving out the hash
+ * @param {Object} record - api_keys record
+ * @returns {Object} - Key details
+ */
+function formatApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.key_prefix,
+    scopes: record.permissions || [],
+    isActive: record.is_active,
+    expiresAt: record.expires_at || null,
+    allowedIps: record.allowed_ips || [],
+    organizationId: record.organization_id || null,
+    createdAt: record.created_at,
+    lastUsedAt: record.last_used_at || null
+  };
+}
+
+/**
+ * Create an API key
+ * @param {String} userId - User ID
+ * @param {Object} options - name, scopes (defaults to DEFAULT_SCOPES), and
+ *   optional expiresAt, allowedIps and organizationId (for keys that act
+ *   for an organization)
+ * @param {Object} [context] - db
+ * @returns {Object} - key (the raw key, which cannot be recovered later) and apiKey (the record)
+ */
+async function createApiKey(userId, { name, scopes, expiresAt, allowedIps, organizationId } = {}, { db } = {}) {
+  validateApiKeyOptions({ scopes, expiresAt, allowedIps });
+
+  const id = crypto.randomBytes(6).toString('base64url');
+  const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  const { data, error } = await getDb(db)
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      organization_id: organizationId || null,
+      name,
+      key_prefix: getKeyPrefix(key),
+      key_salt: salt,
+      key_hash: hashApiKey(key, salt),
+      permissions: scopes || DEFAULT_SCOPES,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+      allowed_ips: allowedIps || [],
+      is_active: true,
+      created_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Create API key error:', error);
+    throw new Error('Failed to create API key');
+  }
+
+  return { key, apiKey: data };
+}
+
+/**
+ * Verify an API key and record that it was used
+ * @param {String} key - Raw API key
+ * @param {Object} [request] - ip the request came from
+ * @param {Object} [context] - db
+ * @returns {Object} - api_keys record
+ * @throws {Error} - INVALID_API_KEY, API_KEY_REVOKED, API_KEY_EXPIRED or API_KEY_IP_NOT_ALLOWED
+ */
+async function verifyApiKey(key, { ip } = {}, { db } = {}) {
+  const { data: candidates, error } = await getDb(db)
+    .from('api_keys')
+    .select('*')
+    .eq('key_prefix', getKeyPrefix(String(key)));
+
+  if (error) {
+    console.error('Verify API key error:', error);
+    throw new Error('Failed to verify API key');
+  }
+
+  // Prefixes of keys created before hashing may collide, so every match is checked
+  const record = (candidates || []).find(candidate => {
+    if (!candidate.key_hash || !candidate.key_salt) {
+      return false;
+    }
+    const expected = Buffer.from(candidate.key_hash, 'hex');
+    const received = Buffer.from(hashApiKey(String(key), candidate.key_salt), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+
+  if (!record) {
+    throw Object.assign(new Error('Invalid API key'), { code: 'INVALID_API_KEY' });
+  }
+  if (!record.is_active) {
+    throw Object.assign(new Error('API key has been revoked'), { code: 'API_KEY_REVOKED' });
+  }
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+    throw Object.assign(new Error('API key has expired'), { code: 'API_KEY_EXPIRED' });
+  }
+  if (!isIpAllowed(ip, record.allowed_ips)) {
+    throw Object.assign(new Error('API key is not allowed from this address'), {
+      code: 'API_KEY_IP_NOT_ALLOWED',
+      details: { ip }
+    });
+  }
+
+  // Not awaited: a failed timestamp update should not fail the request
+  getDb(db)
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .then(({ error: updateError }) => {
+      if (updateError) console.error('Error updating API key last use:', updateError);
+    })
+    .catch(updateError => console.error('Error updating API key last use:', updateError));
+
+  return record;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_SCOPES,
+  validateApiKeyOptions,
+  isIpAllowed,
+  hasScope,
+  formatApiKey,
+  createApiKey,
+  verifyApiKey
+};
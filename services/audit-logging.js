@@ -3,8 +3,11 @@ const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 
+// Lambda can only write under /tmp; there the logger sticks to the console
+const onLambda = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+
 // Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, '../logs');
+const logsDir = onLambda ? '/tmp/logs' : path.join(__dirname, '../logs');
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
@@ -17,7 +20,7 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   defaultMeta: { service: 'ailevelup-ai-mcp' },
-  transports: [
+  transports: onLambda ? [new winston.transports.Console()] : [
     new winston.transports.Console(),
     new winston.transports.File({ filename: 'error.log', level: 'error' }),
     new winston.transports.File({ filename: 'combined.log' })
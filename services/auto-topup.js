@@ -27,7 +27,7 @@ async function processAutoTopup(userId) {
     
     // Check if the current balance is below threshold
     const { data: account, error: accountError } = await supabaseAdmin
-      .from('credit_accounts')
+      .from('credits')
       .select('*')
       .eq('user_id', userId)
       .single();
@@ -123,16 +123,15 @@ async function processAutoTopup(userId) {
       };
     }
     
-    // Update credit account
-    const newBalance = account.balance + settings.topup_amount;
+    // Add to the balance; the database function also records the credit transaction
+    const newBalance = Number(account.balance) + settings.topup_amount;
     
-    const { error: updateError } = await supabaseAdmin
-      .from('credit_accounts')
-      .update({
-        balance: newBalance,
-        updated_at: new Date()
-      })
-      .eq('user_id', userId);
+    const { error: updateError } = await supabaseAdmin.rpc('add_user_credits', {
+      p_user_id: userId,
+      p_amount: settings.topup_amount,
+      p_description: 'Auto top-up',
+      p_payment_id: paymentIntent.id
+    });
     
     if (updateError) {
       console.error('Error updating balance after auto top-up:', updateError);
@@ -1,11 +1,70 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { supabaseAdmin } = require('../config/supabase');
 const { logTransactionToGoogleSheets } = require('./logging');
+const { emitEvent } = require('./webhooks');
 
 // Constants
 const COST_PER_MINUTE = 0.10; // $0.10 per minute
 const FREE_MINUTES = 10; // 10 minutes free
 const MINIMUM_DEPOSIT = 20.00; // $20 minimum deposit
+const LOW_CREDIT_THRESHOLD = parseFloat(process.env.LOW_CREDIT_THRESHOLD || '5'); // credits.low fires below $5
+
+// Call statuses after which a call's credit hold can be settled or released
+const FINAL_CALL_STATUSES = ['completed', 'failed', 'error', 'busy', 'no-answer', 'canceled', 'cancelled'];
+
+// The Stripe client is created on first use: the call tools load this module
+// for credit holds, and they must start without a Stripe key
+let stripeClient = null;
+
+function getStripe() {
+  if (!stripeClient) {
+    stripeClient = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+}
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || supabaseAdmin;
+}
+
+/**
+ * Look up the credits record of an account: the organization's when given
+ * one, else the user's own
+ * @param {String} userId - User ID
+ * @param {Object} [options] - organizationId
+ * @returns {Object|null} - credits record, or null if there is none
+ */
+async function getCreditAccount(userId, { organizationId = null } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('credits')
+    .select('*')
+    .eq(organizationId ? 'organization_id' : 'user_id', organizationId || userId);
+
+  if (error) {
+    console.error('Get credit account error:', error);
+    throw new Error('Failed to fetch credit account');
+  }
+
+  return (data && data[0]) || null;
+}
+
+/**
+ * Format a credits record as balance information
+ * @param {Object} account - credits record
+ * @returns {Object} - Balance information
+ */
+function formatBalance(account) {
+  return {
+    balance: Number(account.balance) || 0,
+    hasFreeTier: !!account.has_free_tier,
+    freeMinutesUsed: Number(account.free_minutes_used) || 0,
+    freeMinutesTotal: Number(account.free_minutes_total) || 0
+  };
+}
 
 /**
  * Create a credit account for a new user
@@ -15,22 +74,20 @@ const MINIMUM_DEPOSIT = 20.00; // $20 minimum deposit
 async function createCreditAccount(userId) {
   try {
     // Check if account already exists
-    const { data: existingAccount } = await supabaseAdmin
-      .from('credit_accounts')
-      .select('id')
-      .eq('user_id', userId)
-      .single();
+    const existingAccount = await getCreditAccount(userId);
 
     if (existingAccount) {
       return existingAccount;
     }
 
-    // Create credit account record
+    // Create credits record
     const { data, error } = await supabaseAdmin
-      .from('credit_accounts')
+      .from('credits')
       .insert({
         user_id: userId,
         balance: 0,
+        total_added: 0,
+        total_used: 0,
         has_free_tier: true,
         free_minutes_used: 0,
         free_minutes_total: FREE_MINUTES,
@@ -55,33 +112,22 @@ async function createCreditAccount(userId) {
 /**
  * Check user's credit balance
  * @param {String} userId - User ID
+ * @param {Object} [options] - organizationId, to check the organization's balance instead
  * @returns {Object} - Balance information
  */
-async function checkBalance(userId) {
+async function checkBalance(userId, { organizationId = null } = {}) {
   try {
-    // Get user's credit account
-    const { data, error } = await supabaseAdmin
-      .from('credit_accounts')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
-
-    if (error) {
-      console.error('Check balance error:', error);
-      throw new Error('Failed to check balance');
-    }
+    let account = await getCreditAccount(userId, { organizationId });
 
-    if (!data) {
+    if (!account) {
+      if (organizationId) {
+        throw new Error('Credit account not found');
+      }
       // Create account if it doesn't exist
-      return createCreditAccount(userId);
+      account = await createCreditAccount(userId);
     }
 
-    return {
-      balance: data.balance,
-      hasFreeTier: data.has_free_tier,
-      freeMinutesUsed: data.free_minutes_used,
-      freeMinutesTotal: data.free_minutes_total
-    };
+    return formatBalance(account);
   } catch (error) {
     console.error('Check balance error:', error);
     throw error;
@@ -114,6 +160,7 @@ async function addCredits(userId, amount, paymentMethodId) {
     }
 
     let { stripe_customer_id } = userData;
+    const stripe = getStripe();
     
     // Create or get Stripe customer
     if (!stripe_customer_id) {
@@ -166,33 +213,20 @@ async function addCredits(userId, amount, paymentMethodId) {
       throw new Error(`Payment failed: ${paymentIntent.status}`);
     }
     
-    // Update credit account
-    const { data: account, error: accountError } = await supabaseAdmin
-      .from('credit_accounts')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
-    
-    if (accountError) {
-      throw new Error('Failed to fetch credit account');
-    }
-    
-    const newBalance = (account.balance || 0) + amount;
-    
-    const { data: updatedAccount, error: updateError } = await supabaseAdmin
-      .from('credit_accounts')
-      .update({
-        balance: newBalance,
-        updated_at: new Date()
-      })
-      .eq('user_id', userId)
-      .select()
-      .single();
+    // Add to the balance; the database function also records the credit transaction
+    const { error: updateError } = await supabaseAdmin.rpc('add_user_credits', {
+      p_user_id: userId,
+      p_amount: amount,
+      p_description: 'Credits purchase',
+      p_payment_id: paymentIntent.id
+    });
     
     if (updateError) {
       throw new Error('Failed to update credit account');
     }
     
+    const { balance: newBalance } = await checkBalance(userId);
+    
     // Record transaction
     await supabaseAdmin
       .from('transactions')
@@ -237,31 +271,20 @@ async function addCredits(userId, amount, paymentMethodId) {
  * @param {String} userId - User ID
  * @param {String} callId - Call ID
  * @param {Number} minutes - Duration in minutes
+ * @param {Object} [options] - organizationId, to charge an organization's account
+ *   instead, and db (Supabase client)
  * @returns {Object} - Updated balance information
  */
-async function deductCredits(userId, callId, minutes) {
+async function deductCredits(userId, callId, minutes, { organizationId = null, db } = {}) {
   try {
     if (!minutes || minutes <= 0) {
       return { success: true, charged: 0 };
     }
     
-    // Get user's credit account
-    const { data: account, error: accountError } = await supabaseAdmin
-      .from('credit_accounts')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
-    
-    if (accountError || !account) {
-      throw new Error('Credit account not found');
-    }
-    
-    let amountToCharge = 0;
-    let remainingMinutes = minutes;
-    let freeMinutesUsed = account.free_minutes_used || 0;
+    const client = getDb(db);
     
     // Check if call has already been billed
-    const { data: existingBilling } = await supabaseAdmin
+    const { data: existingBilling } = await client
       .from('call_billing')
       .select('id')
       .eq('call_id', callId)
@@ -272,41 +295,35 @@ async function deductCredits(userId, callId, minutes) {
       return { success: true, charged: 0, alreadyBilled: true };
     }
     
-    // Use free tier minutes if available
-    if (account.has_free_tier && freeMinutesUsed < account.free_minutes_total) {
-      const freeMinutesAvailable = account.free_minutes_total - freeMinutesUsed;
-      const freeMinutesToUse = Math.min(freeMinutesAvailable, remainingMinutes);
-      
-      freeMinutesUsed += freeMinutesToUse;
-      remainingMinutes -= freeMinutesToUse;
-    }
+    // Charge the account the call was placed for in the database, free tier
+    // minutes first as when a hold is settled, so the charge is taken from the
+    // current balance rather than overwriting holds made since it was read
+    const { data: charges, error: chargeError } = await client.rpc('charge_call_minutes', {
+      p_user_id: userId,
+      p_minutes: minutes,
+      p_cost_per_minute: COST_PER_MINUTE,
+      p_organization_id: organizationId
+    });
     
-    // Calculate cost for remaining minutes
-    if (remainingMinutes > 0) {
-      amountToCharge = remainingMinutes * COST_PER_MINUTE;
+    if (chargeError) {
+      console.error('Charge call minutes error:', chargeError);
+      throw new Error('Failed to update credit account');
     }
     
-    // Update credit account
-    const newBalance = Math.max(0, (account.balance || 0) - amountToCharge);
+    const charge = charges && charges[0];
     
-    const { data: updatedAccount, error: updateError } = await supabaseAdmin
-      .from('credit_accounts')
-      .update({
-        balance: newBalance,
-        free_minutes_used: freeMinutesUsed,
-        updated_at: new Date()
-      })
-      .eq('user_id', userId)
-      .select()
-      .single();
-    
-    if (updateError) {
-      throw new Error('Failed to update credit account');
+    if (!charge) {
+      throw new Error('Credit account not found');
     }
     
+    const amountToCharge = Number(charge.charged) || 0;
+    const freeMinutesUsed = Number(charge.free_minutes_used) || 0;
+    const remainingMinutes = minutes - freeMinutesUsed;
+    const newBalance = Number(charge.balance) || 0;
+    
     // Record transaction if credits were charged
     if (amountToCharge > 0) {
-      await supabaseAdmin
+      await client
         .from('transactions')
         .insert({
           user_id: userId,
@@ -331,13 +348,13 @@ async function deductCredits(userId, callId, minutes) {
     }
     
     // Record billing information for the call
-    await supabaseAdmin
+    await client
       .from('call_billing')
       .insert({
         call_id: callId,
         user_id: userId,
         total_minutes: minutes,
-        free_minutes_used: minutes - remainingMinutes,
+        free_minutes_used: freeMinutesUsed,
         charged_minutes: remainingMinutes,
         amount_charged: amountToCharge,
         created_at: new Date()
@@ -346,7 +363,7 @@ async function deductCredits(userId, callId, minutes) {
     return {
       success: true,
       charged: amountToCharge,
-      freeMinutesUsed: minutes - remainingMinutes,
+      freeMinutesUsed,
       paidMinutes: remainingMinutes,
       balance: newBalance
     };
@@ -389,6 +406,175 @@ function estimateCost(minutes, userAccount = null) {
   };
 }
 
+/**
+ * Place a hold on a user's credits before a call is dialed, for the longest
+ * the call can run. Free tier minutes are held first, as deductCredits uses
+ * them, and the remaining minutes at COST_PER_MINUTE. The hold is taken
+ * atomically in the database, so concurrent calls cannot reserve more than
+ * the available balance or free minutes.
+ * @param {String} userId - User ID
+ * @param {Number} minutes - Minutes to hold for
+ * @param {Object} [options] - organizationId, to hold the organization's credits instead
+ * @returns {String} - Hold ID
+ */
+async function reserveCredits(userId, minutes, { organizationId = null } = {}) {
+  // A user's first call opens their credit account, as checkBalance does
+  if (!organizationId) {
+    await createCreditAccount(userId);
+  }
+
+  const { data: holdId, error } = await supabaseAdmin.rpc('reserve_user_credits', {
+    p_user_id: userId,
+    p_minutes: minutes,
+    p_cost_per_minute: COST_PER_MINUTE,
+    p_organization_id: organizationId
+  });
+
+  if (error) {
+    console.error('Reserve credits error:', error);
+    throw new Error('Failed to reserve credits');
+  }
+
+  if (!holdId) {
+    const account = await getCreditAccount(userId, { organizationId });
+    if (!account) {
+      throw new Error('Credit account not found');
+    }
+    const { cost } = estimateCost(minutes, formatBalance(account));
+    throw new Error(`Insufficient credits: $${cost.toFixed(2)} required`);
+  }
+
+  const { data: hold } = await supabaseAdmin
+    .from('credit_holds')
+    .select('amount')
+    .eq('id', holdId)
+    .single();
+
+  if (hold && Number(hold.amount) > 0) {
+    await notifyIfCreditsLow(userId, Number(hold.amount), { organizationId });
+  }
+
+  return holdId;
+}
+
+/**
+ * Emit `credits.low` when a deduction takes the balance below the threshold.
+ * Only the deduction that crosses the threshold notifies, not every one after it.
+ * @param {String} userId - User ID; notified for their organization's balance too
+ * @param {Number} deducted - Amount just taken from the balance
+ * @param {Object} [options] - organizationId, when the organization's balance was used
+ */
+async function notifyIfCreditsLow(userId, deducted, { organizationId = null } = {}) {
+  try {
+    const { data: credits } = await supabaseAdmin
+      .from('credits')
+      .select('balance')
+      .eq(organizationId ? 'organization_id' : 'user_id', organizationId || userId)
+      .single();
+
+    if (!credits) {
+      return;
+    }
+
+    const balance = Number(credits.balance);
+    if (balance < LOW_CREDIT_THRESHOLD && balance + deducted >= LOW_CREDIT_THRESHOLD) {
+      // Not awaited: delivery must not hold up the call being placed
+      emitEvent('credits.low', userId, {
+        balance,
+        threshold: LOW_CREDIT_THRESHOLD,
+        ...(organizationId && { organization_id: organizationId })
+      }, { organizationId });
+    }
+  } catch (error) {
+    console.error('Low credit check error:', error);
+  }
+}
+
+/**
+ * Link a credit hold to the call it was placed for
+ * @param {String} holdId - Hold ID
+ * @param {String} callId - Provider call ID
+ */
+async function attachCreditHold(holdId, callId) {
+  const { error } = await supabaseAdmin
+    .from('credit_holds')
+    .update({ call_id: callId, updated_at: new Date() })
+    .eq('id', holdId);
+
+  if (error) {
+    console.error('Attach credit hold error:', error);
+    throw new Error('Failed to attach credit hold');
+  }
+}
+
+/**
+ * Release a credit hold without charging anything
+ * @param {String} holdId - Hold ID
+ * @param {Object} [options] - db (Supabase client)
+ * @returns {Boolean} - False if the hold was already settled or released
+ */
+async function releaseCreditHold(holdId, { db } = {}) {
+  const { data: released, error } = await getDb(db).rpc('release_credit_hold', {
+    p_hold_id: holdId
+  });
+
+  if (error) {
+    console.error('Release credit hold error:', error);
+    throw new Error('Failed to release credit hold');
+  }
+
+  return !!released;
+}
+
+/**
+ * Settle or release the credit hold of a call once it reaches a final status.
+ * Completed calls are charged for the minutes actually used, out of the free
+ * minutes held first; calls that failed or were cancelled have their hold
+ * released in full. Settling is idempotent.
+ * @param {String} callId - Provider call ID
+ * @param {String} status - Current call status
+ * @param {Number} callLengthSeconds - Actual call length in seconds
+ * @param {Object} [options] - db (Supabase client)
+ * @returns {Object|null} - Settlement result, or null if the call is still
+ *   active or has no open hold
+ */
+async function finalizeCallCredits(callId, status, callLengthSeconds = 0, { db } = {}) {
+  if (!FINAL_CALL_STATUSES.includes(status)) {
+    return null;
+  }
+
+  const client = getDb(db);
+
+  const { data: hold, error } = await client
+    .from('credit_holds')
+    .select('id, amount')
+    .eq('call_id', callId)
+    .eq('status', 'held')
+    .single();
+
+  if (error || !hold) {
+    return null;
+  }
+
+  if (status !== 'completed') {
+    await releaseCreditHold(hold.id, { db });
+    return { callId, charged: 0, released: hold.amount };
+  }
+
+  const { data: charged, error: settleError } = await client.rpc('settle_credit_hold', {
+    p_hold_id: hold.id,
+    p_minutes: Math.ceil((callLengthSeconds || 0) / 60),
+    p_cost_per_minute: COST_PER_MINUTE
+  });
+
+  if (settleError) {
+    console.error('Settle credit hold error:', settleError);
+    throw new Error('Failed to settle credit hold');
+  }
+
+  return { callId, charged: charged || 0, released: hold.amount - (charged || 0) };
+}
+
 /**
  * Get transaction history for a user
  * @param {String} userId - User ID
@@ -563,10 +749,15 @@ module.exports = {
   addCredits,
   deductCredits,
   estimateCost,
+  reserveCredits,
+  attachCreditHold,
+  releaseCreditHold,
+  finalizeCallCredits,
   getTransactionHistory,
   getPricingInfo,
   generateInvoice,
   COST_PER_MINUTE,
   FREE_MINUTES,
-  MINIMUM_DEPOSIT
+  MINIMUM_DEPOSIT,
+  FINAL_CALL_STATUSES
 }; 
\ No newline at end of file
@@ -0,0 +1,289 @@
+// Call Data Extraction for ailevelup.AI MCP Wrapper
+//
+// A call can carry an extraction schema: a flat JSON schema describing the
+// fields wanted from the conversation, e.g. { appointmentTime, confirmed }.
+// When the call completes, each field is asked of the provider's transcript
+// analysis, the answers are coerced to the field types and validated against
+// the schema, and the result is stored in call_extractions.
+const { JSONSchemaValidator } = require('../mcp/lib/validators');
+const { getProvider } = require('./providers');
+const { forAccount } = require('./organizations');
+
+// Most fields one schema may ask for
+const MAX_FIELDS = 25;
+
+// Field types the transcript analysis can answer
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// Shape of an extraction schema
+const EXTRACTION_SCHEMA_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { enum: ['object'] },
+    properties: {
+      type: 'object',
+      minProperties: 1,
+      maxProperties: MAX_FIELDS,
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          type: { enum: FIELD_TYPES },
+          description: { type: 'string' },
+          enum: { type: 'array', minItems: 1 }
+        },
+        required: ['type']
+      }
+    },
+    required: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['properties']
+};
+
+const validator = new JSONSchemaValidator();
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Check that an extraction schema can be answered from a transcript
+ * @param {Object} schema - Extraction schema
+ * @returns {Object} - The schema, with `type: 'object'` filled in
+ */
+function validateExtractionSchema(schema) {
+  const result = validator.validate(schema, EXTRACTION_SCHEMA_SCHEMA);
+  if (!result.valid) {
+    throw Object.assign(
+      new Error(`Invalid extraction schema: ${result.errors.map(err => err.stack).join('; ')}`),
+      { code: 'INVALID_SCHEMA', details: { errors: result.errors.map(err => err.stack) } }
+    );
+  }
+
+  const unknown = (schema.required || []).filter(name => !schema.properties[name]);
+  if (unknown.length > 0) {
+    throw Object.assign(
+      new Error(`Invalid extraction schema: required fields are not defined: ${unknown.join(', ')}`),
+      { code: 'INVALID_SCHEMA', details: { errors: unknown.map(name => `required.${name} is not a property`) } }
+    );
+  }
+
+  return { ...schema, type: 'object' };
+}
+
+/**
+ * Build the analysis question for a field
+ * @param {String} name - Field name
+ * @param {Object} field - Field schema
+ * @returns {Array} - [question, answer type]
+ */
+function buildQuestion(name, field) {
+  // appointmentTime / appointment_time -> "appointment time"
+  const label = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+
+  let question = field.description || (field.type === 'boolean'
+    ? `Based on the call, is "${label}" true? Answer yes or no.`
+    : `What is the ${label}?`);
+  if (field.enum) {
+    question += ` Answer with one of: ${field.enum.join(', ')}.`;
+  }
+
+  return [question, field.type === 'integer' ? 'number' : field.type];
+}
+
+/**
+ * Convert an analysis answer to a field's type. Answers that cannot be
+ * converted are kept as they are and reported by validation.
+ * @param {*} answer - Answer from the analysis
+ * @param {Object} field - Field schema
+ * @returns {*} - Typed value, or null if the call did not answer it
+ */
+function coerceAnswer(answer, field) {
+  if (answer === undefined || answer === null) {
+    return null;
+  }
+
+  const text = typeof answer === 'string' ? answer.trim() : answer;
+  if (text === '' || /^(null|none|unknown|n\/a)$/i.test(text)) {
+    return null;
+  }
+
+  switch (field.type) {
+    case 'boolean':
+      if (/^(yes|true)$/i.test(text)) {
+        return true;
+      }
+      if (/^(no|false)$/i.test(text)) {
+        return false;
+      }
+      return text;
+    case 'number':
+    case 'integer': {
+      const number = typeof text === 'number' ? text : Number(String(text).replace(/[,$\s]/g, ''));
+      return Number.isNaN(number) ? text : number;
+    }
+    default:
+      return typeof text === 'string' ? text : String(text);
+  }
+}
+
+/**
+ * Run a call's extraction schema over its transcript and store the result.
+ * Results that do not match the schema are stored with status 'invalid' and
+ * the validation errors.
+ * @param {Object} call - Call record with call_id, user_id, organization_id and
+ *   extraction_schema
+ * @param {Object} [options] - db
+ * @returns {Object} - Stored extraction
+ */
+async function extractCallData(call, { db } = {}) {
+  const schema = call.extraction_schema;
+  const fields = Object.entries(schema.properties);
+
+  const analysis = await getProvider().analyze(call.call_id, {
+    goal: 'Extract structured data from the call',
+    questions: fields.map(([name, field]) => buildQuestion(name, field))
+  });
+
+  const answers = (analysis && analysis.answers) || [];
+  const data = {};
+  fields.forEach(([name, field], index) => {
+    const value = coerceAnswer(answers[index], field);
+    if (value !== null) {
+      data[name] = value;
+    }
+  });
+
+  const result = validator.validate(data, schema);
+  const errors = result.errors.map(err => err.stack);
+
+  const { data: extraction, error } = await getDb(db)
+    .from('call_extractions')
+    .upsert({
+      call_id: call.call_id,
+      user_id: call.user_id,
+      organization_id: call.organization_id || null,
+      schema,
+      data,
+      status: result.valid ? 'valid' : 'invalid',
+      errors,
+      raw: analysis,
+      extracted_at: new Date().toISOString()
+    }, { onConflict: 'call_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store call extraction: ${error.message}`);
+  }
+
+  return extraction;
+}
+
+/**
+ * Attach an extraction schema to a call. A call that has already completed
+ * is extracted right away.
+ * @param {String} callId - Call ID
+ * @param {String} userId - User who owns the call
+ * @param {Object} schema - Extraction schema
+ * @param {Object} [options] - organizationId (of the call's organization) and db
+ * @returns {Object} - call_id, status ('pending' until the call completes) and the extraction, if run
+ */
+async function attachExtractionSchema(callId, userId, schema, { organizationId, db } = {}) {
+  const extractionSchema = validateExtractionSchema(schema);
+
+  const query = getDb(db)
+    .from('calls')
+    .update({ extraction_schema: extractionSchema })
+    .eq('call_id', callId);
+
+  const { data: call, error } = await forAccount(query, userId, organizationId)
+    .select('call_id, user_id, organization_id, status, extraction_schema')
+    .single();
+
+  if (error || !call) {
+    throw Object.assign(new Error('Call not found'), { code: 'CALL_NOT_FOUND' });
+  }
+
+  if (call.status !== 'completed') {
+    return { call_id: callId, status: 'pending', extraction: null };
+  }
+
+  const extraction = await extractCallData(call, { db });
+  return { call_id: callId, status: extraction.status, extraction };
+}
+
+/**
+ * Get the extraction stored for a call
+ * @param {String} callId - Call ID
+ * @param {String} userId - User who owns the call
+ * @param {Object} [options] - organizationId (of the call's organization) and db
+ * @returns {Object|null} - Extraction, or null if the call has not been extracted
+ */
+async function getCallExtraction(callId, userId, { organizationId, db } = {}) {
+  const query = getDb(db)
+    .from('call_extractions')
+    .select('*')
+    .eq('call_id', callId);
+
+  const { data, error } = await forAccount(query, userId, organizationId).maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load call extraction: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List a user's extractions, newest first
+ * @param {String} userId - User ID
+ * @param {Object} [filters] - where (field values the data must contain),
+ *   status, from_date, to_date, limit and offset
+ * @param {Object} [options] - organizationId (to list an organization's) and db
+ * @returns {Array} - Extractions
+ */
+async function queryExtractions(userId, filters = {}, { organizationId, db } = {}) {
+  const { where, status, from_date, to_date, limit = 20, offset = 0 } = filters;
+
+  let query = forAccount(getDb(db).from('call_extractions').select('*'), userId, organizationId)
+    .order('extracted_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (where && Object.keys(where).length > 0) {
+    query = query.contains('data', where);
+  }
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (from_date) {
+    query = query.gte('extracted_at', from_date);
+  }
+  if (to_date) {
+    query = query.lte('extracted_at', to_date);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to query call extractions: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  MAX_FIELDS,
+  validateExtractionSchema,
+  coerceAnswer,
+  extractCallData,
+  attachExtractionSchema,
+  getCallExtraction,
+  queryExtractions
+};
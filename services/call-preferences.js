@@ -0,0 +1,143 @@
+// Call Preference Service for ailevelup.AI MCP Wrapper
+//
+// Resolves the settings a call is placed with. Each setting comes from the
+// first of: the parameter passed with the call, the call template, the
+// user's saved preference (user_settings) and the account default
+// (environment). Callers merge the first two; this module supplies the rest.
+
+// Models calls can be placed with
+const MODEL_OPTIONS = [
+  {
+    id: 'turbo',
+    name: 'Turbo',
+    description: 'Fast and efficient model for real-time phone conversations',
+    isDefault: true,
+    details: 'For content moderation/safety checks, we use gpt-4o-mini. For the actual phone calls via ailevelup.AI, we use the turbo model.',
+    useCase: 'All phone calls'
+  }
+];
+
+// Saved voicemail preferences in makePhoneCall form. `retry_later` hangs up;
+// the retry policy dials again.
+const VOICEMAIL_ACTIONS = {
+  'leave_message': 'leave_message',
+  'hang_up': 'hangup',
+  'retry_later': 'hangup'
+};
+
+// user_settings columns for each preference
+const PREFERENCE_COLUMNS = {
+  voice: 'default_voice',
+  model: 'default_model',
+  temperature: 'default_temperature',
+  fromNumber: 'default_from_number',
+  voicemailAction: 'default_voicemail_action'
+};
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Get the account defaults, used for anything the user has not set
+ * @returns {Object} - voice, model, temperature, fromNumber and voicemailAction
+ */
+function getAccountDefaults() {
+  const env = (...names) => names.map(name => process.env[name]).find(value => value) || null;
+
+  return {
+    voice: env('DEFAULT_VOICE', 'AILEVELUP_DEFAULT_VOICE'),
+    model: env('DEFAULT_MODEL', 'AILEVELUP_DEFAULT_MODEL') || MODEL_OPTIONS.find(model => model.isDefault).id,
+    temperature: parseFloat(env('DEFAULT_TEMPERATURE', 'AILEVELUP_DEFAULT_TEMPERATURE')) || 1,
+    fromNumber: env('DEFAULT_FROM_NUMBER', 'AILEVELUP_DEFAULT_FROM_NUMBER', 'CALL_FROM'),
+    voicemailAction: env('DEFAULT_VOICEMAIL_ACTION', 'AILEVELUP_DEFAULT_VOICEMAIL_ACTION') || 'hangup'
+  };
+}
+
+/**
+ * Check that a model is in the model catalog
+ * @param {String} model - Model ID
+ * @returns {Boolean} - True if calls can use the model
+ */
+function isKnownModel(model) {
+  return MODEL_OPTIONS.some(option => option.id === model);
+}
+
+/**
+ * Get a user's saved call preferences
+ * @param {String} userId - User ID
+ * @param {Object} [options] - db
+ * @returns {Object|null} - user_settings record, or null if none was saved
+ */
+async function getUserPreferences(userId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('user_settings')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Get user preferences error:', error);
+    throw new Error('Failed to fetch call preferences');
+  }
+
+  return data || null;
+}
+
+/**
+ * Get the call settings that apply to a user's calls when none are passed:
+ * their saved preference, or the account default
+ * @param {String} userId - User ID
+ * @param {Object} [options] - db
+ * @returns {Object} - voice, model, temperature, fromNumber, voicemailAction
+ *   and retryPolicy, with `sources` naming where each came from ('user' or 'account')
+ */
+async function getCallPreferences(userId, { db } = {}) {
+  const saved = await getUserPreferences(userId, { db }) || {};
+  const defaults = getAccountDefaults();
+
+  const preferences = { sources: {} };
+  Object.entries(PREFERENCE_COLUMNS).forEach(([name, column]) => {
+    const value = saved[column];
+    // Models saved before they were checked against the catalog are ignored
+    const set = value !== undefined && value !== null && value !== '' &&
+      (name !== 'model' || isKnownModel(value));
+
+    preferences[name] = set ? value : defaults[name];
+    preferences.sources[name] = set ? 'user' : 'account';
+  });
+
+  preferences.voicemailAction = VOICEMAIL_ACTIONS[preferences.voicemailAction] || preferences.voicemailAction;
+  preferences.retryPolicy = saved.retry_policy || null;
+  return preferences;
+}
+
+/**
+ * Fill in the settings a call was not given from the user's preferences
+ * @param {Object} params - makePhoneCall parameters, with any template already applied
+ * @param {Object} preferences - Result of getCallPreferences
+ * @returns {Object} - Parameters with voice, model, temperature, fromNumber and voicemailAction set
+ */
+function applyCallPreferences(params, preferences) {
+  const resolved = { ...params };
+  Object.keys(PREFERENCE_COLUMNS).forEach(name => {
+    if (resolved[name] === undefined && preferences[name] !== null) {
+      resolved[name] = preferences[name];
+    }
+  });
+  return resolved;
+}
+
+module.exports = {
+  MODEL_OPTIONS,
+  getAccountDefaults,
+  isKnownModel,
+  getUserPreferences,
+  getCallPreferences,
+  applyCallPreferences
+};
@@ -0,0 +1,319 @@
+// Call Retry Service for ailevelup.AI MCP Wrapper
+//
+// Calls that end busy, unanswered or in voicemail can be dialed again,
+// following a retry policy set on the call or on the account. Each retry is
+// booked as a scheduled call and, once dialed, recorded as a numbered attempt
+// of the first call in the chain (calls.original_call_id and calls.attempt).
+const { JSONSchemaValidator } = require('../mcp/lib/validators');
+const { scheduleCall } = require('./scheduled-calls');
+const { forAccount } = require('./organizations');
+const {
+  normalizePhoneNumber,
+  inferTimezones,
+  getNextAllowedTime,
+  getComplianceSettings
+} = require('./compliance');
+const { getUserPreferences } = require('./call-preferences');
+
+// Outcomes a policy can retry
+const RETRY_OUTCOMES = ['busy', 'no_answer', 'voicemail'];
+
+// Settings used for anything a policy leaves out. maxAttempts counts the
+// first call, so the default dials at most twice more.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  outcomes: ['busy', 'no_answer'],
+  backoffMinutes: 15,
+  backoffMultiplier: 2,
+  allowedHours: null
+};
+
+// Shape of a retry policy
+const RETRY_POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    maxAttempts: { type: 'integer', minimum: 1, maximum: 10 },
+    outcomes: { type: 'array', items: { enum: RETRY_OUTCOMES }, uniqueItems: true },
+    backoffMinutes: { type: 'number', minimum: 1, maximum: 1440 },
+    backoffMultiplier: { type: 'number', minimum: 1, maximum: 10 },
+    allowedHours: {
+      type: 'object',
+      properties: {
+        start: { type: 'integer', minimum: 0, maximum: 23 },
+        end: { type: 'integer', minimum: 0, maximum: 23 }
+      },
+      required: ['start', 'end'],
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+// Scheduled retries that have not been dialed yet
+const PENDING_STATUS = 'scheduled';
+
+const validator = new JSONSchemaValidator();
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Check a retry policy
+ * @param {Object} policy - maxAttempts, outcomes, backoffMinutes,
+ *   backoffMultiplier and allowedHours ({ start, end } hours in the callee's time)
+ * @returns {Object} - The policy
+ */
+function validateRetryPolicy(policy) {
+  const result = validator.validate(policy, RETRY_POLICY_SCHEMA);
+  if (!result.valid) {
+    throw Object.assign(
+      new Error(`Invalid retry policy: ${result.errors.map(err => err.stack).join('; ')}`),
+      { code: 'INVALID_RETRY_POLICY', details: { errors: result.errors.map(err => err.stack) } }
+    );
+  }
+
+  if (policy.allowedHours && policy.allowedHours.start === policy.allowedHours.end) {
+    throw Object.assign(
+      new Error('Invalid retry policy: allowedHours start and end must differ'),
+      { code: 'INVALID_RETRY_POLICY', details: { errors: ['allowedHours start and end must differ'] } }
+    );
+  }
+
+  return policy;
+}
+
+/**
+ * Work out which retryable outcome a call ended with
+ * @param {Object} call - Call record, as of the transition
+ * @param {String} to - Final status
+ * @param {Object} [payload] - Raw provider event for the transition
+ * @returns {String|null} - 'busy', 'no_answer', 'voicemail', or null if the
+ *   outcome is not one a policy can retry
+ */
+function classifyOutcome(call, to, payload) {
+  if (!['completed', 'failed'].includes(to)) {
+    return null;
+  }
+  if (call.answered_by === 'voicemail') {
+    return 'voicemail';
+  }
+  if (to !== 'failed') {
+    return null;
+  }
+
+  const providerStatus = String((payload && (payload.status || payload.queue_status)) || '').toLowerCase();
+  if (providerStatus === 'busy') {
+    return 'busy';
+  }
+  if (providerStatus === 'no-answer' || call.answered_by === 'no-answer') {
+    return 'no_answer';
+  }
+  return null;
+}
+
+/**
+ * Resolve the retry policy for a call: the call's own policy, else the
+ * account's. Accounts whose voicemail preference is `retry_later` also retry
+ * voicemail, unless the policy lists its outcomes.
+ * @param {Object} call - Call record
+ * @param {Object} [options] - db
+ * @returns {Object|null} - Policy with defaults filled in, or null if the call is not retried
+ */
+async function resolveRetryPolicy(call, { db } = {}) {
+  const settings = await getUserPreferences(call.user_id, { db });
+
+  const policy = call.retry_policy || (settings && settings.retry_policy) || null;
+  const retryVoicemail = !!settings && settings.default_voicemail_action === 'retry_later';
+
+  if (!policy && !retryVoicemail) {
+    return null;
+  }
+
+  const resolved = { ...DEFAULT_RETRY_POLICY, ...policy };
+  if (!policy) {
+    resolved.outcomes = ['voicemail'];
+  } else if (retryVoicemail && !policy.outcomes) {
+    resolved.outcomes = [...resolved.outcomes, 'voicemail'];
+  }
+  return resolved;
+}
+
+/**
+ * Find the first time at or after `earliest` that is inside the policy's
+ * allowed hours and outside the account's quiet hours, for every timezone
+ * the callee may be in
+ * @param {Date} earliest - Earliest time to dial
+ * @param {Object} call - Call record
+ * @param {Object} policy - Retry policy
+ * @returns {Date|null} - Time to dial, or null if there is none within a week
+ */
+async function getRetryTime(earliest, call, policy) {
+  const timezones = inferTimezones(normalizePhoneNumber(call.phone_number));
+  const windows = [await getComplianceSettings(call.user_id)];
+
+  // Allowed hours are the complement of quiet hours
+  if (policy.allowedHours) {
+    windows.push({ quietHoursStart: policy.allowedHours.end, quietHoursEnd: policy.allowedHours.start });
+  }
+
+  // Moving past one window can land in another, so repeat until nothing moves
+  let candidate = earliest;
+  for (let pass = 0; pass <= windows.length && candidate; pass++) {
+    const next = windows.reduce((at, window) => at && getNextAllowedTime(at, timezones, window), candidate);
+    if (next && next.getTime() === candidate.getTime()) {
+      return candidate;
+    }
+    candidate = next;
+  }
+  return candidate;
+}
+
+/**
+ * Book the next attempt of a call that ended with a retryable outcome
+ * @param {Object} call - Call record, as of the transition
+ * @param {String} to - Final status
+ * @param {Object} [payload] - Raw provider event for the transition
+ * @param {Object} [options] - db
+ * @returns {Object|null} - Scheduled call for the retry, or null if none was booked
+ */
+async function retryCall(call, to, payload, { db } = {}) {
+  const outcome = classifyOutcome(call, to, payload);
+  if (!outcome) {
+    return null;
+  }
+
+  // Transitions may carry only part of the record
+  if (call.call_params === undefined) {
+    const { data } = await getDb(db)
+      .from('calls')
+      .select('*')
+      .eq('call_id', call.call_id)
+      .single();
+    call = { ...data, ...call };
+  }
+
+  // Calls placed before retries were recorded cannot be dialed again
+  if (!call.call_params) {
+    return null;
+  }
+
+  const policy = await resolveRetryPolicy(call, { db });
+  const attempt = (call.attempt || 1) + 1;
+  if (!policy || !policy.outcomes.includes(outcome) || attempt > policy.maxAttempts) {
+    return null;
+  }
+
+  const delayMinutes = policy.backoffMinutes * Math.pow(policy.backoffMultiplier, attempt - 2);
+  const dueAt = await getRetryTime(new Date(Date.now() + delayMinutes * 60 * 1000), call, policy);
+  if (!dueAt) {
+    console.warn(`No time to retry call ${call.call_id} within the allowed hours`);
+    return null;
+  }
+
+  const scheduledCall = await scheduleCall(call.user_id, call.call_params, dueAt.toISOString(), 'UTC', {
+    retryOf: call.original_call_id || call.call_id,
+    attempt,
+    ...(call.organization_id && { organizationId: call.organization_id })
+  });
+
+  console.log(`Retry ${attempt} of call ${call.original_call_id || call.call_id} (${outcome}) booked for ${scheduledCall.scheduled_at}`);
+  return scheduledCall;
+}
+
+/**
+ * Cancel retries that have not been dialed yet, for one chain of attempts or
+ * for every call to a number
+ * @param {Object} target - userId or organizationId (omit both to cancel
+ *   across accounts), and callId (first call of the chain) or phoneNumber
+ * @param {Object} [options] - db
+ * @returns {Array} - Cancelled scheduled calls
+ */
+async function cancelPendingRetries({ userId = null, organizationId = null, callId, phoneNumber }, { db } = {}) {
+  let query = getDb(db)
+    .from('scheduled_calls')
+    .update({
+      status: 'cancelled',
+      updated_at: new Date()
+    })
+    .eq('status', PENDING_STATUS);
+
+  if (organizationId) {
+    query = query.eq('organization_id', organizationId);
+  } else if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  query = callId
+    ? query.eq('retry_of_call_id', callId)
+    : query.eq('call_params->>phoneNumber', normalizePhoneNumber(phoneNumber)).not('retry_of_call_id', 'is', null);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('Cancel pending retries error:', error);
+    throw new Error('Failed to cancel pending retries');
+  }
+
+  return data || [];
+}
+
+/**
+ * List the attempts made, and retries booked, for a chain of calls. Calls of
+ * an organization list the attempts placed by any of its members.
+ * @param {String} userId - User ID
+ * @param {Object} call - Any call in the chain
+ * @param {Object} [options] - db
+ * @returns {Object} - attempts (calls, first attempt first) and pendingRetries
+ */
+async function listCallAttempts(userId, call, { db } = {}) {
+  const rootId = call.original_call_id || call.call_id;
+
+  const { data: attempts, error } = await forAccount(
+    getDb(db).from('calls').select('call_id, status, attempt, answered_by, created_at'),
+    userId,
+    call.organization_id
+  )
+    .or(`call_id.eq.${rootId},original_call_id.eq.${rootId}`)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('List call attempts error:', error);
+    throw new Error('Failed to list call attempts');
+  }
+
+  const { data: pendingRetries, error: retryError } = await forAccount(
+    getDb(db).from('scheduled_calls').select('id, status, attempt, scheduled_at'),
+    userId,
+    call.organization_id
+  )
+    .eq('retry_of_call_id', rootId)
+    .in('status', [PENDING_STATUS, 'dispatching'])
+    .order('scheduled_at', { ascending: true });
+
+  if (retryError) {
+    console.error('List pending retries error:', retryError);
+    throw new Error('Failed to list pending retries');
+  }
+
+  return {
+    attempts: attempts || [],
+    pendingRetries: pendingRetries || []
+  };
+}
+
+module.exports = {
+  RETRY_OUTCOMES,
+  DEFAULT_RETRY_POLICY,
+  validateRetryPolicy,
+  classifyOutcome,
+  resolveRetryPolicy,
+  retryCall,
+  cancelPendingRetries,
+  listCallAttempts
+};
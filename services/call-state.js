@@ -0,0 +1,486 @@
+// Call State Engine for ailevelup.AI MCP Wrapper
+//
+// Every call status change goes through this module. Provider webhooks are
+// ingested first; calls that have not been heard from are polled on an
+// adaptive schedule. Transitions are checked against a single state machine,
+// recorded in call_events and published to subscribers (billing, Google
+// Sheets logging and outbound webhooks).
+const { getProvider, ACTIVE_CALL_STATUSES } = require('./providers');
+const { forAccount } = require('./organizations');
+
+// Legal transitions. Calls may skip ahead (queued -> completed) but never move
+// back, and final states have no exits.
+const TRANSITIONS = {
+  'scheduled': ['initiated', 'queued', 'failed', 'cancelled'],
+  'initiated': ['queued', 'ringing', 'in_progress', 'completed', 'failed', 'cancelled'],
+  'queued': ['ringing', 'in_progress', 'completed', 'failed', 'cancelled'],
+  'ringing': ['in_progress', 'completed', 'failed', 'cancelled'],
+  'in_progress': ['completed', 'failed', 'cancelled'],
+  'completed': [],
+  'failed': [],
+  'cancelled': []
+};
+
+const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Calls in these states are polled when no webhook has been received
+const TRACKED_STATES = ['initiated', ...ACTIVE_CALL_STATUSES];
+
+// Statuses written by earlier versions, read as their state machine equivalent
+const LEGACY_STATUSES = {
+  'in-progress': 'in_progress',
+  'stopped': 'cancelled',
+  'canceled': 'cancelled',
+  'error': 'failed',
+  'busy': 'failed',
+  'no-answer': 'failed'
+};
+
+// Base delay before the next poll of a call in each state. The delay doubles
+// for every poll that finds nothing new, up to MAX_POLL_DELAY_MS.
+const POLL_DELAYS_MS = {
+  'initiated': 15000,
+  'queued': 15000,
+  'ringing': 10000,
+  'in_progress': 30000
+};
+const MAX_POLL_DELAY_MS = 5 * 60 * 1000;
+
+// After a provider webhook, polling for that call waits this long
+const WEBHOOK_POLL_DEFERRAL_MS = 2 * 60 * 1000;
+
+// Calls whose status cannot be confirmed for this long are marked failed
+const STALE_CALL_HOURS = 24;
+
+// Polling interval for due calls in milliseconds (10 seconds)
+const POLLING_INTERVAL = 10000;
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Read a stored status as a state machine state
+ * @param {String} status - Status from the calls table
+ * @returns {String} - State
+ */
+function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Check whether a call may move between two states
+ * @param {String} from - Current status
+ * @param {String} to - New status
+ * @returns {Boolean} - Whether the transition is legal
+ */
+function isLegalTransition(from, to) {
+  const allowed = TRANSITIONS[normalizeStatus(from)];
+  return !!allowed && allowed.includes(to);
+}
+
+/**
+ * Get the delay before a call should be polled again
+ * @param {String} status - Current status
+ * @param {Number} unchangedPolls - Polls in a row that found nothing new
+ * @returns {Number|null} - Delay in milliseconds, or null if the call is no longer polled
+ */
+function getPollDelay(status, unchangedPolls = 0) {
+  const base = POLL_DELAYS_MS[normalizeStatus(status)];
+  if (!base) {
+    return null;
+  }
+  return Math.min(base * Math.pow(2, unchangedPolls), MAX_POLL_DELAY_MS);
+}
+
+/**
+ * Build the polling columns for a call after it has been checked
+ * @param {String} status - Status after the check
+ * @param {Number} unchangedPolls - Polls in a row that found nothing new
+ * @param {String} source - 'webhook', 'poll' or 'api'
+ * @returns {Object} - next_poll_at and poll_attempts
+ */
+function getPollSchedule(status, unchangedPolls, source) {
+  const delay = source === 'webhook' && !FINAL_STATES.includes(normalizeStatus(status))
+    ? WEBHOOK_POLL_DEFERRAL_MS
+    : getPollDelay(status, unchangedPolls);
+
+  return {
+    next_poll_at: delay === null ? null : new Date(Date.now() + delay).toISOString(),
+    poll_attempts: unchangedPolls
+  };
+}
+
+/**
+ * Pick the call details the provider reports that the call record lacks or
+ * has an older value for
+ * @param {Object} call - Call record
+ * @param {Object} providerCall - Call as returned by provider.getCall()
+ * @returns {Object} - Column updates
+ */
+function getDetailUpdates(call, providerCall) {
+  const columns = {
+    duration: providerCall.durationSeconds,
+    recording_url: providerCall.recordingUrl,
+    concatenated_transcript: providerCall.transcript,
+    answered_by: providerCall.answeredBy,
+    call_ended_by: providerCall.endedBy
+  };
+
+  const updates = {};
+  Object.entries(columns).forEach(([column, value]) => {
+    if (value !== undefined && value !== null && value !== '' && value !== call[column]) {
+      updates[column] = value;
+    }
+  });
+  return updates;
+}
+
+// Listeners called with every transition
+const subscribers = [];
+
+/**
+ * Subscribe to call state transitions. Listeners are awaited in order; an
+ * error in one is logged and does not stop the others.
+ * @param {Function} listener - Called with ({ call, from, to, source, payload }, { db })
+ * @returns {Function} - Unsubscribes the listener
+ */
+function subscribe(listener) {
+  subscribers.push(listener);
+
+  return () => {
+    const index = subscribers.indexOf(listener);
+    if (index !== -1) {
+      subscribers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Publish a transition to every subscriber
+ * @param {Object} transition - call, from, to and source
+ * @param {Object} [options] - db
+ */
+async function publish(transition, { db } = {}) {
+  for (const listener of [...subscribers]) {
+    try {
+      await listener(transition, { db });
+    } catch (error) {
+      console.error(`Call state subscriber failed for call ${transition.call.call_id}:`, error);
+    }
+  }
+}
+
+/**
+ * Move a call to a new state, record the event and publish it. The update
+ * only applies if the call is still in the state it was read in, so two
+ * writers racing on the same call produce a single transition.
+ * @param {Object} call - Call record; must include call_id and status
+ * @param {String} to - New status
+ * @param {Object} [options] - source, details (extra column updates), payload (raw event), db, and
+ *   for 'api' transitions the acting userId (required) and organizationId the update is limited to
+ * @returns {Object} - Result with changed, from and to; conflict is set if another writer moved the call first
+ */
+async function transitionCall(call, to, { source = 'api', details = {}, payload = null, userId, organizationId = null, db } = {}) {
+  const from = call.status;
+
+  if (source === 'api' && !userId) {
+    throw Object.assign(new Error('A user is required to change a call on their behalf'), {
+      code: 'USER_REQUIRED',
+      details: { callId: call.call_id, to }
+    });
+  }
+
+  if (!isLegalTransition(from, to)) {
+    throw Object.assign(new Error(`Cannot move call from ${from} to ${to}`), {
+      code: 'ILLEGAL_TRANSITION',
+      details: { callId: call.call_id, from, to }
+    });
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    ...details,
+    ...getPollSchedule(to, 0, source),
+    status: to,
+    last_event_at: now,
+    updated_at: now
+  };
+
+  if (to === 'completed' && (updates.duration || call.duration)) {
+    updates.credits_used = Math.ceil((updates.duration || call.duration) / 60) || 1;
+  }
+
+  let query = getDb(db)
+    .from('calls')
+    .update(updates)
+    .eq('call_id', call.call_id)
+    .eq('status', from);
+
+  if (source === 'api') {
+    query = forAccount(query, userId, organizationId);
+  } else if (call.user_id) {
+    query = query.eq('user_id', call.user_id);
+  }
+
+  const { data: updated, error } = await query.select('call_id');
+
+  if (error) {
+    throw new Error(`Failed to update call ${call.call_id}: ${error.message}`);
+  }
+
+  if (!updated || (Array.isArray(updated) && updated.length === 0)) {
+    return { callId: call.call_id, changed: false, conflict: true, status: from };
+  }
+
+  const { error: eventError } = await getDb(db)
+    .from('call_events')
+    .insert({
+      call_id: call.call_id,
+      user_id: call.user_id,
+      from_status: from,
+      to_status: to,
+      source,
+      payload,
+      created_at: now
+    });
+
+  if (eventError) {
+    console.error(`Failed to record event for call ${call.call_id}:`, eventError);
+  }
+
+  await publish({ call: { ...call, ...updates }, from, to, source, payload }, { db });
+
+  return { callId: call.call_id, changed: true, from, to };
+}
+
+/**
+ * Apply a status report from the provider to a call record. Reports that
+ * would move the call backwards, or out of a final state, only fill in
+ * missing details.
+ * @param {Object} call - Call record
+ * @param {Object} providerCall - Call as returned by provider.getCall()
+ * @param {Object} [options] - source ('webhook' or 'poll') and db
+ * @returns {Object} - Result with changed, and from and to if the call moved
+ */
+async function applyProviderUpdate(call, providerCall, { source = 'poll', db } = {}) {
+  const details = getDetailUpdates(call, providerCall);
+  const to = providerCall.status;
+
+  if (to !== normalizeStatus(call.status) && isLegalTransition(call.status, to)) {
+    return transitionCall(call, to, { source, details, payload: providerCall.raw || null, db });
+  }
+
+  if (to !== normalizeStatus(call.status) && to !== 'unknown') {
+    console.warn(`Ignoring ${source} status ${to} for call ${call.call_id} in state ${call.status}`);
+  }
+
+  const unchangedPolls = source === 'webhook' || Object.keys(details).length > 0
+    ? 0
+    : (call.poll_attempts || 0) + 1;
+  const updates = {
+    ...details,
+    ...getPollSchedule(call.status, unchangedPolls, source),
+    ...(source === 'webhook' && { last_event_at: new Date().toISOString() })
+  };
+
+  const { error } = await getDb(db)
+    .from('calls')
+    .update(updates)
+    .eq('call_id', call.call_id);
+
+  if (error) {
+    throw new Error(`Failed to update call ${call.call_id}: ${error.message}`);
+  }
+
+  return { callId: call.call_id, changed: false, status: call.status };
+}
+
+/**
+ * Apply a status report for a call looked up by its provider call ID
+ * @param {Object} providerCall - Call in provider.getCall() form
+ * @param {Object} [options] - source (defaults to 'webhook') and db
+ * @returns {Object|null} - Result, or null if the call is not known
+ */
+async function ingestProviderUpdate(providerCall, { source = 'webhook', db } = {}) {
+  const { data: call, error } = await getDb(db)
+    .from('calls')
+    .select('*')
+    .eq('call_id', providerCall.callId)
+    .single();
+
+  if (error || !call) {
+    return null;
+  }
+
+  return applyProviderUpdate(call, providerCall, { source, db });
+}
+
+/**
+ * Poll the provider for one call and apply what it reports. Calls that
+ * cannot be checked for STALE_CALL_HOURS are marked failed.
+ * @param {Object} call - Call record
+ * @param {Object} [options] - db
+ * @returns {Object} - Result with success, and changed if the call moved
+ */
+async function refreshCall(call, { db } = {}) {
+  try {
+    const providerCall = await getProvider().getCall(call.call_id);
+    const result = await applyProviderUpdate(call, providerCall, { source: 'poll', db });
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error refreshing call ${call.call_id}:`, error.details || error.message);
+
+    const hoursSinceCreation = (Date.now() - new Date(call.created_at).getTime()) / (1000 * 60 * 60);
+
+    try {
+      if (hoursSinceCreation > STALE_CALL_HOURS && isLegalTransition(call.status, 'failed')) {
+        await transitionCall(call, 'failed', {
+          source: 'poll',
+          details: { error_message: `Call status could not be confirmed after ${STALE_CALL_HOURS} hours` },
+          db
+        });
+      } else {
+        const unchangedPolls = (call.poll_attempts || 0) + 1;
+        await getDb(db)
+          .from('calls')
+          .update(getPollSchedule(call.status, unchangedPolls, 'poll'))
+          .eq('call_id', call.call_id);
+      }
+    } catch (updateError) {
+      console.error(`Error rescheduling call ${call.call_id}:`, updateError);
+    }
+
+    return { callId: call.call_id, success: false, error: error.message };
+  }
+}
+
+/**
+ * Poll every active call whose next check is due
+ * @param {Object} [options] - db and limit
+ * @returns {Object} - Results of refresh operations
+ */
+async function pollDueCalls({ db, limit = 100 } = {}) {
+  try {
+    const now = new Date().toISOString();
+    const { data: due, error } = await getDb(db)
+      .from('calls')
+      .select('*')
+      .in('status', TRACKED_STATES)
+      .or(`next_poll_at.is.null,next_poll_at.lte.${now}`)
+      .order('next_poll_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch calls due for polling: ${error.message}`);
+    }
+
+    // Skip if nothing is due
+    if (!due || due.length === 0) {
+      return { message: 'No calls due for a status check' };
+    }
+
+    const results = [];
+    for (const call of due) {
+      results.push(await refreshCall(call, { db }));
+    }
+
+    return {
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error polling call status:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the call status polling service
+ * @returns {Object} - Interval handle, for stopping the service
+ */
+function startCallStateService() {
+  // Call once immediately
+  pollDueCalls();
+
+  // Set up interval
+  const interval = setInterval(pollDueCalls, POLLING_INTERVAL);
+
+  console.log(`Call state service started with ${POLLING_INTERVAL}ms interval`);
+
+  return interval;
+}
+
+// Settle or release the call's credit hold once it ends. Completed calls
+// placed without a hold are billed by the minute instead; the state machine
+// reaches completed once per call, and deductCredits skips calls already billed.
+subscribe(async ({ call, to }, { db }) => {
+  if (FINAL_STATES.includes(to)) {
+    const { finalizeCallCredits, deductCredits } = require('./billing');
+    const settled = await finalizeCallCredits(call.call_id, to, call.duration, { db });
+
+    if (!settled && to === 'completed' && call.user_id) {
+      await deductCredits(call.user_id, call.call_id, Math.ceil((call.duration || 0) / 60), {
+        organizationId: call.organization_id || null,
+        db
+      });
+    }
+  }
+});
+
+// Keep the call's Google Sheets row in step. Loaded lazily: the Sheets client
+// is only available on the API server.
+subscribe(async ({ call }) => {
+  if (process.env.GOOGLE_SHEETS_DOC_ID) {
+    const { updateCallStatusInGoogleSheets } = require('../google-sheets-logging');
+    await updateCallStatusInGoogleSheets(call);
+  }
+});
+
+// Notify the user's webhook endpoints of the new call stage
+subscribe(async ({ call, from, to }, { db }) => {
+  const { emitCallStatusEvent } = require('./webhooks');
+  await emitCallStatusEvent(call, from, to, { db });
+});
+
+// Extract structured data from completed calls that carry an extraction
+// schema. Not awaited: the transcript analysis can take several seconds.
+subscribe(async ({ call, to }, { db }) => {
+  if (to === 'completed' && call.extraction_schema) {
+    const { extractCallData } = require('./call-extraction');
+    extractCallData(call, { db }).catch(error => {
+      console.error(`Error extracting data from call ${call.call_id}:`, error);
+    });
+  }
+});
+
+// Book the next attempt of calls that ended busy, unanswered or in voicemail,
+// when the call's or the account's retry policy asks for one
+subscribe(async ({ call, to, payload }, { db }) => {
+  if (FINAL_STATES.includes(to) && call.user_id) {
+    const { retryCall } = require('./call-retries');
+    await retryCall(call, to, payload, { db });
+  }
+});
+
+module.exports = {
+  TRANSITIONS,
+  FINAL_STATES,
+  TRACKED_STATES,
+  normalizeStatus,
+  isLegalTransition,
+  getPollDelay,
+  subscribe,
+  transitionCall,
+  applyProviderUpdate,
+  ingestProviderUpdate,
+  refreshCall,
+  pollDueCalls,
+  startCallStateService
+};
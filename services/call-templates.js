@@ -0,0 +1,353 @@
+// Call Template Service for ailevelup.AI MCP Wrapper
+//
+// Saved, versioned call scripts. A template holds a task with {{variable}}
+// placeholders plus the call settings that go with it (first sentence, voice,
+// maximum duration, voicemail behavior and extraction schema). Every change
+// stores a new version, so calls can be traced back to the exact script they
+// were placed with.
+const { supabaseAdmin } = require('../config/supabase');
+const { renderTaskTemplate } = require('./campaigns');
+const { validateExtractionSchema } = require('./call-extraction');
+const { forAccount } = require('./organizations');
+
+// Template placeholders look like {{first_name}}
+const TEMPLATE_VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Limits, matching the makePhoneCall tool
+const MIN_MAX_DURATION = 30;
+const MAX_MAX_DURATION = 1800;
+const VOICEMAIL_ACTIONS = ['hangup', 'leave_message'];
+
+// Columns that make up a version of a template
+const VERSION_COLUMNS = [
+  'task',
+  'first_sentence',
+  'voice',
+  'max_duration_seconds',
+  'voicemail_action',
+  'extraction_schema'
+];
+
+/**
+ * List the placeholders used by a template
+ * @param {Object} template - Template with task and first_sentence
+ * @returns {Array<String>} - Variable names, in order of first use
+ */
+function getTemplateVariables(template) {
+  const names = new Set();
+  [template.task, template.first_sentence].forEach(text => {
+    for (const match of (text || '').matchAll(TEMPLATE_VARIABLE)) {
+      names.add(match[1]);
+    }
+  });
+  return [...names];
+}
+
+/**
+ * Check a template's fields and convert them to columns
+ * @param {Object} fields - name, description, task, firstSentence, voice,
+ *   maxDuration (seconds), voicemailAction and extractionSchema
+ * @param {Object} [current] - Current template, when updating
+ * @returns {Object} - Template columns
+ */
+function buildTemplateColumns(fields, current = {}) {
+  const columns = {
+    name: fields.name !== undefined ? fields.name : current.name,
+    description: fields.description !== undefined ? fields.description : current.description || null,
+    task: fields.task !== undefined ? fields.task : current.task,
+    first_sentence: fields.firstSentence !== undefined ? fields.firstSentence : current.first_sentence || null,
+    voice: fields.voice !== undefined ? fields.voice : current.voice || null,
+    max_duration_seconds: fields.maxDuration !== undefined ? fields.maxDuration : current.max_duration_seconds || null,
+    voicemail_action: fields.voicemailAction !== undefined ? fields.voicemailAction : current.voicemail_action || null,
+    extraction_schema: fields.extractionSchema !== undefined ? fields.extractionSchema : current.extraction_schema || null
+  };
+
+  if (!columns.name || typeof columns.name !== 'string') {
+    throw new Error('name is required');
+  }
+  if (!columns.task || typeof columns.task !== 'string') {
+    throw new Error('task is required');
+  }
+  if (columns.max_duration_seconds !== null &&
+      (!Number.isInteger(columns.max_duration_seconds) || columns.max_duration_seconds < MIN_MAX_DURATION || columns.max_duration_seconds > MAX_MAX_DURATION)) {
+    throw new Error(`maxDuration must be a whole number of seconds between ${MIN_MAX_DURATION} and ${MAX_MAX_DURATION}`);
+  }
+  if (columns.voicemail_action !== null && !VOICEMAIL_ACTIONS.includes(columns.voicemail_action)) {
+    throw new Error(`voicemailAction must be one of: ${VOICEMAIL_ACTIONS.join(', ')}`);
+  }
+  if (columns.extraction_schema) {
+    columns.extraction_schema = validateExtractionSchema(columns.extraction_schema);
+  }
+
+  columns.variables = getTemplateVariables(columns);
+  return columns;
+}
+
+/**
+ * Store a snapshot of a template version
+ * @param {Object} template - Template record
+ */
+async function saveVersion(template) {
+  const snapshot = { template_id: template.id, version: template.version, created_at: new Date() };
+  VERSION_COLUMNS.forEach(column => {
+    snapshot[column] = template[column];
+  });
+
+  const { error } = await supabaseAdmin
+    .from('call_template_versions')
+    .insert(snapshot);
+
+  if (error) {
+    console.error('Save call template version error:', error);
+    throw new Error('Failed to save call template version');
+  }
+}
+
+/**
+ * Create a call template
+ * @param {String} userId - User ID
+ * @param {Object} fields - Template fields, see buildTemplateColumns
+ * @param {Object} [options] - organizationId, to create it for an organization
+ * @returns {Object} - Template record, at version 1
+ */
+async function createCallTemplate(userId, fields, options = {}) {
+  const columns = buildTemplateColumns(fields);
+
+  const { data: template, error } = await supabaseAdmin
+    .from('call_templates')
+    .insert({
+      ...columns,
+      user_id: userId,
+      organization_id: options.organizationId || null,
+      version: 1,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // 23505: unique violation on the account's template names
+    if (error.code === '23505') {
+      throw new Error(`A template named "${columns.name}" already exists`);
+    }
+    console.error('Create call template error:', error);
+    throw new Error('Failed to create call template');
+  }
+
+  await saveVersion(template);
+  return template;
+}
+
+/**
+ * List a user's call templates
+ * @param {String} userId - User ID
+ * @param {Object} options - limit, offset and organizationId
+ * @returns {Object} - Templates and total count
+ */
+async function listCallTemplates(userId, options = {}) {
+  const { limit = 20, offset = 0, organizationId } = options;
+
+  const { data, error, count } = await forAccount(
+    supabaseAdmin.from('call_templates').select('*', { count: 'exact' }),
+    userId,
+    organizationId
+  )
+    .is('deleted_at', null)
+    .order('name', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('List call templates error:', error);
+    throw new Error('Failed to list call templates');
+  }
+
+  return {
+    templates: data || [],
+    total: count || 0
+  };
+}
+
+/**
+ * Get a call template, optionally at an earlier version
+ * @param {String} userId - User ID
+ * @param {String} templateId - Template ID
+ * @param {Object} [options] - version and organizationId
+ * @returns {Object|null} - Template, or null if it was not found
+ */
+async function getCallTemplate(userId, templateId, options = {}) {
+  const { data: template, error } = await forAccount(
+    supabaseAdmin.from('call_templates').select('*').eq('id', templateId),
+    userId,
+    options.organizationId
+  )
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !template) {
+    if (error && !['PGRST116', '22P02'].includes(error.code)) {
+      console.error('Get call template error:', error);
+      throw new Error('Failed to fetch call template');
+    }
+    return null;
+  }
+
+  if (!options.version || options.version === template.version) {
+    return template;
+  }
+
+  const { data: version, error: versionError } = await supabaseAdmin
+    .from('call_template_versions')
+    .select('*')
+    .eq('template_id', templateId)
+    .eq('version', options.version)
+    .single();
+
+  if (versionError || !version) {
+    return null;
+  }
+
+  const snapshot = { ...template, version: version.version };
+  VERSION_COLUMNS.forEach(column => {
+    snapshot[column] = version[column];
+  });
+  snapshot.variables = getTemplateVariables(snapshot);
+  return snapshot;
+}
+
+/**
+ * List the versions of a call template, newest first
+ * @param {String} userId - User ID
+ * @param {String} templateId - Template ID
+ * @param {Object} [options] - organizationId
+ * @returns {Array|null} - Versions, or null if the template was not found
+ */
+async function listCallTemplateVersions(userId, templateId, options = {}) {
+  const template = await getCallTemplate(userId, templateId, { organizationId: options.organizationId });
+  if (!template) {
+    return null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('call_template_versions')
+    .select('*')
+    .eq('template_id', templateId)
+    .order('version', { ascending: false });
+
+  if (error) {
+    console.error('List call template versions error:', error);
+    throw new Error('Failed to list call template versions');
+  }
+
+  return data || [];
+}
+
+/**
+ * Update a call template. Changes to the script or call settings store a new
+ * version; renaming or describing it does not.
+ * @param {String} userId - User ID
+ * @param {String} templateId - Template ID
+ * @param {Object} fields - Fields to change, see buildTemplateColumns
+ * @param {Object} [options] - organizationId
+ * @returns {Object|null} - Updated template, or null if it was not found
+ */
+async function updateCallTemplate(userId, templateId, fields, options = {}) {
+  const current = await getCallTemplate(userId, templateId, { organizationId: options.organizationId });
+  if (!current) {
+    return null;
+  }
+
+  const columns = buildTemplateColumns(fields, current);
+  const changed = VERSION_COLUMNS.some(column =>
+    JSON.stringify(columns[column]) !== JSON.stringify(current[column] ?? null)
+  );
+  const version = changed ? current.version + 1 : current.version;
+
+  // Only applies if nobody else saved a version since we read the template
+  const { data: updated, error } = await forAccount(
+    supabaseAdmin.from('call_templates').update({ ...columns, version, updated_at: new Date() }).eq('id', templateId),
+    userId,
+    options.organizationId
+  )
+    .eq('version', current.version)
+    .select();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error(`A template named "${columns.name}" already exists`);
+    }
+    console.error('Update call template error:', error);
+    throw new Error('Failed to update call template');
+  }
+  if (!updated || updated.length === 0) {
+    throw new Error('The template was changed by another request; fetch it and try again');
+  }
+
+  if (changed) {
+    await saveVersion(updated[0]);
+  }
+  return updated[0];
+}
+
+/**
+ * Delete a call template. Its versions are kept for the calls placed with it.
+ * @param {String} userId - User ID
+ * @param {String} templateId - Template ID
+ * @param {Object} [options] - organizationId
+ * @returns {Boolean} - False if the template was not found
+ */
+async function deleteCallTemplate(userId, templateId, options = {}) {
+  const { data, error } = await forAccount(
+    supabaseAdmin.from('call_templates').update({ deleted_at: new Date(), updated_at: new Date() }).eq('id', templateId),
+    userId,
+    options.organizationId
+  )
+    .is('deleted_at', null)
+    .select('id');
+
+  if (error) {
+    if (error.code === '22P02') {
+      return false;
+    }
+    console.error('Delete call template error:', error);
+    throw new Error('Failed to delete call template');
+  }
+
+  return !!data && data.length > 0;
+}
+
+/**
+ * Render a template into makePhoneCall parameters
+ * @param {Object} template - Template record
+ * @param {Object} variables - Values for the template's placeholders
+ * @returns {Object} - task and the template's call settings, in makePhoneCall form
+ */
+function renderCallTemplate(template, variables = {}) {
+  // Values may be numbers or booleans when passed as JSON
+  const values = {};
+  Object.entries(variables).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) {
+      values[name] = String(value);
+    }
+  });
+
+  return {
+    task: renderTaskTemplate(template.task, values),
+    ...(template.first_sentence && { firstSentence: renderTaskTemplate(template.first_sentence, values) }),
+    ...(template.voice && { voice: template.voice }),
+    ...(template.max_duration_seconds && { maxDuration: template.max_duration_seconds }),
+    ...(template.voicemail_action && { voicemailAction: template.voicemail_action }),
+    ...(template.extraction_schema && { extractionSchema: template.extraction_schema })
+  };
+}
+
+module.exports = {
+  getTemplateVariables,
+  createCallTemplate,
+  listCallTemplates,
+  getCallTemplate,
+  listCallTemplateVersions,
+  updateCallTemplate,
+  deleteCallTemplate,
+  renderCallTemplate
+};
@@ -0,0 +1,717 @@
+// Campaign Calling Service for ailevelup.AI MCP Wrapper
+const { supabaseAdmin } = require('../config/supabase');
+const { FINAL_CALL_STATUSES } = require('./billing');
+
+// Polling interval in milliseconds (5 seconds)
+const POLLING_INTERVAL = 5000;
+
+// Limits for a single campaign
+const MAX_CAMPAIGN_CONTACTS = 5000;
+const MAX_CONCURRENCY = 20;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_PACING_SECONDS = 2;
+
+// A dialed call that has not reported a final status is treated as finished
+// once it has been running this much longer than its maximum duration
+const CALL_GRACE_PERIOD_MS = 2 * 60 * 1000;
+
+// Columns that may hold the number to call
+const PHONE_COLUMNS = ['phone_number', 'phoneNumber', 'phone'];
+
+// Template placeholders look like {{first_name}}
+const TEMPLATE_VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Set while a polling pass is running, so passes never overlap
+let processing = false;
+
+/**
+ * Parse CSV text into rows keyed by the header row.
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ * @param {String} text - CSV text with a header row
+ * @returns {Array<Object>} - One object per data row
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(row => Object.fromEntries(
+    headers.map((header, index) => [header, (row[index] || '').trim()])
+  ));
+}
+
+/**
+ * Render a task template with a row's variables
+ * @param {String} template - Task with {{variable}} placeholders
+ * @param {Object} variables - Values by column name
+ * @returns {String} - Rendered task
+ */
+function renderTaskTemplate(template, variables) {
+  return template.replace(TEMPLATE_VARIABLE, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === '') {
+      throw new Error(`Missing value for {{${name}}}`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Build contact rows for a campaign from parsed CSV rows. Rows that cannot be
+ * dialed are kept, marked as skipped, so the report accounts for every row.
+ * @param {String} campaignId - Campaign ID
+ * @param {String} userId - User ID
+ * @param {String} taskTemplate - Task template
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @returns {Array<Object>} - campaign_contacts rows
+ */
+function buildContacts(campaignId, userId, taskTemplate, rows) {
+  return rows.map((variables, index) => {
+    const phoneColumn = PHONE_COLUMNS.find(column => variables[column]);
+    const phoneNumber = phoneColumn ? variables[phoneColumn].replace(/[^\d+]/g, '') : null;
+
+    let task = null;
+    let errorMessage = null;
+
+    if (!phoneNumber || !/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
+      errorMessage = 'Invalid or missing phone number; expected E.164 format (e.g., +12345678901)';
+    } else {
+      try {
+        task = renderTaskTemplate(taskTemplate, variables);
+      } catch (error) {
+        errorMessage = error.message;
+      }
+    }
+
+    return {
+      campaign_id: campaignId,
+      user_id: userId,
+      row_number: index + 1,
+      phone_number: phoneNumber,
+      variables,
+      task,
+      status: errorMessage ? 'skipped' : 'pending',
+      error_message: errorMessage,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+  });
+}
+
+/**
+ * Create a campaign from a CSV of contacts and start dialing it
+ * @param {String} userId - User ID
+ * @param {Object} options - name, taskTemplate, csv, callParams (makePhoneCall
+ *   parameters shared by every call), concurrency and pacingSeconds
+ * @returns {Object} - Campaign record with accepted and skipped row counts
+ */
+async function createCampaign(userId, options) {
+  const {
+    name,
+    taskTemplate,
+    csv,
+    callParams = {},
+    concurrency = DEFAULT_CONCURRENCY,
+    pacingSeconds = DEFAULT_PACING_SECONDS
+  } = options;
+
+  if (!name || !taskTemplate || !csv) {
+    throw new Error('name, taskTemplate and csv are required');
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new Error(`concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+  }
+
+  if (typeof pacingSeconds !== 'number' || pacingSeconds < 0) {
+    throw new Error('pacingSeconds must be zero or more');
+  }
+
+  const rows = parseCsv(csv);
+  if (rows.length === 0) {
+    throw new Error('The CSV has no data rows');
+  }
+  if (rows.length > MAX_CAMPAIGN_CONTACTS) {
+    throw new Error(`A campaign can have at most ${MAX_CAMPAIGN_CONTACTS} contacts`);
+  }
+  if (!PHONE_COLUMNS.some(column => column in rows[0])) {
+    throw new Error(`The CSV needs a phone number column (${PHONE_COLUMNS.join(', ')})`);
+  }
+
+  const { data: campaign, error } = await supabaseAdmin
+    .from('campaigns')
+    .insert({
+      user_id: userId,
+      name,
+      task_template: taskTemplate,
+      call_params: callParams,
+      concurrency,
+      pacing_seconds: pacingSeconds,
+      // Not picked up by the runner until its contacts are stored
+      status: 'draft',
+      total_contacts: rows.length,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Create campaign error:', error);
+    throw new Error('Failed to create campaign');
+  }
+
+  const contacts = buildContacts(campaign.id, userId, taskTemplate, rows);
+
+  const { error: contactsError } = await supabaseAdmin
+    .from('campaign_contacts')
+    .insert(contacts);
+
+  if (contactsError) {
+    console.error('Create campaign contacts error:', contactsError);
+    await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'cancelled', updated_at: new Date() })
+      .eq('id', campaign.id);
+    throw new Error('Failed to store campaign contacts');
+  }
+
+  const { data: started, error: startError } = await supabaseAdmin
+    .from('campaigns')
+    .update({ status: 'running', updated_at: new Date() })
+    .eq('id', campaign.id)
+    .select()
+    .single();
+
+  if (startError) {
+    console.error('Start campaign error:', startError);
+    throw new Error('Failed to start campaign');
+  }
+
+  const skipped = contacts.filter(contact => contact.status === 'skipped');
+
+  return {
+    ...started,
+    accepted: contacts.length - skipped.length,
+    skipped: skipped.map(contact => ({ row: contact.row_number, error: contact.error_message }))
+  };
+}
+
+/**
+ * List a user's campaigns
+ * @param {String} userId - User ID
+ * @param {Object} options - status, limit and offset
+ * @returns {Object} - Campaigns and total count
+ */
+async function listCampaigns(userId, options = {}) {
+  const { status, limit = 20, offset = 0 } = options;
+
+  let query = supabaseAdmin
+    .from('campaigns')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('List campaigns error:', error);
+    throw new Error('Failed to list campaigns');
+  }
+
+  return {
+    campaigns: data || [],
+    total: count || 0
+  };
+}
+
+/**
+ * Move a campaign between states
+ * @param {String} userId - User ID
+ * @param {String} campaignId - Campaign ID
+ * @param {Array<String>} fromStatuses - States the campaign may be in
+ * @param {String} toStatus - New state
+ * @returns {Object|null} - Updated campaign, or null if none was in a matching state
+ */
+async function transitionCampaign(userId, campaignId, fromStatuses, toStatus) {
+  const { data, error } = await supabaseAdmin
+    .from('campaigns')
+    .update({
+      status: toStatus,
+      ...(toStatus === 'cancelled' && { completed_at: new Date() }),
+      updated_at: new Date()
+    })
+    .eq('id', campaignId)
+    .eq('user_id', userId)
+    .in('status', fromStatuses)
+    .select();
+
+  if (error) {
+    // 22P02: the ID is not a UUID, so it cannot be a campaign
+    if (error.code === '22P02') {
+      return null;
+    }
+    console.error(`Campaign ${toStatus} error:`, error);
+    throw new Error('Failed to update campaign');
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Pause a running campaign. Calls already in progress are not interrupted.
+ * @param {String} userId - User ID
+ * @param {String} campaignId - Campaign ID
+ * @returns {Object|null} - Updated campaign, or null if no running campaign was found
+ */
+async function pauseCampaign(userId, campaignId) {
+  return transitionCampaign(userId, campaignId, ['running'], 'paused');
+}
+
+/**
+ * Resume a paused campaign
+ * @param {String} userId - User ID
+ * @param {String} campaignId - Campaign ID
+ * @returns {Object|null} - Updated campaign, or null if no paused campaign was found
+ */
+async function resumeCampaign(userId, campaignId) {
+  return transitionCampaign(userId, campaignId, ['paused'], 'running');
+}
+
+/**
+ * Cancel a campaign. Contacts not dialed yet are cancelled; calls already in
+ * progress are left to finish.
+ * @param {String} userId - User ID
+ * @param {String} campaignId - Campaign ID
+ * @returns {Object|null} - Updated campaign, or null if no active campaign was found
+ */
+async function cancelCampaign(userId, campaignId) {
+  const campaign = await transitionCampaign(userId, campaignId, ['running', 'paused'], 'cancelled');
+
+  if (campaign) {
+    const { error } = await supabaseAdmin
+      .from('campaign_contacts')
+      .update({ status: 'cancelled', updated_at: new Date() })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error('Cancel campaign contacts error:', error);
+    }
+  }
+
+  return campaign;
+}
+
+/**
+ * Build the aggregate results report for a campaign
+ * @param {String} userId - User ID
+ * @param {String} campaignId - Campaign ID
+ * @returns {Object|null} - Report, or null if the campaign was not found
+ */
+async function getCampaignReport(userId, campaignId) {
+  const { data: campaign, error } = await supabaseAdmin
+    .from('campaigns')
+    .select('*')
+    .eq('id', campaignId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !campaign) {
+    if (error && !['PGRST116', '22P02'].includes(error.code)) {
+      console.error('Get campaign error:', error);
+      throw new Error('Failed to fetch campaign');
+    }
+    return null;
+  }
+
+  const { data: contacts, error: contactsError } = await supabaseAdmin
+    .from('campaign_contacts')
+    .select('row_number, phone_number, status, outcome, call_id, error_message')
+    .eq('campaign_id', campaignId)
+    .order('row_number', { ascending: true });
+
+  if (contactsError) {
+    console.error('Get campaign contacts error:', contactsError);
+    throw new Error('Failed to fetch campaign contacts');
+  }
+
+  // Call outcomes and durations come from the calls table
+  const { data: calls, error: callsError } = await supabaseAdmin
+    .from('calls')
+    .select('call_id, status, duration')
+    .eq('campaign_id', campaignId)
+    .eq('user_id', userId);
+
+  if (callsError) {
+    console.error('Get campaign calls error:', callsError);
+  }
+
+  const countBy = (items, key) => items.reduce((counts, item) => {
+    const value = item[key] || 'unknown';
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+
+  const rows = contacts || [];
+  const campaignCalls = calls || [];
+  const finished = rows.filter(row => ['completed', 'failed', 'skipped', 'cancelled'].includes(row.status));
+
+  return {
+    campaign: {
+      id: campaign.id,
+      name: campaign.name,
+      status: campaign.status,
+      concurrency: campaign.concurrency,
+      pacingSeconds: campaign.pacing_seconds,
+      createdAt: campaign.created_at,
+      completedAt: campaign.completed_at,
+      pausedReason: campaign.paused_reason || null
+    },
+    totals: {
+      contacts: rows.length,
+      byStatus: countBy(rows, 'status'),
+      callOutcomes: countBy(campaignCalls, 'status'),
+      totalCallSeconds: campaignCalls.reduce((sum, call) => sum + (call.duration || 0), 0),
+      progress: rows.length > 0 ? Math.round((finished.length / rows.length) * 100) : 100
+    },
+    failures: rows
+      .filter(row => row.status === 'failed' || row.status === 'skipped')
+      .map(row => ({ row: row.row_number, phoneNumber: row.phone_number, status: row.status, error: row.error_message }))
+  };
+}
+
+/**
+ * Mark in-progress contacts whose calls have ended as completed
+ * @param {Object} campaign - Campaign record
+ * @returns {Number} - Number of calls still in progress
+ */
+async function settleActiveContacts(campaign) {
+  const { data: active, error } = await supabaseAdmin
+    .from('campaign_contacts')
+    .select('id, call_id, dialed_at')
+    .eq('campaign_id', campaign.id)
+    .in('status', ['dialing', 'in_progress']);
+
+  if (error) {
+    throw new Error(`Failed to fetch active contacts: ${error.message}`);
+  }
+
+  if (!active || active.length === 0) {
+    return 0;
+  }
+
+  const callIds = active.map(contact => contact.call_id).filter(Boolean);
+  const { data: calls } = callIds.length > 0
+    ? await supabaseAdmin.from('calls').select('call_id, status').in('call_id', callIds)
+    : { data: [] };
+
+  const statusByCallId = new Map((calls || []).map(call => [call.call_id, call.status]));
+  const maxDurationMs = (campaign.call_params?.maxDuration || 300) * 1000;
+  let stillActive = 0;
+
+  for (const contact of active) {
+    const status = statusByCallId.get(contact.call_id);
+    const expired = contact.dialed_at &&
+      Date.now() - new Date(contact.dialed_at).getTime() > maxDurationMs + CALL_GRACE_PERIOD_MS;
+
+    if (contact.call_id && (FINAL_CALL_STATUSES.includes(status) || expired)) {
+      await supabaseAdmin
+        .from('campaign_contacts')
+        .update({ status: 'completed', outcome: status || 'unknown', updated_at: new Date() })
+        .eq('id', contact.id);
+    } else {
+      stillActive++;
+    }
+  }
+
+  return stillActive;
+}
+
+/**
+ * Dial one campaign contact through the makePhoneCall pipeline
+ * @param {Object} campaign - Campaign record
+ * @param {Object} contact - campaign_contacts record
+ * @returns {Object} - Dial result
+ */
+async function dialContact(campaign, contact) {
+  // Claim the contact; only one runner can move it out of 'pending'
+  const { data: claimed } = await supabaseAdmin
+    .from('campaign_contacts')
+    .update({ status: 'dialing', updated_at: new Date() })
+    .eq('id', contact.id)
+    .eq('status', 'pending')
+    .select();
+
+  if (!claimed || claimed.length === 0) {
+    return { contactId: contact.id, status: 'skipped' };
+  }
+
+  // Required lazily to keep this service loadable without the MCP tool chain
+  const makePhoneCallTool = require('../mcp/tools/make-phone-call');
+
+  try {
+    const result = await makePhoneCallTool.execute(
+      { ...campaign.call_params, phoneNumber: contact.phone_number, task: contact.task },
+      {
+        userId: campaign.user_id,
+        sessionId: `campaign-${campaign.id}`,
+        // The campaign retries the row itself once quiet hours end
+        allowDefer: false
+      }
+    );
+
+    await supabaseAdmin
+      .from('campaign_contacts')
+      .update({
+        status: 'in_progress',
+        call_id: result.callId,
+        dialed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', contact.id);
+
+    // Tag the call so the report can read outcomes from the calls table
+    await supabaseAdmin
+      .from('calls')
+      .update({ campaign_id: campaign.id })
+      .eq('call_id', result.callId)
+      .eq('user_id', campaign.user_id);
+
+    return { contactId: contact.id, status: 'in_progress', callId: result.callId };
+  } catch (error) {
+    // Quiet hours only postpone the row
+    if (error.code === 'COMPLIANCE_BLOCKED' && error.details?.reason === 'quiet_hours' && error.details.nextAllowedAt) {
+      await supabaseAdmin
+        .from('campaign_contacts')
+        .update({ status: 'pending', not_before: error.details.nextAllowedAt, updated_at: new Date() })
+        .eq('id', contact.id);
+      return { contactId: contact.id, status: 'deferred', notBefore: error.details.nextAllowedAt };
+    }
+
+    console.error(`Error dialing campaign ${campaign.id} row ${contact.row_number}:`, error.message);
+
+    await supabaseAdmin
+      .from('campaign_contacts')
+      .update({ status: 'failed', error_message: error.message, updated_at: new Date() })
+      .eq('id', contact.id);
+
+    // Without credits every remaining row would fail the same way
+    if (/insufficient credits/i.test(error.message)) {
+      await supabaseAdmin
+        .from('campaigns')
+        .update({ status: 'paused', paused_reason: error.message, updated_at: new Date() })
+        .eq('id', campaign.id)
+        .eq('status', 'running');
+    }
+
+    return { contactId: contact.id, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Dial the next contacts of a running campaign within its concurrency cap and pacing
+ * @param {Object} campaign - Campaign record
+ * @returns {Object} - Processing result
+ */
+async function processCampaign(campaign) {
+  const active = await settleActiveContacts(campaign);
+  const slots = campaign.concurrency - active;
+
+  if (slots <= 0) {
+    return { campaignId: campaign.id, status: 'running', dialed: 0 };
+  }
+
+  const { data: pending, error } = await supabaseAdmin
+    .from('campaign_contacts')
+    .select('*')
+    .eq('campaign_id', campaign.id)
+    .eq('status', 'pending')
+    .or(`not_before.is.null,not_before.lte.${new Date().toISOString()}`)
+    .order('row_number', { ascending: true })
+    .limit(slots);
+
+  if (error) {
+    throw new Error(`Failed to fetch pending contacts: ${error.message}`);
+  }
+
+  if ((!pending || pending.length === 0) && active === 0) {
+    const { count } = await supabaseAdmin
+      .from('campaign_contacts')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaign.id)
+      .eq('status', 'pending');
+
+    if (!count) {
+      await supabaseAdmin
+        .from('campaigns')
+        .update({ status: 'completed', completed_at: new Date(), updated_at: new Date() })
+        .eq('id', campaign.id)
+        .eq('status', 'running');
+      return { campaignId: campaign.id, status: 'completed' };
+    }
+  }
+
+  if (!pending || pending.length === 0) {
+    return { campaignId: campaign.id, status: 'running', dialed: 0 };
+  }
+
+  const pacingMs = (campaign.pacing_seconds || 0) * 1000;
+  let lastDialedAt = campaign.last_dialed_at ? new Date(campaign.last_dialed_at).getTime() : 0;
+  const results = [];
+
+  for (const contact of pending) {
+    const wait = lastDialedAt + pacingMs - Date.now();
+    if (wait > POLLING_INTERVAL) {
+      break; // Picked up again on a later pass
+    }
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    // Stop as soon as the campaign is paused or cancelled
+    const { data: current } = await supabaseAdmin
+      .from('campaigns')
+      .select('status')
+      .eq('id', campaign.id)
+      .single();
+
+    if (!current || current.status !== 'running') {
+      break;
+    }
+
+    results.push(await dialContact(campaign, contact));
+    lastDialedAt = Date.now();
+
+    await supabaseAdmin
+      .from('campaigns')
+      .update({ last_dialed_at: new Date(lastDialedAt), updated_at: new Date() })
+      .eq('id', campaign.id);
+  }
+
+  return { campaignId: campaign.id, status: 'running', dialed: results.length, results };
+}
+
+/**
+ * Process every running campaign
+ * @returns {Object} - Results of campaign processing
+ */
+async function processCampaigns() {
+  if (processing) {
+    return { message: 'Campaign processing already in progress' };
+  }
+
+  processing = true;
+  try {
+    const { data: campaigns, error } = await supabaseAdmin
+      .from('campaigns')
+      .select('*')
+      .eq('status', 'running');
+
+    if (error) {
+      throw new Error(`Failed to fetch running campaigns: ${error.message}`);
+    }
+
+    // Skip if nothing is running
+    if (!campaigns || campaigns.length === 0) {
+      return { message: 'No running campaigns' };
+    }
+
+    const results = [];
+    for (const campaign of campaigns) {
+      try {
+        results.push(await processCampaign(campaign));
+      } catch (error) {
+        console.error(`Error processing campaign ${campaign.id}:`, error);
+        results.push({ campaignId: campaign.id, error: error.message });
+      }
+    }
+
+    return {
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error processing campaigns:', error);
+    return { error: error.message };
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start the campaign runner
+ * @returns {Object} - Interval handle, for stopping the runner
+ */
+function startCampaignRunner() {
+  // Call once immediately
+  processCampaigns();
+
+  // Set up interval
+  const interval = setInterval(processCampaigns, POLLING_INTERVAL);
+
+  console.log(`Campaign runner started with ${POLLING_INTERVAL}ms interval`);
+
+  return interval;
+}
+
+module.exports = {
+  parseCsv,
+  renderTaskTemplate,
+  createCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  getCampaignReport,
+  processCampaign,
+  processCampaigns,
+  startCampaignRunner
+};
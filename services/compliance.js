@@ -0,0 +1,491 @@
+// Calling Compliance Service for ailevelup.AI MCP Wrapper
+const { supabaseAdmin } = require('../config/supabase');
+const { logAuditEvent } = require('./audit-logging');
+
+// Quiet hours in the callee's local time, as hours of the day (0-23).
+// Defaults keep calls between 8 a.m. and 9 p.m.
+const DEFAULT_QUIET_HOURS_START = parseInt(process.env.COMPLIANCE_QUIET_HOURS_START || '21', 10);
+const DEFAULT_QUIET_HOURS_END = parseInt(process.env.COMPLIANCE_QUIET_HOURS_END || '8', 10);
+
+// What happens to a call placed during quiet hours: 'defer' or 'block'
+const DEFAULT_QUIET_HOURS_ACTION = process.env.COMPLIANCE_QUIET_HOURS_ACTION === 'block' ? 'block' : 'defer';
+
+// Timezone assumed for numbers whose country cannot be recognized
+const DEFAULT_CALLEE_TIMEZONE = process.env.COMPLIANCE_DEFAULT_TIMEZONE || 'UTC';
+
+// Deferred calls are moved forward in steps of this size until quiet hours end
+const DEFER_STEP_MS = 15 * 60 * 1000;
+
+// Continental North American zones, used when an area code is not recognized
+const NANP_TIMEZONES = ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'];
+
+// Timezones by North American area code
+const AREA_CODE_TIMEZONES = {
+  'America/New_York': [
+    201, 202, 203, 207, 212, 215, 216, 239, 240, 248, 267, 301, 302, 304, 305, 313, 315, 321, 330, 336,
+    339, 347, 352, 401, 404, 407, 410, 412, 413, 416, 418, 434, 437, 438, 440, 443, 450, 470, 478, 484,
+    502, 508, 513, 514, 516, 518, 540, 561, 585, 603, 607, 610, 613, 614, 617, 631, 646, 647, 678, 703,
+    704, 716, 717, 718, 727, 732, 754, 757, 770, 772, 781, 786, 802, 803, 804, 813, 828, 843, 845, 856,
+    860, 864, 904, 905, 908, 910, 914, 917, 919, 929, 937, 941, 954, 973, 978, 980, 984
+  ],
+  'America/Chicago': [
+    204, 205, 210, 214, 217, 218, 224, 225, 251, 254, 256, 262, 281, 312, 314, 316, 318, 319, 320, 331,
+    334, 337, 346, 361, 405, 409, 414, 417, 430, 432, 469, 479, 501, 504, 507, 512, 515, 563, 573, 601,
+    608, 612, 615, 618, 629, 630, 636, 641, 651, 662, 682, 708, 713, 715, 731, 737, 763, 773, 779, 806,
+    815, 816, 817, 830, 832, 847, 870, 872, 901, 903, 913, 918, 920, 931, 936, 940, 952, 956, 972, 979,
+    985
+  ],
+  'America/Denver': [208, 303, 307, 385, 403, 406, 435, 505, 575, 587, 719, 720, 780, 801, 915, 970],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    206, 209, 213, 250, 253, 310, 323, 360, 408, 415, 425, 442, 503, 509, 510, 530, 541, 559, 562, 604,
+    619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 778, 805, 818, 831, 858, 909,
+    916, 925, 949, 951, 971
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939]
+};
+
+// Timezones by country calling code, for numbers outside North America
+const COUNTRY_CODE_TIMEZONES = {
+  '27': ['Africa/Johannesburg'],
+  '31': ['Europe/Amsterdam'],
+  '32': ['Europe/Brussels'],
+  '33': ['Europe/Paris'],
+  '34': ['Europe/Madrid'],
+  '39': ['Europe/Rome'],
+  '41': ['Europe/Zurich'],
+  '44': ['Europe/London'],
+  '45': ['Europe/Copenhagen'],
+  '46': ['Europe/Stockholm'],
+  '47': ['Europe/Oslo'],
+  '48': ['Europe/Warsaw'],
+  '49': ['Europe/Berlin'],
+  '52': ['America/Mexico_City', 'America/Tijuana'],
+  '54': ['America/Argentina/Buenos_Aires'],
+  '55': ['America/Sao_Paulo'],
+  '57': ['America/Bogota'],
+  '61': ['Australia/Perth', 'Australia/Adelaide', 'Australia/Sydney'],
+  '64': ['Pacific/Auckland'],
+  '65': ['Asia/Singapore'],
+  '81': ['Asia/Tokyo'],
+  '82': ['Asia/Seoul'],
+  '86': ['Asia/Shanghai'],
+  '91': ['Asia/Kolkata'],
+  '351': ['Europe/Lisbon'],
+  '353': ['Europe/Dublin'],
+  '852': ['Asia/Hong_Kong'],
+  '971': ['Asia/Dubai'],
+  '972': ['Asia/Jerusalem']
+};
+
+/**
+ * Normalize a phone number to E.164 digits with a leading `+`
+ * @param {String} phoneNumber - Phone number
+ * @returns {String} - Normalized phone number
+ */
+function normalizePhoneNumber(phoneNumber) {
+  return `+${String(phoneNumber || '').replace(/\D/g, '')}`;
+}
+
+/**
+ * Infer the timezones a callee may be in from the number's E.164 prefix.
+ * Numbers in countries spanning several zones return every candidate zone.
+ * @param {String} phoneNumber - Phone number in E.164 format
+ * @returns {Array<String>} - IANA timezone names
+ */
+function inferTimezones(phoneNumber) {
+  const digits = normalizePhoneNumber(phoneNumber).slice(1);
+
+  if (digits.startsWith('1')) {
+    const areaCode = parseInt(digits.slice(1, 4), 10);
+    const timezone = Object.keys(AREA_CODE_TIMEZONES)
+      .find(zone => AREA_CODE_TIMEZONES[zone].includes(areaCode));
+    return timezone ? [timezone] : NANP_TIMEZONES;
+  }
+
+  // Country codes are one to three digits; prefer the longest match
+  for (let length = 3; length >= 1; length--) {
+    const timezones = COUNTRY_CODE_TIMEZONES[digits.slice(0, length)];
+    if (timezones) {
+      return timezones;
+    }
+  }
+
+  return [DEFAULT_CALLEE_TIMEZONE];
+}
+
+/**
+ * Get the minutes past midnight at an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timezone - IANA timezone name
+ * @returns {Number} - Minutes past local midnight
+ */
+function getLocalMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Check whether an instant falls in quiet hours in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timezone - IANA timezone name
+ * @param {Object} settings - Compliance settings with quietHoursStart and quietHoursEnd
+ * @returns {Boolean} - True if calls should not be placed
+ */
+function isQuietTime(date, timezone, settings) {
+  const minutes = getLocalMinutes(date, timezone);
+  const start = settings.quietHoursStart * 60;
+  const end = settings.quietHoursEnd * 60;
+
+  if (start === end) {
+    return false;
+  }
+
+  // Quiet hours usually wrap around midnight (e.g. 21:00-08:00)
+  return start > end
+    ? minutes >= start || minutes < end
+    : minutes >= start && minutes < end;
+}
+
+/**
+ * Find the first time at or after `date` outside quiet hours in every timezone
+ * @param {Date} date - Earliest time to consider
+ * @param {Array<String>} timezones - Callee's candidate timezones
+ * @param {Object} settings - Compliance settings
+ * @returns {Date|null} - Next allowed time, or null if quiet hours never end
+ */
+function getNextAllowedTime(date, timezones, settings) {
+  const limit = date.getTime() + 7 * 24 * 60 * 60 * 1000;
+  let candidate = new Date(Math.ceil(date.getTime() / DEFER_STEP_MS) * DEFER_STEP_MS);
+
+  while (candidate.getTime() <= limit) {
+    if (!timezones.some(timezone => isQuietTime(candidate, timezone, settings))) {
+      return candidate;
+    }
+    candidate = new Date(candidate.getTime() + DEFER_STEP_MS);
+  }
+
+  return null;
+}
+
+/**
+ * Get a user's compliance settings, falling back to the configured defaults
+ * @param {String} userId - User ID
+ * @returns {Object} - Compliance settings
+ */
+async function getComplianceSettings(userId) {
+  const defaults = {
+    quietHoursStart: DEFAULT_QUIET_HOURS_START,
+    quietHoursEnd: DEFAULT_QUIET_HOURS_END,
+    quietHoursAction: DEFAULT_QUIET_HOURS_ACTION
+  };
+
+  if (!userId) {
+    return defaults;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('compliance_settings')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Get compliance settings error:', error);
+  }
+
+  if (!data) {
+    return defaults;
+  }
+
+  return {
+    quietHoursStart: data.quiet_hours_start ?? defaults.quietHoursStart,
+    quietHoursEnd: data.quiet_hours_end ?? defaults.quietHoursEnd,
+    quietHoursAction: data.quiet_hours_action || defaults.quietHoursAction
+  };
+}
+
+/**
+ * Update a user's compliance settings
+ * @param {String} userId - User ID
+ * @param {Object} settings - quietHoursStart, quietHoursEnd and/or quietHoursAction
+ * @returns {Object} - Updated compliance settings
+ */
+async function updateComplianceSettings(userId, settings) {
+  const { quietHoursStart, quietHoursEnd, quietHoursAction } = settings;
+
+  for (const hour of [quietHoursStart, quietHoursEnd]) {
+    if (hour !== undefined && (!Number.isInteger(hour) || hour < 0 || hour > 23)) {
+      throw new Error('Quiet hours must be whole hours between 0 and 23');
+    }
+  }
+
+  if (quietHoursAction !== undefined && !['defer', 'block'].includes(quietHoursAction)) {
+    throw new Error("quietHoursAction must be 'defer' or 'block'");
+  }
+
+  const { error } = await supabaseAdmin
+    .from('compliance_settings')
+    .upsert({
+      user_id: userId,
+      ...(quietHoursStart !== undefined && { quiet_hours_start: quietHoursStart }),
+      ...(quietHoursEnd !== undefined && { quiet_hours_end: quietHoursEnd }),
+      ...(quietHoursAction !== undefined && { quiet_hours_action: quietHoursAction }),
+      updated_at: new Date()
+    }, { onConflict: 'user_id' });
+
+  if (error) {
+    console.error('Update compliance settings error:', error);
+    throw new Error('Failed to update compliance settings');
+  }
+
+  await logAuditEvent('compliance.settings_updated', userId, { quietHoursStart, quietHoursEnd, quietHoursAction });
+
+  return getComplianceSettings(userId);
+}
+
+/**
+ * Find a do-not-call entry covering a number, from the user's list or the global list
+ * @param {String} phoneNumber - Phone number
+ * @param {String} userId - User ID
+ * @returns {Object|null} - Matching entry, or null if the number may be called
+ */
+async function findDoNotCallEntry(phoneNumber, userId) {
+  let query = supabaseAdmin
+    .from('do_not_call_list')
+    .select('*')
+    .eq('phone_number', normalizePhoneNumber(phoneNumber));
+
+  query = userId
+    ? query.or(`user_id.is.null,user_id.eq.${userId}`)
+    : query.is('user_id', null);
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    console.error('Do-not-call lookup error:', error);
+    throw new Error('Failed to check the do-not-call list');
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * List do-not-call entries
+ * @param {Object} options - userId (omit for the global list), limit and offset
+ * @returns {Object} - Entries and total count
+ */
+async function listDoNotCallEntries(options = {}) {
+  const { userId = null, limit = 50, offset = 0 } = options;
+
+  let query = supabaseAdmin
+    .from('do_not_call_list')
+    .select('*', { count: 'exact' });
+
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('List do-not-call entries error:', error);
+    throw new Error('Failed to list do-not-call entries');
+  }
+
+  return {
+    entries: data || [],
+    total: count || 0
+  };
+}
+
+/**
+ * Add a number to a user's do-not-call list, or to the global list
+ * @param {String} phoneNumber - Phone number
+ * @param {Object} options - userId (omit for the global list), reason and addedBy
+ * @returns {Object} - Do-not-call entry
+ */
+async function addDoNotCallEntry(phoneNumber, options = {}) {
+  const { userId = null, reason = null, addedBy = userId } = options;
+  const normalized = normalizePhoneNumber(phoneNumber);
+
+  if (!/^\+[1-9]\d{1,14}$/.test(normalized)) {
+    throw new Error('Invalid phone number format. Must be in E.164 format (e.g., +12345678901)');
+  }
+
+  // Retries already booked to the number are cancelled rather than left to
+  // be blocked when they come due. Required lazily: the retry service
+  // depends on this module.
+  const { cancelPendingRetries } = require('./call-retries');
+  try {
+    await cancelPendingRetries({ userId, phoneNumber: normalized });
+  } catch (error) {
+    console.error('Error cancelling retries to a do-not-call number:', error);
+  }
+
+  // Adding a number twice keeps the original entry
+  let existing = supabaseAdmin
+    .from('do_not_call_list')
+    .select('*')
+    .eq('phone_number', normalized);
+  existing = userId ? existing.eq('user_id', userId) : existing.is('user_id', null);
+
+  const { data: found } = await existing.limit(1);
+  if (found && found.length > 0) {
+    return found[0];
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('do_not_call_list')
+    .insert({
+      user_id: userId,
+      phone_number: normalized,
+      reason,
+      added_by: addedBy,
+      created_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Add do-not-call entry error:', error);
+    throw new Error('Failed to add number to the do-not-call list');
+  }
+
+  await logAuditEvent('compliance.dnc_added', addedBy, {
+    phoneNumber: normalized,
+    scope: userId ? 'account' : 'global',
+    reason
+  });
+
+  return data;
+}
+
+/**
+ * Remove a number from a user's do-not-call list, or from the global list
+ * @param {String} phoneNumber - Phone number
+ * @param {Object} options - userId (omit for the global list) and removedBy
+ * @returns {Boolean} - True if an entry was removed
+ */
+async function removeDoNotCallEntry(phoneNumber, options = {}) {
+  const { userId = null, removedBy = userId } = options;
+  const normalized = normalizePhoneNumber(phoneNumber);
+
+  let query = supabaseAdmin
+    .from('do_not_call_list')
+    .delete()
+    .eq('phone_number', normalized);
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error } = await query.select();
+
+  if (error) {
+    console.error('Remove do-not-call entry error:', error);
+    throw new Error('Failed to remove number from the do-not-call list');
+  }
+
+  if (!data || data.length === 0) {
+    return false;
+  }
+
+  await logAuditEvent('compliance.dnc_removed', removedBy, {
+    phoneNumber: normalized,
+    scope: userId ? 'account' : 'global'
+  });
+
+  return true;
+}
+
+/**
+ * Create the error thrown when compliance rules block a call
+ * @param {String} message - Error message
+ * @param {Object} details - Block details
+ * @returns {Error} - Error with code COMPLIANCE_BLOCKED
+ */
+function createBlockedError(message, details) {
+  return Object.assign(new Error(message), {
+    code: 'COMPLIANCE_BLOCKED',
+    details: { code: 'COMPLIANCE_BLOCKED', ...details }
+  });
+}
+
+/**
+ * Check a call against the do-not-call lists and the callee's quiet hours.
+ *
+ * Blocked calls throw an error with code `COMPLIANCE_BLOCKED`. Calls placed
+ * during quiet hours under a 'defer' policy resolve with the time they may be
+ * placed instead. Every block and deferral is written to the audit log.
+ * @param {String} phoneNumber - Number to call
+ * @param {Object} options - userId, organizationId (the organization the call
+ *   is placed for, recorded with blocks and deferrals), at (when the call will
+ *   be placed) and allowDefer (false where the caller cannot postpone the call)
+ * @returns {Object} - { allowed: true, timezones } or { allowed: false, deferUntil, timezones }
+ */
+async function enforceCallCompliance(phoneNumber, options = {}) {
+  const { userId = null, organizationId = null, at = new Date(), allowDefer = true } = options;
+  const normalized = normalizePhoneNumber(phoneNumber);
+
+  const dncEntry = await findDoNotCallEntry(normalized, userId);
+  if (dncEntry) {
+    const details = {
+      reason: 'do_not_call',
+      phoneNumber: normalized,
+      scope: dncEntry.user_id ? 'account' : 'global',
+      ...(organizationId && { organizationId })
+    };
+    await logAuditEvent('compliance.call_blocked', userId, details, 'warn');
+    throw createBlockedError('Call blocked: the number is on a do-not-call list', details);
+  }
+
+  const timezones = inferTimezones(normalized);
+  const settings = await getComplianceSettings(userId);
+
+  const quietIn = timezones.filter(timezone => isQuietTime(at, timezone, settings));
+  if (quietIn.length === 0) {
+    return { allowed: true, timezones };
+  }
+
+  const nextAllowedAt = getNextAllowedTime(at, timezones, settings);
+  const details = {
+    reason: 'quiet_hours',
+    phoneNumber: normalized,
+    timezone: quietIn[0],
+    quietHours: { start: settings.quietHoursStart, end: settings.quietHoursEnd },
+    nextAllowedAt: nextAllowedAt ? nextAllowedAt.toISOString() : null,
+    ...(organizationId && { organizationId })
+  };
+
+  if (allowDefer && settings.quietHoursAction === 'defer' && nextAllowedAt) {
+    await logAuditEvent('compliance.call_deferred', userId, details);
+    return { allowed: false, deferUntil: nextAllowedAt, timezones };
+  }
+
+  await logAuditEvent('compliance.call_blocked', userId, details, 'warn');
+  throw createBlockedError(
+    `Call blocked: it is within quiet hours for the callee (${quietIn[0]})`,
+    details
+  );
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  inferTimezones,
+  isQuietTime,
+  getNextAllowedTime,
+  getComplianceSettings,
+  updateComplianceSettings,
+  findDoNotCallEntry,
+  listDoNotCallEntries,
+  addDoNotCallEntry,
+  removeDoNotCallEntry,
+  enforceCallCompliance
+};
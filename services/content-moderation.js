@@ -1,10 +1,23 @@
 // Content Moderation Service for ailevelup.AI MCP Wrapper
 const OpenAI = require('openai');
+const { forAccount } = require('./organizations');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// OpenAI client, created on first use so that loading the moderation gate
+// does not require an API key
+let openai = null;
+
+/**
+ * Get the shared OpenAI client
+ * @returns {OpenAI} - OpenAI client
+ */
+function getOpenAIClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+}
 
 /**
  * Content categories to check for
@@ -19,6 +32,9 @@ const CONTENT_CATEGORIES = {
   SAFE: 'safe'
 };
 
+// Whether a moderation outage blocks calls ('closed') or lets them through ('open')
+const DEFAULT_FAIL_MODE = process.env.MODERATION_FAIL_MODE === 'closed' ? 'closed' : 'open';
+
 /**
  * Main function to check if content is safe
  * @param {Object} callParams - The call parameters from the API request
@@ -41,7 +57,7 @@ async function moderateContent(callParams) {
     }
     
     // First use OpenAI's Moderation API for quick filtering
-    const initialModeration = await openai.moderations.create({
+    const initialModeration = await getOpenAIClient().moderations.create({
       input: contentToModerate
     });
     
@@ -147,7 +163,7 @@ ${content}
 Analyze carefully and provide your evaluation in JSON format.`;
 
   try {
-    const response = await openai.chat.completions.create({
+    const response = await getOpenAIClient().chat.completions.create({
       model: "gpt-4o-mini",
       messages: [
         { role: "system", content: systemPrompt },
@@ -236,6 +252,154 @@ async function logModerationResult(result, callParams, userId) {
   // In a real implementation, you would store this in a database
 }
 
+/**
+ * Get the moderation policy for an account, falling back to the defaults
+ * for anything the account does not override
+ * @param {String} userId - User ID
+ * @param {Object} db - Supabase client
+ * @param {String|null} [organizationId] - Organization acted for, whose policy applies
+ * @returns {Object} - Policy with failMode, allowedCategories and blockedTerms
+ */
+async function getModerationPolicy(userId, db, organizationId = null) {
+  const policy = {
+    failMode: DEFAULT_FAIL_MODE,
+    allowedCategories: [],
+    blockedTerms: []
+  };
+
+  if (!userId) {
+    return policy;
+  }
+
+  const query = db
+    .from('moderation_policies')
+    .select('fail_mode, allowed_categories, blocked_terms');
+
+  const { data, error } = await forAccount(query, userId, organizationId).single();
+
+  // PGRST116 means the account has no overrides
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error loading moderation policy:', error);
+  }
+
+  if (data) {
+    policy.failMode = data.fail_mode || policy.failMode;
+    policy.allowedCategories = data.allowed_categories || [];
+    policy.blockedTerms = data.blocked_terms || [];
+  }
+
+  return policy;
+}
+
+/**
+ * Moderation gate used by every outbound call path before dialing.
+ *
+ * Applies the account's policy overrides on top of moderateContent, stores
+ * a moderation record, and throws a CONTENT_REJECTED error when the call
+ * must not be placed. When moderation itself fails, the policy's fail mode
+ * decides whether the call is blocked.
+ * @param {Object} callParams - Call parameters (task, first_sentence, phone_number, ...)
+ * @param {Object} options - Gate options
+ * @param {String} options.userId - User placing the call
+ * @param {String} [options.organizationId] - Organization the call is placed for
+ * @param {Object} [options.db] - Supabase client; defaults to the admin client
+ * @returns {Object} - Stored moderation record for an allowed call
+ * @throws {Error} - Error with code CONTENT_REJECTED and a details object
+ */
+async function enforceContentModeration(callParams, { userId, organizationId = null, db } = {}) {
+  const client = db || require('../config/supabase').supabaseAdmin;
+  const policy = await getModerationPolicy(userId, client, organizationId);
+  const content = extractModerateableContent(callParams).toLowerCase();
+  const blockedTerm = policy.blockedTerms.find(term => content.includes(term.toLowerCase()));
+
+  let result;
+  if (blockedTerm) {
+    result = {
+      isAllowed: false,
+      category: CONTENT_CATEGORIES.INAPPROPRIATE,
+      reason: `Content contains a term blocked for this account: ${blockedTerm}`,
+      score: 1,
+      moderationId: generateModerationId()
+    };
+  } else {
+    result = await moderateContent(callParams);
+
+    if (result.error && policy.failMode === 'closed') {
+      result = {
+        ...result,
+        isAllowed: false,
+        category: 'moderation_unavailable',
+        reason: 'Content moderation is unavailable and this account requires it'
+      };
+    } else if (!result.isAllowed && policy.allowedCategories.includes(result.category)) {
+      result = {
+        ...result,
+        isAllowed: true,
+        reason: `Category ${result.category} allowed by account policy`
+      };
+    }
+  }
+
+  const record = {
+    id: result.moderationId,
+    user_id: userId,
+    organization_id: organizationId,
+    is_allowed: result.isAllowed,
+    category: result.category,
+    reason: result.reason,
+    score: result.score ?? null,
+    fail_mode: policy.failMode,
+    error: result.error || null,
+    task_preview: truncate(callParams.task, 100),
+    created_at: new Date()
+  };
+
+  const { error: recordError } = await client
+    .from('moderation_records')
+    .insert(record);
+
+  if (recordError) {
+    console.error('Error storing moderation record:', recordError);
+  }
+
+  if (!result.isAllowed) {
+    throw Object.assign(
+      new Error(`Content moderation failed: ${result.reason}`),
+      {
+        code: 'CONTENT_REJECTED',
+        details: {
+          code: 'CONTENT_REJECTED',
+          moderationId: result.moderationId,
+          category: result.category,
+          reason: result.reason
+        }
+      }
+    );
+  }
+
+  return record;
+}
+
+/**
+ * Link a moderation record to the call it approved
+ * @param {String} moderationId - Moderation record ID
+ * @param {String} callId - Provider call ID
+ * @param {Object} [options] - Options
+ * @param {Object} [options.db] - Supabase client; defaults to the admin client
+ */
+async function linkModerationToCall(moderationId, callId, { db } = {}) {
+  const client = db || require('../config/supabase').supabaseAdmin;
+
+  const { error } = await client
+    .from('moderation_records')
+    .update({ call_id: callId })
+    .eq('id', moderationId);
+
+  if (error) {
+    console.error('Error linking moderation record to call:', error);
+  }
+}
+
 /**
  * Mask a phone number for privacy in logs
  * @param {String} phoneNumber - Phone number to mask
@@ -261,6 +425,9 @@ function truncate(str, length) {
 
 module.exports = {
   moderateContent,
+  enforceContentModeration,
+  linkModerationToCall,
+  getModerationPolicy,
   CONTENT_CATEGORIES,
   logModerationResult
 };
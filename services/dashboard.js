@@ -139,7 +139,7 @@ async function getSystemMetrics(options = {}) {
       
       // Get current total credit balance
       const { data: creditData } = await supabaseAdmin
-        .from('credit_accounts')
+        .from('credits')
         .select('balance');
         
       let totalCreditsOutstanding = 0;
@@ -226,7 +226,7 @@ async function getUserDashboard(userId, options = {}) {
     
     // Get user's credit balance
     const { data: creditData, error: creditError } = await supabaseAdmin
-      .from('credit_accounts')
+      .from('credits')
       .select('balance')
       .eq('user_id', userId)
       .single();
@@ -0,0 +1,577 @@
+// OAuth Service for ailevelup.AI MCP Wrapper
+//
+// An OAuth 2.1 authorization server for remote MCP hosts. Hosts register
+// themselves as public clients, send the user through the authorization-code
+// flow with PKCE (S256 only) and get back a short-lived access token (a JWT
+// carrying the consented scopes) and a refresh token that is rotated on
+// every use. Scopes are the ones API keys are granted. Each authorization is
+// a session (see sessions.js), so reusing a rotated refresh token revokes it.
+//
+// Authorization codes are random and long, so they are stored as an unsalted
+// SHA-256 hash that can be looked up directly.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { API_KEY_SCOPES, DEFAULT_SCOPES } = require('./api-keys');
+const { createSession, rotateRefreshToken, revokeSessionByToken } = require('./sessions');
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const AUTHORIZATION_CODE_TTL = 10 * 60 * 1000;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Path of the MCP endpoint tokens are issued for
+const MCP_RESOURCE_PATH = '/api/v1/mcp';
+
+const GRANT_TYPES = ['authorization_code', 'refresh_token'];
+
+// Shown on the consent screen
+const SCOPE_DESCRIPTIONS = {
+  'calls:read': 'View your calls, transcripts and call status',
+  'calls:write': 'Place, reschedule and cancel phone calls',
+  'campaigns:read': 'View your campaigns and their reports',
+  'campaigns:write': 'Create, start and stop campaigns',
+  'templates:read': 'View your call templates',
+  'templates:write': 'Create and change call templates',
+  'compliance:read': 'View your do-not-call list and quiet hours',
+  'compliance:write': 'Change your do-not-call list and quiet hours',
+  'webhooks:read': 'View your webhook subscriptions',
+  'webhooks:write': 'Create and change webhook subscriptions',
+  'settings:read': 'View your call preferences',
+  'settings:write': 'Change your call preferences',
+  'credits:read': 'View your credit balance',
+  'billing:write': 'Add credits to your account'
+};
+
+// Loopback redirect URIs may use any port (RFC 8252 section 7.3)
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Schemes that can never be a redirect target
+const FORBIDDEN_SCHEMES = ['javascript:', 'data:', 'file:', 'vbscript:'];
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Build an OAuth error
+ * @param {String} error - OAuth error code, e.g. invalid_request
+ * @param {String} description - Human-readable description
+ * @param {Object} [details] - Extra details, e.g. where the error may be redirected to
+ * @returns {Error} - Error with code OAUTH_ERROR and details.error
+ */
+function oauthError(error, description, details = {}) {
+  return Object.assign(new Error(description), {
+    code: 'OAUTH_ERROR',
+    details: { error, ...details }
+  });
+}
+
+/**
+ * Hash an authorization code for storage
+ * @param {String} token - Raw code
+ * @returns {String} - Hex-encoded SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Get the issuer identifier of the authorization server
+ * @param {String} origin - Origin the request came in on, used if OAUTH_ISSUER is not set
+ * @returns {String} - Issuer URL without a trailing slash
+ */
+function getIssuer(origin) {
+  return (process.env.OAUTH_ISSUER || origin).replace(/\/+$/, '');
+}
+
+/**
+ * Get the authorization server metadata (RFC 8414)
+ * @param {String} issuer - Issuer URL
+ * @returns {Object} - Metadata document
+ */
+function getAuthorizationServerMetadata(issuer) {
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/oauth/authorize`,
+    token_endpoint: `${issuer}/oauth/token`,
+    registration_endpoint: `${issuer}/oauth/register`,
+    revocation_endpoint: `${issuer}/oauth/revoke`,
+    scopes_supported: API_KEY_SCOPES,
+    response_types_supported: ['code'],
+    grant_types_supported: GRANT_TYPES,
+    token_endpoint_auth_methods_supported: ['none'],
+    revocation_endpoint_auth_methods_supported: ['none'],
+    code_challenge_methods_supported: ['S256']
+  };
+}
+
+/**
+ * Get the protected resource metadata of the MCP endpoint (RFC 9728)
+ * @param {String} issuer - Issuer URL
+ * @returns {Object} - Metadata document
+ */
+function getProtectedResourceMetadata(issuer) {
+  return {
+    resource: `${issuer}${MCP_RESOURCE_PATH}`,
+    authorization_servers: [issuer],
+    scopes_supported: API_KEY_SCOPES,
+    bearer_methods_supported: ['header'],
+    resource_name: 'Phone Call MCP'
+  };
+}
+
+/**
+ * Check whether a URI may be registered as a redirect URI: HTTPS, HTTP on a
+ * loopback address, or a private-use scheme of a native app
+ * @param {String} uri - Redirect URI
+ * @returns {Boolean} - Whether the URI is acceptable
+ */
+function isValidRedirectUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.hash || FORBIDDEN_SCHEMES.includes(url.protocol)) {
+    return false;
+  }
+  if (url.protocol === 'http:') {
+    return LOOPBACK_HOSTS.includes(url.hostname);
+  }
+  return true;
+}
+
+/**
+ * Check a redirect URI sent with a request against a registered one. They
+ * must match exactly, except that loopback URIs may differ in port.
+ * @param {String} registered - Registered redirect URI
+ * @param {String} requested - Redirect URI in the request
+ * @returns {Boolean} - Whether they match
+ */
+function matchesRedirectUri(registered, requested) {
+  if (registered === requested) {
+    return true;
+  }
+
+  try {
+    const a = new URL(registered);
+    const b = new URL(requested);
+    return a.protocol === 'http:' && LOOPBACK_HOSTS.includes(a.hostname) &&
+      a.protocol === b.protocol && a.hostname === b.hostname &&
+      a.pathname === b.pathname && a.search === b.search;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a space-separated scope parameter
+ * @param {String} [scope] - Scope parameter
+ * @param {Array} [allowed] - Scopes that may be requested; defaults to every scope
+ * @returns {Array|null} - Scopes, or null if none were requested
+ * @throws {Error} - OAUTH_ERROR invalid_scope for unknown or disallowed scopes
+ */
+function parseScope(scope, allowed = API_KEY_SCOPES) {
+  const scopes = String(scope || '').split(' ').filter(Boolean);
+  if (scopes.length === 0) {
+    return null;
+  }
+
+  const refused = scopes.filter(value => !API_KEY_SCOPES.includes(value) || !allowed.includes(value));
+  if (refused.length) {
+    throw oauthError('invalid_scope', `Scope not allowed: ${refused.join(' ')}`);
+  }
+
+  return [...new Set(scopes)];
+}
+
+/**
+ * Format an oauth_clients record as client information (RFC 7591)
+ * @param {Object} record - oauth_clients record
+ * @returns {Object} - Client information
+ */
+function formatClient(record) {
+  return {
+    client_id: record.client_id,
+    client_id_issued_at: Math.floor(new Date(record.created_at).getTime() / 1000),
+    client_name: record.client_name,
+    client_uri: record.client_uri || undefined,
+    redirect_uris: record.redirect_uris,
+    grant_types: record.grant_types,
+    response_types: ['code'],
+    token_endpoint_auth_method: 'none',
+    scope: record.scopes && record.scopes.length ? record.scopes.join(' ') : undefined
+  };
+}
+
+/**
+ * Register a client (RFC 7591). Only public clients are supported; they
+ * prove themselves with PKCE rather than a secret.
+ * @param {Object} metadata - Client metadata: redirect_uris, and optional
+ *   client_name, client_uri, grant_types, response_types,
+ *   token_endpoint_auth_method and scope
+ * @param {Object} [context] - db
+ * @returns {Object} - Client information, including the new client_id
+ * @throws {Error} - OAUTH_ERROR invalid_redirect_uri or invalid_client_metadata
+ */
+async function registerClient(metadata = {}, { db } = {}) {
+  const {
+    redirect_uris: redirectUris,
+    client_name: clientName,
+    client_uri: clientUri,
+    grant_types: grantTypes = ['authorization_code'],
+    response_types: responseTypes = ['code'],
+    token_endpoint_auth_method: authMethod = 'none',
+    scope
+  } = metadata;
+
+  if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+    throw oauthError('invalid_redirect_uri', 'redirect_uris must be a non-empty array');
+  }
+  const invalidUris = redirectUris.filter(uri => typeof uri !== 'string' || !isValidRedirectUri(uri));
+  if (invalidUris.length) {
+    throw oauthError('invalid_redirect_uri', `Redirect URI not allowed: ${invalidUris.join(' ')}`);
+  }
+
+  if (authMethod !== 'none') {
+    throw oauthError('invalid_client_metadata', 'Only public clients (token_endpoint_auth_method "none") are supported');
+  }
+  if (!Array.isArray(grantTypes) || grantTypes.some(type => !GRANT_TYPES.includes(type)) || !grantTypes.includes('authorization_code')) {
+    throw oauthError('invalid_client_metadata', `grant_types must include authorization_code and may include refresh_token`);
+  }
+  if (!Array.isArray(responseTypes) || responseTypes.some(type => type !== 'code')) {
+    throw oauthError('invalid_client_metadata', 'response_types must be ["code"]');
+  }
+  if (clientName !== undefined && (typeof clientName !== 'string' || clientName.length > 200)) {
+    throw oauthError('invalid_client_metadata', 'client_name must be a string of at most 200 characters');
+  }
+  if (clientUri !== undefined && !/^https?:\/\//.test(String(clientUri))) {
+    throw oauthError('invalid_client_metadata', 'client_uri must be an http(s) URL');
+  }
+
+  let scopes;
+  try {
+    scopes = parseScope(scope);
+  } catch (error) {
+    throw oauthError('invalid_client_metadata', error.message);
+  }
+
+  const { data, error } = await getDb(db)
+    .from('oauth_clients')
+    .insert({
+      client_id: `mcp_${crypto.randomBytes(16).toString('base64url')}`,
+      client_name: clientName || 'MCP client',
+      client_uri: clientUri || null,
+      redirect_uris: redirectUris,
+      grant_types: grantTypes,
+      scopes: scopes || [],
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Register OAuth client error:', error);
+    throw new Error('Failed to register client');
+  }
+
+  return formatClient(data);
+}
+
+/**
+ * Get a registered client
+ * @param {String} clientId - Client ID
+ * @param {Object} [context] - db
+ * @returns {Object|null} - oauth_clients record, or null if there is no such client
+ */
+async function getClient(clientId, { db } = {}) {
+  if (!clientId) {
+    return null;
+  }
+
+  const { data, error } = await getDb(db)
+    .from('oauth_clients')
+    .select('*')
+    .eq('client_id', String(clientId));
+
+  if (error) {
+    console.error('Fetch OAuth client error:', error);
+    throw new Error('Failed to fetch client');
+  }
+
+  return (data && data[0]) || null;
+}
+
+/**
+ * Validate an authorization request. Errors found before the client and
+ * redirect URI are known to be good must not be redirected; they carry
+ * details.redirectUri only once it is safe to send the user back.
+ * @param {Object} params - Request parameters: response_type, client_id,
+ *   redirect_uri, code_challenge, code_challenge_method, scope, state and resource
+ * @param {Object} options - resource (URL of the MCP endpoint) and db
+ * @returns {Object} - client, redirectUri, scopes, state, codeChallenge and resource
+ * @throws {Error} - OAUTH_ERROR
+ */
+async function validateAuthorizationRequest(params = {}, { resource, db } = {}) {
+  const client = await getClient(params.client_id, { db });
+  if (!client) {
+    throw oauthError('invalid_client', 'Unknown client_id');
+  }
+
+  // A redirect URI may only be left out if the client registered exactly one
+  let redirectUri = params.redirect_uri;
+  if (!redirectUri && client.redirect_uris.length === 1) {
+    redirectUri = client.redirect_uris[0];
+  }
+  if (!redirectUri || !client.redirect_uris.some(registered => matchesRedirectUri(registered, redirectUri))) {
+    throw oauthError('invalid_request', 'redirect_uri does not match a registered redirect URI');
+  }
+
+  const redirect = { redirectUri, state: params.state };
+
+  if (params.response_type !== 'code') {
+    throw oauthError('unsupported_response_type', 'response_type must be code', redirect);
+  }
+  if (!params.code_challenge || !/^[A-Za-z0-9_-]{43}$/.test(params.code_challenge)) {
+    throw oauthError('invalid_request', 'code_challenge is required (PKCE)', redirect);
+  }
+  if (params.code_challenge_method !== 'S256') {
+    throw oauthError('invalid_request', 'code_challenge_method must be S256', redirect);
+  }
+  if (params.resource && resource && params.resource.replace(/\/+$/, '') !== resource) {
+    throw oauthError('invalid_target', `resource must be ${resource}`, redirect);
+  }
+
+  let scopes;
+  try {
+    scopes = parseScope(params.scope, client.scopes && client.scopes.length ? client.scopes : API_KEY_SCOPES);
+  } catch (error) {
+    throw oauthError('invalid_scope', error.message, redirect);
+  }
+
+  return {
+    client,
+    redirectUri,
+    scopes: scopes || (client.scopes && client.scopes.length ? client.scopes : DEFAULT_SCOPES),
+    state: params.state,
+    codeChallenge: params.code_challenge,
+    resource: resource || params.resource || null
+  };
+}
+
+/**
+ * Issue an authorization code for a request the user approved
+ * @param {String} userId - User who approved the request
+ * @param {Object} request - Validated request from validateAuthorizationRequest
+ * @param {Object} [context] - db
+ * @returns {String} - Authorization code
+ */
+async function createAuthorizationCode(userId, request, { db } = {}) {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  const { error } = await getDb(db)
+    .from('oauth_authorization_codes')
+    .insert({
+      code_hash: hashToken(code),
+      client_id: request.client.client_id,
+      user_id: userId,
+      redirect_uri: request.redirectUri,
+      code_challenge: request.codeChallenge,
+      scopes: request.scopes,
+      resource: request.resource,
+      expires_at: new Date(Date.now() + AUTHORIZATION_CODE_TTL).toISOString()
+    });
+
+  if (error) {
+    console.error('Create authorization code error:', error);
+    throw new Error('Failed to create authorization code');
+  }
+
+  return code;
+}
+
+/**
+ * Check a PKCE code verifier against the challenge sent with the authorization request
+ * @param {String} verifier - code_verifier
+ * @param {String} challenge - code_challenge (S256)
+ * @returns {Boolean} - Whether the verifier matches
+ */
+function verifyCodeChallenge(verifier, challenge) {
+  if (!/^[A-Za-z0-9._~-]{43,128}$/.test(String(verifier || ''))) {
+    return false;
+  }
+
+  const expected = Buffer.from(String(challenge));
+  const received = Buffer.from(crypto.createHash('sha256').update(verifier).digest('base64url'));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Sign an access token and build the token response. The token names the
+ * session of its grant (`sid`), so it stops working when the session is
+ * revoked, and the MCP endpoint it is for (`aud`).
+ * @param {Object} grant - userId, clientId, scopes, resource and sessionId
+ * @param {String} refreshToken - Refresh token to return with it
+ * @returns {Object} - Token response (RFC 6749 section 5.1)
+ */
+function buildTokenResponse({ userId, clientId, scopes, resource, sessionId }, refreshToken) {
+  const accessToken = jwt.sign(
+    { userId, sid: sessionId, client_id: clientId, scope: scopes.join(' ') },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      ...(resource ? { audience: resource } : {})
+    }
+  );
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken,
+    scope: scopes.join(' ')
+  };
+}
+
+/**
+ * Exchange an authorization code for tokens. Each code can be used once.
+ * @param {Object} params - code, client_id, redirect_uri and code_verifier
+ * @param {Object} [options] - userAgent and ip of the request, and db
+ * @returns {Object} - Token response
+ * @throws {Error} - OAUTH_ERROR invalid_request or invalid_grant
+ */
+async function exchangeAuthorizationCode(params = {}, { userAgent, ip, db } = {}) {
+  if (!params.code || !params.client_id || !params.code_verifier) {
+    throw oauthError('invalid_request', 'code, client_id and code_verifier are required');
+  }
+
+  const { data, error } = await getDb(db)
+    .from('oauth_authorization_codes')
+    .select('*')
+    .eq('code_hash', hashToken(params.code));
+
+  if (error) {
+    console.error('Fetch authorization code error:', error);
+    throw new Error('Failed to exchange authorization code');
+  }
+
+  const record = data && data[0];
+  if (!record || record.used_at || new Date(record.expires_at) <= new Date()) {
+    throw oauthError('invalid_grant', 'Authorization code is invalid, expired or already used');
+  }
+  if (record.client_id !== params.client_id) {
+    throw oauthError('invalid_grant', 'Authorization code was issued to another client');
+  }
+  if (params.redirect_uri && params.redirect_uri !== record.redirect_uri) {
+    throw oauthError('invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+  if (!verifyCodeChallenge(params.code_verifier, record.code_challenge)) {
+    throw oauthError('invalid_grant', 'code_verifier does not match the code challenge');
+  }
+
+  // Claimed with a conditional update so two concurrent exchanges cannot both succeed
+  const { data: claimed, error: claimError } = await getDb(db)
+    .from('oauth_authorization_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimError) {
+    console.error('Claim authorization code error:', claimError);
+    throw new Error('Failed to exchange authorization code');
+  }
+  if (!claimed || claimed.length === 0) {
+    throw oauthError('invalid_grant', 'Authorization code is invalid, expired or already used');
+  }
+
+  // Each authorization starts a session the user can see and revoke
+  const grant = {
+    userId: record.user_id,
+    clientId: record.client_id,
+    scopes: record.scopes,
+    resource: record.resource
+  };
+  const { refreshToken, sessionId } = await createSession(grant.userId, {
+    ...grant,
+    userAgent,
+    ip,
+    ttl: REFRESH_TOKEN_TTL
+  }, { db });
+
+  return buildTokenResponse({ ...grant, sessionId }, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for new tokens. The refresh token is rotated:
+ * it is revoked and a new one is returned in its place. Presenting a
+ * rotated token again revokes the grant.
+ * @param {Object} params - refresh_token, client_id and optional scope (to narrow the grant)
+ * @param {Object} [options] - userAgent and ip of the request, and db
+ * @returns {Object} - Token response
+ * @throws {Error} - OAUTH_ERROR invalid_request, invalid_grant or invalid_scope
+ */
+async function refreshAccessToken(params = {}, { userAgent, ip, db } = {}) {
+  if (!params.refresh_token || !params.client_id) {
+    throw oauthError('invalid_request', 'refresh_token and client_id are required');
+  }
+
+  const scopes = parseScope(params.scope);
+
+  let rotated;
+  try {
+    rotated = await rotateRefreshToken(params.refresh_token, {
+      clientId: params.client_id,
+      scopes,
+      userAgent,
+      ip
+    }, { db });
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_SCOPE_EXCEEDED') {
+      throw oauthError('invalid_scope', 'A refresh may narrow the grant, never widen it');
+    }
+    if (['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_EXPIRED', 'REFRESH_TOKEN_REUSED'].includes(error.code)) {
+      throw oauthError('invalid_grant', 'Refresh token is invalid, expired or revoked');
+    }
+    throw error;
+  }
+
+  const { session } = rotated;
+  return buildTokenResponse({
+    userId: session.user_id,
+    clientId: session.client_id,
+    scopes: session.scopes,
+    resource: session.resource,
+    sessionId: session.family_id
+  }, rotated.refreshToken);
+}
+
+/**
+ * Revoke a refresh token, and with it the grant (RFC 7009). Unknown tokens are ignored.
+ * @param {String} token - Refresh token
+ * @param {Object} [options] - clientId (if given, only that client's tokens are revoked) and db
+ * @returns {Boolean} - Whether a grant was revoked
+ */
+async function revokeRefreshToken(token, { clientId, db } = {}) {
+  return revokeSessionByToken(token, { clientId, db });
+}
+
+module.exports = {
+  SCOPE_DESCRIPTIONS,
+  getIssuer,
+  getAuthorizationServerMetadata,
+  getProtectedResourceMetadata,
+  registerClient,
+  getClient,
+  validateAuthorizationRequest,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  revokeRefreshToken
+};
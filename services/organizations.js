@@ -0,0 +1,645 @@
+// Organization Service for ailevelup.AI MCP Wrapper
+//
+// Organizations let a team share one account: a credit balance, call
+// history, call templates and API keys. Everything a user does outside an
+// organization stays in their personal account, as before.
+//
+// Each member has a role. Roles map onto the API key scopes: a member can
+// only use the scopes of their role, and an API key or OAuth token used in
+// an organization is narrowed to them as well. Owners and admins also manage
+// the members, invitations and API keys of the organization.
+//
+// Invitations are sent to an email address and accepted with a token that is
+// shown once; only its SHA-256 hash is stored.
+const crypto = require('crypto');
+const { API_KEY_SCOPES, hasScope } = require('./api-keys');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'caller', 'viewer'];
+
+const READ_SCOPES = API_KEY_SCOPES.filter(scope => scope.endsWith(':read'));
+
+// Scopes each role can use
+const ROLE_SCOPES = {
+  owner: API_KEY_SCOPES,
+  admin: API_KEY_SCOPES,
+  caller: [...READ_SCOPES, 'calls:write', 'campaigns:write'],
+  viewer: READ_SCOPES
+};
+
+// Roles that manage members, invitations and API keys
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// How long an invitation can be accepted for
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Build an organization error
+ * @param {String} code - Error code, e.g. 'NOT_A_MEMBER'
+ * @param {String} message - Error message
+ * @param {Object} [details] - Extra details
+ * @returns {Error} - Error with code and details
+ */
+function organizationError(code, message, details) {
+  return Object.assign(new Error(message), { code, ...(details && { details }) });
+}
+
+/**
+ * Hash an invitation token for storage
+ * @param {String} token - Raw invitation token
+ * @returns {String} - Hex-encoded SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check an organization name
+ * @param {String} name - Organization name
+ * @returns {String} - The name, trimmed
+ */
+function validateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw organizationError('INVALID_ORGANIZATION', `name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Check a member role
+ * @param {String} role - Role name
+ * @returns {String} - The role
+ */
+function validateRole(role) {
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    throw organizationError('INVALID_ROLE', `role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Check that a member may hand out or take away a role. Only owners may make
+ * or unmake owners.
+ * @param {String} actorRole - Role of the member making the change
+ * @param {...String} roles - Roles being granted or taken away
+ */
+function assertCanManage(actorRole, ...roles) {
+  if (!MANAGER_ROLES.includes(actorRole)) {
+    throw organizationError('ORGANIZATION_PERMISSION_DENIED', 'Only owners and admins can manage members');
+  }
+  if (actorRole !== 'owner' && roles.includes('owner')) {
+    throw organizationError('ORGANIZATION_PERMISSION_DENIED', 'Only owners can manage owners');
+  }
+}
+
+/**
+ * Scopes a member can use: those of their role, narrowed to the scopes of the
+ * API key or OAuth token they act through
+ * @param {String} role - Member role
+ * @param {Array} [credentialScopes] - Scopes of the credential; omitted for logins
+ * @returns {Array} - Scopes
+ */
+function getRoleScopes(role, credentialScopes) {
+  const scopes = ROLE_SCOPES[role] || [];
+  return credentialScopes ? scopes.filter(scope => hasScope(credentialScopes, scope)) : scopes;
+}
+
+/**
+ * Limit a query to the rows of an account: an organization's, or the ones a
+ * user holds outside any organization
+ * @param {Object} query - Query on a table with user_id and organization_id
+ * @param {String} userId - User ID
+ * @param {String|null} [organizationId] - Organization acted for
+ * @returns {Object} - The query, filtered
+ */
+function forAccount(query, userId, organizationId) {
+  return organizationId
+    ? query.eq('organization_id', organizationId)
+    : query.eq('user_id', userId).is('organization_id', null);
+}
+
+/**
+ * Format an organization for API responses
+ * @param {Object} organization - organizations record
+ * @param {String} [role] - Role of the member it is shown to
+ * @returns {Object} - id, name, role and createdAt
+ */
+function formatOrganization(organization, role) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    ...(role && { role }),
+    createdAt: organization.created_at
+  };
+}
+
+/**
+ * Format an invitation for API responses, leaving out the token hash
+ * @param {Object} record - organization_invitations record
+ * @returns {Object} - id, email, role, invitedBy, expiresAt and createdAt
+ */
+function formatInvitation(record) {
+  return {
+    id: record.id,
+    email: record.email,
+    role: record.role,
+    invitedBy: record.invited_by,
+    expiresAt: record.expires_at,
+    createdAt: record.created_at
+  };
+}
+
+/**
+ * Create an organization, with its creator as owner and an empty credit balance
+ * @param {String} userId - User creating it
+ * @param {Object} fields - name
+ * @param {Object} [context] - db
+ * @returns {Object} - Organization, with the creator's role
+ */
+async function createOrganization(userId, { name } = {}, { db } = {}) {
+  const organizationName = validateName(name);
+
+  const { data: organization, error } = await getDb(db)
+    .from('organizations')
+    .insert({
+      name: organizationName,
+      created_by: userId,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Create organization error:', error);
+    throw new Error('Failed to create organization');
+  }
+
+  const { error: memberError } = await getDb(db)
+    .from('organization_members')
+    .insert({ organization_id: organization.id, user_id: userId, role: 'owner', created_at: new Date() });
+
+  if (memberError) {
+    console.error('Add organization owner error:', memberError);
+    throw new Error('Failed to create organization');
+  }
+
+  // Organizations have a balance of their own, without free tier minutes;
+  // members' personal credits are not shared
+  const { error: creditsError } = await getDb(db)
+    .from('credits')
+    .insert({ organization_id: organization.id, balance: 0, total_added: 0, total_used: 0, has_free_tier: false });
+
+  if (creditsError) {
+    console.error('Create organization credits error:', creditsError);
+    throw new Error('Failed to create organization');
+  }
+
+  return formatOrganization(organization, 'owner');
+}
+
+/**
+ * List the organizations a user belongs to
+ * @param {String} userId - User ID
+ * @param {Object} [context] - db
+ * @returns {Array} - Organizations, with the user's role in each
+ */
+async function listOrganizations(userId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('organization_members')
+    .select('role, organization:organizations(*)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('List organizations error:', error);
+    throw new Error('Failed to list organizations');
+  }
+
+  return (data || [])
+    .filter(membership => membership.organization)
+    .map(membership => formatOrganization(membership.organization, membership.role));
+}
+
+/**
+ * Look up a user's membership of an organization
+ * @param {String} organizationId - Organization ID
+ * @param {String} userId - User ID
+ * @param {Object} [context] - db
+ * @returns {Object|null} - organization_members record, or null if the user is not a member
+ */
+async function getMembership(organizationId, userId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId);
+
+  if (error) {
+    // 22P02: the ID is not a UUID, so it cannot be an organization
+    if (error.code === '22P02') {
+      return null;
+    }
+    console.error('Get organization membership error:', error);
+    throw new Error('Failed to check organization membership');
+  }
+
+  return (data && data[0]) || null;
+}
+
+/**
+ * Resolve what a user may do when acting for an organization
+ * @param {String} userId - User ID
+ * @param {String} organizationId - Organization ID
+ * @param {Object} [options] - credentialScopes (of the API key or OAuth token
+ *   used, if any) and db
+ * @returns {Object} - organizationId, role and scopes
+ * @throws {Error} - NOT_A_MEMBER
+ */
+async function getOrganizationAccess(userId, organizationId, { credentialScopes, db } = {}) {
+  const membership = await getMembership(organizationId, userId, { db });
+  if (!membership) {
+    throw organizationError('NOT_A_MEMBER', 'Not a member of this organization', { organizationId });
+  }
+
+  return {
+    organizationId,
+    role: membership.role,
+    scopes: getRoleScopes(membership.role, credentialScopes)
+  };
+}
+
+/**
+ * Rename an organization
+ * @param {String} organizationId - Organization ID
+ * @param {Object} fields - name
+ * @param {Object} [context] - db
+ * @returns {Object} - Organization
+ */
+async function updateOrganization(organizationId, { name } = {}, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('organizations')
+    .update({ name: validateName(name), updated_at: new Date() })
+    .eq('id', organizationId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Update organization error:', error);
+    throw new Error('Failed to update organization');
+  }
+
+  return formatOrganization(data);
+}
+
+/**
+ * List the members of an organization
+ * @param {String} organizationId - Organization ID
+ * @param {Object} [context] - db
+ * @returns {Array} - userId, email, name, role and joinedAt of each member
+ */
+async function listMembers(organizationId, { db } = {}) {
+  const { data: members, error } = await getDb(db)
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('List organization members error:', error);
+    throw new Error('Failed to list organization members');
+  }
+  if (!members || members.length === 0) {
+    return [];
+  }
+
+  const { data: users, error: usersError } = await getDb(db)
+    .from('users')
+    .select('id, email, name')
+    .in('id', members.map(member => member.user_id));
+
+  if (usersError) {
+    console.error('List organization members error:', usersError);
+    throw new Error('Failed to list organization members');
+  }
+
+  const usersById = new Map((users || []).map(user => [user.id, user]));
+  return members.map(member => ({
+    userId: member.user_id,
+    email: usersById.has(member.user_id) ? usersById.get(member.user_id).email : null,
+    name: usersById.has(member.user_id) ? usersById.get(member.user_id).name || null : null,
+    role: member.role,
+    joinedAt: member.created_at
+  }));
+}
+
+/**
+ * Make sure an organization keeps an owner when one is demoted or removed
+ * @param {String} organizationId - Organization ID
+ * @param {Object} member - organization_members record being changed
+ * @param {Object} [context] - db
+ */
+async function assertNotLastOwner(organizationId, member, { db } = {}) {
+  if (member.role !== 'owner') {
+    return;
+  }
+
+  const { data, error } = await getDb(db)
+    .from('organization_members')
+    .select('user_id')
+    .eq('organization_id', organizationId)
+    .eq('role', 'owner');
+
+  if (error) {
+    console.error('Count organization owners error:', error);
+    throw new Error('Failed to check organization owners');
+  }
+
+  if (!data || data.length <= 1) {
+    throw organizationError('LAST_OWNER', 'An organization needs at least one owner; make someone else owner first');
+  }
+}
+
+/**
+ * Change a member's role
+ * @param {String} organizationId - Organization ID
+ * @param {String} memberId - User ID of the member
+ * @param {String} role - New role
+ * @param {Object} options - actorRole (role of the member making the change) and db
+ * @returns {Object|null} - Updated membership, or null if the user is not a member
+ */
+async function updateMemberRole(organizationId, memberId, role, { actorRole, db } = {}) {
+  validateRole(role);
+
+  const member = await getMembership(organizationId, memberId, { db });
+  if (!member) {
+    return null;
+  }
+
+  assertCanManage(actorRole, role, member.role);
+  if (role !== 'owner') {
+    await assertNotLastOwner(organizationId, member, { db });
+  }
+
+  const { data, error } = await getDb(db)
+    .from('organization_members')
+    .update({ role })
+    .eq('organization_id', organizationId)
+    .eq('user_id', memberId)
+    .select();
+
+  if (error) {
+    console.error('Update organization member error:', error);
+    throw new Error('Failed to update organization member');
+  }
+
+  return { userId: memberId, role: data && data[0] ? data[0].role : role };
+}
+
+/**
+ * Remove a member from an organization. Members may always leave; the API
+ * keys they created for the organization stop working with them.
+ * @param {String} organizationId - Organization ID
+ * @param {String} memberId - User ID of the member
+ * @param {Object} options - actorId and actorRole (who is removing them) and db
+ * @returns {Boolean} - False if the user is not a member
+ */
+async function removeMember(organizationId, memberId, { actorId, actorRole, db } = {}) {
+  const member = await getMembership(organizationId, memberId, { db });
+  if (!member) {
+    return false;
+  }
+
+  if (memberId !== actorId) {
+    assertCanManage(actorRole, member.role);
+  }
+  await assertNotLastOwner(organizationId, member, { db });
+
+  const { error } = await getDb(db)
+    .from('organization_members')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('user_id', memberId);
+
+  if (error) {
+    console.error('Remove organization member error:', error);
+    throw new Error('Failed to remove organization member');
+  }
+
+  return true;
+}
+
+/**
+ * Invite someone to an organization by email. An earlier pending invitation
+ * to the same address is replaced.
+ * @param {String} organizationId - Organization ID
+ * @param {Object} invitation - email, role, invitedBy (user ID) and actorRole
+ *   (role of the member inviting)
+ * @param {Object} [context] - db
+ * @returns {Object} - token (shown once) and invitation
+ */
+async function createInvitation(organizationId, { email, role, invitedBy, actorRole } = {}, { db } = {}) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+    throw organizationError('INVALID_INVITATION', 'A valid email address is required');
+  }
+  validateRole(role);
+  assertCanManage(actorRole, role);
+
+  const { data: users, error: userError } = await getDb(db)
+    .from('users')
+    .select('id')
+    .eq('email', address);
+
+  if (userError) {
+    console.error('Find invited user error:', userError);
+    throw new Error('Failed to create invitation');
+  }
+  if (users && users[0] && await getMembership(organizationId, users[0].id, { db })) {
+    throw organizationError('ALREADY_A_MEMBER', `${address} is already a member of this organization`);
+  }
+
+  await getDb(db)
+    .from('organization_invitations')
+    .update({ revoked_at: new Date() })
+    .eq('organization_id', organizationId)
+    .eq('email', address)
+    .is('accepted_at', null)
+    .is('revoked_at', null);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data, error } = await getDb(db)
+    .from('organization_invitations')
+    .insert({
+      organization_id: organizationId,
+      email: address,
+      role,
+      token_hash: hashToken(token),
+      invited_by: invitedBy,
+      expires_at: new Date(Date.now() + INVITATION_TTL).toISOString(),
+      created_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Create invitation error:', error);
+    throw new Error('Failed to create invitation');
+  }
+
+  return { token, invitation: formatInvitation(data) };
+}
+
+/**
+ * List the invitations of an organization that can still be accepted
+ * @param {String} organizationId - Organization ID
+ * @param {Object} [context] - db
+ * @returns {Array} - Invitations
+ */
+async function listInvitations(organizationId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('organization_invitations')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('List invitations error:', error);
+    throw new Error('Failed to list invitations');
+  }
+
+  return (data || []).map(formatInvitation);
+}
+
+/**
+ * Withdraw an invitation
+ * @param {String} organizationId - Organization ID
+ * @param {String} invitationId - Invitation ID
+ * @param {Object} [context] - db
+ * @returns {Boolean} - False if there was no pending invitation
+ */
+async function revokeInvitation(organizationId, invitationId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('organization_invitations')
+    .update({ revoked_at: new Date() })
+    .eq('id', invitationId)
+    .eq('organization_id', organizationId)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    if (error.code === '22P02') {
+      return false;
+    }
+    console.error('Revoke invitation error:', error);
+    throw new Error('Failed to revoke invitation');
+  }
+
+  return Boolean(data && data.length);
+}
+
+/**
+ * Accept an invitation. It must be accepted by the user it was sent to.
+ * @param {String} token - Invitation token
+ * @param {Object} user - User accepting it: id and email
+ * @param {Object} [context] - db
+ * @returns {Object} - The organization, with the user's role in it
+ * @throws {Error} - INVALID_INVITATION, INVITATION_EXPIRED or INVITATION_EMAIL_MISMATCH
+ */
+async function acceptInvitation(token, user, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('organization_invitations')
+    .select('*, organization:organizations(*)')
+    .eq('token_hash', hashToken(token));
+
+  if (error) {
+    console.error('Fetch invitation error:', error);
+    throw new Error('Failed to accept invitation');
+  }
+
+  const invitation = data && data[0];
+  if (!invitation || invitation.accepted_at || invitation.revoked_at) {
+    throw organizationError('INVALID_INVITATION', 'Invitation not found or no longer valid');
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw organizationError('INVITATION_EXPIRED', 'Invitation has expired; ask for a new one');
+  }
+  if (String(user.email || '').toLowerCase() !== invitation.email) {
+    throw organizationError('INVITATION_EMAIL_MISMATCH', `This invitation was sent to ${invitation.email}`);
+  }
+
+  // Claimed with a conditional update, so an invitation is only used once
+  const { data: claimed, error: claimError } = await getDb(db)
+    .from('organization_invitations')
+    .update({ accepted_at: new Date(), accepted_by: user.id })
+    .eq('id', invitation.id)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (claimError) {
+    console.error('Accept invitation error:', claimError);
+    throw new Error('Failed to accept invitation');
+  }
+  if (!claimed || claimed.length === 0) {
+    throw organizationError('INVALID_INVITATION', 'Invitation not found or no longer valid');
+  }
+
+  // Someone who already joined keeps the role they have
+  const membership = await getMembership(invitation.organization_id, user.id, { db });
+  if (membership) {
+    return formatOrganization(invitation.organization, membership.role);
+  }
+
+  const { error: memberError } = await getDb(db)
+    .from('organization_members')
+    .insert({
+      organization_id: invitation.organization_id,
+      user_id: user.id,
+      role: invitation.role,
+      created_at: new Date()
+    });
+
+  if (memberError) {
+    console.error('Add organization member error:', memberError);
+    throw new Error('Failed to accept invitation');
+  }
+
+  return formatOrganization(invitation.organization, invitation.role);
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  ROLE_SCOPES,
+  MANAGER_ROLES,
+  getRoleScopes,
+  forAccount,
+  createOrganization,
+  listOrganizations,
+  getMembership,
+  getOrganizationAccess,
+  updateOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -1,13 +1,10 @@
-const axios = require('axios');
 const { supabase } = require('../config/supabase');
 const { deductCredits } = require('./billing');
-const { moderateContent } = require('./content-moderation');
+const { enforceContentModeration, linkModerationToCall } = require('./content-moderation');
+const { enforceCallCompliance } = require('./compliance');
 const logger = require('./logging');
 const { getAutoTopupSettings, processAutoTopup } = require('./auto-topup');
-
-// ailevelup.AI API configuration
-const AILEVELUP_API_KEY = process.env.AILEVELUP_API_KEY;
-const AILEVELUP_API_URL = process.env.AILEVELUP_API_URL || 'https://api.ailevelup.ai';
+const { getProvider } = require('./providers');
 
 /**
  * Send a phone call using ailevelup.AI
@@ -27,16 +24,27 @@ async function sendCall(callData, userId) {
     }
 
     // Moderate the call script content
-    const moderationResult = await moderateContent(callData.script);
-    if (!moderationResult.approved) {
-      logger.warn('Content moderation failed', { 
-        userId, 
-        reason: moderationResult.reason,
-        contentType: 'call_script'
-      });
-      throw new Error(`Content moderation failed: ${moderationResult.reason}`);
+    let moderation;
+    try {
+      moderation = await enforceContentModeration(
+        { task: callData.script, phone_number: callData.phoneNumber },
+        { userId }
+      );
+    } catch (moderationError) {
+      if (moderationError.code === 'CONTENT_REJECTED') {
+        logger.warn('Content moderation failed', { 
+          userId, 
+          reason: moderationError.details.reason,
+          contentType: 'call_script'
+        });
+      }
+      throw moderationError;
     }
 
+    // Do-not-call numbers and the callee's quiet hours. This path dials
+    // immediately, so calls during quiet hours are blocked rather than deferred.
+    await enforceCallCompliance(callData.phoneNumber, { userId, allowDefer: false });
+
     // Check if user has enough credits
     const { data: userCredits, error: creditsError } = await supabase
       .from('user_credits')
@@ -68,33 +76,25 @@ async function sendCall(callData, userId) {
       }
     }
 
-    // Prepare call data for ailevelup.AI
-    const ailevelupCallData = {
-      phone_number: callData.phoneNumber,
+    // Place the call with the configured telephony provider
+    const call = await getProvider().dial({
+      phoneNumber: callData.phoneNumber,
       task: callData.script,
-      voice: callData.voice || defaultVoice,
-      from_number: callData.fromNumber || defaultFromNumber,
-      model: callData.model || defaultModel,
-      temperature: callData.temperature || defaultTemperature,
-      voicemail_action: callData.voicemailAction || defaultVoicemailAction,
-      answered_by_enabled: callData.answeredByEnabled ?? defaultAnsweredByEnabled
-    };
-
-    // Add optional parameters if provided
-    if (callData.maxDuration) ailevelupCallData.max_duration = callData.maxDuration;
-    if (callData.webhookUrl) ailevelupCallData.webhook_url = callData.webhookUrl;
-    if (callData.recordingEnabled !== undefined) ailevelupCallData.recording_enabled = callData.recordingEnabled;
-    if (callData.amdConfig) ailevelupCallData.amd_config = callData.amdConfig;
-    if (callData.transferConfig) ailevelupCallData.transfer_config = callData.transferConfig;
-
-    // Make API call to ailevelup.AI
-    const response = await axios.post(`${AILEVELUP_API_URL}/v1/calls`, ailevelupCallData, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
+      voice: callData.voice,
+      fromNumber: callData.fromNumber,
+      model: callData.model,
+      temperature: callData.temperature,
+      voicemailAction: callData.voicemailAction,
+      answeredByEnabled: callData.answeredByEnabled,
+      maxDuration: callData.maxDuration,
+      webhookUrl: callData.webhookUrl,
+      recordingEnabled: callData.recordingEnabled,
+      amdEnabled: callData.amdConfig !== undefined ? Boolean(callData.amdConfig) : undefined,
+      transferPhoneNumber: callData.transferConfig && callData.transferConfig.phoneNumber
     });
 
+    await linkModerationToCall(moderation.id, call.callId);
+
     // Deduct credits for the call
     await deductCredits(userId, estimatedCost, 'phone_call');
 
@@ -103,7 +103,7 @@ async function sendCall(callData, userId) {
       .from('calls')
       .insert({
         user_id: userId,
-        ailevelup_call_id: response.data.call_id,
+        ailevelup_call_id: call.callId,
         phone_number: callData.phoneNumber,
         script: callData.script,
         status: 'initiated',
@@ -122,16 +122,16 @@ async function sendCall(callData, userId) {
     // Log the call
     logger.info('Phone call initiated', {
       userId,
-      callId: response.data.call_id,
+      callId: call.callId,
       phoneNumber: callData.phoneNumber,
       creditsUsed: estimatedCost
     });
 
     return {
-      callId: response.data.call_id,
+      callId: call.callId,
       status: 'initiated',
       estimatedCost,
-      ...response.data
+      ...call.raw
     };
   } catch (error) {
     logger.error('Failed to send call', {
@@ -140,11 +140,6 @@ async function sendCall(callData, userId) {
       callData: { ...callData, script: 'REDACTED' } // Don't log the full script for privacy
     });
 
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
@@ -169,18 +164,14 @@ async function getCallDetails(callId, userId) {
       throw new Error('Call not found or not authorized to access this call');
     }
 
-    // Get call details from ailevelup.AI
-    const response = await axios.get(`${AILEVELUP_API_URL}/v1/calls/${callId}`, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`
-      }
-    });
+    // Get call details from the telephony provider
+    const call = await getProvider().getCall(callId);
 
     // Update call status in database if it has changed
-    if (response.data.status && response.data.status !== callRecord.status) {
+    if (call.status !== 'unknown' && call.status !== callRecord.status) {
       const { error: updateError } = await supabase
         .from('calls')
-        .update({ status: response.data.status, updated_at: new Date() })
+        .update({ status: call.status, updated_at: new Date() })
         .eq('ailevelup_call_id', callId);
 
       if (updateError) {
@@ -189,7 +180,8 @@ async function getCallDetails(callId, userId) {
     }
 
     return {
-      ...response.data,
+      ...call.raw,
+      status: call.status,
       metadata: callRecord.metadata,
       custom_call_id: callRecord.custom_call_id,
       credits_used: callRecord.credits_used
@@ -197,11 +189,6 @@ async function getCallDetails(callId, userId) {
   } catch (error) {
     logger.error('Failed to get call details', { callId, userId, error: error.message });
     
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
@@ -226,13 +213,8 @@ async function stopCall(callId, userId) {
       throw new Error('Call not found or not authorized to stop this call');
     }
 
-    // Stop the call via ailevelup.AI
-    const response = await axios.post(`${AILEVELUP_API_URL}/v1/calls/${callId}/stop`, {}, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    // Stop the call via the telephony provider
+    const result = await getProvider().stop(callId);
 
     // Update call status in database
     const { error: updateError } = await supabase
@@ -249,16 +231,11 @@ async function stopCall(callId, userId) {
     return {
       success: true,
       message: 'Call stopped successfully',
-      ...response.data
+      ...result.raw
     };
   } catch (error) {
     logger.error('Failed to stop call', { callId, userId, error: error.message });
     
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
@@ -289,13 +266,8 @@ async function analyzeCall(callId, userId, options = {}) {
       ...options
     };
 
-    // Request analysis from ailevelup.AI
-    const response = await axios.post(`${AILEVELUP_API_URL}/v1/calls/${callId}/analyze`, analysisOptions, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    // Request analysis from the telephony provider
+    const analysis = await getProvider().analyze(callId, analysisOptions);
 
     // Store analysis results in database
     const { error: analysisError } = await supabase
@@ -304,7 +276,7 @@ async function analyzeCall(callId, userId, options = {}) {
         call_id: callRecord.id,
         user_id: userId,
         ailevelup_call_id: callId,
-        analysis_data: response.data,
+        analysis_data: analysis,
         analysis_type: options.analysisType || 'standard'
       });
 
@@ -315,15 +287,10 @@ async function analyzeCall(callId, userId, options = {}) {
 
     logger.info('Call analyzed', { userId, callId, analysisType: options.analysisType || 'standard' });
 
-    return response.data;
+    return analysis;
   } catch (error) {
     logger.error('Failed to analyze call', { callId, userId, error: error.message });
     
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
@@ -348,29 +315,15 @@ async function getCallRecording(callId, userId) {
       throw new Error('Call not found or not authorized to access this recording');
     }
 
-    // Get recording from ailevelup.AI
-    const response = await axios.get(`${AILEVELUP_API_URL}/v1/calls/${callId}/recording`, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`
-      },
-      responseType: 'stream' // Stream the response
-    });
+    // Stream the recording from the telephony provider
+    const recording = await getProvider().getRecording(callId);
 
     logger.info('Call recording accessed', { userId, callId });
 
-    return {
-      stream: response.data,
-      contentType: response.headers['content-type'],
-      contentLength: response.headers['content-length']
-    };
+    return recording;
   } catch (error) {
     logger.error('Failed to get call recording', { callId, userId, error: error.message });
     
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
@@ -395,12 +348,8 @@ async function getCorrectedTranscript(callId, userId) {
       throw new Error('Call not found or not authorized to access this transcript');
     }
 
-    // Get transcript from ailevelup.AI
-    const response = await axios.get(`${AILEVELUP_API_URL}/v1/calls/${callId}/transcript`, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`
-      }
-    });
+    // Get transcript from the telephony provider
+    const transcript = await getProvider().getTranscript(callId);
 
     // Store transcript in database if not already stored
     const { data: existingTranscript, error: checkError } = await supabase
@@ -416,7 +365,7 @@ async function getCorrectedTranscript(callId, userId) {
           call_id: callRecord.id,
           user_id: userId,
           ailevelup_call_id: callId,
-          transcript_data: response.data,
+          transcript_data: transcript,
           transcript_type: 'corrected'
         });
 
@@ -427,15 +376,10 @@ async function getCorrectedTranscript(callId, userId) {
 
     logger.info('Call transcript accessed', { userId, callId });
 
-    return response.data;
+    return transcript;
   } catch (error) {
     logger.error('Failed to get call transcript', { callId, userId, error: error.message });
     
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
@@ -460,28 +404,15 @@ async function getEventStream(callId, userId) {
       throw new Error('Call not found or not authorized to access this event stream');
     }
 
-    // Get event stream from ailevelup.AI
-    const response = await axios.get(`${AILEVELUP_API_URL}/v1/calls/${callId}/events`, {
-      headers: {
-        'Authorization': `Bearer ${AILEVELUP_API_KEY}`
-      },
-      responseType: 'stream' // Stream the response
-    });
+    // Stream live events from the telephony provider
+    const events = await getProvider().getEventStream(callId);
 
     logger.info('Call event stream accessed', { userId, callId });
 
-    return {
-      stream: response.data,
-      contentType: response.headers['content-type']
-    };
+    return events;
   } catch (error) {
     logger.error('Failed to get call event stream', { callId, userId, error: error.message });
     
-    // Check if it's an API error from ailevelup.AI
-    if (error.response) {
-      throw new Error(`ailevelup.AI API error: ${error.response.data.message || JSON.stringify(error.response.data)}`);
-    }
-    
     throw error;
   }
 }
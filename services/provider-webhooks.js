@@ -0,0 +1,114 @@
+// Provider Webhook Receiver for ailevelup.AI MCP Wrapper
+//
+// Accepts call events pushed by the telephony provider. Each event is checked
+// against the provider's signature, archived in provider_webhook_events and
+// applied through the call state engine. The archive doubles as replay
+// protection: an event ID that was already processed is not applied again.
+const { getProvider } = require('./providers');
+const { ingestProviderUpdate } = require('./call-state');
+
+// An attempt still marked received after this long is assumed to have died
+// mid-request, so a redelivery of the event may claim it
+const CLAIM_LEASE_MS = 60 * 1000;
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Archive an event, or claim it again if an earlier attempt failed or never
+ * finished
+ * @param {Object} row - Archive row
+ * @param {Object} [options] - db
+ * @returns {Object|null} - Archived event, or null if it was already processed
+ */
+async function claimEvent(row, { db } = {}) {
+  const { data: inserted, error } = await getDb(db)
+    .from('provider_webhook_events')
+    .insert(row)
+    .select()
+    .single();
+
+  if (!error) {
+    return inserted;
+  }
+
+  // 23505: unique violation on (provider, event_id)
+  if (error.code !== '23505') {
+    throw new Error(`Failed to archive provider webhook: ${error.message}`);
+  }
+
+  const leaseExpiredAt = new Date(Date.now() - CLAIM_LEASE_MS).toISOString();
+  const { data: retried } = await getDb(db)
+    .from('provider_webhook_events')
+    .update({ status: 'received', error: null, received_at: row.received_at })
+    .eq('provider', row.provider)
+    .eq('event_id', row.event_id)
+    .or(`status.eq.failed,and(status.eq.received,received_at.lt.${leaseExpiredAt})`)
+    .select()
+    .single();
+
+  return retried || null;
+}
+
+/**
+ * Verify, archive and apply a call event from the telephony provider
+ * @param {String} rawBody - Raw request body, as signed by the provider
+ * @param {Object} headers - Request headers, with lower-case names
+ * @param {Object} [options] - db
+ * @returns {Object} - eventId, duplicate, and the call state result
+ */
+async function receiveProviderEvent(rawBody, headers, { db } = {}) {
+  const provider = getProvider();
+
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw Object.assign(new Error('Invalid webhook signature'), { code: 'INVALID_SIGNATURE' });
+  }
+
+  const { eventId, call } = provider.parseWebhook(rawBody, headers);
+
+  const event = await claimEvent({
+    provider: provider.name,
+    event_id: eventId,
+    call_id: call.callId,
+    provider_status: call.providerStatus,
+    payload: call.raw,
+    status: 'received',
+    received_at: new Date().toISOString()
+  }, { db });
+
+  if (!event) {
+    return { eventId, duplicate: true };
+  }
+
+  let result;
+  try {
+    result = await ingestProviderUpdate(call, { source: 'webhook', db });
+  } catch (error) {
+    await getDb(db)
+      .from('provider_webhook_events')
+      .update({ status: 'failed', error: error.message, processed_at: new Date().toISOString() })
+      .eq('id', event.id);
+    throw error;
+  }
+
+  await getDb(db)
+    .from('provider_webhook_events')
+    .update({
+      // Events for calls this server did not place are kept for debugging
+      status: result ? 'processed' : 'unmatched',
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  return { eventId, duplicate: false, result };
+}
+
+module.exports = {
+  receiveProviderEvent
+};
@@ -0,0 +1,397 @@
+// Bland.AI Telephony Provider for ailevelup.AI MCP Wrapper
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Bland.AI statuses and the internal status each one maps to. Bland reports
+// progress in `status` and, for calls that have not connected yet, `queue_status`.
+const STATUS_MAP = {
+  'new': 'queued',
+  'queued': 'queued',
+  'initiated': 'queued',
+  'allocated': 'queued',
+  'started': 'ringing',
+  'ringing': 'ringing',
+  'in-progress': 'in_progress',
+  'in_progress': 'in_progress',
+  'answered': 'in_progress',
+  'completed': 'completed',
+  'complete': 'completed',
+  'failed': 'failed',
+  'error': 'failed',
+  'complete_error': 'failed',
+  'busy': 'failed',
+  'no-answer': 'failed',
+  'canceled': 'cancelled',
+  'cancelled': 'cancelled',
+  'stopped': 'cancelled'
+};
+
+/**
+ * Map a Bland.AI call status to the internal status
+ * @param {String} blandStatus - Status from Bland.AI
+ * @returns {String} - Internal status, or 'unknown'
+ */
+function mapStatus(blandStatus) {
+  return STATUS_MAP[String(blandStatus || '').toLowerCase()] || 'unknown';
+}
+
+/**
+ * Turn an axios error into a provider error. Errors without a response
+ * (timeouts, DNS failures) are passed through unchanged.
+ * @param {Error} error - axios error
+ * @returns {Error} - Error with code PROVIDER_ERROR, status and details
+ */
+function toProviderError(error) {
+  if (!error.response) {
+    return error;
+  }
+
+  const data = error.response.data;
+  const message = (data && (data.message || data.error)) || JSON.stringify(data) || error.message;
+
+  return Object.assign(new Error(`Bland.AI API error: ${message}`), {
+    code: 'PROVIDER_ERROR',
+    provider: 'bland',
+    status: error.response.status,
+    details: data
+  });
+}
+
+/**
+ * Normalize a call in Bland.AI format
+ * @param {Object} call - Call from the Bland.AI API or a webhook
+ * @param {String} [callId] - Call ID, if the call does not include one
+ * @returns {Object} - Call in getCall() form; `raw` holds the original
+ */
+function normalizeCall(call, callId) {
+  let durationSeconds = null;
+  if (call.call_length_seconds !== undefined) {
+    durationSeconds = call.call_length_seconds;
+  } else if (call.call_length !== undefined && call.call_length !== null) {
+    durationSeconds = Math.round(call.call_length * 60);
+  }
+
+  return {
+    callId: call.call_id || callId,
+    status: mapStatus(call.status || call.queue_status),
+    providerStatus: call.status || call.queue_status || null,
+    durationSeconds,
+    answeredBy: call.answered_by || null,
+    endedBy: call.call_ended_by || null,
+    recordingUrl: call.recording_url || null,
+    transcript: call.concatenated_transcript || call.transcript || null,
+    cost: call.price ?? call.cost ?? null,
+    startedAt: call.started_at || null,
+    endedAt: call.end_at || call.ended_at || null,
+    raw: call
+  };
+}
+
+/**
+ * Normalize a voice in Bland.AI format
+ * @param {Object} voice - Voice from the Bland.AI API
+ * @returns {Object} - Voice in listVoices() form; `raw` holds the original
+ */
+function normalizeVoice(voice) {
+  return {
+    voiceId: voice.id || voice.voice_id,
+    name: voice.name,
+    description: voice.description || null,
+    language: voice.language || null,
+    gender: voice.gender || null,
+    accent: voice.accent || null,
+    tags: voice.tags || [],
+    sampleUrl: voice.sample_url || voice.preview_url || null,
+    public: voice.public !== false,
+    raw: voice
+  };
+}
+
+/**
+ * Sign a webhook body the way Bland.AI does
+ * @param {String} secret - Webhook signing secret
+ * @param {String} rawBody - Raw request body
+ * @returns {String} - Hex-encoded HMAC-SHA256
+ */
+function signWebhook(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Check the X-Webhook-Signature header of a callback
+ * @param {String} secret - Webhook signing secret; callbacks are rejected if it is not set
+ * @param {String} rawBody - Raw request body
+ * @param {Object} headers - Request headers, with lower-case names
+ * @returns {Boolean} - Whether the signature matches
+ */
+function verifyWebhookSignature(secret, rawBody, headers) {
+  const signature = headers['x-webhook-signature'];
+  if (!secret || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhook(secret, rawBody));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Parse a callback in Bland.AI format. Bland.AI does not send event IDs, so
+ * the ID is a hash of the body: a replayed request has the same ID.
+ * @param {String} rawBody - Raw request body
+ * @returns {Object} - eventId and call in getCall() form
+ */
+function parseWebhookBody(rawBody) {
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || !payload.call_id) {
+    throw Object.assign(new Error('Webhook body is not a call event'), { code: 'INVALID_PAYLOAD' });
+  }
+
+  return {
+    eventId: crypto.createHash('sha256').update(rawBody).digest('hex'),
+    call: normalizeCall(payload)
+  };
+}
+
+/**
+ * Create the Bland.AI provider
+ * @param {Object} [config] - apiKey, baseUrl, encryptedKey, webhookUrl and webhookSecret;
+ *   read from the environment by default
+ * @returns {Object} - Telephony provider
+ */
+function createBlandProvider(config = {}) {
+  const apiKey = config.apiKey ||
+    process.env.AILEVELUP_ENTERPRISE_API_KEY ||
+    process.env.BLAND_ENTERPRISE_API_KEY;
+  const baseUrl = `${(config.baseUrl || process.env.AILEVELUP_API_URL || 'https://api.bland.ai').replace(/\/+$/, '')}/v1`;
+  const encryptedKey = config.encryptedKey || process.env.AILEVELUP_ENCRYPTED_KEY;
+  // Our own receiver for call events, where every call reports its status
+  const webhookUrl = config.webhookUrl || process.env.PROVIDER_WEBHOOK_URL;
+  const webhookSecret = config.webhookSecret || process.env.BLAND_WEBHOOK_SECRET;
+
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Content-Type': 'application/json',
+    ...(encryptedKey && { 'X-Encrypted-Key': encryptedKey })
+  };
+
+  /**
+   * Send a GET request to Bland.AI
+   * @param {String} path - Path below /v1
+   * @param {Object} [options] - Other axios options
+   * @returns {Object} - axios response
+   */
+  async function get(path, options = {}) {
+    try {
+      return await axios.get(`${baseUrl}${path}`, { headers, ...options });
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  /**
+   * Send a POST request to Bland.AI
+   * @param {String} path - Path below /v1
+   * @param {Object} body - Request body
+   * @param {Object} [options] - Other axios options
+   * @returns {Object} - axios response
+   */
+  async function post(path, body, options = {}) {
+    try {
+      return await axios.post(`${baseUrl}${path}`, body, { headers, ...options });
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  return {
+    name: 'bland',
+    mapStatus,
+
+    /**
+     * Place a call
+     * @param {Object} params - phoneNumber, task, voice, fromNumber, model, temperature,
+     *   voicemailAction, answeredByEnabled, maxDuration (seconds),
+     *   recordingEnabled, amdEnabled, transferPhoneNumber and metadata
+     * @returns {Object} - callId, status and the raw response
+     */
+    async dial(params) {
+      if (!apiKey) {
+        throw new Error('ailevelup.AI API key not configured');
+      }
+
+      const body = {
+        phone_number: params.phoneNumber,
+        task: params.task,
+        ...(params.firstSentence && { first_sentence: params.firstSentence }),
+        ...(params.voice && { voice: params.voice }),
+        ...(params.fromNumber && { from_number: params.fromNumber }),
+        ...(params.model && { model: params.model }),
+        ...(params.temperature !== undefined && { temperature: params.temperature }),
+        ...(params.voicemailAction && { voicemail_action: params.voicemailAction }),
+        ...(params.answeredByEnabled !== undefined && { answered_by_enabled: params.answeredByEnabled }),
+        // Bland.AI takes the limit in minutes
+        ...(params.maxDuration && { max_duration: Math.ceil(params.maxDuration / 60) }),
+        ...(webhookUrl && { webhook: webhookUrl }),
+        ...(params.recordingEnabled !== undefined && { record: params.recordingEnabled }),
+        ...(params.amdEnabled !== undefined && { amd: params.amdEnabled }),
+        ...(params.transferPhoneNumber && { transfer_phone_number: params.transferPhoneNumber }),
+        ...(params.metadata && { metadata: params.metadata })
+      };
+
+      const { data } = await post('/calls', body);
+
+      if (!data || !data.call_id) {
+        throw Object.assign(new Error((data && data.message) || 'Invalid response from Bland.AI API'), {
+          code: 'PROVIDER_ERROR',
+          provider: 'bland',
+          details: data
+        });
+      }
+
+      return {
+        callId: data.call_id,
+        status: 'queued',
+        raw: data
+      };
+    },
+
+    /**
+     * Get a call's current state
+     * @param {String} callId - Call ID
+     * @returns {Object} - Normalized call; `raw` holds the Bland.AI response
+     */
+    async getCall(callId) {
+      const { data } = await get(`/calls/${callId}`);
+      // Some deployments wrap the call as { status: 'success', call: {...} }
+      const call = (data && data.call) || data || {};
+
+      return normalizeCall(call, callId);
+    },
+
+    /**
+     * Stop a call that is queued or in progress
+     * @param {String} callId - Call ID
+     * @returns {Object} - success, message and the raw response
+     */
+    async stop(callId) {
+      const { data } = await post(`/calls/${callId}/stop`, {});
+
+      return {
+        success: !data || data.status !== 'error',
+        message: (data && data.message) || null,
+        raw: data
+      };
+    },
+
+    /**
+     * Stream a call's recording
+     * @param {String} callId - Call ID
+     * @returns {Object} - stream, contentType and contentLength
+     */
+    async getRecording(callId) {
+      const response = await get(`/calls/${callId}/recording`, { responseType: 'stream' });
+
+      return {
+        stream: response.data,
+        contentType: response.headers['content-type'],
+        contentLength: response.headers['content-length']
+      };
+    },
+
+    /**
+     * Get a call's corrected transcript
+     * @param {String} callId - Call ID
+     * @returns {Object} - Transcript data
+     */
+    async getTranscript(callId) {
+      const { data } = await get(`/calls/${callId}/correct`);
+      return data;
+    },
+
+    /**
+     * Stream a call's live events
+     * @param {String} callId - Call ID
+     * @returns {Object} - stream and contentType
+     */
+    async getEventStream(callId) {
+      const response = await get(`/event_stream/${callId}`, { responseType: 'stream' });
+
+      return {
+        stream: response.data,
+        contentType: response.headers['content-type']
+      };
+    },
+
+    /**
+     * Analyze a completed call
+     * @param {String} callId - Call ID
+     * @param {Object} options - goal, questions and other analysis options
+     * @returns {Object} - Analysis results
+     */
+    async analyze(callId, options = {}) {
+      const { data } = await post(`/calls/${callId}/analyze`, options);
+      return data;
+    },
+
+    /**
+     * List the voices calls can be placed with
+     * @returns {Array} - Voices in listVoices() form
+     */
+    async listVoices() {
+      const { data } = await get('/voices');
+      return ((data && data.voices) || []).map(normalizeVoice);
+    },
+
+    /**
+     * Generate a spoken sample of a voice
+     * @param {String} voiceId - Voice ID
+     * @param {String} text - Text to speak
+     * @returns {Object} - audio (Buffer) and contentType
+     */
+    async getVoiceSample(voiceId, text) {
+      const response = await post(`/voices/${voiceId}/sample`, { text }, { responseType: 'arraybuffer' });
+
+      return {
+        audio: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || 'audio/mpeg'
+      };
+    },
+
+    /**
+     * Check that a callback was signed with BLAND_WEBHOOK_SECRET
+     * @param {String} rawBody - Raw request body
+     * @param {Object} headers - Request headers
+     * @returns {Boolean} - Whether the signature matches
+     */
+    verifyWebhook(rawBody, headers) {
+      return verifyWebhookSignature(webhookSecret, rawBody, headers);
+    },
+
+    /**
+     * Parse a callback
+     * @param {String} rawBody - Raw request body
+     * @returns {Object} - eventId and call in getCall() form
+     */
+    parseWebhook(rawBody) {
+      return parseWebhookBody(rawBody);
+    }
+  };
+}
+
+module.exports = {
+  createBlandProvider,
+  mapStatus,
+  normalizeCall,
+  normalizeVoice,
+  signWebhook,
+  verifyWebhookSignature,
+  parseWebhookBody
+};
@@ -0,0 +1,85 @@
+// Telephony Provider Registry for ailevelup.AI MCP Wrapper
+//
+// Every provider implements the same interface, so calls are not tied to one
+// upstream API:
+//
+//   name                              - Provider name
+//   mapStatus(status)                 - Provider status -> internal status
+//   dial(params)                      - { callId, status, raw }
+//   getCall(callId)                   - { callId, status, providerStatus, durationSeconds, answeredBy,
+//                                       endedBy, recordingUrl, transcript, cost, startedAt, endedAt, raw }
+//   stop(callId)                      - { success, message, raw }
+//   getRecording(callId)              - { stream, contentType, contentLength }
+//   getTranscript(callId)             - Transcript data
+//   getEventStream(callId)            - { stream, contentType }
+//   analyze(callId, options)          - Analysis results
+//   listVoices()                      - [{ voiceId, name, description, language, gender, accent,
+//                                       tags, sampleUrl, public, raw }]
+//   getVoiceSample(voiceId, text)     - { audio, contentType }
+//   verifyWebhook(rawBody, headers)   - Whether a callback was signed by the provider
+//   parseWebhook(rawBody, headers)    - { eventId, call } with call in getCall() form
+//
+// Upstream HTTP errors are thrown with code PROVIDER_ERROR, the upstream
+// `status` and its response body in `details`.
+const { createBlandProvider } = require('./bland');
+const { createMockProvider } = require('./mock');
+
+// Internal call statuses every provider maps onto
+const CALL_STATUSES = ['queued', 'ringing', 'in_progress', 'completed', 'failed', 'cancelled', 'unknown'];
+
+// Statuses of calls that have not ended yet
+const ACTIVE_CALL_STATUSES = ['queued', 'ringing', 'in_progress'];
+
+const DEFAULT_PROVIDER = 'bland';
+
+// Provider factories by name; each takes an optional config object
+const factories = {
+  bland: createBlandProvider,
+  // Simulated calls for offline development and tests
+  mock: createMockProvider
+};
+
+// Providers created so far, by name
+const instances = new Map();
+
+/**
+ * Register a provider factory, replacing any provider with the same name
+ * @param {String} name - Provider name, as used in TELEPHONY_PROVIDER
+ * @param {Function} factory - Returns a provider for an optional config object
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+/**
+ * Get a telephony provider, creating it on first use
+ * @param {String} [name] - Provider name; defaults to TELEPHONY_PROVIDER, then 'bland'
+ * @returns {Object} - Telephony provider
+ */
+function getProvider(name = process.env.TELEPHONY_PROVIDER || DEFAULT_PROVIDER) {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown telephony provider: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Forget created providers so the next getProvider call reads the configuration again
+ */
+function resetProviders() {
+  instances.clear();
+}
+
+module.exports = {
+  CALL_STATUSES,
+  ACTIVE_CALL_STATUSES,
+  registerProvider,
+  getProvider,
+  resetProviders
+};
@@ -0,0 +1,436 @@
+// Simulated Telephony Provider for ailevelup.AI MCP Wrapper
+//
+// Places no real calls. Each call moves through queued, ringing, in-progress
+// and a final state on the provider's clock, so the whole call lifecycle
+// (polling, billing, webhooks, the dashboard) can run offline.
+//
+// The outcome is picked by the last four digits of the number dialed:
+//
+//   ...0000  no answer          ...0002  answered by voicemail
+//   ...0001  busy               ...0003  failed
+//   anything else               answered by a person and completed
+//
+// `metadata.mock_outcome` ('completed', 'voicemail', 'no-answer', 'busy' or
+// 'failed') overrides the number.
+const { Readable } = require('stream');
+const crypto = require('crypto');
+const axios = require('axios');
+const { mapStatus, signWebhook, verifyWebhookSignature, parseWebhookBody } = require('./bland');
+
+const OUTCOMES_BY_SUFFIX = {
+  '0000': 'no-answer',
+  '0001': 'busy',
+  '0002': 'voicemail',
+  '0003': 'failed'
+};
+
+const OUTCOMES = ['completed', 'voicemail', 'no-answer', 'busy', 'failed'];
+
+// Simulated seconds spent in each stage before the call is answered
+const QUEUED_SECONDS = 2;
+const RINGING_SECONDS = 6;
+const VOICEMAIL_SECONDS = 12;
+
+// Price per connected minute, as reported by the real service
+const PRICE_PER_MINUTE = 0.09;
+
+// Voices the simulated service offers
+const VOICES = [
+  { voiceId: 'mock-maya', name: 'Maya', description: 'Friendly American female voice', language: 'en-US', gender: 'female', accent: 'american', tags: ['english', 'american', 'female', 'friendly'] },
+  { voiceId: 'mock-ryan', name: 'Ryan', description: 'Calm British male voice', language: 'en-GB', gender: 'male', accent: 'british', tags: ['english', 'british', 'male', 'calm'] },
+  { voiceId: 'mock-lucia', name: 'Lucia', description: 'Warm Spanish female voice', language: 'es-ES', gender: 'female', accent: 'spanish', tags: ['spanish', 'female', 'warm'] }
+];
+
+/**
+ * Pick the simulated outcome of a call
+ * @param {Object} params - Dial parameters
+ * @returns {String} - One of OUTCOMES
+ */
+function pickOutcome(params) {
+  const requested = params.metadata && params.metadata.mock_outcome;
+  if (OUTCOMES.includes(requested)) {
+    return requested;
+  }
+  return OUTCOMES_BY_SUFFIX[String(params.phoneNumber || '').slice(-4)] || 'completed';
+}
+
+/**
+ * Build a short synthetic conversation for a call
+ * @param {Object} call - Simulated call
+ * @returns {Array} - Transcript turns
+ */
+function buildTranscript(call) {
+  if (call.outcome === 'voicemail') {
+    return [
+      { user: 'assistant', text: `Hi, this is a message for you. ${call.task}` },
+      { user: 'assistant', text: 'Please call us back when you get a chance. Goodbye.' }
+    ];
+  }
+
+  return [
+    { user: 'assistant', text: 'Hi, this is an automated assistant calling. Do you have a moment?' },
+    { user: 'user', text: 'Sure, go ahead.' },
+    { user: 'assistant', text: call.task },
+    { user: 'user', text: 'That works for me, thank you.' },
+    { user: 'assistant', text: 'Great, have a nice day. Goodbye.' }
+  ];
+}
+
+/**
+ * Build a WAV file of silence
+ * @param {Number} seconds - Length of the recording
+ * @returns {Buffer} - 8 kHz, 8-bit mono WAV data
+ */
+function buildSilentWav(seconds) {
+  const sampleRate = 8000;
+  const dataLength = sampleRate * Math.max(1, Math.min(seconds, 10));
+  const buffer = Buffer.alloc(44 + dataLength, 128);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataLength, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate, 28);
+  buffer.writeUInt16LE(1, 32);
+  buffer.writeUInt16LE(8, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataLength, 40);
+
+  return buffer;
+}
+
+/**
+ * Create the simulated provider
+ * @param {Object} [config] - now (clock function returning milliseconds), speed
+ *   (simulated seconds per real second), talkSeconds (length of answered calls),
+ *   webhookUrl and webhookSecret; speed, talkSeconds, webhookUrl and webhookSecret
+ *   default to MOCK_PROVIDER_SPEED, MOCK_CALL_DURATION_SECONDS, PROVIDER_WEBHOOK_URL
+ *   and MOCK_WEBHOOK_SECRET
+ * @returns {Object} - Telephony provider, plus advanceTime for tests
+ */
+function createMockProvider(config = {}) {
+  const clock = config.now || Date.now;
+  const speed = config.speed || parseFloat(process.env.MOCK_PROVIDER_SPEED) || 1;
+  const talkSeconds = config.talkSeconds || parseInt(process.env.MOCK_CALL_DURATION_SECONDS, 10) || 30;
+  const webhookUrl = config.webhookUrl || process.env.PROVIDER_WEBHOOK_URL;
+  const webhookSecret = config.webhookSecret || process.env.MOCK_WEBHOOK_SECRET;
+
+  // Calls by ID, and how far the clock has been moved by advanceTime
+  const calls = new Map();
+  let offsetMs = 0;
+
+  const now = () => clock() + offsetMs;
+
+  /**
+   * Stage boundaries of a call, in simulated seconds since it was placed
+   * @param {Object} call - Simulated call
+   * @returns {Object} - ringingAt, answeredAt (null if never answered) and endedAt
+   */
+  function getTimeline(call) {
+    const ringingAt = QUEUED_SECONDS;
+    const answeredAt = ringingAt + RINGING_SECONDS;
+
+    switch (call.outcome) {
+      case 'failed':
+        return { ringingAt: null, answeredAt: null, endedAt: ringingAt };
+      case 'busy':
+        return { ringingAt, answeredAt: null, endedAt: ringingAt + 1 };
+      case 'no-answer':
+        return { ringingAt, answeredAt: null, endedAt: answeredAt + 20 };
+      case 'voicemail':
+        return { ringingAt, answeredAt, endedAt: answeredAt + VOICEMAIL_SECONDS };
+      default:
+        return { ringingAt, answeredAt, endedAt: answeredAt + Math.min(talkSeconds, call.maxDuration || Infinity) };
+    }
+  }
+
+  /**
+   * Work out where a call is at the current time
+   * @param {Object} call - Simulated call
+   * @returns {Object} - Call in Bland.AI response format, plus the statuses it has been through
+   */
+  function snapshot(call) {
+    const timeline = getTimeline(call);
+    const toTime = seconds => new Date(call.placedAt + (seconds / speed) * 1000).toISOString();
+
+    // A stopped call stays where it was when it was stopped
+    const stopped = call.stoppedAt !== null;
+    const elapsed = stopped
+      ? call.stoppedAt
+      : ((now() - call.placedAt) / 1000) * speed;
+
+    const history = ['queued'];
+    if (timeline.ringingAt !== null && elapsed >= timeline.ringingAt) {
+      history.push('ringing');
+    }
+    const answered = timeline.answeredAt !== null && elapsed >= timeline.answeredAt;
+    if (answered) {
+      history.push('in-progress');
+    }
+    if (stopped) {
+      history.push('canceled');
+    } else if (elapsed >= timeline.endedAt) {
+      history.push(call.outcome === 'voicemail' ? 'completed' : call.outcome);
+    }
+
+    const status = history[history.length - 1];
+    const ended = stopped || elapsed >= timeline.endedAt;
+    const endSeconds = Math.min(elapsed, timeline.endedAt);
+    const connectedSeconds = answered ? endSeconds - timeline.answeredAt : 0;
+    const transcript = ended && answered ? buildTranscript(call) : [];
+
+    return {
+      call_id: call.callId,
+      status,
+      to: call.phoneNumber,
+      from: call.fromNumber || null,
+      completed: ended,
+      call_length: Math.round(connectedSeconds / 60 * 1000) / 1000,
+      started_at: answered ? toTime(timeline.answeredAt) : null,
+      end_at: ended ? toTime(endSeconds) : null,
+      answered_by: answered ? (call.outcome === 'voicemail' ? 'voicemail' : 'human') : null,
+      call_ended_by: ended && answered ? (stopped ? 'API' : 'ASSISTANT') : null,
+      transcripts: transcript,
+      concatenated_transcript: transcript.map(turn => `${turn.user}: ${turn.text}`).join('\n') || null,
+      recording_url: ended && answered ? `mock://recordings/${call.callId}.wav` : null,
+      price: Math.round(Math.ceil(connectedSeconds / 60) * PRICE_PER_MINUTE * 100) / 100,
+      metadata: call.metadata,
+      history
+    };
+  }
+
+  /**
+   * Send the final state of a call to its webhook, once, like the real service
+   * @param {Object} call - Simulated call
+   * @param {Object} state - Current snapshot of the call
+   */
+  async function notifyIfEnded(call, state) {
+    if (!state.completed || call.notified || !call.webhookUrl) {
+      return;
+    }
+    call.notified = true;
+
+    try {
+      // Signed like Bland.AI callbacks when a secret is set; axios sends the
+      // state serialized the same way
+      await axios.post(call.webhookUrl, state, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(webhookSecret && { 'X-Webhook-Signature': signWebhook(webhookSecret, JSON.stringify(state)) })
+        },
+        timeout: 10000
+      });
+    } catch (error) {
+      console.error(`Mock provider: webhook for call ${call.callId} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Look up a call and fire its webhook if it has just ended
+   * @param {String} callId - Call ID
+   * @returns {Object} - Call in Bland.AI response format
+   */
+  function getState(callId) {
+    const call = calls.get(callId);
+    if (!call) {
+      throw Object.assign(new Error('Mock provider: call not found'), {
+        code: 'PROVIDER_ERROR',
+        provider: 'mock',
+        status: 404,
+        details: { status: 'error', message: 'Call not found' }
+      });
+    }
+
+    const state = snapshot(call);
+    notifyIfEnded(call, state);
+    return state;
+  }
+
+  /**
+   * Schedule the webhook for when a call ends on the real clock. Timers do
+   * not keep the process alive; calls also notify when they are next read.
+   * @param {Object} call - Simulated call
+   */
+  function scheduleNotification(call) {
+    if (!call.webhookUrl || config.now) {
+      return;
+    }
+
+    const delayMs = (getTimeline(call).endedAt / speed) * 1000;
+    const timer = setTimeout(() => getState(call.callId), delayMs + 50);
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  return {
+    name: 'mock',
+    mapStatus,
+
+    async dial(params) {
+      const call = {
+        callId: `mock-${crypto.randomUUID()}`,
+        phoneNumber: params.phoneNumber,
+        fromNumber: params.fromNumber,
+        task: params.task,
+        maxDuration: params.maxDuration,
+        webhookUrl,
+        metadata: params.metadata || {},
+        outcome: pickOutcome(params),
+        placedAt: now(),
+        stoppedAt: null,
+        notified: false
+      };
+
+      calls.set(call.callId, call);
+      scheduleNotification(call);
+
+      return {
+        callId: call.callId,
+        status: 'queued',
+        raw: { status: 'success', call_id: call.callId, message: 'Call successfully queued.' }
+      };
+    },
+
+    async getCall(callId) {
+      const state = getState(callId);
+
+      return {
+        callId,
+        status: mapStatus(state.status),
+        providerStatus: state.status,
+        durationSeconds: Math.round(state.call_length * 60),
+        answeredBy: state.answered_by,
+        endedBy: state.call_ended_by,
+        recordingUrl: state.recording_url,
+        transcript: state.concatenated_transcript,
+        cost: state.price,
+        startedAt: state.started_at,
+        endedAt: state.end_at,
+        raw: state
+      };
+    },
+
+    async stop(callId) {
+      const state = getState(callId);
+      if (state.completed) {
+        return {
+          success: false,
+          message: `Call already ${state.status}`,
+          raw: { status: 'error', message: `Call already ${state.status}` }
+        };
+      }
+
+      const call = calls.get(callId);
+      call.stoppedAt = ((now() - call.placedAt) / 1000) * speed;
+      getState(callId);
+
+      return {
+        success: true,
+        message: 'Call ended successfully.',
+        raw: { status: 'success', message: 'Call ended successfully.' }
+      };
+    },
+
+    async getRecording(callId) {
+      const state = getState(callId);
+      if (!state.recording_url) {
+        throw Object.assign(new Error('Mock provider: no recording for this call'), {
+          code: 'PROVIDER_ERROR',
+          provider: 'mock',
+          status: 404,
+          details: { status: 'error', message: 'Recording not available' }
+        });
+      }
+
+      const wav = buildSilentWav(Math.round(state.call_length * 60));
+      return {
+        stream: Readable.from([wav]),
+        contentType: 'audio/wav',
+        contentLength: String(wav.length)
+      };
+    },
+
+    async getTranscript(callId) {
+      const state = getState(callId);
+      return {
+        call_id: callId,
+        corrected: state.transcripts.map((turn, index) => ({ id: index + 1, ...turn }))
+      };
+    },
+
+    async getEventStream(callId) {
+      const state = getState(callId);
+      const events = [
+        ...state.history.map(status =>
+          `event: status\ndata: ${JSON.stringify({ call_id: callId, status })}\n\n`
+        ),
+        ...state.transcripts.map(turn =>
+          `event: transcript\ndata: ${JSON.stringify({ call_id: callId, ...turn })}\n\n`
+        )
+      ];
+
+      return {
+        stream: Readable.from(events),
+        contentType: 'text/event-stream'
+      };
+    },
+
+    async analyze(callId, options = {}) {
+      const state = getState(callId);
+      const questions = options.questions || [];
+
+      return {
+        status: 'success',
+        message: 'Simulated analysis',
+        answers: questions.map(() => (state.answered_by === 'human' ? 'yes' : null))
+      };
+    },
+
+    async listVoices() {
+      return VOICES.map(voice => ({ ...voice, sampleUrl: null, public: true, raw: voice }));
+    },
+
+    async getVoiceSample(voiceId, text) {
+      if (!VOICES.some(voice => voice.voiceId === voiceId)) {
+        throw Object.assign(new Error('Mock provider: voice not found'), {
+          code: 'PROVIDER_ERROR',
+          provider: 'mock',
+          status: 404,
+          details: { status: 'error', message: 'Voice not found' }
+        });
+      }
+
+      // About as long as the text would take to say
+      return {
+        audio: buildSilentWav(Math.ceil(String(text || '').split(/\s+/).length / 2.5)),
+        contentType: 'audio/wav'
+      };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      return verifyWebhookSignature(webhookSecret, rawBody, headers);
+    },
+
+    parseWebhook(rawBody) {
+      return parseWebhookBody(rawBody);
+    },
+
+    /**
+     * Move the simulated clock forward
+     * @param {Number} ms - Milliseconds of real time to skip
+     */
+    advanceTime(ms) {
+      offsetMs += ms;
+      calls.forEach(call => notifyIfEnded(call, snapshot(call)));
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,345 @@
+// Scheduled Calls Service for ailevelup.AI MCP Wrapper
+const { supabaseAdmin } = require('../config/supabase');
+const { forAccount } = require('./organizations');
+
+// Polling interval in milliseconds (1 minute)
+const POLLING_INTERVAL = 60000;
+
+// Maximum number of due calls dispatched per poll
+const DISPATCH_BATCH_SIZE = 25;
+
+// Scheduled calls that have not been dialed yet
+const PENDING_STATUS = 'scheduled';
+
+/**
+ * Get the offset of a timezone from UTC at a given instant
+ * @param {Number} timestamp - UTC timestamp in milliseconds
+ * @param {String} timezone - IANA timezone name
+ * @returns {Number} - Offset in milliseconds
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Resolve when a scheduled call should be dialed.
+ *
+ * Times with an explicit offset (e.g. `2025-06-01T09:00:00Z`) are used as-is;
+ * times without one are read as wall-clock time in the given timezone.
+ * @param {String} scheduledAt - ISO 8601 date-time
+ * @param {String} timezone - IANA timezone name, e.g. `America/New_York`
+ * @returns {Date} - Time the call is due
+ */
+function resolveScheduledTime(scheduledAt, timezone = 'UTC') {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.exec(scheduledAt || '');
+  if (!match) {
+    throw new Error('scheduledAt must be an ISO 8601 date-time');
+  }
+
+  let dueAt;
+  if (match[7]) {
+    dueAt = new Date(scheduledAt);
+  } else {
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Apply the offset twice so times near a DST change use the offset in effect then
+    const firstGuess = wallClock - getTimezoneOffset(wallClock, timezone);
+    dueAt = new Date(wallClock - getTimezoneOffset(firstGuess, timezone));
+  }
+
+  if (isNaN(dueAt.getTime())) {
+    throw new Error('scheduledAt must be an ISO 8601 date-time');
+  }
+
+  if (dueAt.getTime() <= Date.now()) {
+    throw new Error('scheduledAt must be in the future');
+  }
+
+  return dueAt;
+}
+
+/**
+ * Store a call to be dialed at a future time
+ * @param {String} userId - User ID
+ * @param {Object} callParams - makePhoneCall parameters for the call
+ * @param {String} scheduledAt - ISO 8601 date-time
+ * @param {String} timezone - IANA timezone name
+ * @param {Object} [options] - organizationId, and retryOf (first call of the
+ *   chain) and attempt for retries
+ * @returns {Object} - Scheduled call record
+ */
+async function scheduleCall(userId, callParams, scheduledAt, timezone = 'UTC', options = {}) {
+  const dueAt = resolveScheduledTime(scheduledAt, timezone);
+
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_calls')
+    .insert({
+      user_id: userId,
+      organization_id: options.organizationId || null,
+      status: PENDING_STATUS,
+      scheduled_at: dueAt.toISOString(),
+      timezone,
+      call_params: callParams,
+      ...(options.retryOf && { retry_of_call_id: options.retryOf, attempt: options.attempt }),
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Schedule call error:', error);
+    throw new Error('Failed to schedule call');
+  }
+
+  return data;
+}
+
+/**
+ * List a user's scheduled calls
+ * @param {String} userId - User ID
+ * @param {Object} options - Pagination and filtering options, and organizationId
+ * @returns {Object} - Scheduled calls and total count
+ */
+async function listScheduledCalls(userId, options = {}) {
+  const {
+    status = PENDING_STATUS,
+    limit = 20,
+    offset = 0,
+    organizationId
+  } = options;
+
+  const { data, error, count } = await forAccount(
+    supabaseAdmin.from('scheduled_calls').select('*', { count: 'exact' }),
+    userId,
+    organizationId
+  )
+    .eq('status', status)
+    .order('scheduled_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('List scheduled calls error:', error);
+    throw new Error('Failed to list scheduled calls');
+  }
+
+  return {
+    scheduledCalls: data || [],
+    total: count || 0
+  };
+}
+
+/**
+ * Move a pending scheduled call to a new time
+ * @param {String} userId - User ID
+ * @param {String} scheduledCallId - Scheduled call ID
+ * @param {String} scheduledAt - ISO 8601 date-time
+ * @param {String} timezone - IANA timezone name
+ * @param {Object} [options] - organizationId
+ * @returns {Object|null} - Updated record, or null if no pending call was found
+ */
+async function rescheduleCall(userId, scheduledCallId, scheduledAt, timezone = 'UTC', options = {}) {
+  const dueAt = resolveScheduledTime(scheduledAt, timezone);
+
+  const query = supabaseAdmin
+    .from('scheduled_calls')
+    .update({
+      scheduled_at: dueAt.toISOString(),
+      timezone,
+      updated_at: new Date()
+    })
+    .eq('id', scheduledCallId);
+
+  const { data, error } = await forAccount(query, userId, options.organizationId)
+    .eq('status', PENDING_STATUS)
+    .select();
+
+  if (error) {
+    // 22P02: the ID is not a UUID, so it cannot be a scheduled call
+    if (error.code === '22P02') {
+      return null;
+    }
+    console.error('Reschedule call error:', error);
+    throw new Error('Failed to reschedule call');
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Cancel a pending scheduled call
+ * @param {String} userId - User ID
+ * @param {String} scheduledCallId - Scheduled call ID
+ * @param {Object} [options] - organizationId
+ * @returns {Object|null} - Cancelled record, or null if no pending call was found
+ */
+async function cancelScheduledCall(userId, scheduledCallId, options = {}) {
+  const query = supabaseAdmin
+    .from('scheduled_calls')
+    .update({
+      status: 'cancelled',
+      updated_at: new Date()
+    })
+    .eq('id', scheduledCallId);
+
+  const { data, error } = await forAccount(query, userId, options.organizationId)
+    .eq('status', PENDING_STATUS)
+    .select();
+
+  if (error) {
+    // 22P02: the ID is not a UUID, so it cannot be a scheduled call
+    if (error.code === '22P02') {
+      return null;
+    }
+    console.error('Cancel scheduled call error:', error);
+    throw new Error('Failed to cancel scheduled call');
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Dial a scheduled call through the regular makePhoneCall pipeline, so it
+ * goes through moderation and credit reservation like any other call
+ * @param {Object} scheduledCall - Scheduled call record
+ * @returns {Object} - Dispatch result
+ */
+async function dispatchScheduledCall(scheduledCall) {
+  // Claim the call first; only one dispatcher can move it out of 'scheduled'
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('scheduled_calls')
+    .update({ status: 'dispatching', updated_at: new Date() })
+    .eq('id', scheduledCall.id)
+    .eq('status', PENDING_STATUS)
+    .select();
+
+  if (claimError || !claimed || claimed.length === 0) {
+    return { scheduledCallId: scheduledCall.id, status: 'skipped' };
+  }
+
+  // Required lazily: the tool itself depends on this module for booking
+  const makePhoneCallTool = require('../mcp/tools/make-phone-call');
+
+  try {
+    const result = await makePhoneCallTool.execute(scheduledCall.call_params, {
+      userId: scheduledCall.user_id,
+      organizationId: scheduledCall.organization_id || null,
+      sessionId: `scheduler-${scheduledCall.id}`,
+      scheduledCallId: scheduledCall.id,
+      retryOf: scheduledCall.retry_of_call_id || null,
+      attempt: scheduledCall.attempt || 1
+    });
+
+    await supabaseAdmin
+      .from('scheduled_calls')
+      .update({
+        status: 'dispatched',
+        call_id: result.callId,
+        dispatched_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', scheduledCall.id);
+
+    return { scheduledCallId: scheduledCall.id, status: 'dispatched', callId: result.callId };
+  } catch (error) {
+    console.error(`Error dispatching scheduled call ${scheduledCall.id}:`, error);
+
+    await supabaseAdmin
+      .from('scheduled_calls')
+      .update({
+        status: 'failed',
+        error_message: error.message,
+        updated_at: new Date()
+      })
+      .eq('id', scheduledCall.id);
+
+    return { scheduledCallId: scheduledCall.id, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Dispatch every scheduled call that is due
+ * @returns {Object} - Results of dispatch operations
+ */
+async function dispatchDueCalls() {
+  try {
+    const { data: dueCalls, error } = await supabaseAdmin
+      .from('scheduled_calls')
+      .select('*')
+      .eq('status', PENDING_STATUS)
+      .lte('scheduled_at', new Date().toISOString())
+      .order('scheduled_at', { ascending: true })
+      .limit(DISPATCH_BATCH_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to fetch due calls: ${error.message}`);
+    }
+
+    // Skip if nothing is due
+    if (!dueCalls || dueCalls.length === 0) {
+      return { message: 'No scheduled calls due' };
+    }
+
+    // Dispatch one at a time to keep provider request rates predictable
+    const results = [];
+    for (const scheduledCall of dueCalls) {
+      results.push(await dispatchScheduledCall(scheduledCall));
+    }
+
+    return {
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error dispatching scheduled calls:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the scheduled call dispatcher
+ * @returns {Object} - Interval handle, for stopping the dispatcher
+ */
+function startDispatcherService() {
+  // Call once immediately
+  dispatchDueCalls();
+
+  // Set up interval
+  const interval = setInterval(dispatchDueCalls, POLLING_INTERVAL);
+
+  console.log(`Scheduled call dispatcher started with ${POLLING_INTERVAL}ms interval`);
+
+  return interval;
+}
+
+module.exports = {
+  resolveScheduledTime,
+  scheduleCall,
+  listScheduledCalls,
+  rescheduleCall,
+  cancelScheduledCall,
+  dispatchScheduledCall,
+  dispatchDueCalls,
+  startDispatcherService
+};
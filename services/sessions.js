@@ -0,0 +1,373 @@
+// Session Service for ailevelup.AI MCP Wrapper
+//
+// A session is a family of refresh tokens: the one issued at sign-in (or
+// when an OAuth client was authorized) and each token that replaced it.
+// Refresh tokens are rotated on every use, so only the newest token of a
+// family is live. A token that is presented again after it was rotated has
+// been copied, so the whole family is revoked and whoever holds the live
+// token has to sign in again.
+//
+// Tokens are random and long, so they are stored as an unsalted SHA-256 hash
+// that can be looked up directly.
+const crypto = require('crypto');
+
+// Lifetime of sign-in sessions; rotated tokens last as long as the one they replace
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Hash a refresh token for storage
+ * @param {String} token - Raw refresh token
+ * @returns {String} - Hex-encoded SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Describe the device a session was used from
+ * @param {String} [userAgent] - User-Agent header
+ * @returns {String} - e.g. "Chrome on macOS"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  // Order matters: Edge and Opera also claim Chrome, iOS claims Mac OS X
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token));
+  const os = [
+    ['Windows', 'Windows'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Android', 'Android'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !os) {
+    // Apps and libraries, e.g. "node-fetch/1.0"
+    return userAgent.split(' ')[0].slice(0, 60);
+  }
+
+  return [browser && browser[1], os && `on ${os[1]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Format the live token of a session for listing
+ * @param {Object} record - refresh_tokens record
+ * @param {String} [currentSessionId] - Session of the request doing the listing
+ * @returns {Object} - id (the session ID), device, userAgent, ipAddress,
+ *   clientId (OAuth client, or null for sign-ins), createdAt, lastActiveAt,
+ *   expiresAt and current
+ */
+function formatSession(record, currentSessionId) {
+  return {
+    id: record.family_id,
+    device: describeDevice(record.user_agent),
+    userAgent: record.user_agent || null,
+    ipAddress: record.ip_address || null,
+    clientId: record.client_id || null,
+    createdAt: record.session_started_at || record.created_at,
+    lastActiveAt: record.created_at,
+    expiresAt: record.expires_at,
+    current: Boolean(currentSessionId) && record.family_id === currentSessionId
+  };
+}
+
+/**
+ * Store a refresh token
+ * @param {Object} session - userId, familyId, sessionStartedAt, ttl, and
+ *   optional clientId, scopes and resource (OAuth grants), userAgent and ip
+ * @param {Object} [context] - db
+ * @returns {Object} - refreshToken (the raw token) and session (the record)
+ */
+async function storeRefreshToken(session, { db } = {}) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  const { data, error } = await getDb(db)
+    .from('refresh_tokens')
+    .insert({
+      user_id: session.userId,
+      token_hash: hashToken(refreshToken),
+      family_id: session.familyId,
+      session_started_at: session.sessionStartedAt,
+      client_id: session.clientId || null,
+      scopes: session.scopes || null,
+      resource: session.resource || null,
+      user_agent: session.userAgent || null,
+      ip_address: session.ip || null,
+      expires_at: new Date(Date.now() + session.ttl).toISOString(),
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Store refresh token error:', error);
+    throw new Error('Failed to store refresh token');
+  }
+
+  return { refreshToken, session: data };
+}
+
+/**
+ * Start a session
+ * @param {String} userId - User ID
+ * @param {Object} [options] - userAgent and ip of the request; clientId,
+ *   scopes and resource for OAuth grants; ttl (defaults to SESSION_TTL)
+ * @param {Object} [context] - db
+ * @returns {Object} - refreshToken, sessionId and session (the token record)
+ */
+async function createSession(userId, { userAgent, ip, clientId, scopes, resource, ttl = SESSION_TTL } = {}, { db } = {}) {
+  const { refreshToken, session } = await storeRefreshToken({
+    userId,
+    familyId: crypto.randomUUID(),
+    sessionStartedAt: new Date().toISOString(),
+    ttl,
+    clientId,
+    scopes,
+    resource,
+    userAgent,
+    ip
+  }, { db });
+
+  return { refreshToken, sessionId: session.family_id, session };
+}
+
+/**
+ * Revoke every live token of a session
+ * @param {String} familyId - Session ID
+ * @param {Object} [options] - userId, to only revoke the user's own session, and db
+ * @returns {Boolean} - Whether a live token was revoked
+ */
+async function revokeFamily(familyId, { userId, db } = {}) {
+  let query = getDb(db)
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('family_id', familyId)
+    .is('revoked_at', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('Revoke session error:', error);
+    throw new Error('Failed to revoke session');
+  }
+
+  return Boolean(data && data.length);
+}
+
+/**
+ * Exchange a refresh token for a new one in the same session. Presenting a
+ * token that was already rotated revokes the session.
+ * @param {String} token - Refresh token
+ * @param {Object} [options] - clientId (the OAuth client the token must
+ *   belong to; null for sign-ins), scopes (to narrow an OAuth grant),
+ *   userAgent and ip of the request
+ * @param {Object} [context] - db
+ * @returns {Object} - refreshToken (the replacement) and session (its record)
+ * @throws {Error} - INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED,
+ *   REFRESH_TOKEN_REUSED or REFRESH_TOKEN_SCOPE_EXCEEDED
+ */
+async function rotateRefreshToken(token, { clientId = null, scopes, userAgent, ip } = {}, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(token));
+
+  if (error) {
+    console.error('Fetch refresh token error:', error);
+    throw new Error('Failed to refresh token');
+  }
+
+  const record = data && data[0];
+  if (!record || (record.client_id || null) !== clientId) {
+    throw Object.assign(new Error('Invalid refresh token'), { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  const reused = async () => {
+    await revokeFamily(record.family_id, { db });
+    console.warn(`Refresh token reuse detected; session ${record.family_id} of user ${record.user_id} revoked`);
+    return Object.assign(new Error('Refresh token has already been used; the session has been revoked'), {
+      code: 'REFRESH_TOKEN_REUSED',
+      details: { sessionId: record.family_id, userId: record.user_id }
+    });
+  };
+
+  if (record.revoked_at) {
+    throw await reused();
+  }
+  if (new Date(record.expires_at) <= new Date()) {
+    throw Object.assign(new Error('Refresh token expired'), { code: 'REFRESH_TOKEN_EXPIRED' });
+  }
+  if (scopes && scopes.some(scope => !(record.scopes || []).includes(scope))) {
+    throw Object.assign(new Error('Scopes exceed those of the original grant'), {
+      code: 'REFRESH_TOKEN_SCOPE_EXCEEDED',
+      details: { granted: record.scopes || [] }
+    });
+  }
+
+  // Claimed with a conditional update: of two requests racing with the same
+  // token, the loser is treated as a reuse
+  const { data: claimed, error: claimError } = await getDb(db)
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (claimError) {
+    console.error('Rotate refresh token error:', claimError);
+    throw new Error('Failed to refresh token');
+  }
+  if (!claimed || claimed.length === 0) {
+    throw await reused();
+  }
+
+  return storeRefreshToken({
+    userId: record.user_id,
+    familyId: record.family_id,
+    sessionStartedAt: record.session_started_at || record.created_at,
+    ttl: new Date(record.expires_at) - new Date(record.created_at),
+    clientId: record.client_id,
+    scopes: scopes || record.scopes,
+    resource: record.resource,
+    userAgent: userAgent || record.user_agent,
+    ip: ip || record.ip_address
+  }, { db });
+}
+
+/**
+ * Check whether a session is still live
+ * @param {String} familyId - Session ID
+ * @param {Object} [context] - db
+ * @returns {Boolean} - Whether the session has a live token
+ */
+async function isSessionActive(familyId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('refresh_tokens')
+    .select('id')
+    .eq('family_id', familyId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Check session error:', error);
+    throw new Error('Failed to check session');
+  }
+
+  return Boolean(data && data.length);
+}
+
+/**
+ * List a user's live sessions
+ * @param {String} userId - User ID
+ * @param {Object} [options] - currentSessionId, to flag the caller's own session, and db
+ * @returns {Array} - Sessions, most recently active first
+ */
+async function listSessions(userId, { currentSessionId, db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('refresh_tokens')
+    .select('*')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('List sessions error:', error);
+    throw new Error('Failed to list sessions');
+  }
+
+  return (data || []).map(record => formatSession(record, currentSessionId));
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ * @param {Object} [context] - db
+ * @returns {Boolean} - Whether the session was live and is now revoked
+ */
+async function revokeSession(userId, sessionId, { db } = {}) {
+  return revokeFamily(sessionId, { userId, db });
+}
+
+/**
+ * Revoke the session a refresh token belongs to. Unknown tokens are ignored.
+ * @param {String} token - Refresh token
+ * @param {Object} [options] - userId or clientId the token must belong to, and db
+ * @returns {Boolean} - Whether a session was revoked
+ */
+async function revokeSessionByToken(token, { userId, clientId, db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('refresh_tokens')
+    .select('family_id, user_id, client_id')
+    .eq('token_hash', hashToken(token));
+
+  if (error) {
+    console.error('Fetch refresh token error:', error);
+    throw new Error('Failed to revoke session');
+  }
+
+  const record = data && data[0];
+  if (!record || (userId && record.user_id !== userId) || (clientId && record.client_id !== clientId)) {
+    return false;
+  }
+
+  return revokeFamily(record.family_id, { db });
+}
+
+/**
+ * Revoke all of a user's sign-in sessions. Connected OAuth clients are left
+ * alone; they are revoked one by one.
+ * @param {String} userId - User ID
+ * @param {Object} [context] - db
+ * @returns {Number} - Number of tokens revoked
+ */
+async function revokeAllSessions(userId, { db } = {}) {
+  const { data, error } = await getDb(db)
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('client_id', null)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('Revoke sessions error:', error);
+    throw new Error('Failed to revoke sessions');
+  }
+
+  return (data || []).length;
+}
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions
+};
@@ -0,0 +1,344 @@
+// Voice Catalog Service for ailevelup.AI MCP Wrapper
+//
+// The voices table is the one list of voices calls can be placed with. It is
+// synced from the telephony provider on an interval: new voices are added,
+// changed ones updated and voices the provider no longer offers are marked
+// unavailable. Lookups and generated audio previews are cached in Redis when
+// it is connected.
+const crypto = require('crypto');
+const { getProvider } = require('./providers');
+
+const SYNC_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Cache of the whole catalog, dropped on every sync
+const CATALOG_CACHE_KEY = 'voice_catalog';
+const CATALOG_TTL_SECONDS = 900; // 15 minutes
+
+// Cache of generated previews, by voice and text
+const PREVIEW_CACHE_PREFIX = 'voice_preview:';
+const PREVIEW_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Text spoken in previews when none is given
+const DEFAULT_PREVIEW_TEXT = 'Hi, welcome to Send Phone Call MCP. Upgrade to premium for inbound numbers and lower per-minute rates.';
+
+// Tags that name an accent, and the language each one implies
+const ACCENT_LANGUAGES = {
+  american: 'en-US',
+  british: 'en-GB',
+  australian: 'en-AU',
+  indian: 'en-IN',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  japanese: 'ja',
+  chinese: 'zh',
+  russian: 'ru',
+  portuguese: 'pt',
+  dutch: 'nl',
+  swedish: 'sv'
+};
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Get the Redis client to cache with
+ * @param {Object|null} [cache] - Redis client passed by the caller; null to skip caching
+ * @returns {Object|null} - Connected Redis client, or null if there is none
+ */
+function getCache(cache) {
+  const client = cache === undefined ? require('../config/redis').redisClient : cache;
+  return client && client.isReady ? client : null;
+}
+
+/**
+ * Turn a provider voice into a voices row, filling in metadata the provider
+ * only gives as tags
+ * @param {Object} voice - Voice in provider listVoices() form
+ * @param {String} provider - Provider name
+ * @returns {Object} - voices row
+ */
+function toVoiceRow(voice, provider) {
+  const tags = (voice.tags || []).map(tag => String(tag).toLowerCase());
+  const accent = voice.accent || tags.find(tag => ACCENT_LANGUAGES[tag]) || null;
+
+  return {
+    voice_id: voice.voiceId,
+    provider,
+    name: voice.name,
+    description: voice.description || null,
+    language: voice.language || ACCENT_LANGUAGES[accent] || null,
+    gender: voice.gender || (tags.includes('female') ? 'female' : tags.includes('male') ? 'male' : 'neutral'),
+    accent,
+    tags,
+    sample_url: voice.sampleUrl || null,
+    public: voice.public !== false,
+    available: true,
+    synced_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Format a voices row for listing
+ * @param {Object} row - voices row
+ * @returns {Object} - id (the ID calls are placed with), name, description,
+ *   language, gender, accent, tags, sample, provider and available
+ */
+function formatVoice(row) {
+  return {
+    id: row.voice_id || String(row.id),
+    name: (row.name || '').replace(/^Public - /, ''), // Remove "Public - " prefix if present
+    description: row.description || '',
+    language: row.language || null,
+    gender: row.gender || 'neutral',
+    accent: row.accent || 'other',
+    tags: row.tags || [],
+    sample: row.sample_url || null,
+    provider: row.provider || null,
+    available: row.available !== false
+  };
+}
+
+/**
+ * Load the public catalog, from the cache if it is there
+ * @param {Object} [options] - db and cache
+ * @returns {Array} - Formatted voices, available or not, ordered by name
+ */
+async function loadCatalog({ db, cache } = {}) {
+  const client = getCache(cache);
+
+  if (client) {
+    try {
+      const cached = await client.get(CATALOG_CACHE_KEY);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      console.error('Error reading voice catalog cache:', error);
+    }
+  }
+
+  const { data, error } = await getDb(db)
+    .from('voices')
+    .select('*')
+    .eq('public', true)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('Fetch voices error:', error);
+    throw new Error('Failed to fetch voices');
+  }
+
+  const voices = (data || []).map(formatVoice);
+
+  if (client) {
+    try {
+      await client.set(CATALOG_CACHE_KEY, JSON.stringify(voices), { EX: CATALOG_TTL_SECONDS });
+    } catch (error) {
+      console.error('Error caching voice catalog:', error);
+    }
+  }
+
+  return voices;
+}
+
+/**
+ * Check a voice's language against a filter. A bare language ('en') matches
+ * every region of it; a language with a region ('en-gb') only that region.
+ * @param {String|null} voiceLanguage - Voice language, lower case
+ * @param {String} wanted - Language filter, lower case
+ * @returns {Boolean} - Whether the voice matches
+ */
+function matchesLanguage(voiceLanguage, wanted) {
+  if (!voiceLanguage) {
+    return false;
+  }
+  return wanted.includes('-') ? voiceLanguage === wanted : voiceLanguage.split('-')[0] === wanted;
+}
+
+/**
+ * List voices, optionally filtered
+ * @param {Object} [filters] - language (matches 'en' to 'en-US'), gender, accent,
+ *   tag, search (name or description) and includeUnavailable
+ * @param {Object} [options] - db and cache
+ * @returns {Array} - Matching voices
+ */
+async function listVoices(filters = {}, { db, cache } = {}) {
+  const voices = await loadCatalog({ db, cache });
+  const lower = value => (value === undefined || value === null ? null : String(value).toLowerCase());
+
+  const language = lower(filters.language);
+  const gender = lower(filters.gender);
+  const accent = lower(filters.accent);
+  const tag = lower(filters.tag);
+  const search = lower(filters.search);
+
+  return voices.filter(voice =>
+    (filters.includeUnavailable || voice.available) &&
+    (!language || matchesLanguage(lower(voice.language), language)) &&
+    (!gender || voice.gender === gender) &&
+    (!accent || voice.accent === accent) &&
+    (!tag || voice.tags.includes(tag)) &&
+    (!search || `${voice.name} ${voice.description}`.toLowerCase().includes(search))
+  );
+}
+
+/**
+ * Find an available voice by ID or name
+ * @param {String} voice - Voice ID or name
+ * @param {Object} [options] - db and cache
+ * @returns {Object|null} - Formatted voice, or null if there is no such voice
+ */
+async function findVoice(voice, { db, cache } = {}) {
+  const wanted = String(voice).toLowerCase();
+  const voices = await listVoices({}, { db, cache });
+
+  return voices.find(candidate =>
+    [candidate.id, candidate.name].some(value => String(value).toLowerCase() === wanted)
+  ) || null;
+}
+
+/**
+ * Get a spoken preview of a voice, generating it if it is not cached
+ * @param {String} voiceId - Voice ID
+ * @param {String} [text] - Text to speak; defaults to the standard preview
+ * @param {Object} [options] - cache
+ * @returns {Object} - audio (Buffer), contentType and cached (whether it came from the cache)
+ */
+async function getVoicePreview(voiceId, text = DEFAULT_PREVIEW_TEXT, { cache } = {}) {
+  const client = getCache(cache);
+  const key = `${PREVIEW_CACHE_PREFIX}${crypto.createHash('sha256').update(`${voiceId}\n${text}`).digest('hex')}`;
+
+  if (client) {
+    try {
+      const cached = await client.get(key);
+      if (cached) {
+        const { contentType, audio } = JSON.parse(cached);
+        return { audio: Buffer.from(audio, 'base64'), contentType, cached: true };
+      }
+    } catch (error) {
+      console.error(`Error reading preview cache for voice ${voiceId}:`, error);
+    }
+  }
+
+  const { audio, contentType } = await getProvider().getVoiceSample(voiceId, text);
+
+  if (client) {
+    try {
+      await client.set(key, JSON.stringify({ contentType, audio: audio.toString('base64') }), { EX: PREVIEW_TTL_SECONDS });
+    } catch (error) {
+      console.error(`Error caching preview for voice ${voiceId}:`, error);
+    }
+  }
+
+  return { audio, contentType, cached: false };
+}
+
+/**
+ * Sync the voices table with the provider's voices, then generate the
+ * standard preview of every available voice that does not have one cached
+ * @param {Object} [options] - db and cache
+ * @returns {Object} - synced, unavailable (voices marked unavailable) and previews (generated)
+ */
+async function syncVoiceCatalog({ db, cache } = {}) {
+  const provider = getProvider();
+  const voices = await provider.listVoices();
+
+  // An empty list is more likely an upstream fault than a withdrawn catalog
+  if (voices.length === 0) {
+    console.warn(`Voice sync: ${provider.name} returned no voices; catalog left unchanged`);
+    return { synced: 0, unavailable: 0, previews: 0 };
+  }
+
+  const rows = voices.map(voice => toVoiceRow(voice, provider.name));
+
+  const { error } = await getDb(db)
+    .from('voices')
+    .upsert(rows, { onConflict: 'voice_id' });
+
+  if (error) {
+    console.error('Voice sync error:', error);
+    throw new Error('Failed to sync voices');
+  }
+
+  const voiceIds = rows.map(row => `"${row.voice_id.replace(/"/g, '\\"')}"`).join(',');
+  const { data: withdrawn, error: withdrawError } = await getDb(db)
+    .from('voices')
+    .update({ available: false, synced_at: new Date().toISOString() })
+    .eq('available', true)
+    .not('voice_id', 'in', `(${voiceIds})`)
+    .select('voice_id');
+
+  if (withdrawError) {
+    console.error('Voice sync error:', withdrawError);
+    throw new Error('Failed to mark withdrawn voices');
+  }
+
+  const client = getCache(cache);
+  if (client) {
+    try {
+      await client.del(CATALOG_CACHE_KEY);
+    } catch (error) {
+      console.error('Error clearing voice catalog cache:', error);
+    }
+  }
+
+  // Previews are only worth generating ahead of time if they can be kept
+  let previews = 0;
+  if (client) {
+    for (const row of rows.filter(row => row.public)) {
+      try {
+        const preview = await getVoicePreview(row.voice_id, DEFAULT_PREVIEW_TEXT, { cache: client });
+        if (!preview.cached) {
+          previews++;
+        }
+      } catch (error) {
+        console.error(`Error generating preview for voice ${row.voice_id}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`Voice sync: ${rows.length} voices from ${provider.name}, ${(withdrawn || []).length} marked unavailable, ${previews} previews generated`);
+
+  return {
+    synced: rows.length,
+    unavailable: (withdrawn || []).length,
+    previews
+  };
+}
+
+/**
+ * Start the voice catalog sync service
+ * @returns {Object} - Interval ID
+ */
+function startVoiceCatalogService() {
+  const sync = () => syncVoiceCatalog().catch(error => {
+    console.error('Error syncing voice catalog:', error);
+  });
+
+  // Call once immediately
+  sync();
+
+  // Set up interval
+  const interval = setInterval(sync, SYNC_INTERVAL);
+
+  console.log(`Voice catalog service started with ${SYNC_INTERVAL}ms interval`);
+
+  return interval;
+}
+
+module.exports = {
+  DEFAULT_PREVIEW_TEXT,
+  listVoices,
+  findVoice,
+  getVoicePreview,
+  syncVoiceCatalog,
+  startVoiceCatalogService
+};
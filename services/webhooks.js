@@ -0,0 +1,633 @@
+// Webhook Dispatcher Service for ailevelup.AI MCP Wrapper
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { forAccount } = require('./organizations');
+
+// Events receivers can subscribe to
+const EVENT_TYPES = ['call.queued', 'call.answered', 'call.completed', 'call.failed', 'credits.low'];
+
+// Provider call statuses and the event each one is reported as
+const CALL_STATUS_EVENTS = {
+  'queued': 'call.queued',
+  'initiated': 'call.queued',
+  'ringing': 'call.queued',
+  'in-progress': 'call.answered',
+  'in_progress': 'call.answered',
+  'answered': 'call.answered',
+  'completed': 'call.completed',
+  'failed': 'call.failed',
+  'error': 'call.failed',
+  'busy': 'call.failed',
+  'no-answer': 'call.failed',
+  'canceled': 'call.failed',
+  'cancelled': 'call.failed'
+};
+
+// A delivery is retried with exponential backoff, then moved to the dead-letter log
+const MAX_DELIVERY_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Polling interval for due retries in milliseconds (30 seconds)
+const POLLING_INTERVAL = 30000;
+
+// Signatures older than this are rejected by verifySignature
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Endpoints may not resolve to loopback, link-local, private or otherwise
+// internal addresses: deliveries are sent from inside the network
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, bits, type]) => blockedAddresses.addSubnet(address, bits, type));
+
+/**
+ * Get the Supabase client to use
+ * @param {Object} [db] - Supabase client passed by the caller
+ * @returns {Object} - Supabase client; defaults to the admin client
+ */
+function getDb(db) {
+  return db || require('../config/supabase').supabaseAdmin;
+}
+
+/**
+ * Sign a webhook body. The signature covers the timestamp so a captured
+ * request cannot be replayed later.
+ * @param {String} secret - Endpoint signing secret
+ * @param {Number} timestamp - Unix timestamp in seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} - Hex-encoded HMAC-SHA256
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Verify an `X-Webhook-Signature` header (`t=<timestamp>,v1=<signature>`)
+ * @param {String} secret - Endpoint signing secret
+ * @param {String} header - Signature header value
+ * @param {String} body - Raw request body
+ * @param {Number} [now] - Current Unix time in seconds
+ * @returns {Boolean} - True if the signature is valid and recent
+ */
+function verifySignature(secret, header, body, now = Math.floor(Date.now() / 1000)) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1 || Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Delay before the next attempt of a delivery
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Check whether an address is one endpoints may not be sent to. IPv4-mapped
+ * IPv6 addresses are checked as the IPv4 address they carry.
+ * @param {String} address - IP address
+ * @returns {Boolean} - True if the address is internal
+ */
+function isBlockedAddress(address) {
+  const version = net.isIP(address);
+  return !version || blockedAddresses.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Build a webhook URL error
+ * @param {String} message - Error message
+ * @returns {Error} - Error with code WEBHOOK_URL_NOT_ALLOWED
+ */
+function urlNotAllowed(message) {
+  return Object.assign(new Error(message), { code: 'WEBHOOK_URL_NOT_ALLOWED' });
+}
+
+/**
+ * Make sure a webhook URL's host only resolves to public addresses
+ * @param {URL} url - Endpoint URL
+ * @throws {Error} - WEBHOOK_URL_NOT_ALLOWED
+ */
+async function assertPublicUrl(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw urlNotAllowed(`url host ${hostname} could not be resolved`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw urlNotAllowed('url must not point to a private, loopback or link-local address');
+  }
+}
+
+/**
+ * DNS lookup for delivery connections that refuses internal addresses, so a
+ * host cannot be pointed somewhere else between the check and the request
+ * @param {String} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(urlNotAllowed('url must not point to a private, loopback or link-local address'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Register a webhook endpoint
+ * @param {String} userId - User ID
+ * @param {Object} options - url, events (defaults to all), description and
+ *   organizationId, when the endpoint is registered for an organization
+ * @returns {Object} - Endpoint, including its signing secret
+ */
+async function registerEndpoint(userId, { url, events = EVENT_TYPES, description = null, organizationId = null } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('url must be a valid URL');
+  }
+
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+    throw new Error('url must use https');
+  }
+
+  await assertPublicUrl(parsed);
+
+  const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+  if (events.length === 0 || unknown.length > 0) {
+    throw new Error(`events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const { data, error } = await getDb()
+    .from('webhook_endpoints')
+    .insert({
+      user_id: userId,
+      organization_id: organizationId,
+      url,
+      events,
+      description,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      active: true,
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Register webhook endpoint error:', error);
+    throw new Error('Failed to register webhook endpoint');
+  }
+
+  return data;
+}
+
+/**
+ * List an account's webhook endpoints. Secrets are only returned at registration.
+ * @param {String} userId - User ID
+ * @param {Object} [options] - organizationId, to list the organization's endpoints
+ * @returns {Array} - Endpoints
+ */
+async function listEndpoints(userId, { organizationId = null } = {}) {
+  const query = getDb()
+    .from('webhook_endpoints')
+    .select('id, url, events, description, active, created_at, updated_at');
+
+  const { data, error } = await forAccount(query, userId, organizationId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('List webhook endpoints error:', error);
+    throw new Error('Failed to list webhook endpoints');
+  }
+
+  return data || [];
+}
+
+/**
+ * Delete a webhook endpoint
+ * @param {String} userId - User ID
+ * @param {String} endpointId - Endpoint ID
+ * @param {Object} [options] - organizationId, for an organization's endpoint
+ * @returns {Boolean} - True if an endpoint was deleted
+ */
+async function deleteEndpoint(userId, endpointId, { organizationId = null } = {}) {
+  const query = getDb()
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', endpointId);
+
+  const { data, error } = await forAccount(query, userId, organizationId).select();
+
+  if (error) {
+    // 22P02: the ID is not a UUID, so it cannot be an endpoint
+    if (error.code === '22P02') {
+      return false;
+    }
+    console.error('Delete webhook endpoint error:', error);
+    throw new Error('Failed to delete webhook endpoint');
+  }
+
+  return !!data && data.length > 0;
+}
+
+/**
+ * Send one delivery to its endpoint and record the outcome
+ * @param {Object} delivery - webhook_deliveries record
+ * @param {Object} endpoint - webhook_endpoints record
+ * @param {Object} [options] - db
+ * @returns {Object} - Updated delivery fields
+ */
+async function attemptDelivery(delivery, endpoint, { db } = {}) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = (delivery.attempts || 0) + 1;
+
+  let statusCode = null;
+  let lastError = null;
+
+  try {
+    // Checked again on every attempt: the host may resolve elsewhere by now
+    await assertPublicUrl(new URL(endpoint.url));
+
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ailevelup-webhooks/1.0',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, body)}`
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      ...deliveryAgents,
+      // Redirects are not followed, so they cannot lead to an internal address
+      maxRedirects: 0,
+      // Anything but a 2xx is a failed attempt
+      validateStatus: () => true
+    });
+
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      lastError = `Endpoint responded with ${statusCode}`;
+    }
+  } catch (error) {
+    lastError = error.message;
+  }
+
+  let updates;
+  if (!lastError) {
+    updates = { status: 'succeeded', delivered_at: new Date(), next_attempt_at: null };
+  } else if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+    // Out of retries; the delivery stays in the dead-letter log until replayed
+    updates = { status: 'dead', next_attempt_at: null };
+  } else {
+    updates = { status: 'failed', next_attempt_at: new Date(Date.now() + getRetryDelay(attempts)) };
+  }
+
+  updates = {
+    ...updates,
+    attempts,
+    last_status_code: statusCode,
+    last_error: lastError,
+    updated_at: new Date()
+  };
+
+  const { error } = await getDb(db)
+    .from('webhook_deliveries')
+    .update(updates)
+    .eq('id', delivery.id);
+
+  if (error) {
+    console.error(`Error recording webhook delivery ${delivery.id}:`, error);
+  }
+
+  return { ...delivery, ...updates };
+}
+
+/**
+ * Queue deliveries of an event to a set of endpoints and make the first attempt
+ * @param {Object} event - Event payload
+ * @param {Array} endpoints - webhook_endpoints records
+ * @param {Object} [options] - db
+ * @returns {Array} - Deliveries after the first attempt
+ */
+async function deliverToEndpoints(event, endpoints, { db } = {}) {
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const { data: deliveries, error } = await getDb(db)
+    .from('webhook_deliveries')
+    .insert(endpoints.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      user_id: endpoint.user_id,
+      organization_id: endpoint.organization_id || null,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(),
+      created_at: new Date(),
+      updated_at: new Date()
+    })))
+    .select();
+
+  if (error) {
+    console.error('Queue webhook deliveries error:', error);
+    throw new Error('Failed to queue webhook deliveries');
+  }
+
+  const endpointsById = new Map(endpoints.map(endpoint => [endpoint.id, endpoint]));
+  return Promise.all(deliveries.map(delivery =>
+    attemptDelivery(delivery, endpointsById.get(delivery.endpoint_id), { db })
+  ));
+}
+
+/**
+ * Emit an event to every active endpoint of an account subscribed to it.
+ * Failures are logged and never thrown, so emitting cannot break the caller.
+ * @param {String} eventType - One of EVENT_TYPES
+ * @param {String} userId - User ID the event belongs to
+ * @param {Object} data - Event data
+ * @param {Object} [options] - organizationId, when the event belongs to an
+ *   organization, whose endpoints receive it instead of the user's; and db,
+ *   defaulting to the admin client
+ * @returns {Array} - Deliveries made
+ */
+async function emitEvent(eventType, userId, data, { organizationId = null, db } = {}) {
+  if (!EVENT_TYPES.includes(eventType)) {
+    throw new Error(`Unknown webhook event type: ${eventType}`);
+  }
+
+  if (process.env.ENABLE_WEBHOOKS === 'false') {
+    return [];
+  }
+
+  try {
+    const query = getDb(db)
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('active', true)
+      .contains('events', [eventType]);
+
+    const { data: endpoints, error } = await forAccount(query, userId, organizationId);
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook endpoints: ${error.message}`);
+    }
+
+    if (!endpoints || endpoints.length === 0) {
+      return [];
+    }
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    return await deliverToEndpoints(event, endpoints, { db });
+  } catch (error) {
+    console.error(`Error emitting webhook event ${eventType}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Emit the lifecycle event for a call status change, if the change moves the
+ * call to a different stage (e.g. ringing -> in-progress emits call.answered)
+ * @param {Object} call - Call record with user_id, organization_id and call_id
+ * @param {String} previousStatus - Status before the change
+ * @param {String} newStatus - Status after the change
+ * @param {Object} [options] - db
+ * @returns {Array} - Deliveries made
+ */
+async function emitCallStatusEvent(call, previousStatus, newStatus, { db } = {}) {
+  const eventType = CALL_STATUS_EVENTS[newStatus];
+
+  if (!eventType || eventType === CALL_STATUS_EVENTS[previousStatus] || !call.user_id) {
+    return [];
+  }
+
+  return emitEvent(eventType, call.user_id, {
+    call_id: call.call_id,
+    status: newStatus,
+    previous_status: previousStatus || null,
+    phone_number: call.phone_number,
+    ...(call.duration !== undefined && { duration: call.duration })
+  }, { organizationId: call.organization_id || null, db });
+}
+
+/**
+ * List deliveries for an account's endpoints
+ * @param {String} userId - User ID
+ * @param {Object} options - status (e.g. 'dead' for the dead-letter log), endpointId,
+ *   limit, offset and organizationId, for an organization's deliveries
+ * @returns {Object} - Deliveries and total count
+ */
+async function listDeliveries(userId, options = {}) {
+  const { status, endpointId, limit = 50, offset = 0, organizationId = null } = options;
+
+  let query = getDb()
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' });
+
+  query = forAccount(query, userId, organizationId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (endpointId) {
+    query = query.eq('endpoint_id', endpointId);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('List webhook deliveries error:', error);
+    throw new Error('Failed to list webhook deliveries');
+  }
+
+  return {
+    deliveries: data || [],
+    total: count || 0
+  };
+}
+
+/**
+ * Send a delivery's event again as a new delivery. The event ID is kept so
+ * receivers can recognize duplicates.
+ * @param {String} userId - User ID
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} [options] - organizationId, for an organization's delivery
+ * @returns {Object|null} - New delivery, or null if the delivery or its endpoint was not found
+ */
+async function replayDelivery(userId, deliveryId, { organizationId = null } = {}) {
+  const deliveryQuery = getDb()
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('id', deliveryId);
+
+  const { data: delivery, error } = await forAccount(deliveryQuery, userId, organizationId).single();
+
+  if (error || !delivery) {
+    return null;
+  }
+
+  const endpointQuery = getDb()
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('id', delivery.endpoint_id);
+
+  const { data: endpoint } = await forAccount(endpointQuery, userId, organizationId).single();
+
+  if (!endpoint) {
+    return null;
+  }
+
+  const [replayed] = await deliverToEndpoints(delivery.payload, [endpoint]);
+  return replayed;
+}
+
+/**
+ * Retry every failed delivery that is due
+ * @returns {Object} - Results of retry operations
+ */
+async function retryDueDeliveries() {
+  try {
+    const db = getDb();
+    const { data: due, error } = await db
+      .from('webhook_deliveries')
+      .select('*, endpoint:webhook_endpoints(*)')
+      .eq('status', 'failed')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(50);
+
+    if (error) {
+      throw new Error(`Failed to fetch due deliveries: ${error.message}`);
+    }
+
+    // Skip if nothing is due
+    if (!due || due.length === 0) {
+      return { message: 'No webhook deliveries due' };
+    }
+
+    const results = [];
+    for (const { endpoint, ...delivery } of due) {
+      if (!endpoint || !endpoint.active) {
+        await db
+          .from('webhook_deliveries')
+          .update({ status: 'dead', last_error: 'Endpoint removed or disabled', next_attempt_at: null, updated_at: new Date() })
+          .eq('id', delivery.id);
+        results.push({ deliveryId: delivery.id, status: 'dead' });
+        continue;
+      }
+
+      const updated = await attemptDelivery(delivery, endpoint, { db });
+      results.push({ deliveryId: delivery.id, status: updated.status });
+    }
+
+    return {
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error retrying webhook deliveries:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the webhook retry service
+ * @returns {Object} - Interval handle, for stopping the service
+ */
+function startWebhookRetryService() {
+  // Call once immediately
+  retryDueDeliveries();
+
+  // Set up interval
+  const interval = setInterval(retryDueDeliveries, POLLING_INTERVAL);
+
+  console.log(`Webhook retry service started with ${POLLING_INTERVAL}ms interval`);
+
+  return interval;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signPayload,
+  verifySignature,
+  registerEndpoint,
+  listEndpoints,
+  deleteEndpoint,
+  emitEvent,
+  emitCallStatusEvent,
+  listDeliveries,
+  replayDelivery,
+  retryDueDeliveries,
+  startWebhookRetryService
+};
@@ -0,0 +1,277 @@
+/**
+ * In-memory stand-in for the Supabase client used by the unit tests.
+ *
+ * Tables are plain arrays under `db.tables`. Queries are built with the same
+ * chainable calls as supabase-js and run against those arrays when awaited,
+ * so services read back what they wrote. Every query is also recorded in
+ * `db.queries` as { table, filters, insert, update, upsert, options, delete };
+ * filters are recorded as [column, value] for eq and is, and as
+ * [column, 'operator.value'] otherwise.
+ */
+
+// PostgREST's error for single() when the query did not return exactly one row
+const NO_SINGLE_ROW = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+/**
+ * Parse a PostgREST list such as ("a","b") or (1,2)
+ * @param {String} value - List in parentheses
+ * @returns {Array} - Values
+ */
+function parseList(value) {
+  return String(value)
+    .replace(/^\(|\)$/g, '')
+    .split(',')
+    .map(item => item.trim().replace(/^"|"$/g, ''));
+}
+
+/**
+ * Compare a row value with a filter value the way PostgREST would
+ * @param {*} actual - Row value
+ * @param {String} operator - eq, neq, gt, gte, lt, lte, is or in
+ * @param {*} expected - Filter value
+ * @returns {Boolean} - True if the row matches
+ */
+function compare(actual, operator, expected) {
+  const value = actual ?? null;
+  switch (operator) {
+    case 'eq': return value !== null && String(value) === String(expected);
+    case 'neq': return value !== null && String(value) !== String(expected);
+    case 'gt': return value !== null && value > expected;
+    case 'gte': return value !== null && value >= expected;
+    case 'lt': return value !== null && value < expected;
+    case 'lte': return value !== null && value <= expected;
+    case 'is': return value === (expected === 'null' ? null : expected);
+    case 'in': return (Array.isArray(expected) ? expected : parseList(expected)).map(String).includes(String(value));
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+/**
+ * Split a PostgREST logic expression on the commas outside parentheses
+ * @param {String} expression - e.g. a.eq.1,and(b.eq.2,c.lt.3)
+ * @returns {Array<String>} - Conditions
+ */
+function splitConditions(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression) {
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Build a row predicate from a PostgREST logic expression, as passed to or()
+ * @param {String} expression - Conditions joined by commas
+ * @param {String} [combine] - 'or' or 'and'
+ * @returns {Function} - Predicate
+ */
+function parseLogic(expression, combine = 'or') {
+  const predicates = splitConditions(expression).map((condition) => {
+    const group = condition.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      return parseLogic(group[2], group[1]);
+    }
+    const [column, operator, ...rest] = condition.split('.');
+    const value = rest.join('.');
+    return row => compare(row[column], operator, value);
+  });
+  return combine === 'and'
+    ? row => predicates.every(predicate => predicate(row))
+    : row => predicates.some(predicate => predicate(row));
+}
+
+/**
+ * Check a JSON or array column contains a value
+ * @param {*} actual - Row value
+ * @param {*} expected - Array items or object entries that must be present
+ * @returns {Boolean} - True if contained
+ */
+function contains(actual, expected) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every(item => actual.includes(item));
+  }
+  return Boolean(actual) && Object.entries(expected).every(([key, value]) => actual[key] === value);
+}
+
+/**
+ * Create a fake Supabase client
+ * @param {Object} [options] - tables (initial rows by table) and unique
+ *   (columns that must be unique, by table; inserts that clash fail with 23505)
+ * @returns {Object} - Client with tables, queries, from and rpc
+ */
+function createSupabaseFake({ tables = {}, unique = {} } = {}) {
+  const db = { tables: { ...tables }, queries: [] };
+  const table = name => (db.tables[name] = db.tables[name] || []);
+  let nextId = 1;
+
+  const clashes = (name, row, columns) => table(name).find(existing => (
+    columns.every(column => existing[column] === row[column])
+  ));
+
+  db.from = jest.fn((name) => {
+    const query = { table: name, filters: [] };
+    const predicates = [];
+    let columns = null;
+    let countRows = false;
+    let order = null;
+    let range = null;
+    db.queries.push(query);
+
+    const filter = (column, operator, value, predicate) => {
+      query.filters.push([column, operator === 'eq' || operator === 'is' ? value : `${operator}.${value}`]);
+      predicates.push(predicate || (row => compare(row[column], operator, value)));
+      return builder;
+    };
+
+    // Embedded resources: `alias:table(...)` joins the row that `<alias>_id` points to
+    const embed = (row) => {
+      const joined = { ...row };
+      for (const [, alias, related] of (columns || '').matchAll(/(\w+):(\w+)\(/g)) {
+        joined[alias] = table(related).find(({ id }) => id === row[`${alias}_id`]) || null;
+      }
+      return joined;
+    };
+
+    const write = (rows, conflictColumns) => {
+      const written = [];
+      for (const values of rows) {
+        const existing = conflictColumns && clashes(name, values, conflictColumns);
+        if (existing) {
+          written.push(Object.assign(existing, values));
+          continue;
+        }
+        if (unique[name] && clashes(name, values, unique[name])) {
+          return { error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        }
+        const row = { id: `${name}-${nextId++}`, ...values };
+        table(name).push(row);
+        written.push(row);
+      }
+      return { rows: written };
+    };
+
+    const run = () => {
+      let rows;
+      if (query.insert || query.upsert) {
+        const values = query.insert || query.upsert;
+        const conflictColumns = query.upsert && (query.options?.onConflict || 'id').split(',').map(column => column.trim());
+        const result = write(Array.isArray(values) ? values : [values], conflictColumns);
+        if (result.error) {
+          return { data: null, error: result.error };
+        }
+        rows = result.rows;
+      } else {
+        rows = table(name).filter(row => predicates.every(predicate => predicate(row)));
+        if (query.update) {
+          rows.forEach(row => Object.assign(row, query.update));
+        }
+        if (query.delete) {
+          db.tables[name] = table(name).filter(row => !rows.includes(row));
+        }
+      }
+
+      if (order) {
+        const { column, ascending } = order;
+        rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+      }
+      const count = rows.length;
+      if (range) {
+        rows = rows.slice(range[0], range[1] + 1);
+      }
+
+      // Writes only return rows when select() asked for them
+      const returning = columns !== null || !(query.insert || query.upsert || query.update || query.delete);
+      return {
+        data: returning ? rows.map(embed) : null,
+        error: null,
+        ...(countRows ? { count } : {})
+      };
+    };
+
+    const builder = {
+      select: (selected = '*', { count } = {}) => {
+        columns = selected;
+        countRows = Boolean(count);
+        return builder;
+      },
+      insert: (values) => {
+        query.insert = values;
+        return builder;
+      },
+      upsert: (values, options = {}) => {
+        query.upsert = values;
+        query.options = options;
+        return builder;
+      },
+      update: (values) => {
+        query.update = values;
+        return builder;
+      },
+      delete: () => {
+        query.delete = true;
+        return builder;
+      },
+      eq: (column, value) => filter(column, 'eq', value),
+      neq: (column, value) => filter(column, 'neq', value),
+      gt: (column, value) => filter(column, 'gt', value),
+      gte: (column, value) => filter(column, 'gte', value),
+      lt: (column, value) => filter(column, 'lt', value),
+      lte: (column, value) => filter(column, 'lte', value),
+      is: (column, value) => filter(column, 'is', value),
+      in: (column, values) => filter(column, 'in', values),
+      not: (column, operator, value) => filter(column, `not.${operator}`, value,
+        row => !compare(row[column], operator, value)),
+      contains: (column, value) => filter(column, 'cs', JSON.stringify(value),
+        row => contains(row[column], value)),
+      or: (expression) => {
+        query.filters.push(['or', expression]);
+        predicates.push(parseLogic(expression));
+        return builder;
+      },
+      order: (column, { ascending = true } = {}) => {
+        order = { column, ascending };
+        return builder;
+      },
+      range: (from, to) => {
+        range = [from, to];
+        return builder;
+      },
+      limit: (count) => {
+        range = [0, count - 1];
+        return builder;
+      },
+      single: async () => {
+        columns = columns || '*';
+        const { data, error } = run();
+        if (error) {
+          return { data: null, error };
+        }
+        return data.length === 1 ? { data: data[0], error: null } : { data: null, error: NO_SINGLE_ROW };
+      },
+      maybeSingle: async () => {
+        columns = columns || '*';
+        const { data, error } = run();
+        return error ? { data: null, error } : { data: data[0] || null, error: null };
+      },
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return builder;
+  });
+
+  db.rpc = jest.fn().mockResolvedValue({ data: null, error: null });
+
+  return db;
+}
+
+module.exports = {
+  createSupabaseFake
+};
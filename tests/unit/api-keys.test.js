@@ -0,0 +1,83 @@
+const {
+  createApiKey,
+  verifyApiKey,
+  validateApiKeyOptions,
+  isIpAllowed,
+  hasScope
+} = require('../../services/api-keys');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+describe('API keys', () => {
+  test('stores only a salted hash behind a visible prefix', async () => {
+    const db = createSupabaseFake();
+    const { key, apiKey } = await createApiKey('user-1', { name: 'Reporting', scopes: ['calls:read'] }, { db });
+
+    expect(key).toMatch(/^alu_/);
+    expect(apiKey.key_prefix).toBe(key.slice(0, 12));
+    expect(JSON.stringify(db.tables.api_keys)).not.toContain(key);
+    expect(apiKey.permissions).toEqual(['calls:read']);
+
+    // The same key under another salt hashes differently
+    const other = await createApiKey('user-1', { name: 'Other' }, { db });
+    expect(other.apiKey.key_hash).not.toBe(apiKey.key_hash);
+    expect(other.apiKey.permissions).toEqual(['calls:read', 'calls:write', 'credits:read']);
+  });
+
+  test('verifies keys and records their use', async () => {
+    const db = createSupabaseFake();
+    const { key } = await createApiKey('user-1', { name: 'Reporting' }, { db });
+
+    const record = await verifyApiKey(key, { ip: '203.0.113.7' }, { db });
+    expect(record.user_id).toBe('user-1');
+    expect(db.queries.find(query => query.update).update).toEqual({ last_used_at: expect.any(String) });
+
+    await expect(verifyApiKey(`${key}x`, {}, { db })).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+  });
+
+  test('logs a failed last-use update without failing the request', async () => {
+    const db = createSupabaseFake();
+    const { key } = await createApiKey('user-1', { name: 'Reporting' }, { db });
+    const from = db.from;
+    db.from = jest.fn(table => Object.assign(from(table), {
+      update: () => ({ eq: () => Promise.reject(new Error('connection reset')) })
+    }));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(verifyApiKey(key, {}, { db })).resolves.toMatchObject({ user_id: 'user-1' });
+    await new Promise(setImmediate);
+
+    expect(consoleError).toHaveBeenCalledWith('Error updating API key last use:', expect.objectContaining({ message: 'connection reset' }));
+    consoleError.mockRestore();
+  });
+
+  test('refuses revoked, expired and out-of-range keys', async () => {
+    const db = createSupabaseFake();
+    const { key } = await createApiKey('user-1', {
+      name: 'Office',
+      allowedIps: ['198.51.100.0/24']
+    }, { db });
+
+    await expect(verifyApiKey(key, { ip: '::ffff:198.51.100.20' }, { db })).resolves.toBeTruthy();
+    await expect(verifyApiKey(key, { ip: '203.0.113.7' }, { db })).rejects.toMatchObject({ code: 'API_KEY_IP_NOT_ALLOWED' });
+
+    db.tables.api_keys[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    await expect(verifyApiKey(key, { ip: '198.51.100.20' }, { db })).rejects.toMatchObject({ code: 'API_KEY_EXPIRED' });
+
+    db.tables.api_keys[0].is_active = false;
+    await expect(verifyApiKey(key, { ip: '198.51.100.20' }, { db })).rejects.toMatchObject({ code: 'API_KEY_REVOKED' });
+  });
+
+  test('rejects unknown scopes, past expiries and malformed ranges', () => {
+    expect(() => validateApiKeyOptions({ scopes: ['calls:delete'] })).toThrow('unknown scope: calls:delete');
+    expect(() => validateApiKeyOptions({ expiresAt: '2020-01-01' })).toThrow('expiresAt must be in the future');
+    expect(() => validateApiKeyOptions({ allowedIps: ['10.0.0.0/33'] })).toThrow('invalid address or range');
+    expect(isIpAllowed('2001:db8::1', ['2001:db8::/32'])).toBe(true);
+  });
+
+  test('grants every scope to keys created before scopes were enforced', () => {
+    expect(hasScope(['calls:read'], 'calls:read')).toBe(true);
+    expect(hasScope(['calls:read'], 'billing:write')).toBe(false);
+    expect(hasScope(['api:access'], 'billing:write')).toBe(true);
+    expect(hasScope([], null)).toBe(true);
+  });
+});
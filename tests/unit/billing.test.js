@@ -0,0 +1,109 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const {
+  COST_PER_MINUTE,
+  reserveCredits,
+  finalizeCallCredits,
+  deductCredits
+} = require('../../services/billing');
+
+jest.mock('stripe', () => () => ({}));
+
+jest.mock('../../services/logging', () => ({
+  logTransactionToGoogleSheets: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../services/webhooks', () => ({
+  emitEvent: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../config/supabase', () => ({
+  supabaseAdmin: require('../helpers/supabase-fake').createSupabaseFake()
+}));
+
+describe('Billing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(supabaseAdmin.tables).forEach(name => delete supabaseAdmin.tables[name]);
+  });
+
+  test('holds credits for the call\'s minutes, on the account it is placed for', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: 'hold-1', error: null });
+
+    expect(await reserveCredits('user-1', 5, { organizationId: 'org-1' })).toBe('hold-1');
+    expect(supabaseAdmin.rpc).toHaveBeenCalledWith('reserve_user_credits', {
+      p_user_id: 'user-1',
+      p_minutes: 5,
+      p_cost_per_minute: COST_PER_MINUTE,
+      p_organization_id: 'org-1'
+    });
+  });
+
+  test('opens a credit account for a user\'s first hold', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: 'hold-1', error: null });
+
+    await reserveCredits('user-1', 5);
+
+    expect(supabaseAdmin.tables.credits).toEqual([
+      expect.objectContaining({ user_id: 'user-1', balance: 0, has_free_tier: true, free_minutes_total: 10 })
+    ]);
+  });
+
+  test('reports what a refused hold would have cost after free minutes', async () => {
+    supabaseAdmin.tables.credits = [
+      { id: 'credits-1', user_id: 'user-1', balance: 0, has_free_tier: true, free_minutes_used: 7, free_minutes_total: 10 }
+    ];
+    supabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+
+    await expect(reserveCredits('user-1', 5)).rejects.toThrow('Insufficient credits: $0.20 required');
+  });
+
+  test('settles a completed call\'s hold for the minutes it ran', async () => {
+    supabaseAdmin.tables.credit_holds = [{ id: 'hold-1', call_id: 'call-1', amount: 0.5, status: 'held' }];
+    supabaseAdmin.rpc.mockResolvedValue({ data: 0.2, error: null });
+
+    expect(await finalizeCallCredits('call-1', 'completed', 95)).toEqual({ callId: 'call-1', charged: 0.2, released: 0.3 });
+    expect(supabaseAdmin.rpc).toHaveBeenCalledWith('settle_credit_hold', {
+      p_hold_id: 'hold-1',
+      p_minutes: 2,
+      p_cost_per_minute: COST_PER_MINUTE
+    });
+  });
+
+  test('charges calls without a hold on the credits ledger, once per call', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: [{ charged: 0.3, free_minutes_used: 2, balance: 4.7 }], error: null });
+
+    const result = await deductCredits('user-1', 'call-1', 5);
+
+    expect(result).toMatchObject({ charged: 0.3, freeMinutesUsed: 2, paidMinutes: 3, balance: 4.7 });
+    expect(supabaseAdmin.rpc).toHaveBeenCalledWith('charge_call_minutes', {
+      p_user_id: 'user-1',
+      p_minutes: 5,
+      p_cost_per_minute: COST_PER_MINUTE,
+      p_organization_id: null
+    });
+    expect(supabaseAdmin.tables.call_billing).toEqual([
+      expect.objectContaining({ call_id: 'call-1', free_minutes_used: 2, charged_minutes: 3, amount_charged: 0.3 })
+    ]);
+
+    expect(await deductCredits('user-1', 'call-1', 5)).toMatchObject({ charged: 0, alreadyBilled: true });
+    expect(supabaseAdmin.rpc).toHaveBeenCalledTimes(1);
+  });
+
+  test('charges an organization\'s calls to the organization', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: [{ charged: 0.3, free_minutes_used: 0, balance: 19.7 }], error: null });
+
+    await deductCredits('user-1', 'call-2', 3, { organizationId: 'org-1' });
+
+    expect(supabaseAdmin.rpc).toHaveBeenCalledWith('charge_call_minutes', expect.objectContaining({
+      p_user_id: 'user-1',
+      p_organization_id: 'org-1'
+    }));
+  });
+
+  test('fails to charge calls for an account without credits', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: [], error: null });
+
+    await expect(deductCredits('user-1', 'call-3', 3)).rejects.toThrow('Credit account not found');
+    expect(supabaseAdmin.tables.call_billing).toEqual([]);
+  });
+});
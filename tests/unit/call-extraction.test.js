@@ -0,0 +1,94 @@
+const { getProvider } = require('../../services/providers');
+const {
+  validateExtractionSchema,
+  coerceAnswer,
+  extractCallData
+} = require('../../services/call-extraction');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+jest.mock('../../services/providers', () => {
+  const provider = { analyze: jest.fn() };
+  return { getProvider: () => provider };
+});
+
+const schema = {
+  properties: {
+    appointmentTime: { type: 'string', description: 'What time was the appointment confirmed for?' },
+    confirmed: { type: 'boolean' },
+    partySize: { type: 'integer' }
+  },
+  required: ['confirmed']
+};
+
+const call = {
+  call_id: 'call-1',
+  user_id: 'user-1',
+  extraction_schema: { ...schema, type: 'object' }
+};
+
+describe('Call data extraction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateExtractionSchema', () => {
+    test('accepts a flat schema of answerable fields', () => {
+      expect(validateExtractionSchema(schema)).toEqual({ ...schema, type: 'object' });
+    });
+
+    test('rejects nested fields and unknown required fields', () => {
+      expect(() => validateExtractionSchema({
+        properties: { address: { type: 'object' } }
+      })).toThrow('Invalid extraction schema');
+
+      expect(() => validateExtractionSchema({
+        properties: { confirmed: { type: 'boolean' } },
+        required: ['callbackNumber']
+      })).toThrow(/callbackNumber/);
+    });
+  });
+
+  describe('coerceAnswer', () => {
+    test('converts answers to the field type', () => {
+      expect(coerceAnswer('Yes', { type: 'boolean' })).toBe(true);
+      expect(coerceAnswer('1,200', { type: 'number' })).toBe(1200);
+      expect(coerceAnswer('unknown', { type: 'string' })).toBeNull();
+      expect(coerceAnswer('maybe', { type: 'boolean' })).toBe('maybe');
+    });
+  });
+
+  describe('extractCallData', () => {
+    test('stores typed data that matches the schema', async () => {
+      getProvider().analyze.mockResolvedValue({ answers: ['3pm Friday', 'yes', '4'] });
+      const db = createSupabaseFake();
+
+      const extraction = await extractCallData(call, { db });
+
+      expect(getProvider().analyze).toHaveBeenCalledWith('call-1', expect.objectContaining({
+        questions: [
+          ['What time was the appointment confirmed for?', 'string'],
+          ['Based on the call, is "confirmed" true? Answer yes or no.', 'boolean'],
+          ['What is the party size?', 'number']
+        ]
+      }));
+      expect(extraction).toEqual(expect.objectContaining({
+        call_id: 'call-1',
+        status: 'valid',
+        data: { appointmentTime: '3pm Friday', confirmed: true, partySize: 4 },
+        errors: []
+      }));
+      expect(db.tables.call_extractions).toEqual([extraction]);
+    });
+
+    test('stores data that does not match the schema as invalid', async () => {
+      getProvider().analyze.mockResolvedValue({ answers: ['3pm Friday', null, '2.5'] });
+      const db = createSupabaseFake();
+
+      const extraction = await extractCallData(call, { db });
+
+      expect(extraction.status).toBe('invalid');
+      expect(extraction.data).toEqual({ appointmentTime: '3pm Friday', partySize: 2.5 });
+      expect(extraction.errors).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const { scheduleCall } = require('../../services/scheduled-calls');
+const {
+  validateRetryPolicy,
+  classifyOutcome,
+  retryCall,
+  cancelPendingRetries
+} = require('../../services/call-retries');
+
+jest.mock('../../config/supabase', () => {
+  const supabaseAdmin = { queries: [], rows: {} };
+  supabaseAdmin.from = jest.fn((table) => {
+    const query = { table, filters: [] };
+    supabaseAdmin.queries.push(query);
+    const builder = {
+      select: () => builder,
+      update: (row) => {
+        query.update = row;
+        return builder;
+      },
+      eq: (column, value) => {
+        query.filters.push([column, value]);
+        return builder;
+      },
+      not: (column, operator, value) => {
+        query.filters.push([column, `not.${operator}.${value}`]);
+        return builder;
+      },
+      single: async () => ({ data: supabaseAdmin.rows[table] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: [{ id: 'scheduled-1' }], error: null }).then(resolve, reject)
+    };
+    return builder;
+  });
+  return { supabaseAdmin };
+});
+
+jest.mock('../../services/scheduled-calls', () => ({
+  scheduleCall: jest.fn(async (userId, callParams, scheduledAt) => ({ id: 'scheduled-1', scheduled_at: scheduledAt }))
+}));
+
+jest.mock('../../services/compliance', () => ({
+  normalizePhoneNumber: phoneNumber => phoneNumber,
+  inferTimezones: () => ['UTC'],
+  getNextAllowedTime: date => date,
+  getComplianceSettings: jest.fn().mockResolvedValue({ quietHoursStart: 21, quietHoursEnd: 8 })
+}));
+
+const call = {
+  call_id: 'call-1',
+  user_id: 'user-1',
+  phone_number: '+15551234567',
+  status: 'failed',
+  call_params: { phoneNumber: '+15551234567', task: 'Confirm the appointment' },
+  retry_policy: { maxAttempts: 3, outcomes: ['busy'], backoffMinutes: 10, backoffMultiplier: 3 },
+  original_call_id: null,
+  attempt: 1
+};
+
+describe('Call retries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabaseAdmin.queries = [];
+    supabaseAdmin.rows = {};
+  });
+
+  test('recognizes busy, unanswered and voicemail outcomes', () => {
+    expect(classifyOutcome(call, 'failed', { status: 'busy' })).toBe('busy');
+    expect(classifyOutcome(call, 'failed', { status: 'no-answer' })).toBe('no_answer');
+    expect(classifyOutcome({ ...call, answered_by: 'voicemail' }, 'completed', {})).toBe('voicemail');
+    expect(classifyOutcome(call, 'completed', { status: 'completed' })).toBeNull();
+    expect(classifyOutcome(call, 'cancelled', { status: 'busy' })).toBeNull();
+  });
+
+  test('rejects policies with unknown outcomes', () => {
+    expect(() => validateRetryPolicy({ outcomes: ['busy', 'hung_up'] })).toThrow('Invalid retry policy');
+    expect(() => validateRetryPolicy({ maxAttempts: 3, allowedHours: { start: 9, end: 17 } })).not.toThrow();
+  });
+
+  test('books the next attempt of a busy call after the backoff', async () => {
+    const before = Date.now();
+    await retryCall(call, 'failed', { status: 'busy' });
+
+    expect(scheduleCall).toHaveBeenCalledWith('user-1', call.call_params, expect.any(String), 'UTC', {
+      retryOf: 'call-1',
+      attempt: 2
+    });
+    const dueAt = new Date(scheduleCall.mock.calls[0][2]).getTime();
+    expect(dueAt - before).toBeGreaterThanOrEqual(10 * 60 * 1000);
+
+    // The third attempt waits backoffMinutes * backoffMultiplier and links to the first call
+    scheduleCall.mockClear();
+    await retryCall({ ...call, call_id: 'call-2', original_call_id: 'call-1', attempt: 2 }, 'failed', { status: 'busy' });
+    expect(scheduleCall.mock.calls[0][4]).toEqual({ retryOf: 'call-1', attempt: 3 });
+    expect(new Date(scheduleCall.mock.calls[0][2]).getTime() - before).toBeGreaterThanOrEqual(30 * 60 * 1000);
+  });
+
+  test('stops once the policy\'s attempts are used up or the outcome is not retried', async () => {
+    await retryCall({ ...call, original_call_id: 'call-1', attempt: 3 }, 'failed', { status: 'busy' });
+    await retryCall(call, 'failed', { status: 'no-answer' });
+
+    expect(scheduleCall).not.toHaveBeenCalled();
+  });
+
+  test('retries voicemail for accounts that prefer retry_later', async () => {
+    supabaseAdmin.rows.user_settings = { retry_policy: null, default_voicemail_action: 'retry_later' };
+
+    await retryCall({ ...call, retry_policy: null, answered_by: 'voicemail' }, 'completed', { status: 'completed' });
+
+    expect(scheduleCall).toHaveBeenCalledWith('user-1', call.call_params, expect.any(String), 'UTC', {
+      retryOf: 'call-1',
+      attempt: 2
+    });
+  });
+
+  test('cancels pending retries of a chain for its owner only', async () => {
+    const cancelled = await cancelPendingRetries({ userId: 'user-1', callId: 'call-1' });
+
+    expect(cancelled).toHaveLength(1);
+    expect(supabaseAdmin.queries[0]).toEqual(expect.objectContaining({
+      table: 'scheduled_calls',
+      update: expect.objectContaining({ status: 'cancelled' }),
+      filters: [['status', 'scheduled'], ['user_id', 'user-1'], ['retry_of_call_id', 'call-1']]
+    }));
+  });
+});
@@ -0,0 +1,155 @@
+const { finalizeCallCredits, deductCredits } = require('../../services/billing');
+const { emitCallStatusEvent } = require('../../services/webhooks');
+const {
+  isLegalTransition,
+  getPollDelay,
+  transitionCall,
+  applyProviderUpdate
+} = require('../../services/call-state');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+jest.mock('../../services/billing', () => ({
+  finalizeCallCredits: jest.fn().mockResolvedValue(null),
+  deductCredits: jest.fn().mockResolvedValue({ success: true })
+}));
+
+jest.mock('../../services/webhooks', () => ({
+  emitCallStatusEvent: jest.fn().mockResolvedValue([])
+}));
+
+const call = {
+  call_id: 'call-1',
+  user_id: 'user-1',
+  status: 'ringing',
+  poll_attempts: 0,
+  created_at: new Date().toISOString()
+};
+
+/**
+ * Fake Supabase client holding `calls`
+ */
+function createDb(calls = [call]) {
+  return createSupabaseFake({ tables: { calls: calls.map(row => ({ ...row })) } });
+}
+
+/**
+ * Queries that updated the calls table
+ */
+function callUpdates(db) {
+  return db.queries.filter(query => query.table === 'calls' && query.update);
+}
+
+describe('Call state engine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isLegalTransition', () => {
+    test('allows moving forward, including skipping states', () => {
+      expect(isLegalTransition('queued', 'ringing')).toBe(true);
+      expect(isLegalTransition('queued', 'completed')).toBe(true);
+    });
+
+    test('rejects moving backward or out of a final state', () => {
+      expect(isLegalTransition('in_progress', 'ringing')).toBe(false);
+      expect(isLegalTransition('completed', 'failed')).toBe(false);
+      expect(isLegalTransition('stopped', 'in_progress')).toBe(false);
+    });
+  });
+
+  describe('getPollDelay', () => {
+    test('backs off while a call is unchanged, up to five minutes', () => {
+      expect(getPollDelay('ringing', 0)).toBe(10000);
+      expect(getPollDelay('ringing', 2)).toBe(40000);
+      expect(getPollDelay('in_progress', 10)).toBe(5 * 60 * 1000);
+      expect(getPollDelay('completed', 0)).toBeNull();
+    });
+  });
+
+  describe('transitionCall', () => {
+    test('limits changes made for a user to their own calls', async () => {
+      const db = createDb();
+
+      await expect(transitionCall(call, 'cancelled', { db })).rejects.toMatchObject({ code: 'USER_REQUIRED' });
+      expect(callUpdates(db)).toHaveLength(0);
+
+      expect(await transitionCall(call, 'cancelled', { userId: 'user-2', db })).toMatchObject({ changed: false });
+      expect(callUpdates(db)[0].filters).toEqual(expect.arrayContaining([['user_id', 'user-2'], ['organization_id', null]]));
+      expect(db.tables.calls[0].status).toBe('ringing');
+    });
+  });
+
+  describe('applyProviderUpdate', () => {
+    test('records the transition and publishes it to subscribers', async () => {
+      const db = createDb();
+
+      const result = await applyProviderUpdate(call, {
+        callId: 'call-1',
+        status: 'completed',
+        durationSeconds: 95,
+        raw: { status: 'completed' }
+      }, { source: 'webhook', db });
+
+      expect(result).toEqual({ callId: 'call-1', changed: true, from: 'ringing', to: 'completed' });
+
+      const [update] = callUpdates(db);
+      expect(update.update).toEqual(expect.objectContaining({
+        status: 'completed',
+        duration: 95,
+        credits_used: 2,
+        next_poll_at: null
+      }));
+      expect(update.filters).toContainEqual(['status', 'ringing']);
+
+      expect(db.tables.call_events).toEqual([
+        expect.objectContaining({ from_status: 'ringing', to_status: 'completed', source: 'webhook' })
+      ]);
+      expect(finalizeCallCredits).toHaveBeenCalledWith('call-1', 'completed', 95, { db });
+      // No credit hold to settle, so the call is billed by the minute
+      expect(deductCredits).toHaveBeenCalledWith('user-1', 'call-1', 2, { organizationId: null, db });
+      expect(emitCallStatusEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ call_id: 'call-1', status: 'completed' }),
+        'ringing',
+        'completed',
+        { db }
+      );
+    });
+
+    test('does not publish when another writer moved the call first', async () => {
+      const db = createDb([{ ...call, status: 'in_progress' }]);
+
+      const result = await applyProviderUpdate(call, { callId: 'call-1', status: 'in_progress' }, { db });
+
+      expect(result.conflict).toBe(true);
+      expect(db.tables.call_events).toBeUndefined();
+      expect(emitCallStatusEvent).not.toHaveBeenCalled();
+    });
+
+    test('ignores a late report that would move the call backward', async () => {
+      const db = createDb();
+
+      const result = await applyProviderUpdate(
+        { ...call, status: 'completed' },
+        { callId: 'call-1', status: 'in_progress', recordingUrl: 'https://example.com/rec.wav' },
+        { source: 'webhook', db }
+      );
+
+      expect(result.changed).toBe(false);
+      expect(callUpdates(db)[0].update).toEqual(expect.objectContaining({ recording_url: 'https://example.com/rec.wav' }));
+      expect(callUpdates(db)[0].update.status).toBeUndefined();
+      expect(db.tables.call_events).toBeUndefined();
+      expect(finalizeCallCredits).not.toHaveBeenCalled();
+    });
+
+    test('backs off polling when nothing changed', async () => {
+      const db = createDb();
+      const before = Date.now();
+
+      await applyProviderUpdate({ ...call, poll_attempts: 1 }, { callId: 'call-1', status: 'ringing' }, { db });
+
+      const [{ update: values }] = callUpdates(db);
+      expect(values.poll_attempts).toBe(2);
+      expect(new Date(values.next_poll_at).getTime()).toBeGreaterThanOrEqual(before + 40000);
+    });
+  });
+});
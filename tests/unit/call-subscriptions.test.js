@@ -0,0 +1,146 @@
+const { Readable } = require('stream');
+const { supabase } = require('../../config/supabase');
+const { subscribe } = require('../../services/call-state');
+const { getProvider } = require('../../services/providers');
+const {
+  subscribeToCall,
+  unsubscribeFromCall,
+  unsubscribeSession
+} = require('../../mcp/call-subscriptions');
+
+jest.mock('axios');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../config/supabase', () => ({
+  supabase: {
+    from: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    single: jest.fn()
+  }
+}));
+
+jest.mock('../../services/call-state', () => ({
+  ...jest.requireActual('../../services/call-state'),
+  subscribe: jest.fn()
+}));
+
+jest.mock('../../services/providers', () => {
+  const { mapStatus } = jest.requireActual('../../services/providers/bland');
+  const provider = {
+    mapStatus,
+    getEventStream: jest.fn(),
+    getCall: jest.fn()
+  };
+  return {
+    ACTIVE_CALL_STATUSES: jest.requireActual('../../services/providers').ACTIVE_CALL_STATUSES,
+    getProvider: () => provider
+  };
+});
+
+/**
+ * Build a provider event stream from SSE events
+ * @param {Array} events - [event, data] pairs
+ * @returns {Object} - Readable stream that stays open
+ */
+function eventStream(events) {
+  const stream = new Readable({ read() {} });
+  events.forEach(([event, data]) => stream.push(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  return stream;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Call progress subscriptions', () => {
+  const context = { sessionId: 'session-1', userId: 'user-1' };
+  let publishTransition;
+  let stopTransitions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stopTransitions = jest.fn();
+    subscribe.mockImplementation((listener) => {
+      publishTransition = listener;
+      return stopTransitions;
+    });
+    supabase.single.mockResolvedValue({ data: { call_id: 'call-1', status: 'queued' }, error: null });
+  });
+
+  test('pushes status changes and transcript lines from the event stream', async () => {
+    const stream = eventStream([
+      // Replayed history is not sent again
+      ['status', { call_id: 'call-1', status: 'queued' }],
+      ['status', { call_id: 'call-1', status: 'in-progress' }],
+      ['transcript', { call_id: 'call-1', user: 'assistant', text: 'Hello' }]
+    ]);
+    getProvider().getEventStream.mockResolvedValue({ stream });
+    const notify = jest.fn();
+
+    const result = await subscribeToCall('session-1', context, 'call-1', notify);
+    await flush();
+
+    expect(result).toEqual({ callId: 'call-1', status: 'queued', subscribed: true });
+    expect(supabase.eq).toHaveBeenCalledWith('user_id', 'user-1');
+    expect(notify.mock.calls).toEqual([
+      ['notifications/call/status', { callId: 'call-1', status: 'in_progress', previousStatus: 'queued' }],
+      ['notifications/call/transcript', { callId: 'call-1', speaker: 'assistant', text: 'Hello' }]
+    ]);
+
+    unsubscribeSession('session-1');
+    expect(stream.destroyed).toBe(true);
+    expect(stopTransitions).toHaveBeenCalled();
+  });
+
+  test('sends the summary when the call finishes and ends the subscription', async () => {
+    getProvider().getEventStream.mockResolvedValue({ stream: eventStream([]) });
+    getProvider().getCall.mockResolvedValue({
+      callId: 'call-1',
+      status: 'completed',
+      durationSeconds: 95,
+      answeredBy: 'human',
+      transcript: 'assistant: Hello',
+      raw: { summary: 'Appointment confirmed' }
+    });
+    const notify = jest.fn();
+
+    await subscribeToCall('session-1', context, 'call-1', notify);
+    publishTransition({ call: { call_id: 'call-1' }, from: 'queued', to: 'completed', source: 'webhook' });
+    await flush();
+
+    expect(notify).toHaveBeenCalledWith('notifications/call/status',
+      { callId: 'call-1', status: 'completed', previousStatus: 'queued' });
+    expect(notify).toHaveBeenCalledWith('notifications/call/summary', expect.objectContaining({
+      callId: 'call-1',
+      status: 'completed',
+      durationSeconds: 95,
+      summary: 'Appointment confirmed',
+      transcript: 'assistant: Hello'
+    }));
+    expect(unsubscribeFromCall('session-1', 'call-1')).toBe(false);
+  });
+
+  test('rejects calls that belong to another user', async () => {
+    supabase.single.mockResolvedValue({ data: null, error: { message: 'No rows found' } });
+
+    await expect(subscribeToCall('session-1', context, 'call-2', jest.fn()))
+      .rejects.toMatchObject({ code: -32002 });
+    expect(getProvider().getEventStream).not.toHaveBeenCalled();
+  });
+
+  test('does not subscribe to a call that has already finished', async () => {
+    supabase.single.mockResolvedValue({ data: { call_id: 'call-1', status: 'completed' }, error: null });
+
+    const result = await subscribeToCall('session-1', context, 'call-1', jest.fn());
+
+    expect(result).toEqual({ callId: 'call-1', status: 'completed', subscribed: false });
+    expect(getProvider().getEventStream).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const {
+  getTemplateVariables,
+  createCallTemplate,
+  updateCallTemplate,
+  renderCallTemplate
+} = require('../../services/call-templates');
+
+jest.mock('../../services/billing', () => ({
+  FINAL_CALL_STATUSES: ['completed', 'failed', 'cancelled']
+}));
+
+jest.mock('../../config/supabase', () => {
+  const supabaseAdmin = { writes: [], rows: {} };
+  supabaseAdmin.from = jest.fn((table) => {
+    let values = null;
+    const builder = {
+      insert: (row) => {
+        values = row;
+        supabaseAdmin.writes.push({ table, type: 'insert', row });
+        return builder;
+      },
+      update: (row) => {
+        values = row;
+        supabaseAdmin.writes.push({ table, type: 'update', row });
+        return builder;
+      },
+      eq: () => builder,
+      is: () => builder,
+      select: () => builder,
+      single: async () => ({
+        data: values ? { id: 'template-1', ...values } : supabaseAdmin.rows[table],
+        error: null
+      }),
+      then: (resolve, reject) => Promise.resolve({
+        data: values ? [{ ...supabaseAdmin.rows[table], ...values }] : null,
+        error: null
+      }).then(resolve, reject)
+    };
+    return builder;
+  });
+  return { supabaseAdmin };
+});
+
+const template = {
+  id: 'template-1',
+  name: 'Appointment reminder',
+  version: 1,
+  task: 'Remind {{first_name}} about their appointment on {{date}}',
+  first_sentence: 'Hi {{first_name}}, this is the clinic calling.',
+  voice: 'nat',
+  max_duration_seconds: 180,
+  voicemail_action: 'leave_message',
+  extraction_schema: null
+};
+
+describe('Call templates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabaseAdmin.writes = [];
+    supabaseAdmin.rows = {};
+  });
+
+  test('lists the variables a template uses', () => {
+    expect(getTemplateVariables(template)).toEqual(['first_name', 'date']);
+  });
+
+  test('renders a template into makePhoneCall parameters', () => {
+    expect(renderCallTemplate(template, { first_name: 'Jane', date: 'Friday' })).toEqual({
+      task: 'Remind Jane about their appointment on Friday',
+      firstSentence: 'Hi Jane, this is the clinic calling.',
+      voice: 'nat',
+      maxDuration: 180,
+      voicemailAction: 'leave_message'
+    });
+  });
+
+  test('refuses to render without a value for every variable', () => {
+    expect(() => renderCallTemplate(template, { first_name: 'Jane' })).toThrow('Missing value for {{date}}');
+  });
+
+  test('stores version 1 when a template is created', async () => {
+    await createCallTemplate('user-1', {
+      name: 'Appointment reminder',
+      task: template.task,
+      maxDuration: 180
+    });
+
+    expect(supabaseAdmin.writes).toEqual([
+      expect.objectContaining({
+        table: 'call_templates',
+        row: expect.objectContaining({ version: 1, variables: ['first_name', 'date'] })
+      }),
+      expect.objectContaining({
+        table: 'call_template_versions',
+        row: expect.objectContaining({ template_id: 'template-1', version: 1, max_duration_seconds: 180 })
+      })
+    ]);
+  });
+
+  test('rejects settings the makePhoneCall tool would not accept', async () => {
+    await expect(createCallTemplate('user-1', { name: 'Short', task: 'Say hi', maxDuration: 10 }))
+      .rejects.toThrow('maxDuration');
+    await expect(createCallTemplate('user-1', { name: 'Voicemail', task: 'Say hi', voicemailAction: 'ignore' }))
+      .rejects.toThrow('voicemailAction');
+  });
+
+  test('stores a new version only when the script or settings change', async () => {
+    supabaseAdmin.rows.call_templates = template;
+
+    await updateCallTemplate('user-1', 'template-1', { description: 'Day-before reminder' });
+    expect(supabaseAdmin.writes.map(write => write.table)).toEqual(['call_templates']);
+    expect(supabaseAdmin.writes[0].row.version).toBe(1);
+
+    supabaseAdmin.writes = [];
+    await updateCallTemplate('user-1', 'template-1', { task: 'Remind {{first_name}} to bring their insurance card' });
+    expect(supabaseAdmin.writes[0].row).toEqual(expect.objectContaining({ version: 2, variables: ['first_name'] }));
+    expect(supabaseAdmin.writes[1]).toEqual(expect.objectContaining({
+      table: 'call_template_versions',
+      row: expect.objectContaining({ version: 2 })
+    }));
+  });
+});
@@ -0,0 +1,149 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const makePhoneCallTool = require('../../mcp/tools/make-phone-call');
+const { parseCsv, renderTaskTemplate, processCampaign } = require('../../services/campaigns');
+
+// Chainable query builder; `resolve(query)` decides what each query returns
+jest.mock('../../config/supabase', () => {
+  const state = { resolve: () => ({ data: [], error: null }), queries: [] };
+  const createQuery = (table) => {
+    const query = { table, op: 'select', values: null, filters: [], limit: null };
+    const run = () => Promise.resolve(state.resolve(query));
+    const builder = {
+      select: () => builder,
+      update: (values) => {
+        query.op = 'update';
+        query.values = values;
+        return builder;
+      },
+      eq: (column, value) => {
+        query.filters.push([column, value]);
+        return builder;
+      },
+      in: (column, value) => {
+        query.filters.push([column, value]);
+        return builder;
+      },
+      or: () => builder,
+      order: () => builder,
+      limit: (count) => {
+        query.limit = count;
+        return builder;
+      },
+      single: run,
+      then: (resolve, reject) => run().then(resolve, reject)
+    };
+    state.queries.push(query);
+    return builder;
+  };
+
+  return {
+    supabaseAdmin: {
+      state,
+      from: jest.fn(createQuery)
+    }
+  };
+});
+
+jest.mock('../../services/billing', () => ({
+  FINAL_CALL_STATUSES: ['completed', 'failed']
+}));
+
+jest.mock('../../mcp/tools/make-phone-call', () => ({
+  execute: jest.fn()
+}));
+
+describe('Campaigns', () => {
+  describe('parseCsv', () => {
+    test('reads rows keyed by the header, including quoted fields', () => {
+      const rows = parseCsv('phone_number,name,note\r\n+15551234567,"Smith, Jane","Said ""call later"""\n+15557654321,Bob,\n');
+
+      expect(rows).toEqual([
+        { phone_number: '+15551234567', name: 'Smith, Jane', note: 'Said "call later"' },
+        { phone_number: '+15557654321', name: 'Bob', note: '' }
+      ]);
+    });
+  });
+
+  describe('renderTaskTemplate', () => {
+    test('fills placeholders from the row', () => {
+      expect(renderTaskTemplate('Remind {{ name }} about {{date}}', { name: 'Jane', date: 'Friday' }))
+        .toBe('Remind Jane about Friday');
+    });
+
+    test('rejects rows missing a variable', () => {
+      expect(() => renderTaskTemplate('Remind {{name}}', { name: '' })).toThrow('Missing value for {{name}}');
+    });
+  });
+
+  describe('processCampaign', () => {
+    const campaign = {
+      id: 'campaign-1',
+      user_id: 'user-1',
+      concurrency: 2,
+      pacing_seconds: 0,
+      call_params: { voice: 'nat', maxDuration: 300 }
+    };
+    const pending = [
+      { id: 'contact-2', row_number: 2, phone_number: '+15551234567', task: 'Remind Jane' },
+      { id: 'contact-3', row_number: 3, phone_number: '+15557654321', task: 'Remind Bob' }
+    ];
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      supabaseAdmin.state.queries.length = 0;
+      supabaseAdmin.state.resolve = (query) => {
+        const statusFilter = query.filters.find(([column]) => column === 'status');
+
+        if (query.table === 'campaign_contacts' && query.op === 'select' && Array.isArray(statusFilter?.[1])) {
+          // One call from an earlier pass is still running
+          return { data: [{ id: 'contact-1', call_id: 'call-1', dialed_at: new Date().toISOString() }], error: null };
+        }
+        if (query.table === 'calls' && query.op === 'select') {
+          return { data: [{ call_id: 'call-1', status: 'in-progress' }], error: null };
+        }
+        if (query.table === 'campaign_contacts' && query.op === 'select') {
+          return { data: pending.slice(0, query.limit), error: null };
+        }
+        if (query.table === 'campaigns' && query.op === 'select') {
+          return { data: { status: 'running' }, error: null };
+        }
+        if (query.table === 'campaign_contacts' && query.op === 'update' && query.values.status === 'dialing') {
+          return { data: [{ id: 'claimed' }], error: null };
+        }
+        return { data: null, error: null };
+      };
+    });
+
+    test('only dials as many contacts as the concurrency cap allows', async () => {
+      makePhoneCallTool.execute.mockResolvedValue({ callId: 'call-2' });
+
+      const result = await processCampaign(campaign);
+
+      expect(result.dialed).toBe(1);
+      expect(makePhoneCallTool.execute).toHaveBeenCalledTimes(1);
+      expect(makePhoneCallTool.execute).toHaveBeenCalledWith(
+        { voice: 'nat', maxDuration: 300, phoneNumber: '+15551234567', task: 'Remind Jane' },
+        expect.objectContaining({ userId: 'user-1', allowDefer: false })
+      );
+
+      const tagged = supabaseAdmin.state.queries.find(query => query.table === 'calls' && query.op === 'update');
+      expect(tagged.values).toEqual({ campaign_id: 'campaign-1' });
+      expect(tagged.filters).toContainEqual(['call_id', 'call-2']);
+    });
+
+    test('returns a row to the queue when the callee is in quiet hours', async () => {
+      makePhoneCallTool.execute.mockRejectedValue(Object.assign(new Error('Call blocked'), {
+        code: 'COMPLIANCE_BLOCKED',
+        details: { reason: 'quiet_hours', nextAllowedAt: '2025-06-01T12:00:00.000Z' }
+      }));
+
+      const result = await processCampaign(campaign);
+
+      expect(result.results[0].status).toBe('deferred');
+      const requeued = supabaseAdmin.state.queries.find(query =>
+        query.table === 'campaign_contacts' && query.op === 'update' && query.values.status === 'pending'
+      );
+      expect(requeued.values.not_before).toBe('2025-06-01T12:00:00.000Z');
+    });
+  });
+});
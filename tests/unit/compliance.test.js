@@ -0,0 +1,106 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const { logAuditEvent } = require('../../services/audit-logging');
+const { inferTimezones, enforceCallCompliance } = require('../../services/compliance');
+
+// Chainable query builder; do-not-call lookups resolve with `dncRows`
+jest.mock('../../config/supabase', () => {
+  const state = { dncRows: [] };
+  const createQuery = (table) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      or: () => builder,
+      is: () => builder,
+      limit: async () => ({ data: table === 'do_not_call_list' ? state.dncRows : [], error: null }),
+      single: async () => ({ data: null, error: { code: 'PGRST116' } })
+    };
+    return builder;
+  };
+
+  return {
+    supabaseAdmin: {
+      state,
+      from: jest.fn(createQuery)
+    }
+  };
+});
+
+jest.mock('../../services/audit-logging', () => ({
+  logAuditEvent: jest.fn().mockResolvedValue()
+}));
+
+describe('Calling compliance', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabaseAdmin.state.dncRows = [];
+  });
+
+  describe('inferTimezones', () => {
+    test('maps North American area codes to their timezone', () => {
+      expect(inferTimezones('+12125551234')).toEqual(['America/New_York']);
+      expect(inferTimezones('+14155551234')).toEqual(['America/Los_Angeles']);
+    });
+
+    test('falls back to every continental zone for unknown area codes', () => {
+      expect(inferTimezones('+15555551234')).toEqual(
+        ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles']
+      );
+    });
+
+    test('maps international numbers by country code', () => {
+      expect(inferTimezones('+442071234567')).toEqual(['Europe/London']);
+      expect(inferTimezones('+353112345678')).toEqual(['Europe/Dublin']);
+    });
+  });
+
+  describe('enforceCallCompliance', () => {
+    // 3 a.m. in New York
+    const night = new Date('2025-06-01T07:00:00Z');
+    // 2 p.m. in New York
+    const afternoon = new Date('2025-06-01T18:00:00Z');
+
+    test('allows calls during the callee\'s calling hours', async () => {
+      const result = await enforceCallCompliance('+12125551234', { userId: 'user-1', at: afternoon });
+
+      expect(result.allowed).toBe(true);
+      expect(logAuditEvent).not.toHaveBeenCalled();
+    });
+
+    test('defers calls in quiet hours to 8 a.m. local time', async () => {
+      const result = await enforceCallCompliance('+12125551234', { userId: 'user-1', at: night });
+
+      expect(result.allowed).toBe(false);
+      expect(result.deferUntil.toISOString()).toBe('2025-06-01T12:00:00.000Z');
+      expect(logAuditEvent).toHaveBeenCalledWith(
+        'compliance.call_deferred',
+        'user-1',
+        expect.objectContaining({ reason: 'quiet_hours', timezone: 'America/New_York' })
+      );
+    });
+
+    test('blocks calls in quiet hours when they cannot be deferred', async () => {
+      await expect(enforceCallCompliance('+12125551234', { userId: 'user-1', at: night, allowDefer: false }))
+        .rejects.toMatchObject({
+          code: 'COMPLIANCE_BLOCKED',
+          details: { reason: 'quiet_hours', nextAllowedAt: '2025-06-01T12:00:00.000Z' }
+        });
+      expect(logAuditEvent).toHaveBeenCalledWith('compliance.call_blocked', 'user-1', expect.any(Object), 'warn');
+    });
+
+    test('blocks numbers on the do-not-call list at any time', async () => {
+      supabaseAdmin.state.dncRows = [{ user_id: null, phone_number: '+12125551234' }];
+
+      await expect(enforceCallCompliance('+1 (212) 555-1234', { userId: 'user-1', at: afternoon }))
+        .rejects.toMatchObject({
+          code: 'COMPLIANCE_BLOCKED',
+          details: { reason: 'do_not_call', scope: 'global', phoneNumber: '+12125551234' }
+        });
+      expect(logAuditEvent).toHaveBeenCalledWith(
+        'compliance.call_blocked',
+        'user-1',
+        expect.objectContaining({ reason: 'do_not_call' }),
+        'warn'
+      );
+    });
+  });
+});
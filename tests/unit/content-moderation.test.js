@@ -0,0 +1,116 @@
+const { enforceContentModeration } = require('../../services/content-moderation');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+const mockModerationsCreate = jest.fn();
+const mockChatCreate = jest.fn();
+
+// The client is created when the module loads, so resolve the mocks lazily
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({
+  moderations: { create: (...args) => mockModerationsCreate(...args) },
+  chat: { completions: { create: (...args) => mockChatCreate(...args) } }
+})));
+
+/**
+ * Build a Supabase stand-in holding the given moderation policy for user-1
+ * @param {Object|null} policy Row returned from moderation_policies
+ * @returns {Object} Fake client
+ */
+function createDb(policy = null) {
+  return createSupabaseFake({
+    tables: { moderation_policies: policy ? [{ user_id: 'user-1', ...policy }] : [] }
+  });
+}
+
+const flagged = {
+  results: [{
+    flagged: true,
+    categories: { 'harassment/threatening': true },
+    category_scores: { 'harassment/threatening': 0.97 }
+  }]
+};
+
+describe('Content moderation gate', () => {
+  const callParams = { task: 'Tell them they will regret it', phone_number: '+15551234567' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('stores a record and returns it for allowed content', async () => {
+    mockModerationsCreate.mockResolvedValue({ results: [{ flagged: false }] });
+    mockChatCreate.mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ isAllowed: true, category: 'safe', reason: 'ok', confidence: 0.9 }) } }]
+    });
+    const db = createDb();
+
+    const record = await enforceContentModeration({ task: 'Confirm the appointment' }, { userId: 'user-1', db });
+
+    expect(record.is_allowed).toBe(true);
+    expect(db.tables.moderation_records).toHaveLength(1);
+    expect(db.tables.moderation_records[0].user_id).toBe('user-1');
+  });
+
+  test('throws a structured rejection for flagged content', async () => {
+    mockModerationsCreate.mockResolvedValue(flagged);
+    const db = createDb();
+
+    await expect(enforceContentModeration(callParams, { userId: 'user-1', db })).rejects.toMatchObject({
+      code: 'CONTENT_REJECTED',
+      details: { code: 'CONTENT_REJECTED', category: 'malicious' }
+    });
+    expect(db.tables.moderation_records[0].is_allowed).toBe(false);
+  });
+
+  test('allows categories the account policy permits', async () => {
+    mockModerationsCreate.mockResolvedValue(flagged);
+    const db = createDb({ allowed_categories: ['malicious'], blocked_terms: [] });
+
+    const record = await enforceContentModeration(callParams, { userId: 'user-1', db });
+
+    expect(record.is_allowed).toBe(true);
+  });
+
+  test('rejects terms blocked by the account policy without calling the API', async () => {
+    const db = createDb({ blocked_terms: ['regret'] });
+
+    await expect(enforceContentModeration(callParams, { userId: 'user-1', db })).rejects.toMatchObject({
+      code: 'CONTENT_REJECTED'
+    });
+    expect(mockModerationsCreate).not.toHaveBeenCalled();
+  });
+
+  test('applies the organization\'s policy to calls placed for it', async () => {
+    const db = createDb({ blocked_terms: ['regret'] });
+    db.tables.moderation_policies.push({ user_id: 'user-2', organization_id: 'org-1', blocked_terms: [] });
+    mockModerationsCreate.mockResolvedValue({ results: [{ flagged: false }] });
+    mockChatCreate.mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ isAllowed: true, category: 'safe', reason: 'ok', confidence: 0.9 }) } }]
+    });
+
+    const record = await enforceContentModeration(callParams, { userId: 'user-1', organizationId: 'org-1', db });
+
+    expect(record.is_allowed).toBe(true);
+    expect(db.tables.moderation_records[0]).toMatchObject({ user_id: 'user-1', organization_id: 'org-1' });
+  });
+
+  test('lets content through on a moderation outage when failing open', async () => {
+    mockModerationsCreate.mockRejectedValue(new Error('Service unavailable'));
+    const db = createDb({ fail_mode: 'open' });
+
+    const record = await enforceContentModeration(callParams, { userId: 'user-1', db });
+
+    expect(record.is_allowed).toBe(true);
+    expect(record.error).toBe('Service unavailable');
+  });
+
+  test('blocks content on a moderation outage when failing closed', async () => {
+    mockModerationsCreate.mockRejectedValue(new Error('Service unavailable'));
+    const db = createDb({ fail_mode: 'closed' });
+
+    await expect(enforceContentModeration(callParams, { userId: 'user-1', db })).rejects.toMatchObject({
+      code: 'CONTENT_REJECTED',
+      details: { category: 'moderation_unavailable' }
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const jwt = require('jsonwebtoken');
+const { authenticateMcp, authenticateUpgrade, DEV_USER } = require('../../mcp/middleware/auth');
+const { verifyApiKey } = require('../../services/api-keys');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../config/supabase', () => {
+  const createQuery = () => {
+    const filters = {};
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters[column] = value;
+        return query;
+      },
+      is: () => query,
+      gt: () => query,
+      single: async () => ({ data: { id: 'user-1', email: 'user@example.com', role: 'user' }, error: null }),
+      // user-1 is a viewer of org-1, and a member of nothing else; session-1
+      // is live and every other session revoked
+      then: (resolve, reject) => Promise.resolve({
+        data: filters.family_id
+          ? (filters.family_id === 'session-1' ? [{ id: 'token-1' }] : [])
+          : filters.organization_id === 'org-1' && filters.user_id === 'user-1'
+            ? [{ organization_id: 'org-1', user_id: 'user-1', role: 'viewer' }]
+            : [],
+        error: null
+      }).then(resolve, reject)
+    };
+    return query;
+  };
+  return { supabase: { from: createQuery } };
+});
+
+jest.mock('../../services/api-keys', () => ({
+  ...jest.requireActual('../../services/api-keys'),
+  verifyApiKey: jest.fn()
+}));
+
+/**
+ * Run authenticateMcp on a request with the given headers
+ * @param {Object} headers Request headers
+ * @returns {Promise<Object>} req, the response status, headers and body, and whether next() was called
+ */
+async function authenticate(headers) {
+  const req = { headers, body: { id: 1 }, ip: '203.0.113.7', protocol: 'https', get: () => 'mcp.example.com' };
+  const outcome = { req, next: false, headers: {} };
+  const res = {
+    set: (name, value) => { outcome.headers[name] = value; },
+    status: (status) => {
+      outcome.status = status;
+      return { json: (body) => { outcome.body = body; } };
+    }
+  };
+  await authenticateMcp(req, res, () => { outcome.next = true; });
+  return outcome;
+}
+
+describe('MCP authentication', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    verifyApiKey.mockResolvedValue({ id: 'key-1', user_id: 'user-1', permissions: ['calls:read'] });
+  });
+
+  test('accepts an API key as a bearer token or x-api-key header, with its scopes', async () => {
+    for (const headers of [{ authorization: 'Bearer alu_abcdefgh_secret' }, { 'x-api-key': 'alu_abcdefgh_secret' }]) {
+      const { req, next } = await authenticate(headers);
+
+      expect(next).toBe(true);
+      expect(req.user).toMatchObject({ id: 'user-1', scopes: ['calls:read'], apiKeyId: 'key-1' });
+    }
+    expect(verifyApiKey).toHaveBeenCalledWith('alu_abcdefgh_secret', { ip: '203.0.113.7' }, expect.anything());
+  });
+
+  test('still accepts JWTs, which act with the user\'s full access', async () => {
+    const token = jwt.sign({ userId: 'user-1' }, 'test-secret');
+    const { req, next } = await authenticate({ authorization: `Bearer ${token}` });
+
+    expect(next).toBe(true);
+    expect(req.user.scopes).toBeUndefined();
+    expect(verifyApiKey).not.toHaveBeenCalled();
+  });
+
+  test('accepts OAuth access tokens, with the scopes the user consented to', async () => {
+    const token = jwt.sign(
+      { userId: 'user-1', sid: 'session-1', client_id: 'mcp_agent', scope: 'calls:read credits:read' },
+      'test-secret',
+      { audience: 'https://mcp.example.com/api/v1/mcp' }
+    );
+    const { req, next } = await authenticate({ authorization: `Bearer ${token}` });
+
+    expect(next).toBe(true);
+    expect(req.user).toMatchObject({ id: 'user-1', scopes: ['calls:read', 'credits:read'], oauthClientId: 'mcp_agent' });
+  });
+
+  test('rejects OAuth access tokens of revoked sessions, without a session or for another resource', async () => {
+    const claims = { userId: 'user-1', client_id: 'mcp_agent', scope: 'calls:read' };
+    const tokens = [
+      jwt.sign({ ...claims, sid: 'session-2' }, 'test-secret', { audience: 'https://mcp.example.com/api/v1/mcp' }),
+      jwt.sign(claims, 'test-secret', { audience: 'https://mcp.example.com/api/v1/mcp' }),
+      jwt.sign({ ...claims, sid: 'session-1' }, 'test-secret', { audience: 'https://other.example.com/api/v1/mcp' }),
+      jwt.sign({ ...claims, sid: 'session-1' }, 'test-secret')
+    ];
+
+    for (const token of tokens) {
+      const { status, next } = await authenticate({ authorization: `Bearer ${token}` });
+      expect(next).toBe(false);
+      expect(status).toBe(401);
+    }
+  });
+
+  test('points unauthenticated clients at the protected resource metadata', async () => {
+    const { status, headers } = await authenticate({});
+
+    expect(status).toBe(401);
+    expect(headers['WWW-Authenticate']).toBe('Bearer resource_metadata="https://mcp.example.com/.well-known/oauth-protected-resource"');
+  });
+
+  test('rejects revoked keys with a JSON-RPC error', async () => {
+    verifyApiKey.mockRejectedValue(Object.assign(new Error('API key has been revoked'), { code: 'API_KEY_REVOKED' }));
+    const { status, body, next } = await authenticate({ 'x-api-key': 'alu_abcdefgh_secret' });
+
+    expect(next).toBe(false);
+    expect(status).toBe(403);
+    expect(body.error).toMatchObject({ code: -32001, message: 'API key revoked' });
+  });
+
+  test('acts for the organization an API key was created for, within the role\'s scopes', async () => {
+    verifyApiKey.mockResolvedValue({ id: 'key-2', user_id: 'user-1', permissions: ['calls:read', 'calls:write'], organization_id: 'org-1' });
+    const { req, next } = await authenticate({ 'x-api-key': 'alu_abcdefgh_secret' });
+
+    expect(next).toBe(true);
+    expect(req.user).toMatchObject({ organizationId: 'org-1', organizationRole: 'viewer', scopes: ['calls:read'] });
+  });
+
+  test('acts for the organization named in X-Organization-Id, for members only', async () => {
+    const token = jwt.sign({ userId: 'user-1' }, 'test-secret');
+
+    const { req } = await authenticate({ authorization: `Bearer ${token}`, 'x-organization-id': 'org-1' });
+    expect(req.user).toMatchObject({ organizationId: 'org-1', organizationRole: 'viewer' });
+    expect(req.user.scopes).toContain('calls:read');
+    expect(req.user.scopes).not.toContain('calls:write');
+
+    const { status, body, next } = await authenticate({ authorization: `Bearer ${token}`, 'x-organization-id': 'org-2' });
+    expect(next).toBe(false);
+    expect(status).toBe(403);
+    expect(body.error).toMatchObject({ message: 'Not a member of this organization' });
+  });
+
+  test('accepts an API key on the WebSocket handshake', async () => {
+    const user = await authenticateUpgrade({
+      url: '/mcp?token=alu_abcdefgh_secret',
+      headers: {},
+      socket: { remoteAddress: '203.0.113.7' }
+    });
+
+    expect(user).toMatchObject({ id: 'user-1', scopes: ['calls:read'] });
+  });
+
+  test('accepts a WebSocket handshake without credentials only when authentication is bypassed', async () => {
+    const { NODE_ENV, BYPASS_MCP_AUTH } = process.env;
+    const upgrade = () => authenticateUpgrade({ url: '/mcp', headers: {}, socket: {} });
+
+    try {
+      process.env.NODE_ENV = 'development';
+      delete process.env.BYPASS_MCP_AUTH;
+      await expect(upgrade()).rejects.toThrow('Missing authentication token');
+
+      process.env.BYPASS_MCP_AUTH = 'true';
+      expect(await upgrade()).toBe(DEV_USER);
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (BYPASS_MCP_AUTH === undefined) {
+        delete process.env.BYPASS_MCP_AUTH;
+      } else {
+        process.env.BYPASS_MCP_AUTH = BYPASS_MCP_AUTH;
+      }
+    }
+  });
+});
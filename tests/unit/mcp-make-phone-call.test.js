@@ -0,0 +1,206 @@
+const axios = require('axios');
+const { supabase } = require('../../config/supabase');
+const billing = require('../../services/billing');
+const moderation = require('../../services/content-moderation');
+const compliance = require('../../services/compliance');
+const scheduledCalls = require('../../services/scheduled-calls');
+const callPreferences = require('../../services/call-preferences');
+const webhooks = require('../../services/webhooks');
+const makePhoneCallTool = require('../../mcp/tools/make-phone-call');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../config/supabase', () => ({
+  supabase: {
+    from: jest.fn().mockReturnThis(),
+    insert: jest.fn().mockResolvedValue({ data: null, error: null })
+  }
+}));
+
+jest.mock('../../google-sheets-logging', () => ({
+  logCallToGoogleSheets: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../services/billing', () => ({
+  reserveCredits: jest.fn(),
+  attachCreditHold: jest.fn().mockResolvedValue(),
+  releaseCreditHold: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../services/content-moderation', () => ({
+  enforceContentModeration: jest.fn().mockResolvedValue({ id: 'mod-1', is_allowed: true }),
+  linkModerationToCall: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../services/compliance', () => ({
+  enforceCallCompliance: jest.fn().mockResolvedValue({ allowed: true })
+}));
+
+jest.mock('../../services/scheduled-calls', () => ({
+  scheduleCall: jest.fn(),
+  resolveScheduledTime: jest.fn()
+}));
+
+jest.mock('../../services/call-preferences', () => ({
+  ...jest.requireActual('../../services/call-preferences'),
+  getCallPreferences: jest.fn()
+}));
+
+jest.mock('../../services/webhooks', () => ({
+  emitEvent: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('axios');
+
+describe('makePhoneCall tool', () => {
+  const context = { userId: 'user-1', sessionId: 'session-1' };
+  const params = { phoneNumber: '+15551234567', task: 'Confirm the appointment', maxDuration: 600 };
+
+  beforeAll(() => {
+    process.env.AILEVELUP_ENTERPRISE_API_KEY = 'test-key';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    callPreferences.getCallPreferences.mockResolvedValue({
+      voice: 'voice-saved',
+      model: 'turbo',
+      temperature: 0.4,
+      fromNumber: '+15550000000',
+      voicemailAction: 'leave_message',
+      sources: {}
+    });
+  });
+
+  test('holds credits for the maximum duration before dialing', async () => {
+    billing.reserveCredits.mockResolvedValue('hold-1');
+    axios.post.mockResolvedValue({ data: { status: 'success', call_id: 'call-1' } });
+
+    const result = await makePhoneCallTool.execute(params, context);
+
+    expect(result.callId).toBe('call-1');
+    expect(billing.reserveCredits).toHaveBeenCalledWith('user-1', 10, { organizationId: null });
+    expect(billing.attachCreditHold).toHaveBeenCalledWith('hold-1', 'call-1');
+    expect(billing.releaseCreditHold).not.toHaveBeenCalled();
+    expect(moderation.linkModerationToCall).toHaveBeenCalledWith('mod-1', 'call-1');
+  });
+
+  test('holds the organization\'s credits and logs the call to it when placed for one', async () => {
+    billing.reserveCredits.mockResolvedValue('hold-1');
+    axios.post.mockResolvedValue({ data: { status: 'success', call_id: 'call-1' } });
+
+    await makePhoneCallTool.execute(params, { ...context, organizationId: 'org-1' });
+
+    expect(billing.reserveCredits).toHaveBeenCalledWith('user-1', 10, { organizationId: 'org-1' });
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      organization_id: 'org-1',
+      call_id: 'call-1'
+    }));
+    expect(moderation.enforceContentModeration).toHaveBeenCalledWith(
+      expect.any(Object),
+      { userId: 'user-1', organizationId: 'org-1' }
+    );
+    expect(compliance.enforceCallCompliance).toHaveBeenCalledWith(
+      params.phoneNumber,
+      expect.objectContaining({ userId: 'user-1', organizationId: 'org-1' })
+    );
+    expect(webhooks.emitEvent).toHaveBeenCalledWith(
+      'call.queued',
+      'user-1',
+      expect.objectContaining({ call_id: 'call-1' }),
+      { organizationId: 'org-1' }
+    );
+  });
+
+  test('fills in settings that were not passed from the user\'s preferences', async () => {
+    billing.reserveCredits.mockResolvedValue('hold-1');
+    axios.post.mockResolvedValue({ data: { status: 'success', call_id: 'call-1' } });
+
+    await makePhoneCallTool.execute({ ...params, voice: 'voice-passed' }, context);
+
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({
+        voice: 'voice-passed',
+        from_number: '+15550000000',
+        temperature: 0.4,
+        voicemail_action: 'leave_message'
+      }),
+      expect.anything()
+    );
+  });
+
+  test('does not hold credits or dial when moderation rejects the task', async () => {
+    moderation.enforceContentModeration.mockRejectedValueOnce(Object.assign(
+      new Error('Content moderation failed: Threatening language'),
+      { code: 'CONTENT_REJECTED', details: { code: 'CONTENT_REJECTED', category: 'malicious' } }
+    ));
+
+    await expect(makePhoneCallTool.execute(params, context)).rejects.toThrow('Content moderation failed');
+    expect(billing.reserveCredits).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('does not dial when the hold cannot be placed', async () => {
+    billing.reserveCredits.mockRejectedValue(new Error('Insufficient credits: $1.00 required'));
+
+    await expect(makePhoneCallTool.execute(params, context)).rejects.toThrow('Insufficient credits');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('releases the hold when the call fails to start', async () => {
+    billing.reserveCredits.mockResolvedValue('hold-2');
+    axios.post.mockRejectedValue(new Error('Provider unavailable'));
+
+    await expect(makePhoneCallTool.execute(params, context)).rejects.toThrow('Provider unavailable');
+    expect(billing.releaseCreditHold).toHaveBeenCalledWith('hold-2');
+    expect(billing.attachCreditHold).not.toHaveBeenCalled();
+  });
+
+  test('defers calls during the callee\'s quiet hours instead of dialing', async () => {
+    const deferUntil = new Date('2025-06-01T12:00:00Z');
+    compliance.enforceCallCompliance.mockResolvedValueOnce({ allowed: false, deferUntil });
+    scheduledCalls.scheduleCall.mockResolvedValue({ id: 'scheduled-1', scheduled_at: deferUntil.toISOString() });
+
+    const result = await makePhoneCallTool.execute(params, context);
+
+    expect(result).toMatchObject({ scheduledCallId: 'scheduled-1', status: 'scheduled', deferred: true });
+    expect(scheduledCalls.scheduleCall).toHaveBeenCalledWith('user-1', params, deferUntil.toISOString(), 'UTC', { organizationId: null });
+    expect(billing.reserveCredits).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('does not hold credits or dial numbers blocked by compliance rules', async () => {
+    compliance.enforceCallCompliance.mockRejectedValueOnce(Object.assign(
+      new Error('Call blocked: the number is on a do-not-call list'),
+      { code: 'COMPLIANCE_BLOCKED', details: { code: 'COMPLIANCE_BLOCKED', reason: 'do_not_call' } }
+    ));
+
+    await expect(makePhoneCallTool.execute(params, context)).rejects.toThrow('do-not-call');
+    expect(billing.reserveCredits).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('rejects a webhook URL; call events go to registered webhook endpoints', () => {
+    expect(makePhoneCallTool.validateParameters({ ...params, webhookUrl: 'https://example.com/hook' })).toMatchObject({
+      message: expect.stringContaining('webhookUrl')
+    });
+  });
+
+  test('does not pass a webhook URL stored with an earlier call to the provider', async () => {
+    billing.reserveCredits.mockResolvedValue('hold-1');
+    axios.post.mockResolvedValue({ data: { status: 'success', call_id: 'call-1' } });
+
+    await makePhoneCallTool.execute({ ...params, webhookUrl: 'https://example.com/hook' }, context);
+
+    expect(axios.post.mock.calls[0][1].webhook).not.toBe('https://example.com/hook');
+  });
+});
@@ -1,5 +1,6 @@
 const { JSONSchemaValidator } = require('../../mcp/lib/validators');
-const { executeToolById } = require('../../mcp/tools');
+const { executeToolById, registerTool } = require('../../mcp/tools');
+const { handleMcpRequest } = require('../../mcp/server');
 
 // Mock dependencies
 jest.mock('../../utils/logger', () => ({
@@ -81,4 +82,129 @@ describe('MCP Server', () => {
         .rejects.toThrow('Tool not found: nonExistentTool');
     });
   });
-}); 
\ No newline at end of file
+  
+  describe('Protocol Methods', () => {
+    const sessionId = 'protocol-test-session';
+    const user = { id: 'protocol-test-user', role: 'user' };
+    
+    beforeAll(async () => {
+      registerTool({
+        name: 'echoTool',
+        description: 'Echo the arguments back',
+        parameters: { type: 'object', properties: { value: { type: 'string' } } },
+        execute: async (args) => ({ echoed: args.value })
+      });
+      registerTool({
+        name: 'failingTool',
+        description: 'Always fails',
+        parameters: { type: 'object', properties: {} },
+        execute: async () => { throw new Error('Upstream unavailable'); }
+      });
+      
+      await handleMcpRequest({
+        jsonrpc: '2.0',
+        id: 0,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', clientInfo: { name: 'jest', version: '1.0.0' } }
+      }, sessionId, { user });
+    });
+    
+    test('should negotiate the protocol version on initialize', async () => {
+      const response = await handleMcpRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2024-11-05', clientInfo: { name: 'jest' } }
+      }, sessionId);
+      
+      expect(response.result.protocolVersion).toBe('2024-11-05');
+      expect(response.result.serverInfo.name).toBe('ailevelup-mcp');
+      expect(response.result.capabilities).toHaveProperty('tools');
+    });
+    
+    test('should list tools with inputSchema', async () => {
+      const response = await handleMcpRequest({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId);
+      
+      const echoTool = response.result.tools.find(tool => tool.name === 'echoTool');
+      expect(echoTool.inputSchema).toEqual({ type: 'object', properties: { value: { type: 'string' } } });
+      expect(echoTool).not.toHaveProperty('parameters');
+    });
+    
+    test('should return content for a successful tools/call', async () => {
+      const response = await handleMcpRequest({
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'echoTool', arguments: { value: 'hello' } }
+      }, sessionId);
+      
+      expect(response.result.isError).toBe(false);
+      expect(response.result.content[0].type).toBe('text');
+      expect(JSON.parse(response.result.content[0].text)).toEqual({ echoed: 'hello' });
+      expect(response.result.structuredContent).toEqual({ echoed: 'hello' });
+    });
+    
+    test('should report tool failures in-band with isError', async () => {
+      const response = await handleMcpRequest({
+        jsonrpc: '2.0',
+        id: 4,
+        method: 'tools/call',
+        params: { name: 'failingTool', arguments: {} }
+      }, sessionId);
+      
+      expect(response.error).toBeUndefined();
+      expect(response.result.isError).toBe(true);
+      expect(response.result.content[0].text).toBe('Upstream unavailable');
+    });
+    
+    test('should return a protocol error for an unknown tool', async () => {
+      const response = await handleMcpRequest({
+        jsonrpc: '2.0',
+        id: 5,
+        method: 'tools/call',
+        params: { name: 'nonExistentTool', arguments: {} }
+      }, sessionId);
+      
+      expect(response.error.code).toBe(-32602);
+    });
+    
+    test('should send progress notifications when a progressToken is provided', async () => {
+      registerTool({
+        name: 'progressTool',
+        description: 'Reports progress',
+        parameters: { type: 'object', properties: {} },
+        execute: async (args, context) => {
+          context.sendProgress(1, 2, 'Halfway');
+          return { done: true };
+        }
+      });
+      const notify = jest.fn();
+      
+      const response = await handleMcpRequest({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tools/call',
+        params: { name: 'progressTool', arguments: {}, _meta: { progressToken: 'token-1' } }
+      }, sessionId, { notify });
+      
+      expect(response.result.isError).toBe(false);
+      expect(notify).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken: 'token-1', progress: 1, total: 2, message: 'Halfway' }
+      });
+    });
+    
+    test('should not respond to notifications/initialized', async () => {
+      const response = await handleMcpRequest({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+      
+      expect(response).toBeNull();
+    });
+    
+    test('should reject tools/list before initialization', async () => {
+      const response = await handleMcpRequest({ jsonrpc: '2.0', id: 6, method: 'tools/list' }, 'unknown-session');
+      
+      expect(response.error.code).toBe(-32000);
+    });
+  });
+});
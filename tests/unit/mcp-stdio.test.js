@@ -0,0 +1,63 @@
+const { PassThrough } = require('stream');
+const { startStdioServer } = require('../../mcp/stdio');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+jest.mock('../../config/redis', () => ({
+  redisClient: {
+    isReady: false
+  }
+}));
+
+/**
+ * Run a list of messages through the stdio transport
+ * @param {Array<string>} lines Raw lines to write to stdin
+ * @returns {Promise<Array<Object>>} Parsed responses written to stdout
+ */
+async function runStdio(lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => { written += chunk.toString(); });
+
+  const done = startStdioServer({ input, output });
+  lines.forEach(line => input.write(`${line}\n`));
+  input.end();
+  await done;
+
+  return written.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('MCP stdio transport', () => {
+  test('should answer requests and skip notifications', async () => {
+    const responses = await runStdio([
+      JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', clientInfo: { name: 'jest' } } }),
+      JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+      JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    ]);
+
+    expect(responses).toHaveLength(2);
+    expect(responses.find(r => r.id === 1).result.serverInfo.name).toBe('ailevelup-mcp');
+    expect(responses.find(r => r.id === 2).result.tools.length).toBeGreaterThan(0);
+  });
+
+  test('should return a parse error for invalid JSON', async () => {
+    const responses = await runStdio(['{not json']);
+
+    expect(responses).toEqual([
+      { jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null }
+    ]);
+  });
+});
@@ -0,0 +1,225 @@
+const { handleMcpRequest } = require('../../mcp/server');
+const { registerTools } = require('../../mcp/tools');
+const { supabase } = require('../../config/supabase');
+const { ROLE_SCOPES } = require('../../services/organizations');
+const axios = require('axios');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Chainable query builder that records every filter applied to it
+jest.mock('../../config/supabase', () => {
+  const queries = [];
+  const createQuery = (table) => {
+    const query = { table, filters: [] };
+    const result = () => Promise.resolve(
+      table === 'calls'
+        ? { data: { call_id: 'call-1', status: 'queued' }, error: null }
+        : { data: { balance: 10 }, error: null, count: 0 }
+    );
+    const builder = {
+      select: () => builder,
+      update: () => builder,
+      insert: () => builder,
+      order: () => builder,
+      range: () => builder,
+      gte: () => builder,
+      lte: () => builder,
+      eq: (column, value) => {
+        query.filters.push([column, value]);
+        return builder;
+      },
+      is: (column, value) => {
+        query.filters.push([column, value]);
+        return builder;
+      },
+      single: result,
+      then: (resolve, reject) => result().then(resolve, reject)
+    };
+    queries.push(query);
+    return builder;
+  };
+
+  return {
+    supabase: {
+      queries,
+      from: jest.fn(createQuery),
+      rpc: jest.fn().mockResolvedValue({ data: null, error: null })
+    },
+    supabaseAdmin: {
+      from: jest.fn(createQuery)
+    }
+  };
+});
+
+jest.mock('../../config/redis', () => ({
+  redisClient: {
+    isReady: false
+  }
+}));
+
+jest.mock('axios');
+
+jest.mock('../../services/billing', () => ({
+  finalizeCallCredits: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../services/scheduled-calls', () => ({
+  cancelScheduledCall: jest.fn().mockResolvedValue(null)
+}));
+
+const userA = { id: 'user-a', role: 'user' };
+const userB = { id: 'user-b', role: 'user' };
+
+/**
+ * Call a tool over MCP as the given user
+ * @param {string} sessionId Session identifier
+ * @param {Object} user Authenticated user
+ * @param {string} name Tool name
+ * @param {Object} args Tool arguments
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+function callTool(sessionId, user, name, args = {}) {
+  return handleMcpRequest({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'tools/call',
+    params: { name, arguments: args }
+  }, sessionId, { user });
+}
+
+/**
+ * Collect the user_id filters applied to every query so far
+ * @returns {Array<string>} Filtered user IDs
+ */
+function userIdFilters() {
+  return supabase.queries.flatMap(query =>
+    query.filters.filter(([column]) => column === 'user_id').map(([, value]) => value)
+  );
+}
+
+describe('MCP user scoping', () => {
+  const sessionId = 'user-a-session';
+
+  beforeAll(async () => {
+    registerTools();
+
+    await handleMcpRequest({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', clientInfo: { name: 'jest' } }
+    }, sessionId, { user: userA });
+  });
+
+  beforeEach(() => {
+    supabase.queries.length = 0;
+    supabase.rpc.mockClear();
+  });
+
+  test('getCallHistory only queries the session user', async () => {
+    const response = await callTool(sessionId, userA, 'getCallHistory');
+
+    expect(response.result.isError).toBe(false);
+    expect(userIdFilters().length).toBeGreaterThan(0);
+    expect(userIdFilters().every(id => id === userA.id)).toBe(true);
+  });
+
+  test('getCredits only queries the session user', async () => {
+    const response = await callTool(sessionId, userA, 'getCredits');
+
+    expect(response.result.isError).toBe(false);
+    expect(userIdFilters().length).toBeGreaterThan(0);
+    expect(userIdFilters().every(id => id === userA.id)).toBe(true);
+  });
+
+  test('cancelCall only looks up and updates calls owned by the session user', async () => {
+    axios.post.mockResolvedValue({ data: { status: 'success' } });
+
+    const response = await callTool(sessionId, userA, 'cancelCall', { callId: 'call-1' });
+
+    expect(response.result.isError).toBe(false);
+    const callQueries = supabase.queries.filter(query => query.table === 'calls');
+    expect(callQueries).toHaveLength(2);
+    callQueries.forEach(query => {
+      expect(query.filters).toContainEqual(['user_id', userA.id]);
+    });
+  });
+
+  test('addCredits credits the session user', async () => {
+    const response = await callTool(sessionId, userA, 'addCredits', { amount: 5 });
+
+    expect(response.result.isError).toBe(false);
+    expect(supabase.rpc).toHaveBeenCalledWith('add_user_credits', expect.objectContaining({ p_user_id: userA.id }));
+    expect(userIdFilters().every(id => id === userA.id)).toBe(true);
+  });
+
+  test('rejects requests from a different user on the same session', async () => {
+    const response = await callTool(sessionId, userB, 'getCredits');
+
+    expect(response.error.code).toBe(-32001);
+    expect(supabase.queries).toHaveLength(0);
+  });
+
+  test('rejects tool calls without an authenticated user', async () => {
+    const anonymousSession = 'anonymous-session';
+    await handleMcpRequest({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', clientInfo: { name: 'jest' } }
+    }, anonymousSession);
+
+    const response = await callTool(anonymousSession, undefined, 'getCredits');
+
+    expect(response.error.code).toBe(-32001);
+    expect(supabase.queries).toHaveLength(0);
+  });
+
+  test('limits sessions authenticated with an API key to the key\'s scopes', async () => {
+    const keySession = 'api-key-session';
+    const keyUser = { id: 'user-c', role: 'user', scopes: ['calls:read'] };
+    await handleMcpRequest({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', clientInfo: { name: 'jest' } }
+    }, keySession, { user: keyUser });
+
+    const history = await callTool(keySession, keyUser, 'getCallHistory');
+    expect(history.result.isError).toBe(false);
+
+    supabase.queries.length = 0;
+    const credits = await callTool(keySession, keyUser, 'addCredits', { amount: 5 });
+    expect(credits.error.code).toBe(-32001);
+    expect(credits.error.data).toEqual({ requiredScope: 'billing:write' });
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  test('scopes sessions acting for an organization to its data and the member\'s role', async () => {
+    const organizationSession = 'organization-session';
+    const member = { id: 'user-a', role: 'user', organizationId: 'org-1', organizationRole: 'caller', scopes: ROLE_SCOPES.caller };
+    await handleMcpRequest({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', clientInfo: { name: 'jest' } }
+    }, organizationSession, { user: member });
+
+    const history = await callTool(organizationSession, member, 'getCallHistory');
+    expect(history.result.isError).toBe(false);
+    expect(supabase.queries.flatMap(query => query.filters)).toContainEqual(['organization_id', 'org-1']);
+    expect(userIdFilters()).toEqual([]);
+
+    supabase.queries.length = 0;
+    const credits = await callTool(organizationSession, member, 'addCredits', { amount: 5 });
+    expect(credits.error.data).toEqual({ requiredScope: 'billing:write' });
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
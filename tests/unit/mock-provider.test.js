@@ -0,0 +1,86 @@
+const axios = require('axios');
+const { createMockProvider } = require('../../services/providers/mock');
+
+jest.mock('axios');
+
+describe('Mock telephony provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.post.mockResolvedValue({ status: 200 });
+    // Frozen clock; tests move it with advanceTime
+    provider = createMockProvider({ now: () => Date.parse('2025-06-01T12:00:00Z'), talkSeconds: 60 });
+  });
+
+  test('moves an answered call through every stage to completed', async () => {
+    const { callId } = await provider.dial({ phoneNumber: '+15551234567', task: 'Confirm Friday' });
+    const statuses = [];
+
+    for (const seconds of [0, 3, 5, 60]) {
+      provider.advanceTime(seconds * 1000);
+      statuses.push((await provider.getCall(callId)).status);
+    }
+
+    expect(statuses).toEqual(['queued', 'ringing', 'in_progress', 'completed']);
+
+    const call = await provider.getCall(callId);
+    expect(call).toMatchObject({ durationSeconds: 60, answeredBy: 'human' });
+    expect(call.transcript).toContain('Confirm Friday');
+    expect(call.recordingUrl).toMatch(/^mock:\/\/recordings\//);
+  });
+
+  test('picks the outcome from the number dialed', async () => {
+    const noAnswer = await provider.dial({ phoneNumber: '+15550000000', task: 'Hi' });
+    const voicemail = await provider.dial({ phoneNumber: '+15550000002', task: 'Hi' });
+
+    provider.advanceTime(120 * 1000);
+
+    await expect(provider.getCall(noAnswer.callId)).resolves.toMatchObject({
+      status: 'failed',
+      providerStatus: 'no-answer',
+      durationSeconds: 0,
+      transcript: null
+    });
+    await expect(provider.getCall(voicemail.callId)).resolves.toMatchObject({
+      status: 'completed',
+      answeredBy: 'voicemail'
+    });
+  });
+
+  test('posts the finished call to the provider webhook once', async () => {
+    provider = createMockProvider({
+      now: () => Date.parse('2025-06-01T12:00:00Z'),
+      talkSeconds: 60,
+      webhookUrl: 'https://example.com/hook'
+    });
+    const { callId } = await provider.dial({ phoneNumber: '+15551234567', task: 'Hi' });
+
+    provider.advanceTime(10 * 1000);
+    expect(axios.post).not.toHaveBeenCalled();
+
+    provider.advanceTime(120 * 1000);
+    await provider.getCall(callId);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://example.com/hook',
+      expect.objectContaining({ call_id: callId, status: 'completed' }),
+      expect.any(Object)
+    );
+  });
+
+  test('stops a call in progress', async () => {
+    const { callId } = await provider.dial({ phoneNumber: '+15551234567', task: 'Hi' });
+    provider.advanceTime(20 * 1000);
+
+    await expect(provider.stop(callId)).resolves.toMatchObject({ success: true });
+    provider.advanceTime(120 * 1000);
+
+    await expect(provider.getCall(callId)).resolves.toMatchObject({
+      status: 'cancelled',
+      durationSeconds: 12,
+      endedBy: 'API'
+    });
+  });
+});
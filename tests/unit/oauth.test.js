@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  registerClient,
+  validateAuthorizationRequest,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  refreshAccessToken
+} = require('../../services/oauth');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+const RESOURCE = 'https://mcp.example.com/api/v1/mcp';
+const verifier = crypto.randomBytes(32).toString('base64url');
+const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+async function authorize(db, clientId, scope) {
+  const request = await validateAuthorizationRequest({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: 'http://127.0.0.1:33418/callback',
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+    scope,
+    state: 'xyz'
+  }, { resource: RESOURCE, db });
+  return createAuthorizationCode('user-1', request, { db });
+}
+
+describe('OAuth', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  test('registers public clients with safe redirect URIs only', async () => {
+    const db = createSupabaseFake();
+
+    const client = await registerClient({
+      client_name: 'Agent',
+      redirect_uris: ['http://127.0.0.1/callback', 'https://agent.example.com/cb'],
+      grant_types: ['authorization_code', 'refresh_token']
+    }, { db });
+    expect(client.client_id).toMatch(/^mcp_/);
+    expect(client.token_endpoint_auth_method).toBe('none');
+
+    await expect(registerClient({ redirect_uris: ['http://agent.example.com/cb'] }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_redirect_uri' } });
+    await expect(registerClient({ redirect_uris: ['https://agent.example.com/cb'], token_endpoint_auth_method: 'client_secret_basic' }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_client_metadata' } });
+  });
+
+  test('only redirects errors once the redirect URI is known to be registered', async () => {
+    const db = createSupabaseFake();
+    const { client_id: clientId } = await registerClient({ redirect_uris: ['https://agent.example.com/cb'] }, { db });
+
+    const err = await validateAuthorizationRequest({ client_id: clientId, redirect_uri: 'https://evil.example.com/cb' }, { db })
+      .catch(error => error);
+    expect(err.details).toMatchObject({ error: 'invalid_request' });
+    expect(err.details).not.toHaveProperty('redirectUri');
+    await expect(validateAuthorizationRequest({ client_id: clientId, response_type: 'code', state: 's' }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_request', redirectUri: 'https://agent.example.com/cb', state: 's' } });
+    await expect(validateAuthorizationRequest({
+      client_id: clientId,
+      response_type: 'code',
+      code_challenge: challenge,
+      code_challenge_method: 'S256',
+      scope: 'calls:read admin'
+    }, { db })).rejects.toMatchObject({ details: { error: 'invalid_scope' } });
+  });
+
+  test('exchanges a code once, for the verifier it was issued against', async () => {
+    const db = createSupabaseFake();
+    const { client_id: clientId } = await registerClient({ redirect_uris: ['http://127.0.0.1/callback'] }, { db });
+    const code = await authorize(db, clientId, 'calls:read credits:read');
+
+    await expect(exchangeAuthorizationCode({ code, client_id: clientId, code_verifier: 'x'.repeat(43) }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_grant' } });
+
+    const tokens = await exchangeAuthorizationCode({ code, client_id: clientId, code_verifier: verifier }, { db });
+    expect(tokens).toMatchObject({ token_type: 'Bearer', expires_in: 3600, scope: 'calls:read credits:read' });
+    expect(jwt.verify(tokens.access_token, 'test-secret')).toMatchObject({
+      userId: 'user-1',
+      client_id: clientId,
+      scope: 'calls:read credits:read',
+      sid: db.tables.refresh_tokens[0].family_id,
+      aud: RESOURCE
+    });
+    expect(JSON.stringify(db.tables.refresh_tokens)).not.toContain(tokens.refresh_token);
+
+    await expect(exchangeAuthorizationCode({ code, client_id: clientId, code_verifier: verifier }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_grant' } });
+  });
+
+  test('rotates refresh tokens, lets a refresh narrow the grant and revokes it on reuse', async () => {
+    const db = createSupabaseFake();
+    const { client_id: clientId } = await registerClient({ redirect_uris: ['http://127.0.0.1/callback'] }, { db });
+    const code = await authorize(db, clientId, 'calls:read calls:write');
+    const { refresh_token: first } = await exchangeAuthorizationCode({ code, client_id: clientId, code_verifier: verifier }, { db });
+
+    const refreshed = await refreshAccessToken({ refresh_token: first, client_id: clientId, scope: 'calls:read' }, { db });
+    expect(refreshed.refresh_token).not.toBe(first);
+    expect(refreshed.scope).toBe('calls:read');
+    // The new access token stays in the grant's session
+    expect(jwt.verify(refreshed.access_token, 'test-secret').sid).toBe(db.tables.refresh_tokens[0].family_id);
+
+    await expect(refreshAccessToken({ refresh_token: refreshed.refresh_token, client_id: clientId, scope: 'calls:write' }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_scope' } });
+
+    // Replaying the rotated token revokes the grant, including the live token
+    await expect(refreshAccessToken({ refresh_token: first, client_id: clientId }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_grant' } });
+    await expect(refreshAccessToken({ refresh_token: refreshed.refresh_token, client_id: clientId }, { db }))
+      .rejects.toMatchObject({ details: { error: 'invalid_grant' } });
+  });
+});
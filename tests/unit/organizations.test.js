@@ -0,0 +1,135 @@
+const {
+  getRoleScopes,
+  forAccount,
+  createOrganization,
+  listOrganizations,
+  getOrganizationAccess,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  acceptInvitation
+} = require('../../services/organizations');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+/**
+ * Create an organization owned by user-1 with user-2 as an admin
+ */
+async function createTeam(db) {
+  db.tables.users = [
+    { id: 'user-1', email: 'owner@example.com' },
+    { id: 'user-2', email: 'admin@example.com' },
+    { id: 'user-3', email: 'caller@example.com' }
+  ];
+  const organization = await createOrganization('user-1', { name: ' Acme ' }, { db });
+  db.tables.organization_members.push({ organization_id: organization.id, user_id: 'user-2', role: 'admin' });
+  return organization;
+}
+
+describe('Organizations', () => {
+  test('maps roles onto scopes, narrowed to the credential used', () => {
+    expect(getRoleScopes('caller')).toContain('calls:write');
+    expect(getRoleScopes('caller')).not.toContain('billing:write');
+    expect(getRoleScopes('viewer')).not.toContain('calls:write');
+    expect(getRoleScopes('admin', ['calls:read', 'billing:write'])).toEqual(['calls:read', 'billing:write']);
+    expect(getRoleScopes('viewer', ['calls:read', 'calls:write'])).toEqual(['calls:read']);
+    expect(getRoleScopes('unknown')).toEqual([]);
+  });
+
+  test('limits queries to the organization or to personal rows', () => {
+    const calls = [];
+    const query = {
+      eq: (...args) => { calls.push(['eq', ...args]); return query; },
+      is: (...args) => { calls.push(['is', ...args]); return query; }
+    };
+
+    forAccount(query, 'user-1', 'org-1');
+    expect(calls).toEqual([['eq', 'organization_id', 'org-1']]);
+
+    calls.length = 0;
+    forAccount(query, 'user-1', null);
+    expect(calls).toEqual([['eq', 'user_id', 'user-1'], ['is', 'organization_id', null]]);
+  });
+
+  test('makes the creator owner and gives the organization its own balance', async () => {
+    const db = createSupabaseFake();
+    const organization = await createTeam(db);
+
+    expect(organization).toMatchObject({ name: 'Acme', role: 'owner' });
+    expect(db.tables.credits).toHaveLength(1);
+    expect(db.tables.credits[0]).toMatchObject({ organization_id: organization.id, balance: 0 });
+    expect(db.tables.credits[0].user_id).toBeUndefined();
+
+    expect(await listOrganizations('user-2', { db })).toEqual([
+      { id: organization.id, name: 'Acme', role: 'admin', createdAt: organization.createdAt }
+    ]);
+    await expect(getOrganizationAccess('user-3', organization.id, { db })).rejects.toMatchObject({ code: 'NOT_A_MEMBER' });
+  });
+
+  test('accepts an invitation once, and only for the address it was sent to', async () => {
+    const db = createSupabaseFake();
+    const organization = await createTeam(db);
+
+    const { token, invitation } = await createInvitation(organization.id, {
+      email: 'Caller@Example.com',
+      role: 'caller',
+      invitedBy: 'user-2',
+      actorRole: 'admin'
+    }, { db });
+
+    expect(invitation).toMatchObject({ email: 'caller@example.com', role: 'caller' });
+    expect(JSON.stringify(db.tables.organization_invitations)).not.toContain(token);
+
+    await expect(acceptInvitation(token, { id: 'user-2', email: 'admin@example.com' }, { db }))
+      .rejects.toMatchObject({ code: 'INVITATION_EMAIL_MISMATCH' });
+
+    const joined = await acceptInvitation(token, { id: 'user-3', email: 'caller@example.com' }, { db });
+    expect(joined).toMatchObject({ id: organization.id, role: 'caller' });
+    expect(await getOrganizationAccess('user-3', organization.id, { db })).toMatchObject({ role: 'caller' });
+
+    await expect(acceptInvitation(token, { id: 'user-3', email: 'caller@example.com' }, { db }))
+      .rejects.toMatchObject({ code: 'INVALID_INVITATION' });
+  });
+
+  test('refuses expired invitations', async () => {
+    const db = createSupabaseFake();
+    const organization = await createTeam(db);
+    const { token } = await createInvitation(organization.id, {
+      email: 'caller@example.com',
+      role: 'viewer',
+      actorRole: 'owner'
+    }, { db });
+
+    db.tables.organization_invitations[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    await expect(acceptInvitation(token, { id: 'user-3', email: 'caller@example.com' }, { db }))
+      .rejects.toMatchObject({ code: 'INVITATION_EXPIRED' });
+  });
+
+  test('only lets owners manage owners', async () => {
+    const db = createSupabaseFake();
+    const organization = await createTeam(db);
+
+    await expect(createInvitation(organization.id, { email: 'caller@example.com', role: 'owner', actorRole: 'admin' }, { db }))
+      .rejects.toMatchObject({ code: 'ORGANIZATION_PERMISSION_DENIED' });
+    await expect(updateMemberRole(organization.id, 'user-2', 'owner', { actorRole: 'admin', db }))
+      .rejects.toMatchObject({ code: 'ORGANIZATION_PERMISSION_DENIED' });
+    await expect(removeMember(organization.id, 'user-1', { actorId: 'user-2', actorRole: 'admin', db }))
+      .rejects.toMatchObject({ code: 'ORGANIZATION_PERMISSION_DENIED' });
+
+    expect(await updateMemberRole(organization.id, 'user-2', 'owner', { actorRole: 'owner', db }))
+      .toEqual({ userId: 'user-2', role: 'owner' });
+  });
+
+  test('keeps at least one owner', async () => {
+    const db = createSupabaseFake();
+    const organization = await createTeam(db);
+
+    await expect(updateMemberRole(organization.id, 'user-1', 'admin', { actorRole: 'owner', db }))
+      .rejects.toMatchObject({ code: 'LAST_OWNER' });
+    await expect(removeMember(organization.id, 'user-1', { actorId: 'user-1', actorRole: 'owner', db }))
+      .rejects.toMatchObject({ code: 'LAST_OWNER' });
+
+    // Members can always leave
+    expect(await removeMember(organization.id, 'user-2', { actorId: 'user-2', actorRole: 'admin', db })).toBe(true);
+    expect(await listOrganizations('user-2', { db })).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+const { ingestProviderUpdate } = require('../../services/call-state');
+const { resetProviders } = require('../../services/providers');
+const { signWebhook } = require('../../services/providers/bland');
+const { receiveProviderEvent } = require('../../services/provider-webhooks');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+jest.mock('axios');
+
+jest.mock('../../services/call-state', () => ({
+  ingestProviderUpdate: jest.fn()
+}));
+
+/**
+ * Fake Supabase client whose event archive already holds `events`
+ */
+function createDb(events = []) {
+  return createSupabaseFake({
+    tables: { provider_webhook_events: events.map(row => ({ provider: 'bland', ...row })) },
+    unique: { provider_webhook_events: ['provider', 'event_id'] }
+  });
+}
+
+const secret = 'whsec_provider';
+const rawBody = JSON.stringify({
+  call_id: 'call-1',
+  status: 'completed',
+  call_length: 1.5,
+  concatenated_transcript: 'assistant: Hi'
+});
+
+describe('Provider webhooks', () => {
+  beforeAll(() => {
+    process.env.BLAND_WEBHOOK_SECRET = secret;
+    resetProviders();
+  });
+
+  afterAll(() => {
+    delete process.env.BLAND_WEBHOOK_SECRET;
+    resetProviders();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ingestProviderUpdate.mockResolvedValue({ callId: 'call-1', changed: true, from: 'in_progress', to: 'completed' });
+  });
+
+  test('applies a signed event and archives it as processed', async () => {
+    const db = createDb();
+
+    const result = await receiveProviderEvent(rawBody, {
+      'x-webhook-signature': signWebhook(secret, rawBody)
+    }, { db });
+
+    expect(result.duplicate).toBe(false);
+    expect(ingestProviderUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        callId: 'call-1',
+        status: 'completed',
+        durationSeconds: 90,
+        transcript: 'assistant: Hi'
+      }),
+      { source: 'webhook', db }
+    );
+    expect(db.tables.provider_webhook_events).toEqual([
+      expect.objectContaining({ event_id: result.eventId, call_id: 'call-1', status: 'processed' })
+    ]);
+  });
+
+  test('rejects an event with a bad signature', async () => {
+    const db = createDb();
+
+    await expect(receiveProviderEvent(rawBody, {
+      'x-webhook-signature': signWebhook('whsec_other', rawBody)
+    }, { db })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+
+    expect(db.from).not.toHaveBeenCalled();
+    expect(ingestProviderUpdate).not.toHaveBeenCalled();
+  });
+
+  test('ignores an event that was already processed', async () => {
+    const db = createDb();
+    const headers = { 'x-webhook-signature': signWebhook(secret, rawBody) };
+    const { eventId } = await receiveProviderEvent(rawBody, headers, { db });
+    ingestProviderUpdate.mockClear();
+
+    const result = await receiveProviderEvent(rawBody, headers, { db });
+
+    expect(result).toEqual({ eventId, duplicate: true });
+    expect(ingestProviderUpdate).not.toHaveBeenCalled();
+  });
+
+  test('claims an event again when an earlier attempt failed or stalled', async () => {
+    const headers = { 'x-webhook-signature': signWebhook(secret, rawBody) };
+    const { eventId } = await receiveProviderEvent(rawBody, headers, { db: createDb() });
+    const attempt = (status, secondsAgo) => ({
+      id: 'event-row-1',
+      event_id: eventId,
+      status,
+      received_at: new Date(Date.now() - secondsAgo * 1000).toISOString()
+    });
+    ingestProviderUpdate.mockClear();
+
+    // An attempt that is still within its one-minute lease keeps the event
+    expect(await receiveProviderEvent(rawBody, headers, { db: createDb([attempt('received', 10)]) }))
+      .toEqual({ eventId, duplicate: true });
+
+    for (const earlier of [attempt('failed', 10), attempt('received', 90)]) {
+      const db = createDb([earlier]);
+      expect((await receiveProviderEvent(rawBody, headers, { db })).duplicate).toBe(false);
+      expect(db.tables.provider_webhook_events[0].status).toBe('processed');
+    }
+    expect(ingestProviderUpdate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,112 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const makePhoneCallTool = require('../../mcp/tools/make-phone-call');
+const { resolveScheduledTime, dispatchScheduledCall } = require('../../services/scheduled-calls');
+
+// Each update() call resolves with the next queued result
+jest.mock('../../config/supabase', () => {
+  const updates = [];
+  const results = [];
+  const builder = {
+    update: (values) => {
+      updates.push(values);
+      return builder;
+    },
+    eq: () => builder,
+    select: () => Promise.resolve(results.shift() || { data: [], error: null }),
+    then: (resolve, reject) => Promise.resolve({ error: null }).then(resolve, reject)
+  };
+
+  return {
+    supabaseAdmin: {
+      updates,
+      results,
+      from: jest.fn(() => builder)
+    }
+  };
+});
+
+jest.mock('../../mcp/tools/make-phone-call', () => ({
+  execute: jest.fn()
+}));
+
+describe('Scheduled calls', () => {
+  describe('resolveScheduledTime', () => {
+    beforeAll(() => {
+      jest.useFakeTimers().setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    test('uses times with an explicit offset as-is', () => {
+      expect(resolveScheduledTime('2025-06-01T09:00:00+02:00', 'America/New_York').toISOString())
+        .toBe('2025-06-01T07:00:00.000Z');
+    });
+
+    test('reads times without an offset as wall-clock time in the timezone', () => {
+      // Eastern daylight time in summer, standard time in winter
+      expect(resolveScheduledTime('2025-06-01T09:00', 'America/New_York').toISOString())
+        .toBe('2025-06-01T13:00:00.000Z');
+      expect(resolveScheduledTime('2025-12-01T09:00', 'America/New_York').toISOString())
+        .toBe('2025-12-01T14:00:00.000Z');
+    });
+
+    test('rejects unknown timezones', () => {
+      expect(() => resolveScheduledTime('2025-06-01T09:00', 'Mars/Olympus_Mons')).toThrow('Invalid timezone');
+    });
+
+    test('rejects times in the past', () => {
+      expect(() => resolveScheduledTime('2024-06-01T09:00:00Z')).toThrow('must be in the future');
+    });
+  });
+
+  describe('dispatchScheduledCall', () => {
+    const scheduledCall = {
+      id: 'scheduled-1',
+      user_id: 'user-1',
+      call_params: { phoneNumber: '+15551234567', task: 'Confirm the appointment' }
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      supabaseAdmin.updates.length = 0;
+      supabaseAdmin.results.length = 0;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('dials the call as its owner and records the call ID', async () => {
+      supabaseAdmin.results.push({ data: [{ id: 'scheduled-1' }], error: null });
+      makePhoneCallTool.execute.mockResolvedValue({ callId: 'call-1' });
+
+      const result = await dispatchScheduledCall(scheduledCall);
+
+      expect(result).toEqual({ scheduledCallId: 'scheduled-1', status: 'dispatched', callId: 'call-1' });
+      expect(makePhoneCallTool.execute).toHaveBeenCalledWith(
+        scheduledCall.call_params,
+        expect.objectContaining({ userId: 'user-1' })
+      );
+      expect(supabaseAdmin.updates[1]).toMatchObject({ status: 'dispatched', call_id: 'call-1' });
+    });
+
+    test('skips calls another dispatcher already claimed', async () => {
+      const result = await dispatchScheduledCall(scheduledCall);
+
+      expect(result.status).toBe('skipped');
+      expect(makePhoneCallTool.execute).not.toHaveBeenCalled();
+    });
+
+    test('marks the call failed when dialing fails', async () => {
+      supabaseAdmin.results.push({ data: [{ id: 'scheduled-1' }], error: null });
+      makePhoneCallTool.execute.mockRejectedValue(new Error('Insufficient credits: $1.00 required'));
+
+      const result = await dispatchScheduledCall(scheduledCall);
+
+      expect(result.status).toBe('failed');
+      expect(supabaseAdmin.updates[1]).toMatchObject({
+        status: 'failed',
+        error_message: 'Insufficient credits: $1.00 required'
+      });
+    });
+  });
+});
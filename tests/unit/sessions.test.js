@@ -0,0 +1,66 @@
+const {
+  describeDevice,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession
+} = require('../../services/sessions');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+describe('Sessions', () => {
+  test('rotates the refresh token on every use, within one session', async () => {
+    const db = createSupabaseFake();
+    const { refreshToken, sessionId } = await createSession('user-1', { userAgent: CHROME_ON_MAC, ip: '203.0.113.7' }, { db });
+
+    expect(JSON.stringify(db.tables.refresh_tokens)).not.toContain(refreshToken);
+
+    const rotated = await rotateRefreshToken(refreshToken, { ip: '198.51.100.20' }, { db });
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.session).toMatchObject({ user_id: 'user-1', family_id: sessionId, ip_address: '198.51.100.20' });
+    expect(db.tables.refresh_tokens[0].revoked_at).toEqual(expect.any(String));
+
+    const sessions = await listSessions('user-1', { currentSessionId: sessionId, db });
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ id: sessionId, device: 'Chrome on macOS', ipAddress: '198.51.100.20', current: true });
+  });
+
+  test('revokes the whole session when a rotated token is presented again', async () => {
+    const db = createSupabaseFake();
+    const { refreshToken, sessionId } = await createSession('user-1', {}, { db });
+    const { refreshToken: live } = await rotateRefreshToken(refreshToken, {}, { db });
+
+    await expect(rotateRefreshToken(refreshToken, {}, { db })).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    await expect(rotateRefreshToken(live, {}, { db })).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(await isSessionActive(sessionId, { db })).toBe(false);
+  });
+
+  test('refuses expired tokens and tokens of another client', async () => {
+    const db = createSupabaseFake();
+    const { refreshToken } = await createSession('user-1', { clientId: 'mcp_agent', scopes: ['calls:read'] }, { db });
+
+    await expect(rotateRefreshToken(refreshToken, {}, { db })).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    await expect(rotateRefreshToken(refreshToken, { clientId: 'mcp_agent', scopes: ['calls:write'] }, { db }))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_SCOPE_EXCEEDED' });
+
+    db.tables.refresh_tokens[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    await expect(rotateRefreshToken(refreshToken, { clientId: 'mcp_agent' }, { db })).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+  });
+
+  test('only revokes the user\'s own sessions', async () => {
+    const db = createSupabaseFake();
+    const { sessionId } = await createSession('user-1', {}, { db });
+
+    expect(await revokeSession('user-2', sessionId, { db })).toBe(false);
+    expect(await revokeSession('user-1', sessionId, { db })).toBe(true);
+    expect(await listSessions('user-1', { db })).toEqual([]);
+  });
+
+  test('describes devices from their user agent', () => {
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1')).toBe('Safari on iOS');
+    expect(describeDevice('node-fetch/1.0 (+https://github.com/bitinn/node-fetch)')).toBe('node-fetch/1.0');
+    expect(describeDevice(undefined)).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,98 @@
+const axios = require('axios');
+const { createBlandProvider, mapStatus } = require('../../services/providers/bland');
+const { getProvider, registerProvider } = require('../../services/providers');
+
+jest.mock('axios');
+
+describe('Telephony providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Bland.AI provider', () => {
+    const provider = createBlandProvider({
+      apiKey: 'test-key',
+      baseUrl: 'https://api.example.com/',
+      webhookUrl: 'https://wrapper.example.com/api/v1/webhooks/provider'
+    });
+
+    test('maps Bland.AI statuses onto internal statuses', () => {
+      expect(mapStatus('ringing')).toBe('ringing');
+      expect(mapStatus('in-progress')).toBe('in_progress');
+      expect(mapStatus('no-answer')).toBe('failed');
+      expect(mapStatus('canceled')).toBe('cancelled');
+      expect(mapStatus('something-new')).toBe('unknown');
+    });
+
+    test('dials with Bland.AI field names, the limit in minutes and our own webhook', async () => {
+      axios.post.mockResolvedValue({ data: { status: 'success', call_id: 'call-1' } });
+
+      const call = await provider.dial({
+        phoneNumber: '+15551234567',
+        task: 'Confirm the appointment',
+        maxDuration: 300,
+        webhookUrl: 'https://attacker.example.com/hook'
+      });
+
+      expect(call).toMatchObject({ callId: 'call-1', status: 'queued' });
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://api.example.com/v1/calls',
+        {
+          phone_number: '+15551234567',
+          task: 'Confirm the appointment',
+          max_duration: 5,
+          webhook: 'https://wrapper.example.com/api/v1/webhooks/provider'
+        },
+        { headers: expect.objectContaining({ 'Authorization': 'Bearer test-key' }) }
+      );
+    });
+
+    test('normalizes call details, wrapped or not', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: { status: 'success', call: { call_id: 'call-1', status: 'completed', call_length_seconds: 95 } }
+      });
+      axios.get.mockResolvedValueOnce({
+        data: { call_id: 'call-2', status: 'in-progress', call_length: 1.5, answered_by: 'human' }
+      });
+
+      await expect(provider.getCall('call-1')).resolves.toMatchObject({
+        callId: 'call-1',
+        status: 'completed',
+        providerStatus: 'completed',
+        durationSeconds: 95
+      });
+      await expect(provider.getCall('call-2')).resolves.toMatchObject({
+        callId: 'call-2',
+        status: 'in_progress',
+        durationSeconds: 90,
+        answeredBy: 'human'
+      });
+    });
+
+    test('reports upstream HTTP errors as provider errors', async () => {
+      axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, data: { message: 'Invalid phone number' } }
+      }));
+
+      await expect(provider.stop('call-1')).rejects.toMatchObject({
+        code: 'PROVIDER_ERROR',
+        status: 400,
+        message: 'Bland.AI API error: Invalid phone number'
+      });
+    });
+  });
+
+  describe('getProvider', () => {
+    test('returns a registered provider by name, created once', () => {
+      const factory = jest.fn(() => ({ name: 'fake' }));
+      registerProvider('fake', factory);
+
+      expect(getProvider('fake')).toBe(getProvider('fake'));
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects unknown providers', () => {
+      expect(() => getProvider('nope')).toThrow('Unknown telephony provider: nope');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { getProvider } = require('../../services/providers');
+const {
+  listVoices,
+  findVoice,
+  getVoicePreview,
+  syncVoiceCatalog
+} = require('../../services/voice-catalog');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+jest.mock('../../services/providers', () => {
+  const provider = {
+    name: 'bland',
+    listVoices: jest.fn(),
+    getVoiceSample: jest.fn()
+  };
+  return { getProvider: () => provider };
+});
+
+/**
+ * Fake Supabase client holding `voices`
+ */
+function createDb(voices = []) {
+  return createSupabaseFake({ tables: { voices: voices.map(voice => ({ ...voice })) } });
+}
+
+/**
+ * Fake Redis client backed by a Map
+ */
+function createCache() {
+  const store = new Map();
+  return {
+    isReady: true,
+    store,
+    get: jest.fn(async key => store.get(key) || null),
+    set: jest.fn(async (key, value) => { store.set(key, value); }),
+    del: jest.fn(async key => { store.delete(key); })
+  };
+}
+
+const rows = [
+  { id: 1, voice_id: 'voice-ryan', name: 'Public - Ryan', language: 'en-GB', gender: 'male', accent: 'british', tags: ['british', 'calm'], available: true, public: true },
+  { id: 2, voice_id: 'voice-maya', name: 'Maya', language: 'en-US', gender: 'female', accent: 'american', tags: ['american', 'friendly'], available: true, public: true },
+  { id: 3, voice_id: 'voice-lucia', name: 'Lucia', language: 'es', gender: 'female', accent: 'spanish', tags: ['spanish'], available: true, public: true },
+  { id: 4, voice_id: 'voice-old', name: 'Old', language: 'en-US', gender: 'male', tags: [], available: false, public: true }
+];
+
+describe('Voice catalog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('filters voices by language, tag and gender, leaving out unavailable ones', async () => {
+    const db = createDb(rows);
+    const ids = voices => voices.map(voice => voice.id);
+
+    expect(ids(await listVoices({}, { db, cache: null }))).toEqual(['voice-lucia', 'voice-maya', 'voice-ryan']);
+    expect(ids(await listVoices({ language: 'en' }, { db, cache: null }))).toEqual(['voice-maya', 'voice-ryan']);
+    expect(ids(await listVoices({ language: 'en-GB' }, { db, cache: null }))).toEqual(['voice-ryan']);
+    expect(ids(await listVoices({ tag: 'Calm' }, { db, cache: null }))).toEqual(['voice-ryan']);
+    expect(ids(await listVoices({ gender: 'female', language: 'es' }, { db, cache: null }))).toEqual(['voice-lucia']);
+    expect(ids(await listVoices({ includeUnavailable: true, language: 'en-us' }, { db, cache: null }))).toEqual(['voice-maya', 'voice-old']);
+  });
+
+  test('serves lookups from the cache once loaded', async () => {
+    const db = createDb(rows);
+    const cache = createCache();
+
+    await listVoices({}, { db, cache });
+    const voice = await findVoice('ryan', { db, cache });
+
+    expect(voice).toMatchObject({ id: 'voice-ryan', name: 'Ryan' });
+    expect(db.queries).toHaveLength(1);
+  });
+
+  test('upserts provider voices, marks withdrawn ones unavailable and pre-generates previews', async () => {
+    const db = createDb([{ id: 5, voice_id: 'old-voice', name: 'Withdrawn', available: true, public: true }]);
+    const cache = createCache();
+    cache.store.set('voice_catalog', '[]');
+    getProvider().listVoices.mockResolvedValue([
+      { voiceId: 'voice-ryan', name: 'Ryan', tags: ['British', 'male'], public: true },
+      { voiceId: 'voice-maya', name: 'Maya', language: 'en-US', gender: 'female', tags: [], public: true }
+    ]);
+    getProvider().getVoiceSample.mockResolvedValue({ audio: Buffer.from('audio'), contentType: 'audio/mpeg' });
+
+    const result = await syncVoiceCatalog({ db, cache });
+
+    expect(result).toEqual({ synced: 2, unavailable: 1, previews: 2 });
+    expect(db.queries[0].options).toEqual({ onConflict: 'voice_id' });
+    expect(db.queries[0].upsert[0]).toMatchObject({
+      voice_id: 'voice-ryan',
+      provider: 'bland',
+      language: 'en-GB',
+      gender: 'male',
+      accent: 'british',
+      available: true
+    });
+    expect(db.queries[1]).toMatchObject({
+      update: expect.objectContaining({ available: false }),
+      filters: [['available', true], ['voice_id', 'not.in.("voice-ryan","voice-maya")']]
+    });
+    expect(cache.store.has('voice_catalog')).toBe(false);
+
+    // The previews are now served from the cache
+    const preview = await getVoicePreview('voice-maya', undefined, { cache });
+    expect(preview).toMatchObject({ contentType: 'audio/mpeg', cached: true });
+    expect(preview.audio.toString()).toBe('audio');
+    expect(getProvider().getVoiceSample).toHaveBeenCalledTimes(2);
+  });
+
+  test('leaves the catalog alone when the provider returns no voices', async () => {
+    const db = createDb();
+    getProvider().listVoices.mockResolvedValue([]);
+
+    expect(await syncVoiceCatalog({ db, cache: null })).toEqual({ synced: 0, unavailable: 0, previews: 0 });
+    expect(db.queries).toHaveLength(0);
+  });
+});
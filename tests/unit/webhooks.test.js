@@ -0,0 +1,159 @@
+const dns = require('dns');
+const axios = require('axios');
+const {
+  EVENT_TYPES,
+  signPayload,
+  verifySignature,
+  registerEndpoint,
+  emitEvent,
+  emitCallStatusEvent
+} = require('../../services/webhooks');
+const { createSupabaseFake } = require('../helpers/supabase-fake');
+
+jest.mock('axios');
+
+/**
+ * Fake Supabase client holding the given webhook endpoints
+ */
+function createDb(endpoints) {
+  return createSupabaseFake({ tables: { webhook_endpoints: endpoints.map(row => ({ ...row })) } });
+}
+
+const endpoint = {
+  id: 'endpoint-1',
+  user_id: 'user-1',
+  url: 'https://example.com/hooks',
+  secret: 'whsec_test',
+  events: EVENT_TYPES,
+  active: true
+};
+
+describe('Webhooks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  describe('signatures', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'call.completed' });
+    const now = 1750000000;
+
+    test('accepts a header produced with the endpoint secret', () => {
+      const header = `t=${now},v1=${signPayload('whsec_test', now, body)}`;
+
+      expect(verifySignature('whsec_test', header, body, now + 10)).toBe(true);
+    });
+
+    test('rejects a tampered body or the wrong secret', () => {
+      const header = `t=${now},v1=${signPayload('whsec_test', now, body)}`;
+
+      expect(verifySignature('whsec_test', header, body.replace('completed', 'failed'), now)).toBe(false);
+      expect(verifySignature('whsec_other', header, body, now)).toBe(false);
+    });
+
+    test('rejects signatures older than five minutes', () => {
+      const header = `t=${now},v1=${signPayload('whsec_test', now, body)}`;
+
+      expect(verifySignature('whsec_test', header, body, now + 301)).toBe(false);
+    });
+  });
+
+  describe('registerEndpoint', () => {
+    test.each([
+      'https://127.0.0.1/hooks',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::ffff:10.0.0.1]/hooks',
+      'https://[::1]/hooks'
+    ])('rejects %s', async (url) => {
+      await expect(registerEndpoint('user-1', { url })).rejects.toMatchObject({ code: 'WEBHOOK_URL_NOT_ALLOWED' });
+    });
+
+    test('rejects hosts that resolve to a private address', async () => {
+      dns.promises.lookup.mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '192.168.1.10', family: 4 }
+      ]);
+
+      await expect(registerEndpoint('user-1', { url: 'https://internal.example.com/hooks' }))
+        .rejects.toMatchObject({ code: 'WEBHOOK_URL_NOT_ALLOWED' });
+    });
+  });
+
+  describe('emitEvent', () => {
+    test('sends a signed request to each subscribed endpoint', async () => {
+      const db = createDb([endpoint]);
+      axios.post.mockResolvedValue({ status: 200 });
+
+      const [delivery] = await emitEvent('call.completed', 'user-1', { call_id: 'call-1' }, { db });
+
+      expect(delivery.status).toBe('succeeded');
+      const [url, body, { headers }] = axios.post.mock.calls[0];
+      expect(url).toBe(endpoint.url);
+      expect(JSON.parse(body)).toMatchObject({ type: 'call.completed', data: { call_id: 'call-1' } });
+      expect(verifySignature(endpoint.secret, headers['X-Webhook-Signature'], body)).toBe(true);
+    });
+
+    test('schedules a retry when the endpoint fails', async () => {
+      const db = createDb([endpoint]);
+      axios.post.mockResolvedValue({ status: 500 });
+
+      const [delivery] = await emitEvent('call.failed', 'user-1', { call_id: 'call-1' }, { db });
+
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1, last_status_code: 500 });
+      expect(delivery.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+      expect(db.tables.webhook_deliveries[0]).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    test('does not send to an endpoint that now resolves to a private address', async () => {
+      const db = createDb([endpoint]);
+      dns.promises.lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+      const [delivery] = await emitEvent('call.completed', 'user-1', { call_id: 'call-1' }, { db });
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1 });
+      expect(delivery.last_error).toMatch(/private/);
+    });
+
+    test('sends an organization\'s events to its endpoints only', async () => {
+      const orgEndpoint = { ...endpoint, id: 'endpoint-2', organization_id: 'org-1', url: 'https://org.example.com/hooks' };
+      const db = createDb([endpoint, orgEndpoint]);
+      axios.post.mockResolvedValue({ status: 200 });
+
+      const deliveries = await emitEvent('call.queued', 'user-1', { call_id: 'call-1' }, { organizationId: 'org-1', db });
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ endpoint_id: 'endpoint-2', organization_id: 'org-1' });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.post.mock.calls[0][0]).toBe(orgEndpoint.url);
+    });
+
+    test('never throws when delivery cannot be queued', async () => {
+      const db = { from: jest.fn(() => { throw new Error('connection refused'); }) };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(emitEvent('call.queued', 'user-1', {}, { db })).resolves.toEqual([]);
+    });
+  });
+
+  describe('emitCallStatusEvent', () => {
+    const call = { call_id: 'call-1', user_id: 'user-1', phone_number: '+15551234567' };
+
+    test('emits when the call reaches a new stage', async () => {
+      const db = createDb([endpoint]);
+      axios.post.mockResolvedValue({ status: 204 });
+
+      const deliveries = await emitCallStatusEvent(call, 'ringing', 'in-progress', { db });
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].event_type).toBe('call.answered');
+    });
+
+    test('stays quiet for status changes within the same stage', async () => {
+      const db = createDb([endpoint]);
+
+      await expect(emitCallStatusEvent(call, 'queued', 'ringing', { db })).resolves.toEqual([]);
+      expect(db.from).not.toHaveBeenCalled();
+    });
+  });
+});
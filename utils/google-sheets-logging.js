@@ -8,7 +8,7 @@
 const { logger } = require('./logger');
 const { sheets } = require('../config/google');
 const { googleSheetsRateLimiter } = require('./rate-limiter');
-const { addToBatch, flushAllBatches } = require('./google-sheets-batch');
+const { addToBatch } = require('./google-sheets-batch');
 
 // Queue for retrying operations
 const retryQueue = [];
@@ -330,141 +330,6 @@ async function updateCallInGoogleSheets(callData, isBatchable = true) {
   }
 }
 
-/**
- * Poll for updates to calls and log them to Google Sheets
- * @param {number} maxCalls Maximum number of calls to process
- * @returns {Promise<Object>} Result of the polling operation
- */
-async function pollCallUpdates(maxCalls = 25) {
-  try {
-    // Log the rate limiter status before polling
-    const tokensBefore = await googleSheetsRateLimiter.getAvailableTokens();
-    logger.info(`Starting poll for call updates (${tokensBefore} tokens available)`);
-
-    // If we have retry operations in the queue, process those first
-    if (retryQueue.length > 0) {
-      await processRetryQueue();
-    }
-
-    // If tokens are low, wait for more before continuing
-    const tokensAfterRetry = await googleSheetsRateLimiter.getAvailableTokens();
-    if (tokensAfterRetry < 5) {
-      logger.warn(`Low tokens available (${tokensAfterRetry}), waiting for refill`);
-      // Wait for token refill (up to 10 seconds)
-      await new Promise(resolve => setTimeout(resolve, 10000));
-    }
-
-    // Fetch calls that need updates (in_progress or completed but without transcript/recording)
-    const { data: calls, error } = await supabase
-      .from('calls')
-      .select('*')
-      .or('status.eq.in_progress,and(status.eq.completed,transcript.is.null)')
-      .order('updated_at', { ascending: false })
-      .limit(maxCalls);
-
-    if (error) {
-      logger.error(`Error fetching calls for update: ${error.message}`, { error });
-      return { success: false, error: error.message };
-    }
-
-    if (!calls || calls.length === 0) {
-      logger.info('No calls found needing updates');
-      return { success: true, updatedCount: 0 };
-    }
-
-    logger.info(`Found ${calls.length} calls to update`);
-
-    // Process calls in batches to avoid rate limiting
-    const batchSize = 5;
-    const batches = [];
-
-    // Split calls into batches
-    for (let i = 0; i < calls.length; i += batchSize) {
-      batches.push(calls.slice(i, i + batchSize));
-    }
-
-    let updatedCount = 0;
-
-    // Process each batch
-    for (const batch of batches) {
-      // Process batch in parallel
-      const results = await Promise.all(batch.map(async (call) => {
-        try {
-          // For in_progress calls, check status with Bland.AI
-          if (call.status === 'in_progress') {
-            const blandCall = await fetchBlandAICallDetails(call.call_id);
-            
-            if (blandCall && blandCall.status === 'success' && blandCall.call) {
-              // Update local database with latest status
-              await updateCallInDatabase(call.id, blandCall.call);
-              
-              // Update Google Sheets
-              await updateCallInGoogleSheets({
-                call_id: call.call_id,
-                status: blandCall.call.status,
-                duration: blandCall.call.call_length_seconds,
-                transcript: blandCall.call.transcript,
-                recording_url: blandCall.call.recording_url,
-                cost: blandCall.call.cost
-              }, true); // Mark as batchable
-              
-              return { success: true, updated: true };
-            }
-          } 
-          // For completed calls without transcript/recording, fetch details
-          else if (call.status === 'completed' && (!call.transcript || !call.recording_url)) {
-            const blandCall = await fetchBlandAICallDetails(call.call_id);
-            
-            if (blandCall && blandCall.status === 'success' && blandCall.call) {
-              // Update local database with transcript/recording
-              await updateCallInDatabase(call.id, blandCall.call);
-              
-              // Update Google Sheets
-              await updateCallInGoogleSheets({
-                call_id: call.call_id,
-                transcript: blandCall.call.transcript,
-                recording_url: blandCall.call.recording_url
-              }, true); // Mark as batchable
-              
-              return { success: true, updated: true };
-            }
-          }
-          
-          return { success: true, updated: false };
-        } catch (error) {
-          logger.error(`Error updating call ${call.call_id}: ${error.message}`, {
-            callId: call.call_id,
-            error
-          });
-          return { success: false, error: error.message };
-        }
-      }));
-      
-      // Count successful updates
-      updatedCount += results.filter(r => r.success && r.updated).length;
-      
-      // Wait a bit between batches to avoid rate limiting
-      if (batches.length > 1) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
-
-    // Flush any pending batches
-    await flushAllBatches();
-
-    // Log the rate limiter status after polling
-    const tokensAfter = await googleSheetsRateLimiter.getAvailableTokens();
-    logger.info(`Completed poll for call updates (${tokensAfter} tokens available)`, {
-      updatedCount
-    });
-
-    return { success: true, updatedCount };
-  } catch (error) {
-    logger.error(`Error in pollCallUpdates: ${error.message}`, { error });
-    return { success: false, error: error.message };
-  }
-}
-
 /**
  * Queue an operation for retry
  * @param {Object} operation Operation to retry
@@ -570,81 +435,7 @@ async function processRetryQueue() {
   }
 }
 
-// Helper function to fetch call details from Bland.AI
-async function fetchBlandAICallDetails(callId) {
-  try {
-    const response = await axios.get(
-      `https://api.bland.ai/v1/calls/${callId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.BLAND_ENTERPRISE_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    return response.data;
-  } catch (error) {
-    logger.error(`Error fetching call details from Bland.AI: ${error.message}`, {
-      callId,
-      error
-    });
-    throw error;
-  }
-}
-
-// Helper function to update call in database
-async function updateCallInDatabase(id, blandCall) {
-  try {
-    const updateData = {
-      updated_at: new Date().toISOString()
-    };
-    
-    if (blandCall.status) {
-      updateData.status = blandCall.status;
-    }
-    
-    if (blandCall.call_length_seconds) {
-      updateData.duration = blandCall.call_length_seconds;
-    }
-    
-    if (blandCall.transcript) {
-      updateData.transcript = blandCall.transcript;
-    }
-    
-    if (blandCall.recording_url) {
-      updateData.recording_url = blandCall.recording_url;
-    }
-    
-    if (blandCall.cost) {
-      updateData.cost = blandCall.cost;
-    }
-    
-    const { error } = await supabase
-      .from('calls')
-      .update(updateData)
-      .eq('id', id);
-      
-    if (error) {
-      logger.error(`Error updating call in database: ${error.message}`, {
-        id,
-        error
-      });
-      throw error;
-    }
-    
-    return true;
-  } catch (error) {
-    logger.error(`Error in updateCallInDatabase: ${error.message}`, {
-      id,
-      error
-    });
-    throw error;
-  }
-}
-
 module.exports = {
   logCallToGoogleSheets,
-  updateCallInGoogleSheets,
-  pollCallUpdates
+  updateCallInGoogleSheets
 }; 
\ No newline at end of file